@@ -56,6 +56,6 @@ poller.on('notification', record => {
 })
 
 // Create an object - this should trigger a notification.
-s3Client.putObject('bucket1', 'file.jpg', 'stringdata', (err, etag) => {
+s3Client.putObject('bucket1', 'file.jpg', 'stringdata', (err, objInfo) => {
     if (err) throw err
 })
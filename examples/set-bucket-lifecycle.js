@@ -0,0 +1,44 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Note: YOUR-ACCESSKEYID, YOUR-SECRETACCESSKEY and my-bucketname are
+// dummy values, please replace them with original values.
+
+var Minio = require('minio')
+
+var s3Client = new Minio.Client({
+  endPoint: 's3.amazonaws.com',
+  accessKey: 'YOUR-ACCESSKEYID',
+  secretKey: 'YOUR-SECRETACCESSKEY'
+})
+
+// Move logs to infrequent access storage after 30 days and
+// delete them after a year.
+var rule = new Minio.LifecycleRule('expire-logs')
+rule.setPrefix('logs/')
+rule.addTransition(30, 'STANDARD_IA')
+rule.setExpirationDays(365)
+rule.setAbortIncompleteMultipartUpload(7)
+
+var lifecycleConfig = new Minio.LifecycleConfig()
+lifecycleConfig.addRule(rule)
+
+s3Client.setBucketLifecycle('my-bucketname', lifecycleConfig, function(err) {
+  if (err) {
+    return console.log(err)
+  }
+  console.log('Success')
+})
@@ -0,0 +1,75 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { isObject, isFunction } from './helpers'
+
+// AbortSignal of an AbortController. The APIs accepting a signal only
+// rely on `aborted`, addEventListener and removeEventListener, so the
+// AbortSignal of browsers and of recent Node.js versions works as well.
+export class AbortSignal {
+  constructor() {
+    this.aborted = false
+    this.onabort = null
+    this.listeners = []
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'abort') this.listeners.push(listener)
+  }
+
+  removeEventListener(type, listener) {
+    if (type === 'abort') this.listeners = this.listeners.filter(l => l !== listener)
+  }
+}
+
+// AbortController cancels the operations given its signal, e.g.
+//
+//   var controller = new Minio.AbortController()
+//   minioClient.fGetObject('bucket', 'object', '/tmp/object', {signal: controller.signal}, cb)
+//   controller.abort()
+export class AbortController {
+  constructor() {
+    this.signal = new AbortSignal()
+  }
+
+  abort() {
+    var signal = this.signal
+    if (signal.aborted) return
+    signal.aborted = true
+    var event = {type: 'abort', target: signal}
+    if (isFunction(signal.onabort)) signal.onabort(event)
+    signal.listeners.slice().forEach(listener => listener(event))
+  }
+}
+
+export function validateSignal(signal) {
+  if (signal === undefined) return
+  if (!isObject(signal) || !isFunction(signal.addEventListener) || !isFunction(signal.removeEventListener)) {
+    throw new TypeError('signal should be of type "AbortSignal"')
+  }
+}
+
+// Calls listener once when signal is aborted, returns a function removing
+// the listener. signal is optional.
+export function onAbort(signal, listener) {
+  if (!signal) return () => {}
+  var once = () => {
+    signal.removeEventListener('abort', once)
+    listener()
+  }
+  signal.addEventListener('abort', once)
+  return () => signal.removeEventListener('abort', once)
+}
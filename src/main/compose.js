@@ -0,0 +1,153 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { isObject, isString, isNumber, isValidBucketName, isValidObjectName,
+  uriEscape, prependXAMZMeta, isStorageclassHeader, encodeTaggingHeader,
+  validateTags, MAX_OBJECT_TAGS } from './helpers'
+import { validateEncryption, getCopySourceSSECHeaders } from './encryption'
+import * as errors from './errors'
+
+// Splits the source of copyObject, `/bucket/object` or `bucket/object`,
+// into `{bucketName, objectName}`.
+export function parseCopySource(srcObject) {
+  var path = srcObject.replace(/^\//, '')
+  var index = path.indexOf('/')
+  if (index === -1) {
+    throw new errors.InvalidArgumentError(`Invalid source object: ${srcObject}`)
+  }
+  return {bucketName: path.slice(0, index), objectName: path.slice(index + 1)}
+}
+
+// Validates a source of composeObject given as
+// `{bucketName, objectName, versionId, start, end, conditions, encryption}`,
+// `start` and `end` are the first and the last byte of the range copied.
+export function validateCopySource(source) {
+  if (!isObject(source)) {
+    throw new TypeError('source should be of type "object"')
+  }
+  if (!isValidBucketName(source.bucketName)) {
+    throw new errors.InvalidBucketNameError('Invalid bucket name: ' + source.bucketName)
+  }
+  if (!isValidObjectName(source.objectName)) {
+    throw new errors.InvalidObjectNameError(`Invalid object name: ${source.objectName}`)
+  }
+  if (source.versionId !== undefined && !isString(source.versionId)) {
+    throw new TypeError('versionId should be of type "string"')
+  }
+  ['start', 'end'].forEach(key => {
+    var value = source[key]
+    if (value !== undefined && (!isNumber(value) || value < 0 || Math.floor(value) !== value)) {
+      throw new errors.InvalidArgumentError(`${key} should be a non negative integer, got ${value}`)
+    }
+  })
+  if (source.start !== undefined && source.end !== undefined && source.start > source.end) {
+    throw new errors.InvalidArgumentError(`Invalid range: ${source.start}-${source.end}`)
+  }
+  if (source.conditions !== undefined && source.conditions !== null && !isObject(source.conditions)) {
+    throw new TypeError('conditions should be of type "CopyConditions"')
+  }
+  if (source.encryption) validateEncryption(source.encryption)
+}
+
+// Returns the headers requiring the copy conditions of the source.
+export function getCopyConditionHeaders(conditions) {
+  var headers = {}
+  if (!conditions) return headers
+  if (conditions.modified) {
+    headers['x-amz-copy-source-if-modified-since'] = conditions.modified
+  }
+  if (conditions.unmodified) {
+    headers['x-amz-copy-source-if-unmodified-since'] = conditions.unmodified
+  }
+  if (conditions.matchETag) {
+    headers['x-amz-copy-source-if-match'] = conditions.matchETag
+  }
+  if (conditions.matchETagExcept) {
+    headers['x-amz-copy-source-if-none-match'] = conditions.matchETagExcept
+  }
+  return headers
+}
+
+// Returns the headers naming the source of a copy, along with its
+// conditions and its SSE-C key.
+export function getCopySourceHeaders(source) {
+  var headers = Object.assign(getCopySourceSSECHeaders(source.encryption),
+                              getCopyConditionHeaders(source.conditions))
+  headers['x-amz-copy-source'] = uriEscape(`/${source.bucketName}/${source.objectName}`)
+  if (source.versionId) {
+    headers['x-amz-copy-source'] += `?versionId=${uriEscape(source.versionId)}`
+  }
+  return headers
+}
+
+// Directives of a copy, telling whether the metadata and the tags of the
+// destination are copied from the source or replaced.
+const COPY_DIRECTIVES = ['COPY', 'REPLACE']
+
+// Validates the options of copyObject describing its destination:
+// `metaData`, `metadataDirective`, `tags` and `taggingDirective`.
+export function validateCopyDestination(copyOpts) {
+  if (copyOpts.metaData !== undefined && !isObject(copyOpts.metaData)) {
+    throw new TypeError('metaData should be of type "object"')
+  }
+  if (copyOpts.tags !== undefined) validateTags(copyOpts.tags, MAX_OBJECT_TAGS)
+  var directives = ['metadataDirective', 'taggingDirective']
+  directives.forEach(key => {
+    if (copyOpts[key] !== undefined && COPY_DIRECTIVES.indexOf(copyOpts[key]) === -1) {
+      throw new errors.InvalidArgumentError(`${key} should be one of ${COPY_DIRECTIVES.join(', ')}, got ${copyOpts[key]}`)
+    }
+  })
+  // The storage class is not metadata, it can be changed along with
+  // copied metadata.
+  var replaced = Object.keys(copyOpts.metaData || {}).filter(key => !isStorageclassHeader(key))
+  if (copyOpts.metadataDirective === 'COPY' && replaced.length) {
+    throw new errors.InvalidArgumentError('metaData cannot be given with the COPY metadata directive')
+  }
+  if (copyOpts.taggingDirective === 'COPY' && copyOpts.tags !== undefined) {
+    throw new errors.InvalidArgumentError('tags cannot be given with the COPY tagging directive')
+  }
+}
+
+// Returns the headers setting the metadata and the tags of the
+// destination of a copy. Giving metadata or tags replaces those of the
+// source unless a directive says otherwise.
+export function getCopyDestinationHeaders(copyOpts) {
+  var metaData = copyOpts.metaData || {}
+  var headers = prependXAMZMeta(metaData)
+  var metadataDirective = copyOpts.metadataDirective
+  if (!metadataDirective && Object.keys(metaData).some(key => !isStorageclassHeader(key))) {
+    metadataDirective = 'REPLACE'
+  }
+  if (metadataDirective) headers['x-amz-metadata-directive'] = metadataDirective
+
+  var taggingDirective = copyOpts.taggingDirective
+  if (copyOpts.tags !== undefined) {
+    if (Object.keys(copyOpts.tags).length) {
+      headers = encodeTaggingHeader(Object.assign(headers, {'x-amz-tagging': copyOpts.tags}))
+    }
+    taggingDirective = 'REPLACE'
+  }
+  if (taggingDirective) headers['x-amz-tagging-directive'] = taggingDirective
+  return headers
+}
+
+// Tells whether err is CopyObject refusing a source larger than 5GB,
+// which has to be copied in parts instead.
+export function isCopySourceTooLarge(err) {
+  if (!err) return false
+  if (err.code === 'EntityTooLarge') return true
+  return err.code === 'InvalidRequest' && /copy source is larger/.test(err.message)
+}
@@ -0,0 +1,262 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { isString, isNumber, isArray, isFunction } from './helpers'
+import * as errors from './errors'
+
+// Credentials used to sign requests. `expiration` is the Date at which
+// temporary credentials stop being valid, it is not set for long term
+// credentials.
+export class Credentials {
+  constructor(params = {}) {
+    this.accessKey = params.accessKey || ''
+    this.secretKey = params.secretKey || ''
+    this.sessionToken = params.sessionToken || ''
+    if (params.expiration) this.expiration = new Date(params.expiration)
+  }
+
+  // Requests are sent unsigned when no keys are available.
+  isAnonymous() {
+    return !this.accessKey || !this.secretKey
+  }
+
+  // Returns true if the credentials expire within `window` milliseconds.
+  isExpired(window = 0) {
+    if (!this.expiration) return false
+    return this.expiration.getTime() - window <= Date.now()
+  }
+}
+
+// CredentialProvider is the base class of all the providers. Subclasses
+// implement retrieve(cb), which fetches fresh credentials and calls
+// cb(err, credentials). getCredentials(cb) caches the credentials and
+// retrieves them again once they expire within `expiryWindow` seconds,
+// concurrent callers share a single retrieval.
+export class CredentialProvider {
+  constructor(params = {}) {
+    var expiryWindow = params.expiryWindow === undefined ? 60 : params.expiryWindow
+    if (!isNumber(expiryWindow) || expiryWindow < 0) {
+      throw new errors.InvalidArgumentError(`Invalid expiryWindow : ${expiryWindow}`)
+    }
+    this.expiryWindow = expiryWindow
+    this.credentials = null
+    this.pending = null
+  }
+
+  retrieve(cb) {
+    cb(new Error('retrieve() should be implemented by the credential provider'))
+  }
+
+  getCredentials(cb) {
+    if (this.credentials && !this.credentials.isExpired(this.expiryWindow * 1000)) {
+      return cb(null, this.credentials)
+    }
+    if (this.pending) return this.pending.push(cb)
+    this.pending = [cb]
+    var retrieved = false
+    var onRetrieved = (e, credentials) => {
+      if (retrieved) return
+      retrieved = true
+      var pending = this.pending
+      this.pending = null
+      if (e) {
+        // Credentials about to expire are still good enough until the
+        // next attempt to refresh them.
+        if (this.credentials && !this.credentials.isExpired()) {
+          credentials = this.credentials
+          e = null
+        }
+      } else {
+        if (!(credentials instanceof Credentials)) credentials = new Credentials(credentials)
+        this.credentials = credentials
+      }
+      pending.forEach(cb => cb(e, credentials))
+    }
+    // A provider failing to parse its configuration may throw, the
+    // callers waiting for the credentials are given the error.
+    try {
+      this.retrieve(onRetrieved)
+    } catch (e) {
+      // Errors thrown once the credentials were handed out come from the
+      // callers.
+      if (retrieved) throw e
+      onRetrieved(e)
+    }
+  }
+
+  // Forgets the cached credentials, the next call to getCredentials
+  // retrieves them again.
+  clear() {
+    this.credentials = null
+  }
+}
+
+// StaticProvider always returns the same keys.
+export class StaticProvider extends CredentialProvider {
+  constructor(params = {}) {
+    super(params)
+    this.staticCredentials = new Credentials(params)
+  }
+
+  retrieve(cb) {
+    cb(null, this.staticCredentials)
+  }
+}
+
+// EnvProvider reads the keys from the environment variables
+// AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and AWS_SESSION_TOKEN, or
+// MINIO_ACCESS_KEY and MINIO_SECRET_KEY.
+export class EnvProvider extends CredentialProvider {
+  retrieve(cb) {
+    var env = process.env
+    var credentials = new Credentials({
+      accessKey: env.AWS_ACCESS_KEY_ID || env.AWS_ACCESS_KEY,
+      secretKey: env.AWS_SECRET_ACCESS_KEY || env.AWS_SECRET_KEY,
+      sessionToken: env.AWS_SESSION_TOKEN
+    })
+    if (credentials.isAnonymous()) {
+      credentials = new Credentials({
+        accessKey: env.MINIO_ACCESS_KEY,
+        secretKey: env.MINIO_SECRET_KEY
+      })
+    }
+    if (credentials.isAnonymous()) {
+      return cb(new errors.CredentialsNotFoundError('No credentials found in the environment'))
+    }
+    cb(null, credentials)
+  }
+}
+
+// SharedFileProvider reads the keys of a profile from the AWS shared
+// credentials file, falling back to the AWS config file.
+//
+// __Arguments__
+// * `params.filename` _string_: path of the credentials file, defaults to
+//   $AWS_SHARED_CREDENTIALS_FILE or ~/.aws/credentials
+// * `params.configFilename` _string_: path of the config file, defaults to
+//   $AWS_CONFIG_FILE or ~/.aws/config
+// * `params.profile` _string_: name of the profile, defaults to $AWS_PROFILE or `default`
+export class SharedFileProvider extends CredentialProvider {
+  constructor(params = {}) {
+    super(params)
+    var env = process.env
+    this.filename = params.filename || env.AWS_SHARED_CREDENTIALS_FILE ||
+      path.join(os.homedir(), '.aws', 'credentials')
+    this.configFilename = params.configFilename || env.AWS_CONFIG_FILE ||
+      path.join(os.homedir(), '.aws', 'config')
+    this.profile = params.profile || env.AWS_PROFILE || 'default'
+    if (!isString(this.filename) || !isString(this.configFilename)) {
+      throw new TypeError('filename should be of type "string"')
+    }
+    if (!isString(this.profile)) {
+      throw new TypeError('profile should be of type "string"')
+    }
+  }
+
+  retrieve(cb) {
+    readProfile(this.filename, this.profile, (e, section) => {
+      if (e) return cb(e)
+      if (section) return cb(null, sectionCredentials(section))
+      // Profiles of the config file are named 'profile <name>', except
+      // for the default profile.
+      var configProfile = this.profile === 'default' ? 'default' : `profile ${this.profile}`
+      readProfile(this.configFilename, configProfile, (e, section) => {
+        if (e) return cb(e)
+        if (section) return cb(null, sectionCredentials(section))
+        cb(new errors.CredentialsNotFoundError(`No credentials found for profile ${this.profile}`))
+      })
+    })
+  }
+}
+
+// ChainProvider asks each provider in turn and returns the first
+// credentials found. The chain is walked again once these expire.
+export class ChainProvider extends CredentialProvider {
+  constructor(providers, params = {}) {
+    super(params)
+    if (!isArray(providers)) {
+      throw new TypeError('providers should be of type "Array"')
+    }
+    providers.forEach(provider => {
+      if (!provider || !isFunction(provider.getCredentials)) {
+        throw new TypeError('provider should implement getCredentials()')
+      }
+    })
+    this.providers = providers
+  }
+
+  retrieve(cb) {
+    var errs = []
+    var next = i => {
+      if (i === this.providers.length) {
+        var message = errs.map(e => e.message).join(', ')
+        return cb(new errors.CredentialsNotFoundError(`No credentials found in the chain: ${message}`))
+      }
+      this.providers[i].getCredentials((e, credentials) => {
+        if (!e && credentials && credentials.accessKey && credentials.secretKey) return cb(null, credentials)
+        errs.push(e || new Error('anonymous credentials'))
+        next(i + 1)
+      })
+    }
+    next(0)
+  }
+}
+
+function sectionCredentials(section) {
+  return new Credentials({
+    accessKey: section.aws_access_key_id,
+    secretKey: section.aws_secret_access_key,
+    sessionToken: section.aws_session_token
+  })
+}
+
+// Calls cb with the keys of the section `profile` of an ini file, or
+// with null when the file or the section holds no keys.
+function readProfile(filename, profile, cb) {
+  fs.readFile(filename, 'utf8', (e, content) => {
+    if (e) {
+      if (e.code === 'ENOENT') return cb(null, null)
+      return cb(e)
+    }
+    var section = parseIni(content)[profile]
+    if (!section || !section.aws_access_key_id || !section.aws_secret_access_key) return cb(null, null)
+    cb(null, section)
+  })
+}
+
+// Parses the ini format of the AWS shared files into an object of
+// sections, each an object of keys.
+export function parseIni(content) {
+  var sections = {}
+  var section = null
+  content.split(/\r?\n/).forEach(line => {
+    line = line.trim()
+    if (!line || line[0] === '#' || line[0] === ';') return
+    var header = line.match(/^\[([^\]]+)\]$/)
+    if (header) {
+      var name = header[1].trim()
+      section = sections[name] = sections[name] || {}
+      return
+    }
+    var index = line.indexOf('=')
+    if (!section || index === -1) return
+    section[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim()
+  })
+  return sections
+}
@@ -0,0 +1,138 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Crypto from 'crypto'
+import { isString, isObject } from './helpers'
+import * as errors from './errors'
+
+// Server-side encryption types. The encryption of an object is given as
+// an object of one of the following forms:
+//
+//   {type: 'SSE-S3'}
+//   {type: 'SSE-KMS', keyId: 'my-key', context: {project: 'archive'}}
+//   {type: 'SSE-C', key: <32 bytes Buffer>}
+//
+// keyId and context are optional for SSE-KMS.
+export const ENCRYPTION_TYPES = {
+  SSE_S3: 'SSE-S3',
+  SSE_KMS: 'SSE-KMS',
+  SSE_C: 'SSE-C'
+}
+
+export function validateEncryption(encryption) {
+  if (!isObject(encryption)) {
+    throw new TypeError('encryption should be of type "object"')
+  }
+  switch (encryption.type) {
+  case ENCRYPTION_TYPES.SSE_S3:
+    break
+  case ENCRYPTION_TYPES.SSE_KMS:
+    if (encryption.keyId !== undefined && !isString(encryption.keyId)) {
+      throw new errors.InvalidArgumentError('encryption.keyId should be of type "string"')
+    }
+    if (encryption.context !== undefined && !isObject(encryption.context)) {
+      throw new errors.InvalidArgumentError('encryption.context should be of type "object"')
+    }
+    break
+  case ENCRYPTION_TYPES.SSE_C:
+    if (!isString(encryption.key) && !Buffer.isBuffer(encryption.key)) {
+      throw new errors.InvalidArgumentError('encryption.key should be of type "Buffer" or "string"')
+    }
+    if (Buffer.byteLength(encryption.key) !== 32) {
+      throw new errors.InvalidArgumentError('encryption.key should be 32 bytes long')
+    }
+    break
+  default:
+    throw new errors.InvalidArgumentError(`Invalid encryption type: ${encryption.type}`)
+  }
+}
+
+export function isSSEC(encryption) {
+  return isObject(encryption) && encryption.type === ENCRYPTION_TYPES.SSE_C
+}
+
+// Returns the headers that request the encryption of an object being
+// written: PUT object, initiate multipart upload and copy destination.
+export function getEncryptionHeaders(encryption) {
+  if (!encryption) return {}
+  validateEncryption(encryption)
+  var headers = {}
+  switch (encryption.type) {
+  case ENCRYPTION_TYPES.SSE_S3:
+    headers['x-amz-server-side-encryption'] = 'AES256'
+    break
+  case ENCRYPTION_TYPES.SSE_KMS:
+    headers['x-amz-server-side-encryption'] = 'aws:kms'
+    if (encryption.keyId) {
+      headers['x-amz-server-side-encryption-aws-kms-key-id'] = encryption.keyId
+    }
+    if (encryption.context) {
+      var context = JSON.stringify(encryption.context)
+      headers['x-amz-server-side-encryption-context'] = new Buffer(context).toString('base64')
+    }
+    break
+  case ENCRYPTION_TYPES.SSE_C:
+    headers = getSSECHeaders(encryption)
+    break
+  }
+  return headers
+}
+
+// Returns the SSE-S3 or SSE-KMS encryption of an object from the headers
+// of its stat, undefined if it is not encrypted that way. The context of
+// SSE-KMS is not returned by the server and cannot be recovered.
+export function getObjectEncryption(metaData) {
+  switch (metaData['x-amz-server-side-encryption']) {
+  case 'AES256':
+    return {type: ENCRYPTION_TYPES.SSE_S3}
+  case 'aws:kms':
+    var keyId = metaData['x-amz-server-side-encryption-aws-kms-key-id']
+    return keyId ? {type: ENCRYPTION_TYPES.SSE_KMS, keyId} : {type: ENCRYPTION_TYPES.SSE_KMS}
+  }
+}
+
+// Returns the customer key headers of SSE-C. Unlike the other encryption
+// types the key has to be sent again on every part upload and on every
+// read of the object, SSE-S3 and SSE-KMS need no headers there.
+export function getSSECHeaders(encryption) {
+  return getCustomerKeyHeaders(encryption, 'x-amz-server-side-encryption-customer-')
+}
+
+// Returns the headers giving the customer key of the source object of a
+// copy.
+export function getCopySourceSSECHeaders(encryption) {
+  return getCustomerKeyHeaders(encryption, 'x-amz-copy-source-server-side-encryption-customer-')
+}
+
+function getCustomerKeyHeaders(encryption, prefix) {
+  if (!encryption) return {}
+  validateEncryption(encryption)
+  if (!isSSEC(encryption)) return {}
+  var key = new Buffer(encryption.key)
+  var headers = {}
+  headers[`${prefix}algorithm`] = 'AES256'
+  headers[`${prefix}key`] = key.toString('base64')
+  headers[`${prefix}key-MD5`] = Crypto.createHash('md5').update(key).digest('base64')
+  return headers
+}
+
+// Returns true for the headers carrying a customer provided key, for the
+// object itself or for the source of a copy.
+export function isCustomerKeyHeader(key) {
+  var temp = key.toLowerCase()
+  return temp === 'x-amz-server-side-encryption-customer-key' ||
+    temp === 'x-amz-copy-source-server-side-encryption-customer-key'
+}
@@ -111,6 +111,46 @@ export class InvalidBucketPolicyError extends ExtendableError {
   }
 }
 
+// AbortError generated when an operation is cancelled through its
+// AbortSignal.
+export class AbortError extends ExtendableError {
+  constructor(message) {
+    super(message)
+  }
+}
+
+// CredentialsNotFoundError generated when a credential provider finds no
+// credentials to sign requests with.
+export class CredentialsNotFoundError extends ExtendableError {
+  constructor(message) {
+    super(message)
+  }
+}
+
+// InvalidTagKeyError generated when a tag key is empty, too long or
+// uses the reserved 'aws:' prefix.
+export class InvalidTagKeyError extends ExtendableError {
+  constructor(message) {
+    super(message)
+  }
+}
+
+// InvalidTagValueError generated when a tag value is not a string or
+// is too long.
+export class InvalidTagValueError extends ExtendableError {
+  constructor(message) {
+    super(message)
+  }
+}
+
+// TooManyTagsError generated when more tags are given than S3 allows
+// on an object or a bucket.
+export class TooManyTagsError extends ExtendableError {
+  constructor(message) {
+    super(message)
+  }
+}
+
 // IncorrectSizeError generated when total data read mismatches with
 // the input size.
 export class IncorrectSizeError extends ExtendableError {
@@ -126,6 +166,22 @@ export class InvalidXMLError extends ExtendableError {
   }
 }
 
+// InvalidEventStreamError generated when the event stream of
+// SelectObjectContent is malformed or truncated.
+export class InvalidEventStreamError extends ExtendableError {
+  constructor(message) {
+    super(message)
+  }
+}
+
+// InvalidFormDataError generated when the body of a multipart/form-data
+// request is malformed.
+export class InvalidFormDataError extends ExtendableError {
+  constructor(message) {
+    super(message)
+  }
+}
+
 // S3Error is generated for errors returned from S3 server.
 // see getErrorTransformer for details
 export class S3Error extends ExtendableError {
@@ -0,0 +1,111 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { isString } from './helpers'
+import * as errors from './errors'
+
+// Returns the boundary given by the Content-Type of a multipart/form-data
+// request.
+function getBoundary(contentType) {
+  if (!/^multipart\/form-data\s*;/i.test(contentType)) {
+    throw new errors.InvalidFormDataError(`Invalid content type: ${contentType}, expected multipart/form-data`)
+  }
+  var match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType)
+  if (!match) {
+    throw new errors.InvalidFormDataError('The multipart/form-data content type has no boundary')
+  }
+  return match[1] || match[2]
+}
+
+// Returns the headers of a part, with lower case names.
+function parsePartHeaders(buffer) {
+  var headers = {}
+  buffer.toString().split('\r\n').forEach(line => {
+    var index = line.indexOf(':')
+    if (index === -1) {
+      throw new errors.InvalidFormDataError(`Invalid part header: ${line}`)
+    }
+    headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim()
+  })
+  return headers
+}
+
+// Returns the value of a parameter of a Content-Disposition header, null
+// when absent.
+function getDispositionParam(disposition, name) {
+  var match = new RegExp(`;\\s*${name}="([^"]*)"`, 'i').exec(disposition) ||
+        new RegExp(`;\\s*${name}=([^;\\s]*)`, 'i').exec(disposition)
+  return match ? match[1] : null
+}
+
+// Parses the body of a multipart/form-data request, such as a browser
+// upload to a presigned POST policy, into `{fields, file}`. `fields` maps
+// the names of the fields, in lower case, to their values. `file` is
+// `{filename, contentType, data}` for the `file` field, the fields after it
+// are ignored as S3 does. Throws an InvalidFormDataError when the body is
+// malformed.
+export function parseFormData(contentType, body) {
+  if (!isString(contentType)) {
+    throw new TypeError('contentType should be of type "string"')
+  }
+  if (isString(body)) body = new Buffer(body)
+  if (!Buffer.isBuffer(body)) {
+    throw new TypeError('body should be of type "Buffer"')
+  }
+  var delimiter = new Buffer(`--${getBoundary(contentType)}`)
+  var fields = {}
+  var file = null
+
+  var start = body.indexOf(delimiter)
+  if (start === -1) {
+    throw new errors.InvalidFormDataError('The body has no part')
+  }
+  start += delimiter.length
+  while (!file) {
+    // The last delimiter is followed by '--'.
+    if (body.slice(start, start + 2).toString() === '--') break
+    if (body.slice(start, start + 2).toString() !== '\r\n') {
+      throw new errors.InvalidFormDataError('Malformed part delimiter')
+    }
+    start += 2
+    var headersEnd = body.indexOf('\r\n\r\n', start)
+    if (headersEnd === -1) {
+      throw new errors.InvalidFormDataError('Truncated part headers')
+    }
+    var end = body.indexOf(Buffer.concat([new Buffer('\r\n'), delimiter]), headersEnd)
+    if (end === -1) {
+      throw new errors.InvalidFormDataError('Truncated part')
+    }
+    var headers = parsePartHeaders(body.slice(start, headersEnd))
+    var disposition = headers['content-disposition'] || ''
+    var name = getDispositionParam(disposition, 'name')
+    if (!/^form-data\s*;/i.test(disposition) || name === null) {
+      throw new errors.InvalidFormDataError(`Invalid content disposition: ${disposition}`)
+    }
+    var data = body.slice(headersEnd + 4, end)
+    if (name.toLowerCase() === 'file') {
+      file = {
+        filename: getDispositionParam(disposition, 'filename'),
+        contentType: headers['content-type'] || null,
+        data
+      }
+    } else {
+      fields[name.toLowerCase()] = data.toString()
+    }
+    start = end + 2 + delimiter.length
+  }
+  return {fields, file}
+}
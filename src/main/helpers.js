@@ -16,6 +16,7 @@
 
 import stream from 'stream'
 import mime from 'mime-types'
+import * as errors from './errors'
 
 // Returns a wrapper function that will promisify a given callback function.
 // It will preserve 'this'.
@@ -80,8 +81,8 @@ export function uriResourceEscape(string) {
   return uriEscape(string).replace(/%2F/g, '/')
 }
 
-export function getScope(region, date) {
-  return `${makeDateShort(date)}/${region}/s3/aws4_request`
+export function getScope(region, date, serviceName = 's3') {
+  return `${makeDateShort(date)}/${region}/${serviceName}/aws4_request`
 }
 
 // isAmazonEndpoint - true if endpoint is 's3.amazonaws.com' or 's3.cn-north-1.amazonaws.com.cn'
@@ -305,7 +306,7 @@ export function prependXAMZMeta(metaData) {
 // Checks if it is a valid header according to the AmazonS3 API
 export function isAmzHeader(key) {
   var temp = key.toLowerCase()
-  return temp.startsWith("x-amz-meta-") || temp === "x-amz-acl" || temp.startsWith("x-amz-server-side-encryption-") || temp === "x-amz-server-side-encryption"
+  return temp.startsWith("x-amz-meta-") || temp === "x-amz-acl" || temp === "x-amz-tagging" || temp.startsWith("x-amz-server-side-encryption-") || temp === "x-amz-server-side-encryption"
 }
 //Checks if it is a supported Header
 export function isSupportedHeader(key) {
@@ -336,3 +337,74 @@ export function extractMetadata(metaData) {
   }
   return newMetadata
 }
+
+// Returns the version id of an object from the response headers, or
+// null when the bucket is not versioned.
+export function getVersionId(headers = {}) {
+  const versionIdValue = headers['x-amz-version-id']
+  return versionIdValue || null
+}
+
+// Maximum number of tags S3 accepts on an object and on a bucket.
+export const MAX_OBJECT_TAGS = 10
+export const MAX_BUCKET_TAGS = 50
+
+// Validates tags given as an object of key/value pairs against the
+// limits enforced by S3.
+export function validateTags(tags, maxTags) {
+  if (!isObject(tags)) {
+    throw new TypeError('tags should be of type "object"')
+  }
+  var keys = Object.keys(tags)
+  if (keys.length > maxTags) {
+    throw new errors.TooManyTagsError(`At most ${maxTags} tags are allowed, got ${keys.length}`)
+  }
+  keys.forEach(key => {
+    // Limits are expressed in unicode characters, not in UTF-16 code units.
+    var keyLength = Array.from(key).length
+    if (keyLength === 0 || keyLength > 128) {
+      throw new errors.InvalidTagKeyError(`Tag key should be 1 to 128 characters long: ${key}`)
+    }
+    if (key.toLowerCase().startsWith('aws:')) {
+      throw new errors.InvalidTagKeyError(`Tag key cannot use the reserved "aws:" prefix: ${key}`)
+    }
+    var value = tags[key]
+    if (!isString(value)) {
+      throw new errors.InvalidTagValueError(`Value of tag ${key} should be of type "string"`)
+    }
+    if (Array.from(value).length > 256) {
+      throw new errors.InvalidTagValueError(`Value of tag ${key} cannot be longer than 256 characters`)
+    }
+  })
+}
+
+// Returns a copy of metaData where tags given as an object in the
+// `x-amz-tagging` header are validated and url encoded the way S3
+// expects them. Already encoded tags are passed as is.
+export function encodeTaggingHeader(metaData) {
+  var newMetadata = Object.assign({}, metaData)
+  for (var key in metaData) {
+    if (key.toLowerCase() === 'x-amz-tagging' && isObject(metaData[key])) {
+      var tags = metaData[key]
+      validateTags(tags, MAX_OBJECT_TAGS)
+      newMetadata[key] = Object.keys(tags).map(k => `${uriEscape(k)}=${uriEscape(tags[k])}`).join('&')
+    }
+  }
+  return newMetadata
+}
+
+// Validates the progress callback of uploads and downloads.
+export function validateProgress(onProgress) {
+  if (onProgress !== undefined && !isFunction(onProgress)) {
+    throw new TypeError('onProgress should be of type "function"')
+  }
+}
+
+// Validates the number of parts uploaded in parallel, undefined stands for
+// the default of 1.
+export function validateConcurrency(concurrency) {
+  if (concurrency === undefined) return
+  if (!isNumber(concurrency) || concurrency < 1 || Math.floor(concurrency) !== concurrency) {
+    throw new errors.InvalidArgumentError(`concurrency should be a positive integer, got ${concurrency}`)
+  }
+}
@@ -0,0 +1,230 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Stream from 'stream'
+import { onAbort } from './abort'
+import * as errors from './errors'
+
+// Symbol.asyncIterator makes an object usable with `for await`, older
+// Node.js versions lack it but the iterators can still be used by hand.
+export const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
+// PageIterator lists one page of a paginated listing per call to next().
+// fetchPage(marker, cb) lists the page starting at marker and calls
+// cb(err, page, nextMarker), nextMarker is null after the last page.
+//
+// `marker` holds the marker of the next page, saving it allows a later
+// listing to resume from there. A failed page can be listed again by
+// calling next() once more.
+export class PageIterator {
+  constructor(fetchPage, marker) {
+    this.fetchPage = fetchPage
+    this.marker = marker
+    this.done = false
+    this.queue = []
+    this.fetching = false
+  }
+
+  // Calls cb(err, page), page is null once all the pages were listed.
+  // Concurrent calls are served one after another.
+  nextPage(cb) {
+    this.queue.push(cb)
+    if (!this.fetching) this.fetchNext()
+  }
+
+  fetchNext() {
+    var cb = this.queue.shift()
+    if (!cb) return
+    if (this.done) {
+      cb(null, null)
+      return this.fetchNext()
+    }
+    this.fetching = true
+    this.fetchPage(this.marker, (e, page, nextMarker) => {
+      this.fetching = false
+      if (!e) {
+        this.marker = nextMarker
+        if (nextMarker === null) this.done = true
+      }
+      cb(e, e ? null : page)
+      this.fetchNext()
+    })
+  }
+
+  next() {
+    return new Promise((resolve, reject) => {
+      this.nextPage((e, page) => {
+        if (e) return reject(e)
+        resolve(page ? {value: page, done: false} : {value: undefined, done: true})
+      })
+    })
+  }
+
+  // Ends the listing, called when a `for await` loop is left early.
+  return() {
+    this.done = true
+    return Promise.resolve({value: undefined, done: true})
+  }
+
+  [asyncIterator]() {
+    return this
+  }
+}
+
+// Returns a Readable stream of the items of the pages listed by `pages`,
+// getItems(page) returns the items of a page. Aborting `signal` makes the
+// stream emit an AbortError, until the listing is over.
+export function pageStream(pages, getItems, signal) {
+  var items = []
+  var ended = false
+  var readStream = Stream.Readable({objectMode: true})
+  var removeAbortListener = onAbort(signal, () => {
+    fail(new errors.AbortError('The operation was aborted'))
+  })
+  // Stops listening to the signal once the listing is over.
+  var end = () => {
+    ended = true
+    removeAbortListener()
+  }
+  var fail = e => {
+    if (ended) return
+    end()
+    readStream.emit('error', e)
+  }
+  readStream.on('close', end)
+  readStream._read = () => {
+    if (ended) return
+    // push one item per _read()
+    if (items.length) return readStream.push(items.shift())
+    pages.nextPage((e, page) => {
+      if (ended) return
+      if (e) return fail(e)
+      if (!page) {
+        end()
+        return readStream.push(null)
+      }
+      items = getItems(page)
+      readStream._read()
+    })
+  }
+  readStream[asyncIterator] = () => readableIterator(readStream)
+  return readStream
+}
+
+// Returns an async iterator over the items of an object mode Readable
+// stream. Items are read when asked for, so that a slow loop holds the
+// listing back.
+export function readableIterator(stream) {
+  var error = null
+  var ended = false
+  var waiting = null
+  var wake = () => {
+    var fn = waiting
+    waiting = null
+    if (fn) fn()
+  }
+  stream.on('readable', wake)
+  stream.on('end', () => {
+    ended = true
+    wake()
+  })
+  stream.on('error', e => {
+    error = e
+    wake()
+  })
+  return queueIterator(cb => {
+    var attempt = () => {
+      if (error) return cb(error)
+      var value = stream.read()
+      if (value !== null) return cb(null, {value, done: false})
+      if (ended) return cb(null, {value: undefined, done: true})
+      waiting = attempt
+    }
+    attempt()
+  }, () => {
+    ended = true
+    if (stream.destroy) stream.destroy()
+  })
+}
+
+// Returns an async iterator over the `event` events of emitter, events
+// emitted faster than they are iterated are buffered. An 'error' event
+// fails the iteration, stop() is called when the iteration ends early.
+export function eventIterator(emitter, event, stop) {
+  var values = []
+  var error = null
+  var ended = false
+  var waiting = null
+  var wake = () => {
+    var fn = waiting
+    waiting = null
+    if (fn) fn()
+  }
+  emitter.on(event, value => {
+    values.push(value)
+    wake()
+  })
+  emitter.on('error', e => {
+    error = e
+    wake()
+  })
+  return queueIterator(cb => {
+    var attempt = () => {
+      if (values.length) return cb(null, {value: values.shift(), done: false})
+      if (error) return cb(error)
+      if (ended) return cb(null, {value: undefined, done: true})
+      waiting = attempt
+    }
+    attempt()
+  }, () => {
+    ended = true
+    stop()
+    wake()
+  })
+}
+
+// Builds an async iterator from read(cb), which calls cb(err, result)
+// with the next result, and stop(), called when the iteration ends
+// early. Calls to next() are served in order.
+function queueIterator(read, stop) {
+  var queue = []
+  var reading = false
+  var readNext = () => {
+    var item = queue.shift()
+    if (!item) return
+    reading = true
+    read((e, result) => {
+      reading = false
+      if (e) item.reject(e)
+      else item.resolve(result)
+      readNext()
+    })
+  }
+  var iterator = {
+    next() {
+      return new Promise((resolve, reject) => {
+        queue.push({resolve, reject})
+        if (!reading) readNext()
+      })
+    },
+    return() {
+      stop()
+      return Promise.resolve({value: undefined, done: true})
+    }
+  }
+  iterator[asyncIterator] = () => iterator
+  return iterator
+}
@@ -0,0 +1,168 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { isString, isNumber, isValidPrefix } from './helpers'
+import * as errors from './errors'
+
+// Lifecycle config - array of rules, each rule selects objects
+// through a filter and applies expiration and transition actions
+// to them.
+export class LifecycleConfig {
+  addRule(rule) {
+    if (!(rule instanceof LifecycleRule)) {
+      throw new TypeError('rule should be of type "LifecycleRule"')
+    }
+    if (!this.Rule) this.Rule = []
+    this.Rule.push(rule)
+  }
+}
+
+// A single lifecycle rule. Rules are enabled and match all the objects
+// of the bucket unless configured otherwise.
+export class LifecycleRule {
+  constructor(id) {
+    if (id) this.setId(id)
+    this.Filter = {Prefix: ''}
+    this.Status = 'Enabled'
+  }
+
+  setId(id) {
+    if (!isString(id)) {
+      throw new TypeError('id should be of type "string"')
+    }
+    if (id.length > 255) {
+      throw new errors.InvalidArgumentError('id cannot be longer than 255 characters')
+    }
+    this.ID = id
+  }
+
+  setStatus(status) {
+    if (status !== 'Enabled' && status !== 'Disabled') {
+      throw new errors.InvalidArgumentError(`Invalid rule status: ${status}`)
+    }
+    this.Status = status
+  }
+
+  // Objects whose name starts with prefix are affected by the rule.
+  setPrefix(prefix) {
+    if (!isValidPrefix(prefix)) {
+      throw new errors.InvalidPrefixError(`Invalid prefix : ${prefix}`)
+    }
+    this.setFilter(prefix, this.getTags())
+  }
+
+  // Objects carrying the tag are affected by the rule, when several tags
+  // are added objects must carry all of them.
+  addTagFilter(key, value) {
+    if (!isString(key) || !key) {
+      throw new errors.InvalidArgumentError('tag key should be a non empty "string"')
+    }
+    if (!isString(value)) {
+      throw new TypeError('tag value should be of type "string"')
+    }
+    this.setFilter(this.getPrefix(), this.getTags().concat({Key: key, Value: value}))
+  }
+
+  getPrefix() {
+    if (this.Filter.And) return this.Filter.And.Prefix || ''
+    return this.Filter.Prefix || ''
+  }
+
+  getTags() {
+    if (this.Filter.And) return this.Filter.And.Tag
+    if (this.Filter.Tag) return [this.Filter.Tag]
+    return []
+  }
+
+  // S3 expects a plain prefix or tag filter for a single condition and
+  // an 'And' filter when conditions are combined.
+  setFilter(prefix, tags) {
+    if (!tags.length) {
+      this.Filter = {Prefix: prefix}
+    } else if (!prefix && tags.length === 1) {
+      this.Filter = {Tag: tags[0]}
+    } else {
+      this.Filter = {And: prefix ? {Prefix: prefix, Tag: tags} : {Tag: tags}}
+    }
+  }
+
+  // Expire current object versions the given number of days after creation.
+  setExpirationDays(days) {
+    validateDays(days)
+    this.Expiration = {Days: days}
+  }
+
+  // Expire current object versions at the given date.
+  setExpirationDate(date) {
+    if (!(date instanceof Date)) {
+      throw new TypeError('date must be of type Date')
+    }
+    this.Expiration = {Date: date.toISOString()}
+  }
+
+  // Remove delete markers that no longer have non current versions.
+  setExpiredObjectDeleteMarker() {
+    this.Expiration = {ExpiredObjectDeleteMarker: true}
+  }
+
+  // Permanently remove non current versions the given number of days
+  // after they became non current.
+  setNoncurrentVersionExpiration(days) {
+    validateDays(days)
+    this.NoncurrentVersionExpiration = {NoncurrentDays: days}
+  }
+
+  // Abort multipart uploads that are not completed the given number of
+  // days after they were initiated.
+  setAbortIncompleteMultipartUpload(days) {
+    validateDays(days)
+    this.AbortIncompleteMultipartUpload = {DaysAfterInitiation: days}
+  }
+
+  // Move current object versions to storageClass, either a number of
+  // days after creation or at a given date.
+  addTransition(daysOrDate, storageClass) {
+    if (!isString(storageClass) || !storageClass) {
+      throw new errors.InvalidArgumentError('storageClass should be a non empty "string"')
+    }
+    var transition
+    if (daysOrDate instanceof Date) {
+      transition = {Date: daysOrDate.toISOString(), StorageClass: storageClass}
+    } else {
+      validateDays(daysOrDate)
+      transition = {Days: daysOrDate, StorageClass: storageClass}
+    }
+    if (!this.Transition) this.Transition = []
+    this.Transition.push(transition)
+  }
+
+  // Move non current object versions to storageClass the given number
+  // of days after they became non current.
+  addNoncurrentVersionTransition(days, storageClass) {
+    if (!isString(storageClass) || !storageClass) {
+      throw new errors.InvalidArgumentError('storageClass should be a non empty "string"')
+    }
+    validateDays(days)
+    if (!this.NoncurrentVersionTransition) this.NoncurrentVersionTransition = []
+    this.NoncurrentVersionTransition.push({NoncurrentDays: days, StorageClass: storageClass})
+  }
+}
+
+function validateDays(days) {
+  if (!isNumber(days) || days < 0 || Math.floor(days) !== days) {
+    throw new errors.InvalidArgumentError(`days should be a non negative integer, got ${days}`)
+  }
+}
@@ -18,7 +18,6 @@ import fs from 'fs'
 import Crypto from 'crypto'
 import Http from 'http'
 import Https from 'https'
-import Stream from 'stream'
 import BlockStream2 from 'block-stream2'
 import Xml from 'xml'
 import xml2js from 'xml2js'
@@ -33,11 +32,14 @@ import { extractMetadata, prependXAMZMeta, isValidPrefix, isValidEndpoint, isVal
   uriEscape, uriResourceEscape, isBoolean, isFunction, isNumber,
   isString, isObject, isArray, pipesetup,
   readableStream, isReadableStream, isVirtualHostStyle,
-  makeDateLong, promisify } from './helpers.js'
+  makeDateLong, promisify, getVersionId, validateTags, encodeTaggingHeader,
+  MAX_OBJECT_TAGS, MAX_BUCKET_TAGS, validateConcurrency, validateProgress, isAmzHeader,
+  isStorageclassHeader } from './helpers.js'
 
-import { signV4, presignSignatureV4, postPresignSignatureV4 } from './signing.js'
+import { signV4, presignSignatureV4, postPresignSignatureV4, STREAMING_PAYLOAD,
+  getStreamingContentLength, ChunkSigner } from './signing.js'
 
-import ObjectUploader from './object-uploader'
+import ObjectUploader, { PartSplitter } from './object-uploader'
 
 import * as transformers from './transformers'
 
@@ -47,6 +49,20 @@ import { getS3Endpoint } from './s3-endpoints.js'
 
 import { NotificationConfig, NotificationPoller } from './notification'
 
+import { getEncryptionHeaders, getSSECHeaders, isSSEC,
+  isCustomerKeyHeader, validateEncryption, getObjectEncryption } from './encryption'
+
+import { StaticProvider } from './credentials'
+import { getRetryOptions, isIdempotent, isRetryable, getRetryDelay } from './retry'
+import { AbortController, validateSignal, onAbort } from './abort'
+import { PageIterator, pageStream } from './iterators'
+import { parseCopySource, validateCopySource, getCopySourceHeaders,
+  validateCopyDestination, getCopyDestinationHeaders, isCopySourceTooLarge } from './compose'
+import { SelectResultsDecoder, validateSelectOptions, getSelectRequestXml } from './select'
+
+import { validateRetention, validateLegalHold, validateDefaultRetention,
+  validateObjectLockOptions, getObjectLockHeaders } from './object-lock'
+
 var Package = require('../../package.json')
 
 export class Client {
@@ -122,7 +138,23 @@ export class Client {
 
     if (!this.accessKey) this.accessKey = ''
     if (!this.secretKey) this.secretKey = ''
-    this.anonymous = !this.accessKey || !this.secretKey
+
+    // Requests are signed with the credentials of the provider, static
+    // keys are wrapped in a provider of their own.
+    if (params.credentialsProvider) {
+      if (!isFunction(params.credentialsProvider.getCredentials)) {
+        throw new errors.InvalidArgumentError('Invalid credentialsProvider, getCredentials() should be implemented')
+      }
+      this.credentialsProvider = params.credentialsProvider
+    } else {
+      this.credentialsProvider = new StaticProvider({
+        accessKey: this.accessKey,
+        secretKey: this.secretKey,
+        sessionToken: this.sessionToken
+      })
+    }
+    // Whether a provider yields keys is only known when it is asked.
+    this.anonymous = !params.credentialsProvider && (!this.accessKey || !this.secretKey)
 
     this.regionMap = {}
     if (params.region) {
@@ -136,8 +168,26 @@ export class Client {
     // and the connection is https we use x-amz-content-sha256=UNSIGNED-PAYLOAD
     // header for signature calculation.
     this.enableSHA256 = !this.anonymous && !params.useSSL
+    // Object uploads over http may sign their payload chunk by chunk as it
+    // is sent, instead of hashing it beforehand.
+    if (params.streamingSignature !== undefined && !isBoolean(params.streamingSignature)) {
+      throw new errors.InvalidArgumentError(`Invalid streamingSignature flag type : ${params.streamingSignature}, expected to be of type "boolean"`)
+    }
+    this.streamingSignature = !!params.streamingSignature
 
     this.reqOptions = {}
+    this.retryOptions = getRetryOptions(params.retryOptions)
+  }
+
+  // Replaces the provider of the credentials used to sign requests, e.g.
+  // to rotate keys without creating a new Client.
+  setCredentialsProvider(credentialsProvider) {
+    if (!isObject(credentialsProvider) || !isFunction(credentialsProvider.getCredentials)) {
+      throw new errors.InvalidArgumentError('Invalid credentialsProvider, getCredentials() should be implemented')
+    }
+    this.credentialsProvider = credentialsProvider
+    this.anonymous = false
+    this.enableSHA256 = this.protocol === 'http:'
   }
 
   // Sets the supported request options.
@@ -339,17 +389,24 @@ export class Client {
     }
     var sha256sum = ''
     if (this.enableSHA256) sha256sum = Crypto.createHash('sha256').update(payload).digest('hex')
-    var stream = readableStream(payload)
-    this.makeRequestStream(options, stream, sha256sum, statusCode, region, returnResponse, cb)
+    // The payload is buffered, a new stream is created for every attempt.
+    var getStream = () => readableStream(payload)
+    this.makeRequestStream(options, getStream, sha256sum, statusCode, region, returnResponse, cb)
   }
 
   // makeRequestStream will be used directly instead of makeRequest in case the payload
   // is available as a stream. for ex. putObject
+  // `stream` is either a readable stream or a function returning a new
+  // stream of the payload on every call, only the latter are retried.
+  // For authenticated http requests, `sha256sum` may be STREAMING_PAYLOAD
+  // so that the payload is signed chunk by chunk as it is sent, its
+  // Content-Length has to be given: S3 reads the x-amz-decoded-content-length
+  // of the payload before it.
   makeRequestStream(options, stream, sha256sum, statusCode, region, returnResponse, cb) {
     if (!isObject(options)) {
       throw new TypeError('options should be of type "object"')
     }
-    if (!isReadableStream(stream)) {
+    if (!isReadableStream(stream) && !isFunction(stream)) {
       throw new errors.InvalidArgumentError('stream should be a readable Stream')
     }
     if (!isString(sha256sum)) {
@@ -373,15 +430,43 @@ export class Client {
       throw new errors.InvalidArgumentError(`sha256sum expected to be empty for anonymous or https requests`)
     }
     // sha256sum should be valid for non-anonymous http requests.
-    if (this.enableSHA256 && sha256sum.length !== 64) {
+    var streaming = this.enableSHA256 && sha256sum === STREAMING_PAYLOAD
+    if (this.enableSHA256 && sha256sum.length !== 64 && !streaming) {
       throw new errors.InvalidArgumentError(`Invalid sha256sum : ${sha256sum}`)
     }
+    var contentLength = _.find(options.headers, (value, key) => key.toLowerCase() === 'content-length')
+    if (streaming && !isNumber(contentLength)) {
+      throw new errors.InvalidArgumentError('Content-Length is required to stream a signed payload')
+    }
+    // Customer provided encryption keys must never be sent in the clear.
+    if (this.protocol !== 'https:' && _.some(_.keys(options.headers), isCustomerKeyHeader)) {
+      return cb(new errors.InvalidArgumentError('SSE-C requires a secure connection, enable useSSL'))
+    }
 
+    // Requests are retried if they are idempotent and the payload can be
+    // sent again.
+    var maxAttempts = isFunction(stream) && isIdempotent(options.method) ? this.retryOptions.maxAttempts : 1
+    var attempt = 1
+    var credentials
     var _makeRequest = (e, region) => {
       if (e) return cb(e)
+      if (options.signal && options.signal.aborted) {
+        return cb(new errors.AbortError('The operation was aborted'))
+      }
+      var retry = (e, response) => {
+        if (attempt >= maxAttempts || !isRetryable(e, response && response.statusCode, this.retryOptions)) return false
+        var delay = getRetryDelay(attempt, this.retryOptions)
+        attempt++
+        if (this.logStream) {
+          this.logStream.write(`RETRY: attempt ${attempt} of ${maxAttempts} in ${delay}ms\n\n`)
+        }
+        setTimeout(() => _makeRequest(null, region), delay)
+        return true
+      }
       options.region = region
       var reqOptions = this.getRequestOptions(options)
-      if (!this.anonymous) {
+      var chunkSigner = null
+      if (credentials.accessKey && credentials.secretKey) {
         // For non-anonymous https requests sha256sum is 'UNSIGNED-PAYLOAD' for signature calculation.
         if (!this.enableSHA256) sha256sum = 'UNSIGNED-PAYLOAD'
 
@@ -389,14 +474,45 @@ export class Client {
 
         reqOptions.headers['x-amz-date'] = makeDateLong(date)
         reqOptions.headers['x-amz-content-sha256'] = sha256sum
-        if (this.sessionToken) {
-          reqOptions.headers['x-amz-security-token'] = this.sessionToken
+        if (credentials.sessionToken) {
+          reqOptions.headers['x-amz-security-token'] = credentials.sessionToken
+        }
+        if (streaming) {
+          // The payload is sent aws-chunked, the signature of every chunk
+          // adds to the length of the body.
+          var contentEncoding = reqOptions.headers['content-encoding']
+          reqOptions.headers['content-encoding'] = contentEncoding ? `aws-chunked,${contentEncoding}` : 'aws-chunked'
+          reqOptions.headers['x-amz-decoded-content-length'] = contentLength
+          reqOptions.headers['content-length'] = getStreamingContentLength(contentLength)
         }
 
-        var authorization = signV4(reqOptions, this.accessKey, this.secretKey, region, date)
+        var authorization = signV4(reqOptions, credentials.accessKey, credentials.secretKey, region, date)
         reqOptions.headers.authorization = authorization
+        if (streaming) {
+          // The signature of the request seeds the one of the first chunk.
+          var seedSignature = authorization.slice(authorization.lastIndexOf('=') + 1)
+          chunkSigner = new ChunkSigner(seedSignature, date, region, credentials.secretKey)
+        }
       }
+      var responded = false
+      var aborted = false
+      var returnedResponse
+      // Aborting tears down the request, a response already handed to the
+      // caller fails with the AbortError as well.
+      var removeAbortListener = onAbort(options.signal, () => {
+        aborted = true
+        var e = new errors.AbortError('The operation was aborted')
+        this.logHTTP(reqOptions, null, e)
+        if (returnedResponse) {
+          returnedResponse.emit('error', e)
+        } else {
+          cb(e)
+        }
+        req.abort()
+      })
       var req = this.transport.request(reqOptions, response => {
+        responded = true
+        if (aborted) return
         if (statusCode !== response.statusCode) {
           // For an incorrect region, S3 server always sends back 400.
           // But we will do cache invalidation for all errors so that,
@@ -406,26 +522,59 @@ export class Client {
           var errorTransformer = transformers.getErrorTransformer(response)
           pipesetup(response, errorTransformer)
             .on('error', e => {
+              if (aborted) return
+              removeAbortListener()
               this.logHTTP(reqOptions, response, e)
+              if (retry(e, response)) return
               cb(e)
             })
           return
         }
         this.logHTTP(reqOptions, response)
-        if (returnResponse) return cb(null, response)
+        if (returnResponse) {
+          returnedResponse = response
+          // A response failing or torn down is closed, listening to its
+          // 'error' events would hide them from the caller.
+          response.on('end', removeAbortListener)
+          response.on('close', removeAbortListener)
+          return cb(null, response)
+        }
+        removeAbortListener()
         // We drain the socket so that the connection gets closed. Note that this
         // is not expensive as the socket will not have any data.
         response.on('data', ()=>{})
         cb(null)
       })
-      let pipe = pipesetup(stream, req)
+      var payload = isFunction(stream) ? stream() : stream
+      let pipe = chunkSigner ? pipesetup(payload, chunkSigner, req) : pipesetup(payload, req)
       pipe.on('error', e => {
+        if (aborted) return
+        removeAbortListener()
         this.logHTTP(reqOptions, null, e)
+        if (!responded && retry(e)) return
         cb(e)
       })
     }
-    if (region) return _makeRequest(null, region)
-    this.getBucketRegion(options.bucketName, _makeRequest)
+    // Credentials are fetched before the region, the lookup of the region
+    // is a signed request as well.
+    this.credentialsProvider.getCredentials((e, result) => {
+      if (e) return cb(e)
+      credentials = result
+      if (region) return _makeRequest(null, region)
+      this.getBucketRegion(options.bucketName, _makeRequest)
+    })
+  }
+
+  // Calls cb with the credentials of the provider and the region of the
+  // bucket, used by the calls signing without sending a request.
+  getCredentialsAndRegion(bucketName, cb) {
+    this.credentialsProvider.getCredentials((e, credentials) => {
+      if (e) return cb(e)
+      this.getBucketRegion(bucketName, (e, region) => {
+        if (e) return cb(e)
+        cb(null, credentials, region)
+      })
+    })
   }
 
   // gets the region of the bucket
@@ -492,20 +641,35 @@ export class Client {
   // __Arguments__
   // * `bucketName` _string_ - Name of the bucket
   // * `region` _string_ - region valid values are _us-west-1_, _us-west-2_,  _eu-west-1_, _eu-central-1_, _ap-southeast-1_, _ap-northeast-1_, _ap-southeast-2_, _sa-east-1_.
+  // * `makeOpts` _object_ - options of the bucket, `{objectLocking: true}` enables Object Lock on the bucket. Default is `{}`. (optional)
   // * `callback(err)` _function_ - callback function with `err` as the error argument. `err` is null if the bucket is successfully created.
-  makeBucket(bucketName, region, cb) {
+  makeBucket(bucketName, region, makeOpts = {}, cb) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
 
+    // Backward Compatibility
+    if (isObject(region)) {
+      cb = makeOpts
+      makeOpts = region
+      region = ''
+    }
     if (isFunction(region)) {
       cb = region
       region = ''
+      makeOpts = {}
+    }
+    if (isFunction(makeOpts)) {
+      cb = makeOpts
+      makeOpts = {}
     }
 
     if (!isString(region)) {
       throw new TypeError('region should be of type "string"')
     }
+    if (!isObject(makeOpts)) {
+      throw new TypeError('makeOpts should be of type "object"')
+    }
     if (!isFunction(cb)) {
       throw new TypeError('callback should be of type "function"')
     }
@@ -539,6 +703,9 @@ export class Client {
     }
     var method = 'PUT'
     var headers = {}
+    if (makeOpts.objectLocking) {
+      headers['x-amz-bucket-object-lock-enabled'] = 'true'
+    }
     if (!region) region = 'us-east-1'
     this.makeRequest({method, bucketName, headers}, payload, 200, region, false, cb)
   }
@@ -573,13 +740,29 @@ export class Client {
   // * `bucketname` _string_: name of the bucket
   // * `prefix` _string_: prefix of the object names that are partially uploaded (optional, default `''`)
   // * `recursive` _bool_: directory style listing when false, recursive listing when true (optional, default `false`)
+  // * `listOpts` _object_: options of the listing. (optional)
+  //   * `listOpts.signal` _AbortSignal_: cancels the listing, the stream emits an `AbortError`
+  //   * `listOpts.keyMarker` _string_, `listOpts.uploadIdMarker` _string_: upload after which the listing starts
   //
   // __Return Value__
-  // * `stream` _Stream_ : emits objects of the format:
+  // * `stream` _Stream_ : also an async iterator of the uploads, emits objects of the format:
   //   * `object.key` _string_: name of the object
   //   * `object.uploadId` _string_: upload ID of the object
   //   * `object.size` _Integer_: size of the partially uploaded object
-  listIncompleteUploads(bucket, prefix, recursive) {
+  listIncompleteUploads(bucket, prefix, recursive, listOpts = {}) {
+    var pages = this.listIncompleteUploadsPages(bucket, prefix, recursive, listOpts)
+    return pageStream(pages, page => page.prefixes.concat(page.uploads), listOpts.signal)
+  }
+
+  // Lists the incomplete uploads one page at a time.
+  //
+  // __Arguments__
+  // Same as listIncompleteUploads.
+  //
+  // __Return Value__
+  // * `pages` _PageIterator_: async iterator of the pages, each of the format `{prefixes, uploads, isTruncated, nextKeyMarker, nextUploadIdMarker}`.
+  //   `pages.marker` is the `{keyMarker, uploadIdMarker}` of the next page, given in `listOpts` it resumes the listing.
+  listIncompleteUploadsPages(bucket, prefix, recursive, listOpts = {}) {
     if (prefix === undefined) prefix = ''
     if (recursive === undefined) recursive = false
     if (!isValidBucketName(bucket)) {
@@ -591,46 +774,43 @@ export class Client {
     if (!isBoolean(recursive)) {
       throw new TypeError('recursive should be of type "boolean"')
     }
+    if (!isObject(listOpts)) {
+      throw new TypeError('listOpts should be of type "object"')
+    }
+    var keyMarker = listOpts.keyMarker || ''
+    var uploadIdMarker = listOpts.uploadIdMarker || ''
+    if (!isString(keyMarker)) {
+      throw new TypeError('keyMarker should be of type "string"')
+    }
+    if (!isString(uploadIdMarker)) {
+      throw new TypeError('uploadIdMarker should be of type "string"')
+    }
+    validateSignal(listOpts.signal)
     var delimiter = recursive ? '' : '/'
-    var keyMarker = ''
-    var uploadIdMarker = ''
-    var uploads = []
-    var ended = false
-    var readStream = Stream.Readable({objectMode: true})
-    readStream._read = () => {
-      // push one upload info per _read()
-      if (uploads.length) {
-        return readStream.push(uploads.shift())
-      }
-      if (ended) return readStream.push(null)
-      this.listIncompleteUploadsQuery(bucket, prefix, keyMarker, uploadIdMarker, delimiter)
-        .on('error', e => readStream.emit('error', e))
+    return new PageIterator((marker, cb) => {
+      this.listIncompleteUploadsQuery(bucket, prefix, marker.keyMarker, marker.uploadIdMarker, delimiter, listOpts.signal)
+        .on('error', e => cb(e))
         .on('data', result => {
-          result.prefixes.forEach(prefix => uploads.push(prefix))
           async.eachSeries(result.uploads, (upload, cb) => {
             // for each incomplete upload add the sizes of its uploaded parts
             this.listParts(bucket, upload.key, upload.uploadId, (err, parts) => {
               if (err) return cb(err)
               upload.size = parts.reduce((acc, item) => acc + item.size, 0)
-              uploads.push(upload)
               cb()
             })
           }, err => {
-            if (err) {
-              readStream.emit('error', err)
-              return
-            }
+            if (err) return cb(err)
+            var nextMarker = null
             if (result.isTruncated) {
-              keyMarker = result.nextKeyMarker
-              uploadIdMarker = result.nextUploadIdMarker
-            } else {
-              ended = true
+              nextMarker = {
+                keyMarker: result.nextKeyMarker || '',
+                uploadIdMarker: result.nextUploadIdMarker || ''
+              }
             }
-            readStream._read()
+            cb(null, result, nextMarker)
           })
         })
-    }
-    return readStream
+    }, {keyMarker, uploadIdMarker})
   }
 
   // To check if a bucket already exists.
@@ -700,11 +880,7 @@ export class Client {
           cb(null, uploadId)
         })
       },
-      cb => {
-        var method = 'DELETE'
-        var query = `uploadId=${removeUploadId}`
-        this.makeRequest({method, bucketName, objectName, query}, '', 204, '', false, e => cb(e))
-      },
+      cb => this.abortMultipartUpload(bucketName, objectName, removeUploadId, cb),
       cb
     )
   }
@@ -715,8 +891,11 @@ export class Client {
   // * `bucketName` _string_: name of the bucket
   // * `objectName` _string_: name of the object
   // * `filePath` _string_: path to which the object data will be written to
+  // * `getOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}` and `encryption` of SSE-C objects. Default is `{}`. (optional)
+  //   * `getOpts.onProgress({bytes, total})` _function_: called as the object is written to the file, `bytes` includes the part of the file downloaded before when resuming
+  //   * `getOpts.signal` _AbortSignal_: cancels the download, the part file is kept to resume it later
   // * `callback(err)` _function_: callback is called with `err` in case of error.
-  fGetObject(bucketName, objectName, filePath, cb) {
+  fGetObject(bucketName, objectName, filePath, getOpts = {}, cb) {
     // Input validation.
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
@@ -727,14 +906,27 @@ export class Client {
     if (!isString(filePath)) {
       throw new TypeError('filePath should be of type "string"')
     }
+    // Backward Compatibility
+    if (isFunction(getOpts)) {
+      cb = getOpts
+      getOpts = {}
+    }
+    if (!isObject(getOpts)) {
+      throw new TypeError('getOpts should be of type "object"')
+    }
     if (!isFunction(cb)) {
       throw new TypeError('callback should be of type "function"')
     }
+    validateProgress(getOpts.onProgress)
+    validateSignal(getOpts.signal)
+    var onProgress = getOpts.onProgress
+    getOpts = _.omit(getOpts, 'onProgress')
 
     // Internal data.
     var partFile
     var partFileStream
     var objStat
+    var offset = 0
 
     // Rename wrapper.
     var rename = err => {
@@ -743,7 +935,7 @@ export class Client {
     }
 
     async.waterfall([
-      cb => this.statObject(bucketName, objectName, cb),
+      cb => this.statObject(bucketName, objectName, getOpts, cb),
       (result, cb) => {
         objStat = result
         // Create any missing top level directories.
@@ -752,7 +944,6 @@ export class Client {
       (ignore, cb) => {
         partFile = `${filePath}.${objStat.etag}.part.minio`
         fs.stat(partFile, (e, stats) => {
-          var offset = 0
           if (e) {
             partFileStream = fs.createWriteStream(partFile, {flags: 'w'})
           } else {
@@ -760,11 +951,15 @@ export class Client {
             offset = stats.size
             partFileStream = fs.createWriteStream(partFile, {flags: 'a'})
           }
-          this.getPartialObject(bucketName, objectName, offset, 0, cb)
+          this.getPartialObject(bucketName, objectName, offset, 0, getOpts, cb)
         })
       },
       (downloadStream, cb) => {
-        pipesetup(downloadStream, partFileStream)
+        var streams = [downloadStream, partFileStream]
+        if (onProgress) {
+          streams.splice(1, 0, transformers.getProgressTransformer(offset, objStat.size, onProgress))
+        }
+        pipesetup(...streams)
           .on('error', e => cb(e))
           .on('finish', cb)
       },
@@ -781,18 +976,29 @@ export class Client {
   // __Arguments__
   // * `bucketName` _string_: name of the bucket
   // * `objectName` _string_: name of the object
+  // * `getOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}` and `encryption` of SSE-C objects. Default is `{}`. (optional)
+  //   * `getOpts.onProgress({bytes, total})` _function_: called as the stream is read
+  //   * `getOpts.signal` _AbortSignal_: cancels the request, the stream emits an `AbortError` if aborted while being read
   // * `callback(err, stream)` _function_: callback is called with `err` in case of error. `stream` is the object content stream
-  getObject(bucketName, objectName, cb) {
+  getObject(bucketName, objectName, getOpts = {}, cb) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
     if (!isValidObjectName(objectName)) {
       throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
     }
+    // Backward Compatibility
+    if (isFunction(getOpts)) {
+      cb = getOpts
+      getOpts = {}
+    }
+    if (!isObject(getOpts)) {
+      throw new TypeError('getOpts should be of type "object"')
+    }
     if (!isFunction(cb)) {
       throw new TypeError('callback should be of type "function"')
     }
-    this.getPartialObject(bucketName, objectName, 0, 0, cb)
+    this.getPartialObject(bucketName, objectName, 0, 0, getOpts, cb)
   }
 
   // Callback is called with readable stream of the partial object content.
@@ -802,11 +1008,20 @@ export class Client {
   // * `objectName` _string_: name of the object
   // * `offset` _number_: offset of the object from where the stream will start
   // * `length` _number_: length of the object that will be read in the stream (optional, if not specified we read the rest of the file from the offset)
+  // * `getOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}` and `encryption` of SSE-C objects. Default is `{}`. (optional)
+  //   * `getOpts.onProgress({bytes, total})` _function_: called as the stream is read, `total` is the length of the range
+  //   * `getOpts.signal` _AbortSignal_: cancels the request, the stream emits an `AbortError` if aborted while being read
   // * `callback(err, stream)` _function_: callback is called with `err` in case of error. `stream` is the object content stream
-  getPartialObject(bucketName, objectName, offset, length, cb) {
+  getPartialObject(bucketName, objectName, offset, length, getOpts = {}, cb) {
     if (isFunction(length)) {
       cb = length
       length = 0
+      getOpts = {}
+    }
+    // Backward Compatibility
+    if (isFunction(getOpts)) {
+      cb = getOpts
+      getOpts = {}
     }
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
@@ -820,9 +1035,14 @@ export class Client {
     if (!isNumber(length)) {
       throw new TypeError('length should be of type "number"')
     }
+    if (!isObject(getOpts)) {
+      throw new TypeError('getOpts should be of type "object"')
+    }
     if (!isFunction(cb)) {
       throw new TypeError('callback should be of type "function"')
     }
+    validateProgress(getOpts.onProgress)
+    validateSignal(getOpts.signal)
 
     var range = ''
     if (offset || length) {
@@ -837,7 +1057,7 @@ export class Client {
       }
     }
 
-    var headers = {}
+    var headers = getSSECHeaders(getOpts.encryption)
     if (range !== '') {
       headers.range = range
     }
@@ -847,7 +1067,19 @@ export class Client {
       expectedStatus = 206
     }
     var method = 'GET'
-    this.makeRequest({method, bucketName, objectName, headers}, '', expectedStatus, '', true, cb)
+    var query = querystring.stringify(_.pick(getOpts, ['versionId']))
+    var signal = getOpts.signal
+    this.makeRequest({method, bucketName, objectName, headers, query, signal}, '', expectedStatus, '', true, (e, response) => {
+      if (e || !getOpts.onProgress) return cb(e, response)
+      var length = response.headers['content-length']
+      var total = length === undefined ? undefined : +length
+      var progressStream = pipesetup(response, transformers.getProgressTransformer(0, total, getOpts.onProgress))
+      // The stream stands for the response, as it does without onProgress.
+      progressStream.headers = response.headers
+      progressStream.statusCode = response.statusCode
+      progressStream.statusMessage = response.statusMessage
+      cb(null, progressStream)
+    })
   }
 
   // Uploads the object using contents from a file
@@ -857,8 +1089,16 @@ export class Client {
   // * `objectName` _string_: name of the object
   // * `filePath` _string_: file path of the file to be uploaded
   // * `metaData` _Javascript Object_: metaData assosciated with the object
-  // * `callback(err, etag)` _function_: non null `err` indicates error, `etag` _string_ is the etag of the object uploaded.
-  fPutObject(bucketName, objectName, filePath, metaData, callback) {
+  // * `putOpts` _object_: options of the upload. Default is `{}`. (optional)
+  //   * `putOpts.encryption` _object_: encryption of the object
+  //   * `putOpts.retention` _object_: Object Lock retention of the object, `{mode, retainUntilDate}`
+  //   * `putOpts.legalHold` _string_: Object Lock legal hold of the object, `ON` or `OFF`
+  //   * `putOpts.concurrency` _number_: number of parts uploaded in parallel, default 1
+  //   * `putOpts.onProgress({bytes, total, partNumber, partsSkipped})` _function_: called after every part, `partsSkipped` counts the parts found already uploaded when resuming
+  //   * `putOpts.signal` _AbortSignal_: cancels the upload, the parts uploaded so far are kept to resume it later
+  //   * `putOpts.abortMultipart` _bool_: remove the parts uploaded so far when the upload is cancelled
+  // * `callback(err, objInfo)` _function_: non null `err` indicates error, `objInfo` _object_ carries the `etag` and the `versionId` of the object uploaded.
+  fPutObject(bucketName, objectName, filePath, metaData, putOpts, callback) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
@@ -872,15 +1112,65 @@ export class Client {
     if (isFunction(metaData)) {
       callback = metaData
       metaData = {} // Set metaData empty if no metaData provided.
+      putOpts = {}
+    } else if (isFunction(putOpts)) {
+      callback = putOpts
+      putOpts = {}
     }
     if (!isObject(metaData)) {
       throw new TypeError('metaData should be of type "object"')
     }
+    if (!isObject(putOpts)) {
+      throw new TypeError('putOpts should be of type "object"')
+    }
+    if (putOpts.encryption) validateEncryption(putOpts.encryption)
+    validateObjectLockOptions(putOpts)
+    validateConcurrency(putOpts.concurrency)
+    validateProgress(putOpts.onProgress)
+    validateSignal(putOpts.signal)
 
     //Updates metaData to have the correct prefix if needed
-    metaData = prependXAMZMeta(metaData)
+    metaData = encodeTaggingHeader(prependXAMZMeta(metaData))
     var size
     var partSize
+    var bytes = 0
+    var partsSkipped = 0
+    var progress = (length, partNumber) => {
+      bytes += length
+      if (putOpts.onProgress) putOpts.onProgress({bytes, total: size, partNumber, partsSkipped})
+    }
+    if (putOpts.signal && putOpts.signal.aborted) {
+      return callback(new errors.AbortError('The operation was aborted'))
+    }
+    // The requests of the upload carry the signal of this controller, it
+    // is aborted along with putOpts.signal and on the first failure, so
+    // that the parts still in flight are torn down.
+    var controller = new AbortController()
+    var removeAbortListener = onAbort(putOpts.signal, () => controller.abort())
+    var uploadOpts = Object.assign({}, putOpts, {signal: controller.signal})
+    var multipartId = null
+    var done = (err, ...rest) => {
+      removeAbortListener()
+      if (err) controller.abort()
+      if (err instanceof errors.AbortError && putOpts.abortMultipart && multipartId) {
+        return this.abortMultipartUpload(bucketName, objectName, multipartId, () => callback(err))
+      }
+      callback(err, ...rest)
+    }
+    // With streaming signatures the file is only read once, while it is
+    // uploaded, unless its MD5 is needed: Object Lock uploads are rejected
+    // without Content-MD5.
+    var streaming = this.streamingSignature && this.enableSHA256
+    var lockOptions = putOpts.retention !== undefined || putOpts.legalHold !== undefined
+    // Calls cb(err, {md5sum, sha256sum}) for the bytes of the file read
+    // with `options`.
+    var hashFile = (options, needsMD5, cb) => {
+      if (streaming && !needsMD5) return cb(null, {md5sum: '', sha256sum: STREAMING_PAYLOAD})
+      var hash = transformers.getHashSummer(this.enableSHA256 && !streaming)
+      pipesetup(fs.createReadStream(filePath, options), hash)
+        .on('data', data => cb(null, streaming ? Object.assign(data, {sha256sum: STREAMING_PAYLOAD}) : data))
+        .on('error', e => cb(e))
+    }
 
     async.waterfall([
       cb => fs.stat(filePath, cb),
@@ -892,24 +1182,21 @@ export class Client {
         if (size < this.minimumPartSize) {
           // simple PUT request, no multipart
           var multipart = false
-          var uploader = this.getUploader(bucketName, objectName, metaData, multipart)
-          var hash = transformers.getHashSummer(this.enableSHA256)
+          var uploader = this.getUploader(bucketName, objectName, metaData, multipart, uploadOpts)
           var start = 0
           var end = size - 1
           var autoClose = true
           if (size === 0) end = 0
           var options = {start, end, autoClose}
-          pipesetup(fs.createReadStream(filePath, options), hash)
-            .on('data', data => {
-              var md5sum = data.md5sum
-              var sha256sum = data.sha256sum
-              var stream = fs.createReadStream(filePath, options)
-              uploader(stream, size, sha256sum, md5sum, (err, etag) => {
-                callback(err, etag)
-                cb(true)
-              })
+          hashFile(options, lockOptions, (e, data) => {
+            if (e) return cb(e)
+            var stream = fs.createReadStream(filePath, options)
+            uploader(stream, size, data.sha256sum, data.md5sum, (err, objInfo) => {
+              if (!err) progress(size, 1)
+              done(err, objInfo)
+              cb(true)
             })
-            .on('error', e => cb(e))
+          })
           return
         }
         this.findUploadId(bucketName, objectName, cb)
@@ -918,12 +1205,13 @@ export class Client {
         // if there was a previous incomplete upload, fetch all its uploaded parts info
         if (uploadId) return this.listParts(bucketName, objectName, uploadId,  (e, etags) =>  cb(e, uploadId, etags))
         // there was no previous upload, initiate a new one
-        this.initiateNewMultipartUpload(bucketName, objectName, metaData, (e, uploadId) => cb(e, uploadId, []))
+        this.initiateNewMultipartUpload(bucketName, objectName, metaData, putOpts, (e, uploadId) => cb(e, uploadId, []))
       },
       (uploadId, etags, cb) => {
+        multipartId = uploadId
         partSize = this.calculatePartSize(size)
         var multipart = true
-        var uploader = this.getUploader(bucketName, objectName, metaData, multipart)
+        var uploader = this.getUploader(bucketName, objectName, metaData, multipart, uploadOpts)
 
         // convert array to object to make things easy
         var parts = etags.reduce(function(acc, item) {
@@ -933,44 +1221,41 @@ export class Client {
           return acc
         }, {})
         var partsDone = []
-        var partNumber = 1
-        var uploadedSize = 0
-        async.whilst(
-          () => uploadedSize < size,
-          cb => {
+        var partNumbers = _.range(1, Math.ceil(size / partSize) + 1)
+        // Parts are read from the file when they are uploaded, at most
+        // `concurrency` of them at a time. On the first failure no more
+        // parts are started and the error is returned right away.
+        async.eachLimit(
+          partNumbers,
+          putOpts.concurrency || 1,
+          (partNumber, cb) => {
             var part = parts[partNumber]
-            var hash = transformers.getHashSummer(this.enableSHA256)
-            var length = partSize
-            if (length > (size - uploadedSize)) {
-              length = size - uploadedSize
-            }
-            var start = uploadedSize
-            var end = uploadedSize + length - 1
+            var start = (partNumber - 1) * partSize
+            var length = Math.min(partSize, size - start)
+            var end = start + length - 1
             var autoClose = true
             var options = {autoClose, start, end}
             // verify md5sum of each part
-            pipesetup(fs.createReadStream(filePath, options), hash)
-              .on('data', data => {
-                var md5sumHex = (new Buffer(data.md5sum, 'base64')).toString('hex')
-                if (part && (md5sumHex === part.etag)) {
-                  //md5 matches, chunk already uploaded
-                  partsDone.push({part: partNumber, etag: part.etag})
-                  partNumber++
-                  uploadedSize += length
-                  return cb()
-                }
-                // part is not uploaded yet, or md5 mismatch
-                var stream = fs.createReadStream(filePath, options)
-                uploader(uploadId, partNumber, stream, length,
-                         data.sha256sum, data.md5sum, (e, etag) => {
-                           if (e) return cb(e)
-                           partsDone.push({part: partNumber, etag})
-                           partNumber++
-                           uploadedSize += length
-                           return cb()
-                         })
-              })
-              .on('error', e => cb(e))
+            hashFile(options, lockOptions || !!part, (e, data) => {
+              if (e) return cb(e)
+              var md5sumHex = (new Buffer(data.md5sum, 'base64')).toString('hex')
+              if (part && (md5sumHex === part.etag)) {
+                //md5 matches, chunk already uploaded
+                partsDone.push({part: partNumber, etag: part.etag})
+                partsSkipped++
+                progress(length, partNumber)
+                return cb()
+              }
+              // part is not uploaded yet, or md5 mismatch
+              var stream = fs.createReadStream(filePath, options)
+              uploader(uploadId, partNumber, stream, length,
+                       data.sha256sum, data.md5sum, (e, etag) => {
+                         if (e) return cb(e)
+                         partsDone.push({part: partNumber, etag})
+                         progress(length, partNumber)
+                         return cb()
+                       })
+            })
           },
           e => {
             if (e) return cb(e)
@@ -982,7 +1267,7 @@ export class Client {
       (etags, uploadId, cb) => this.completeMultipartUpload(bucketName, objectName, uploadId, etags, cb)
     ], (err, ...rest) => {
       if (err === true) return
-      callback(err, ...rest)
+      done(err, ...rest)
     })
   }
 
@@ -994,15 +1279,33 @@ export class Client {
   // * `objectName` _string_: name of the object
   // * `stream` _Stream_: Readable stream
   // * `size` _number_: size of the object (optional)
-  // * `callback(err, etag)` _function_: non null `err` indicates error, `etag` _string_ is the etag of the object uploaded.
+  // * `metaData` _Javascript Object_: metaData assosciated with the object (optional)
+  // * `putOpts` _object_: options of the upload. Default is `{}`. (optional)
+  //   * `putOpts.encryption` _object_: encryption of the object
+  //   * `putOpts.retention` _object_: Object Lock retention of the object, `{mode, retainUntilDate}`
+  //   * `putOpts.legalHold` _string_: Object Lock legal hold of the object, `ON` or `OFF`
+  //   * `putOpts.concurrency` _number_: number of parts uploaded in parallel, default 1. Up to `concurrency + 1` parts of the stream are held in memory.
+  //   * `putOpts.onProgress({bytes, total, partNumber, partsSkipped})` _function_: called after every part, `total` is undefined if `size` is not given
+  //   * `putOpts.signal` _AbortSignal_: cancels the upload, the parts uploaded so far are kept to resume it later
+  //   * `putOpts.abortMultipart` _bool_: remove the parts uploaded so far when the upload is cancelled
+  // * `callback(err, objInfo)` _function_: non null `err` indicates error, `objInfo` _object_ carries the `etag` and the `versionId` of the object uploaded.
   //
   // Uploading "Buffer" or "string"
   // __Arguments__
   // * `bucketName` _string_: name of the bucket
   // * `objectName` _string_: name of the object
   // * `string or Buffer` _Stream_ or _Buffer_: Readable stream
-  // * `callback(err, etag)` _function_: non null `err` indicates error, `etag` _string_ is the etag of the object uploaded.
-  putObject(bucketName, objectName, stream, size, metaData, callback) {
+  // * `metaData` _Javascript Object_: metaData assosciated with the object (optional)
+  // * `putOpts` _object_: options of the upload. Default is `{}`. (optional)
+  //   * `putOpts.encryption` _object_: encryption of the object
+  //   * `putOpts.retention` _object_: Object Lock retention of the object, `{mode, retainUntilDate}`
+  //   * `putOpts.legalHold` _string_: Object Lock legal hold of the object, `ON` or `OFF`
+  //   * `putOpts.concurrency` _number_: number of parts uploaded in parallel, default 1
+  //   * `putOpts.onProgress({bytes, total, partNumber, partsSkipped})` _function_: called after every part
+  //   * `putOpts.signal` _AbortSignal_: cancels the upload, the parts uploaded so far are kept to resume it later
+  //   * `putOpts.abortMultipart` _bool_: remove the parts uploaded so far when the upload is cancelled
+  // * `callback(err, objInfo)` _function_: non null `err` indicates error, `objInfo` _object_ carries the `etag` and the `versionId` of the object uploaded.
+  putObject(bucketName, objectName, stream, size, metaData, putOpts, callback) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
@@ -1010,23 +1313,37 @@ export class Client {
       throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
     }
 
-    // We'll need to shift arguments to the left because of size and metaData.
+    // We'll need to shift arguments to the left because of size, metaData
+    // and putOpts.
     if (isFunction(size)) {
       callback = size
       metaData = {}
     } else if (isFunction(metaData)) {
       callback = metaData
       metaData = {}
+    } else if (isFunction(putOpts)) {
+      callback = putOpts
+      putOpts = {}
     }
 
     // We'll need to shift arguments to the left because of metaData
     // and size being optional.
     if (isObject(size)) {
+      putOpts = metaData
       metaData = size
     }
+    if (!putOpts) putOpts = {}
+    if (!isObject(putOpts)) {
+      throw new TypeError('putOpts should be of type "object"')
+    }
+    if (putOpts.encryption) validateEncryption(putOpts.encryption)
+    validateObjectLockOptions(putOpts)
+    validateConcurrency(putOpts.concurrency)
+    validateProgress(putOpts.onProgress)
+    validateSignal(putOpts.signal)
 
     //Ensures Metadata has appropriate prefix for A3 API
-    metaData = prependXAMZMeta(metaData)
+    metaData = encodeTaggingHeader(prependXAMZMeta(metaData))
     if (typeof stream === 'string' || stream instanceof Buffer) {
       // Adapts the non-stream interface into a stream.
       size = stream.length
@@ -1045,19 +1362,26 @@ export class Client {
 
     // Get the part size and forward that to the BlockStream. Default to the
     // largest block size possible if necessary.
+    var objectSize = isNumber(size) ? size : undefined
     if (!isNumber(size))
       size = this.maxObjectSize
 
     size = this.calculatePartSize(size)
 
-    // s3 requires that all non-end chunks be at least `this.minimumPartSize`,
-    // so we chunk the stream until we hit either that size or the end before
-    // we flush it to s3.
-    let chunker = BlockStream2({size, zeroPadding: false})
+    if (putOpts.signal && putOpts.signal.aborted) {
+      return callback(new errors.AbortError('The operation was aborted'))
+    }
 
     // This is a Writable stream that can be written to in order to upload
     // to the specified bucket and object automatically.
-    let uploader = new ObjectUploader(this, bucketName, objectName, size, metaData, callback)
+    let uploader = new ObjectUploader(this, bucketName, objectName, size, objectSize, metaData, putOpts, callback)
+
+    // s3 requires that all non-end chunks be at least `this.minimumPartSize`,
+    // so we chunk the stream until we hit either that size or the end before
+    // we flush it to s3. Parts signed as they are sent are not collected,
+    // their length is known beforehand.
+    let chunker = uploader.streamParts ? new PartSplitter(objectSize, size) : BlockStream2({size, zeroPadding: false})
+    chunker.on('error', e => uploader.emit('error', e))
     // stream => chunker => uploader
     stream.pipe(chunker).pipe(uploader)
   }
@@ -1069,18 +1393,35 @@ export class Client {
   // * `objectName` _string_: name of the object
   // * `srcObject` _string_: path of the source object to be copied
   // * `conditions` _CopyConditions_: copy conditions that needs to be satisfied (optional, default `null`)
-  // * `callback(err, {etag, lastModified})` _function_: non null `err` indicates error, `etag` _string_ and `listModifed` _Date_ are respectively the etag and the last modified date of the newly copied object
-  copyObject(arg1, arg2, arg3, arg4, arg5) {
+  // * `copyOpts` _object_: Default is `{}`. (optional)
+  //   * `copyOpts.versionId` _string_: version of the source object
+  //   * `copyOpts.encryption` _object_: encryption of the new object
+  //   * `copyOpts.sourceEncryption` _object_: encryption of the source object, only needed for SSE-C
+  //   * `copyOpts.metaData` _object_: metadata and headers of the new object, e.g. `Content-Type` or `x-amz-storage-class`
+  //   * `copyOpts.metadataDirective` _string_: `COPY` or `REPLACE` the metadata of the source, `REPLACE` when `metaData` is given
+  //   * `copyOpts.tags` _object_: tags of the new object as key/value pairs
+  //   * `copyOpts.taggingDirective` _string_: `COPY` or `REPLACE` the tags of the source, `REPLACE` when `tags` are given
+  //
+  // Sources larger than 5GB are refused by CopyObject, they are then
+  // copied in parts as by composeObject, keeping their metadata.
+  // * `callback(err, {etag, lastModified, versionId, copySourceVersionId})` _function_: non null `err` indicates error, `etag` _string_ and `listModifed` _Date_ are respectively the etag and the last modified date of the newly copied object, `versionId` is the version of the new object and `copySourceVersionId` the version of the source object that was copied
+  copyObject(arg1, arg2, arg3, arg4, arg5, arg6) {
     var bucketName = arg1
     var objectName = arg2
     var srcObject = arg3
-    var conditions, cb
+    var conditions, copyOpts, cb
     if (typeof arg4 == 'function' && arg5 === undefined) {
       conditions = null
+      copyOpts = {}
       cb = arg4
-    } else {
+    } else if (typeof arg5 == 'function' && arg6 === undefined) {
       conditions = arg4
+      copyOpts = {}
       cb = arg5
+    } else {
+      conditions = arg4
+      copyOpts = arg5
+      cb = arg6
     }
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
@@ -1098,37 +1439,303 @@ export class Client {
     if (conditions !== null && !(conditions instanceof CopyConditions)) {
       throw new TypeError('conditions should be of type "CopyConditions"')
     }
+    if (!isObject(copyOpts)) {
+      throw new TypeError('copyOpts should be of type "object"')
+    }
+    if (copyOpts.versionId !== undefined && !isString(copyOpts.versionId)) {
+      throw new TypeError('versionId should be of type "string"')
+    }
+    validateCopyDestination(copyOpts)
 
-    var headers = {}
-    headers['x-amz-copy-source'] = uriEscape(srcObject)
+    var source = parseCopySource(srcObject)
+    source.versionId = copyOpts.versionId
+    source.conditions = conditions
+    source.encryption = copyOpts.sourceEncryption
 
-    if (conditions !== null) {
-      if (conditions.modified !== "") {
-        headers['x-amz-copy-source-if-modified-since'] = conditions.modified
-      }
-      if (conditions.unmodified !== "") {
-        headers['x-amz-copy-source-if-unmodified-since'] = conditions.unmodified
-      }
-      if (conditions.matchETag !== "") {
-        headers['x-amz-copy-source-if-match'] = conditions.matchETag
-      }
-      if (conditions.matchEtagExcept !== "") {
-        headers['x-amz-copy-source-if-none-match'] = conditions.matchETagExcept
-      }
-    }
+    this.copyObjectRequest(bucketName, objectName, source, copyOpts, (e, result) => {
+      if (!isCopySourceTooLarge(e)) return cb(e, result)
+      var statOpts = _.omitBy({versionId: copyOpts.versionId, encryption: copyOpts.sourceEncryption}, _.isUndefined)
+      this.statObject(source.bucketName, source.objectName, statOpts, (e, stat) => {
+        if (e) return cb(e)
+        this.copyObjectInParts(bucketName, objectName, source, stat, copyOpts, cb)
+      })
+    })
+  }
+
+  // Copies the source of copyObject given its stat, in a single request
+  // when it is at most 5GB.
+  copyFromStat(bucketName, objectName, source, stat, copyOpts, cb) {
+    if (stat.size > this.maximumPartSize) return this.copyObjectInParts(bucketName, objectName, source, stat, copyOpts, cb)
+    this.copyObjectRequest(bucketName, objectName, source, copyOpts, cb)
+  }
 
+  // Copies the source of copyObject with a single CopyObject request.
+  copyObjectRequest(bucketName, objectName, source, copyOpts, cb) {
     var method = 'PUT'
+    var headers = Object.assign(getEncryptionHeaders(copyOpts.encryption),
+                                getCopySourceHeaders(source),
+                                getCopyDestinationHeaders(copyOpts))
     this.makeRequest({method, bucketName, objectName, headers}, '', 200, '', true, (e, response) => {
       if (e) return cb(e)
       var transformer = transformers.getCopyObjectTransformer()
       pipesetup(response, transformer)
         .on('error', e => cb(e))
-        .on('data', data => cb(null, data))
+        .on('data', data => {
+          data.versionId = getVersionId(response.headers)
+          data.copySourceVersionId = response.headers['x-amz-copy-source-version-id'] || null
+          cb(null, data)
+        })
+    })
+  }
+
+  // Copies a source larger than 5GB as a multipart upload. The metadata
+  // and the tags of the source are given to the new object unless they
+  // are replaced, as CopyObject does.
+  copyObjectInParts(bucketName, objectName, source, stat, copyOpts, cb) {
+    var headers = getCopyDestinationHeaders(copyOpts)
+    var metaData = _.omit(headers, ['x-amz-metadata-directive', 'x-amz-tagging-directive'])
+    if (headers['x-amz-metadata-directive'] !== 'REPLACE') {
+      metaData = Object.assign(prependXAMZMeta(_.omitBy(stat.metaData, (value, key) => isAmzHeader(key))), metaData)
+    }
+    async.waterfall([
+      cb => {
+        if (headers['x-amz-tagging-directive'] === 'REPLACE') return cb(null, metaData)
+        var getOpts = _.omitBy({versionId: source.versionId}, _.isUndefined)
+        this.getTagging(source.bucketName, source.objectName, getOpts, (e, tagSet) => {
+          if (e) return cb(e)
+          var tags = {}
+          tagSet.forEach(tag => tags[tag.Key] = tag.Value)
+          if (tagSet.length) metaData['x-amz-tagging'] = tags
+          cb(null, metaData)
+        })
+      },
+      (metaData, cb) => {
+        var composeOpts = {metaData, encryption: copyOpts.encryption}
+        this.copyParts(bucketName, objectName, [source], [stat], composeOpts, cb)
+      }
+    ], (e, result) => {
+      if (e) return cb(e)
+      var statOpts = _.omitBy({versionId: result.versionId, encryption: copyOpts.encryption}, _.isNil)
+      this.statObject(bucketName, objectName, statOpts, (e, destStat) => {
+        if (e) return cb(e)
+        cb(null, {
+          etag: result.etag,
+          lastModified: destStat.lastModified,
+          versionId: result.versionId,
+          copySourceVersionId: stat.versionId
+        })
+      })
+    })
+  }
+
+  // Replace the metadata of an object by copying it onto itself. The
+  // storage class, the SSE-S3 or SSE-KMS encryption and the tags of the
+  // object are kept, the object must not change in the meantime.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `metaData` _object_: new metadata and headers of the object, e.g. `Content-Type`
+  // * `updateOpts` _object_: Default is `{}`. (optional)
+  //   * `updateOpts.versionId` _string_: version of the object, a new version is created in versioned buckets
+  //   * `updateOpts.encryption` _object_: encryption of the object, the key of SSE-C is used to read and write it, the encryption of the object by default
+  // * `callback(err, {etag, lastModified, versionId, copySourceVersionId})` _function_: non null `err` indicates error
+  updateObjectMetadata(bucketName, objectName, metaData, updateOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (!isObject(metaData)) {
+      throw new TypeError('metaData should be of type "object"')
+    }
+    if (isFunction(updateOpts)) {
+      cb = updateOpts
+      updateOpts = {}
+    }
+    if (!isObject(updateOpts)) {
+      throw new TypeError('updateOpts should be of type "object"')
+    }
+    if (updateOpts.versionId !== undefined && !isString(updateOpts.versionId)) {
+      throw new TypeError('versionId should be of type "string"')
+    }
+    if (updateOpts.encryption) validateEncryption(updateOpts.encryption)
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+
+    var sourceEncryption = isSSEC(updateOpts.encryption) ? updateOpts.encryption : undefined
+    var source = {bucketName, objectName, versionId: updateOpts.versionId, encryption: sourceEncryption}
+    var statOpts = _.omitBy({versionId: updateOpts.versionId, encryption: sourceEncryption}, _.isUndefined)
+    this.statObject(bucketName, objectName, statOpts, (e, stat) => {
+      if (e) return cb(e)
+      // Copying without a storage class would move the object to STANDARD.
+      var storageClass = stat.metaData['x-amz-storage-class']
+      var newMetaData = Object.assign({}, metaData)
+      if (storageClass && !Object.keys(metaData).some(isStorageclassHeader)) {
+        newMetaData['x-amz-storage-class'] = storageClass
+      }
+      var conditions = new CopyConditions()
+      conditions.setMatchETag(stat.etag)
+      source.conditions = conditions
+      // Copying without encryption would store the object unencrypted,
+      // unless the bucket has a default encryption.
+      var copyOpts = {
+        metaData: newMetaData,
+        metadataDirective: 'REPLACE',
+        encryption: updateOpts.encryption || getObjectEncryption(stat.metaData)
+      }
+      this.copyFromStat(bucketName, objectName, source, stat, copyOpts, cb)
+    })
+  }
+
+  // Creates an object from byte ranges of existing objects, copied on the
+  // server side with UploadPartCopy.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the new object
+  // * `sources` _Array_: up to 10000 sources concatenated in order, each of the format:
+  //   * `source.bucketName` _string_: bucket of the source object
+  //   * `source.objectName` _string_: name of the source object
+  //   * `source.versionId` _string_: version of the source object (optional)
+  //   * `source.start` _number_, `source.end` _number_: first and last byte of the range copied, the whole object by default (optional)
+  //   * `source.conditions` _CopyConditions_: copy conditions of the source (optional)
+  //   * `source.encryption` _object_: encryption of the source object, only needed for SSE-C (optional)
+  // * `composeOpts` _object_: Default is `{}`. (optional)
+  //   * `composeOpts.metaData` _object_: metadata of the new object
+  //   * `composeOpts.encryption` _object_: encryption of the new object
+  //   * `composeOpts.concurrency` _number_: number of parts copied in parallel, default 1
+  // * `callback(err, {etag, versionId})` _function_: non null `err` indicates error
+  //
+  // All the sources but the last one must be at least 5MB long, sources
+  // larger than 5GB are copied in several parts.
+  composeObject(bucketName, objectName, sources, composeOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (!isArray(sources)) {
+      throw new TypeError('sources should be of type "Array"')
+    }
+    if (sources.length < 1 || sources.length > 10000) {
+      throw new errors.InvalidArgumentError(`There must be between 1 and 10000 sources, got ${sources.length}`)
+    }
+    sources.forEach(validateCopySource)
+    if (isFunction(composeOpts)) {
+      cb = composeOpts
+      composeOpts = {}
+    }
+    if (!isObject(composeOpts)) {
+      throw new TypeError('composeOpts should be of type "object"')
+    }
+    if (composeOpts.metaData !== undefined && !isObject(composeOpts.metaData)) {
+      throw new TypeError('metaData should be of type "object"')
+    }
+    if (composeOpts.encryption) validateEncryption(composeOpts.encryption)
+    validateConcurrency(composeOpts.concurrency)
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+
+    async.mapLimit(sources, 10, (source, cb) => {
+      var statOpts = _.omitBy({versionId: source.versionId, encryption: source.encryption}, _.isUndefined)
+      this.statObject(source.bucketName, source.objectName, statOpts, cb)
+    }, (e, stats) => {
+      if (e) return cb(e)
+      this.copyParts(bucketName, objectName, sources, stats, composeOpts, cb)
+    })
+  }
+
+  // Copies the sources of composeObject, given their stat, as the parts
+  // of a multipart upload.
+  copyParts(bucketName, objectName, sources, stats, composeOpts, cb) {
+    var metaData = encodeTaggingHeader(prependXAMZMeta(composeOpts.metaData || {}))
+    var uploadId
+    async.waterfall([
+      cb => {
+        var parts
+        try {
+          parts = this.getCopyParts(sources, stats)
+        } catch (e) {
+          return cb(e)
+        }
+        this.initiateNewMultipartUpload(bucketName, objectName, metaData, {encryption: composeOpts.encryption}, (e, id) => {
+          uploadId = id
+          cb(e, parts)
+        })
+      },
+      (parts, cb) => async.mapLimit(parts, composeOpts.concurrency || 1, (part, cb) => {
+        var headers = Object.assign(getCopySourceHeaders(part.source), getSSECHeaders(composeOpts.encryption))
+        // The source must not change while its parts are copied.
+        if (!headers['x-amz-copy-source-if-match'] && part.etag) {
+          headers['x-amz-copy-source-if-match'] = part.etag
+        }
+        if (part.range) headers['x-amz-copy-source-range'] = `bytes=${part.start}-${part.end}`
+        this.uploadPartCopy(bucketName, objectName, uploadId, part.partNumber, headers, (e, result) => {
+          if (e) return cb(e)
+          cb(null, {part: part.partNumber, etag: result.etag})
+        })
+      }, cb),
+      (etags, cb) => this.completeMultipartUpload(bucketName, objectName, uploadId, etags, cb)
+    ], (e, result) => {
+      if (!e) return cb(null, result)
+      // Do not leave the parts copied so far behind.
+      if (!uploadId) return cb(e)
+      this.abortMultipartUpload(bucketName, objectName, uploadId, () => cb(e))
+    })
+  }
+
+  // Splits the sources of composeObject into parts of at most 5GB, given
+  // the stat of each source. Throws when the parts cannot make a
+  // multipart upload.
+  getCopyParts(sources, stats) {
+    var parts = []
+    var totalSize = 0
+    sources.forEach((source, i) => {
+      var size = stats[i].size
+      var name = `${source.bucketName}/${source.objectName}`
+      var start = source.start === undefined ? 0 : source.start
+      var end = source.end === undefined ? size - 1 : source.end
+      if (end >= size) {
+        throw new errors.InvalidArgumentError(`Range ${start}-${end} is beyond the size ${size} of ${name}`)
+      }
+      var length = end - start + 1
+      if (length < this.minimumPartSize && i < sources.length - 1) {
+        throw new errors.InvalidArgumentError(`${name} copies ${length} bytes, all the sources but the last one must be at least ${this.minimumPartSize} bytes long`)
+      }
+      totalSize += length
+      var count = Math.max(1, Math.ceil(length / this.maximumPartSize))
+      var partLength = Math.ceil(length / count)
+      // A single part copying the whole object needs no range, this also
+      // allows copying empty objects.
+      var range = count > 1 || source.start !== undefined || source.end !== undefined
+      for (var k = 0; k < count; k++) {
+        var partStart = start + k * partLength
+        parts.push({
+          source,
+          etag: stats[i].etag,
+          start: partStart,
+          end: Math.min(partStart + partLength - 1, end),
+          range,
+          partNumber: parts.length + 1
+        })
+      }
     })
+    if (parts.length > 10000) {
+      throw new errors.InvalidArgumentError(`The sources make ${parts.length} parts, at most 10000 are allowed`)
+    }
+    if (totalSize > this.maxObjectSize) {
+      throw new errors.InvalidArgumentError(`The sources make ${totalSize} bytes, at most ${this.maxObjectSize} are allowed`)
+    }
+    return parts
   }
 
   // list a batch of objects
-  listObjectsQuery(bucketName, prefix, marker, delimiter, maxKeys) {
+  listObjectsQuery(bucketName, prefix, marker, delimiter, maxKeys, signal) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
@@ -1173,7 +1780,7 @@ export class Client {
 
     var method = 'GET'
     var transformer = transformers.getListObjectsTransformer()
-    this.makeRequest({method, bucketName, query}, '', 200, '', true, (e, response) => {
+    this.makeRequest({method, bucketName, query, signal}, '', 200, '', true, (e, response) => {
       if (e) return transformer.emit('error', e)
       pipesetup(response, transformer)
     })
@@ -1186,15 +1793,31 @@ export class Client {
   // * `bucketName` _string_: name of the bucket
   // * `prefix` _string_: the prefix of the objects that should be listed (optional, default `''`)
   // * `recursive` _bool_: `true` indicates recursive style listing and `false` indicates directory style listing delimited by '/'. (optional, default `false`)
+  // * `listOpts` _object_: options of the listing. (optional)
+  //   * `listOpts.signal` _AbortSignal_: cancels the listing, the stream emits an `AbortError`
+  //   * `listOpts.marker` _string_: object name after which the listing starts
   //
   // __Return Value__
-  // * `stream` _Stream_: stream emitting the objects in the bucket, the object is of the format:
+  // * `stream` _Stream_: stream emitting the objects in the bucket, also an async iterator of the objects, the object is of the format:
   //   * `obj.name` _string_: name of the object
   //   * `obj.prefix` _string_: name of the object prefix
   //   * `obj.size` _number_: size of the object
   //   * `obj.etag` _string_: etag of the object
   //   * `obj.lastModified` _Date_: modified time stamp
-  listObjects(bucketName, prefix, recursive) {
+  listObjects(bucketName, prefix, recursive, listOpts = {}) {
+    var pages = this.listObjectsPages(bucketName, prefix, recursive, listOpts)
+    return pageStream(pages, page => page.objects, listOpts.signal)
+  }
+
+  // List the objects in the bucket one page at a time.
+  //
+  // __Arguments__
+  // Same as listObjects.
+  //
+  // __Return Value__
+  // * `pages` _PageIterator_: async iterator of the pages, each of the format `{objects, isTruncated, nextMarker}`.
+  //   `pages.marker` is the marker of the next page, given as `listOpts.marker` it resumes the listing.
+  listObjectsPages(bucketName, prefix, recursive, listOpts = {}) {
     if (prefix === undefined) prefix = ''
     if (recursive === undefined) recursive = false
     if (!isValidBucketName(bucketName)) {
@@ -1209,37 +1832,28 @@ export class Client {
     if (!isBoolean(recursive)) {
       throw new TypeError('recursive should be of type "boolean"')
     }
+    if (!isObject(listOpts)) {
+      throw new TypeError('listOpts should be of type "object"')
+    }
+    var marker = listOpts.marker === undefined ? '' : listOpts.marker
+    if (!isString(marker)) {
+      throw new TypeError('marker should be of type "string"')
+    }
+    validateSignal(listOpts.signal)
     // if recursive is false set delimiter to '/'
     var delimiter = recursive ? '' : '/'
-    var marker = ''
-    var objects = []
-    var ended = false
-    var readStream = Stream.Readable({objectMode: true})
-    readStream._read = () => {
-      // push one object per _read()
-      if (objects.length) {
-        readStream.push(objects.shift())
-        return
-      }
-      if (ended) return readStream.push(null)
-      // if there are no objects to push do query for the next batch of objects
-      this.listObjectsQuery(bucketName, prefix, marker, delimiter, 1000)
-        .on('error', e => readStream.emit('error', e))
-        .on('data', result => {
-          if (result.isTruncated) {
-            marker = result.nextMarker
-          } else {
-            ended = true
-          }
-          objects = result.objects
-          readStream._read()
-        })
-    }
-    return readStream
+    return new PageIterator((marker, cb) => {
+      this.listObjectsQuery(bucketName, prefix, marker, delimiter, 1000, listOpts.signal)
+        .on('error', e => cb(e))
+        .on('data', result => cb(null, result, result.isTruncated ? result.nextMarker : null))
+    }, marker)
   }
 
   // list a batch of objects using S3 ListObjects v2
-  listObjectsV2Query(bucketName, prefix, continuationToken, delimiter, maxKeys) {
+  //
+  // `queryOpts` carries `fetchOwner`, `encodingType`, `includeUserMetadata`
+  // and the `signal` of the listing, see listObjectsV2.
+  listObjectsV2Query(bucketName, prefix, continuationToken, delimiter, maxKeys, startAfter = '', queryOpts = {}) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
@@ -1255,6 +1869,12 @@ export class Client {
     if (!isNumber(maxKeys)) {
       throw new TypeError('maxKeys should be of type "number"')
     }
+    if (!isString(startAfter)) {
+      throw new TypeError('startAfter should be of type "string"')
+    }
+    if (!isObject(queryOpts)) {
+      throw new TypeError('queryOpts should be of type "object"')
+    }
     var queries = []
 
     // Call for listing objects v2 API
@@ -1273,6 +1893,19 @@ export class Client {
       delimiter = uriEscape(delimiter)
       queries.push(`delimiter=${delimiter}`)
     }
+    if (startAfter) {
+      queries.push(`start-after=${uriEscape(startAfter)}`)
+    }
+    if (queryOpts.fetchOwner) {
+      queries.push('fetch-owner=true')
+    }
+    if (queryOpts.encodingType) {
+      queries.push(`encoding-type=${uriEscape(queryOpts.encodingType)}`)
+    }
+    // MinIO extension returning the user metadata of the objects.
+    if (queryOpts.includeUserMetadata) {
+      queries.push('metadata=true')
+    }
     // no need to escape maxKeys
     if (maxKeys) {
       if (maxKeys >= 1000) {
@@ -1286,8 +1919,9 @@ export class Client {
       query = `${queries.join('&')}`
     }
     var method = 'GET'
+    var signal = queryOpts.signal
     var transformer = transformers.getListObjectsV2Transformer()
-    this.makeRequest({method, bucketName, query}, '', 200, '', true, (e, response) => {
+    this.makeRequest({method, bucketName, query, signal}, '', 200, '', true, (e, response) => {
       if (e) return transformer.emit('error', e)
       pipesetup(response, transformer)
     })
@@ -1301,15 +1935,40 @@ export class Client {
   // * `bucketName` _string_: name of the bucket
   // * `prefix` _string_: the prefix of the objects that should be listed (optional, default `''`)
   // * `recursive` _bool_: `true` indicates recursive style listing and `false` indicates directory style listing delimited by '/'. (optional, default `false`)
+  // * `listOpts` _object_: options of the listing. (optional)
+  //   * `listOpts.signal` _AbortSignal_: cancels the listing, the stream emits an `AbortError`
+  //   * `listOpts.continuationToken` _string_: continuation token of the page where the listing starts
+  //   * `listOpts.startAfter` _string_: object name after which the listing starts
+  //   * `listOpts.delimiter` _string_: delimiter grouping the object names into prefixes, overrides `recursive`
+  //   * `listOpts.maxKeys` _number_: maximum number of objects and prefixes listed in total
+  //   * `listOpts.fetchOwner` _bool_: list the owner of the objects
+  //   * `listOpts.encodingType` _string_: `url` to have the server encode the names, they are decoded by the client
+  //   * `listOpts.includeUserMetadata` _bool_: list the user metadata of the objects, MinIO only
   //
   // __Return Value__
-  // * `stream` _Stream_: stream emitting the objects in the bucket, the object is of the format:
+  // * `stream` _Stream_: stream emitting the objects in the bucket, also an async iterator of the objects, the object is of the format:
   //   * `obj.name` _string_: name of the object
   //   * `obj.prefix` _string_: name of the object prefix
   //   * `obj.size` _number_: size of the object
   //   * `obj.etag` _string_: etag of the object
   //   * `obj.lastModified` _Date_: modified time stamp
-  listObjectsV2(bucketName, prefix, recursive) {
+  //   * `obj.storageClass` _string_: storage class of the object
+  //   * `obj.owner` _object_: `{id, displayName}` of the owner of the object, if `fetchOwner` is set
+  //   * `obj.metadata` _object_: user metadata of the object, if `includeUserMetadata` is set
+  listObjectsV2(bucketName, prefix, recursive, listOpts = {}) {
+    var pages = this.listObjectsV2Pages(bucketName, prefix, recursive, listOpts)
+    return pageStream(pages, page => page.objects, listOpts.signal)
+  }
+
+  // List the objects in the bucket one page at a time using S3 ListObjects V2
+  //
+  // __Arguments__
+  // Same as listObjectsV2.
+  //
+  // __Return Value__
+  // * `pages` _PageIterator_: async iterator of the pages, each of the format `{objects, isTruncated, nextContinuationToken}`.
+  //   `pages.marker` is the continuation token of the next page, given as `listOpts.continuationToken` it resumes the listing.
+  listObjectsV2Pages(bucketName, prefix, recursive, listOpts = {}) {
     if (prefix === undefined) prefix = ''
     if (recursive === undefined) recursive = false
     if (!isValidBucketName(bucketName)) {
@@ -1324,68 +1983,231 @@ export class Client {
     if (!isBoolean(recursive)) {
       throw new TypeError('recursive should be of type "boolean"')
     }
+    if (!isObject(listOpts)) {
+      throw new TypeError('listOpts should be of type "object"')
+    }
+    var continuationToken = listOpts.continuationToken === undefined ? '' : listOpts.continuationToken
+    if (!isString(continuationToken)) {
+      throw new TypeError('continuationToken should be of type "string"')
+    }
+    var startAfter = listOpts.startAfter === undefined ? '' : listOpts.startAfter
+    if (!isString(startAfter)) {
+      throw new TypeError('startAfter should be of type "string"')
+    }
     // if recursive is false set delimiter to '/'
     var delimiter = recursive ? '' : '/'
-    var continuationToken = ''
-    var objects = []
-    var ended = false
-    var readStream = Stream.Readable({objectMode: true})
-    readStream._read = () => {
-      // push one object per _read()
-      if (objects.length) {
-        readStream.push(objects.shift())
-        return
+    if (listOpts.delimiter !== undefined) {
+      if (!isString(listOpts.delimiter)) {
+        throw new TypeError('delimiter should be of type "string"')
       }
-      if (ended) return readStream.push(null)
-      // if there are no objects to push do query for the next batch of objects
-      this.listObjectsV2Query(bucketName, prefix, continuationToken, delimiter, 1000)
-        .on('error', e => readStream.emit('error', e))
+      delimiter = listOpts.delimiter
+    }
+    var maxKeys = listOpts.maxKeys
+    if (maxKeys !== undefined && (!isNumber(maxKeys) || maxKeys < 1 || Math.floor(maxKeys) !== maxKeys)) {
+      throw new errors.InvalidArgumentError(`maxKeys should be a positive integer, got ${maxKeys}`)
+    }
+    if (listOpts.encodingType !== undefined && listOpts.encodingType !== 'url') {
+      throw new errors.InvalidArgumentError(`Invalid encodingType: ${listOpts.encodingType}`)
+    }
+    validateSignal(listOpts.signal)
+    var queryOpts = _.pick(listOpts, ['fetchOwner', 'encodingType', 'includeUserMetadata', 'signal'])
+    // Objects and prefixes left to list when the listing is limited to
+    // maxKeys entries.
+    var remaining = maxKeys
+    return new PageIterator((continuationToken, cb) => {
+      var pageSize = remaining === undefined ? 1000 : Math.min(remaining, 1000)
+      // start-after is ignored by the server once a continuation token is given.
+      this.listObjectsV2Query(bucketName, prefix, continuationToken, delimiter, pageSize, startAfter, queryOpts)
+        .on('error', e => cb(e))
         .on('data', result => {
-          if (result.isTruncated) {
-            continuationToken = result.nextContinuationToken
-          } else {
-            ended = true
+          var nextMarker = result.isTruncated ? result.nextContinuationToken : null
+          if (remaining !== undefined) {
+            result.objects = result.objects.slice(0, remaining)
+            remaining -= result.objects.length
+            if (remaining === 0) nextMarker = null
           }
-          objects = result.objects
-          readStream._read()
+          cb(null, result, nextMarker)
         })
-    }
-    return readStream
+    }, continuationToken)
   }
 
-  // Stat information of the object.
-  //
-  // __Arguments__
-  // * `bucketName` _string_: name of the bucket
-  // * `objectName` _string_: name of the object
-  // * `callback(err, stat)` _function_: `err` is not `null` in case of error, `stat` contains the object information:
-  //   * `stat.size` _number_: size of the object
-  //   * `stat.etag` _string_: etag of the object
-  //   * `stat.metaData` _string_: MetaData of the object
-  //   * `stat.lastModified` _Date_: modified time stamp
-  statObject(bucketName, objectName, cb) {
+  // list a batch of object versions
+  listObjectVersionsQuery(bucketName, prefix, keyMarker, versionIdMarker, delimiter, maxKeys, signal) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
-    if (!isValidObjectName(objectName)) {
-      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    if (!isString(prefix)) {
+      throw new TypeError('prefix should be of type "string"')
     }
-    if (!isFunction(cb)) {
-      throw new TypeError('callback should be of type "function"')
+    if (!isString(keyMarker)) {
+      throw new TypeError('keyMarker should be of type "string"')
     }
-
-    var method = 'HEAD'
-    this.makeRequest({method, bucketName, objectName}, '', 200, '', true, (e, response) => {
-      if (e) return cb(e)
-
-      // We drain the socket so that the connection gets closed. Note that this
-      // is not expensive as the socket will not have any data.
+    if (!isString(versionIdMarker)) {
+      throw new TypeError('versionIdMarker should be of type "string"')
+    }
+    if (!isString(delimiter)) {
+      throw new TypeError('delimiter should be of type "string"')
+    }
+    if (!isNumber(maxKeys)) {
+      throw new TypeError('maxKeys should be of type "number"')
+    }
+    var queries = []
+    // escape every value in query string, except maxKeys
+    if (prefix) {
+      queries.push(`prefix=${uriEscape(prefix)}`)
+    }
+    if (keyMarker) {
+      queries.push(`key-marker=${uriEscape(keyMarker)}`)
+    }
+    if (versionIdMarker) {
+      queries.push(`version-id-marker=${uriEscape(versionIdMarker)}`)
+    }
+    if (delimiter) {
+      queries.push(`delimiter=${uriEscape(delimiter)}`)
+    }
+    // no need to escape maxKeys
+    if (maxKeys) {
+      if (maxKeys >= 1000) {
+        maxKeys = 1000
+      }
+      queries.push(`max-keys=${maxKeys}`)
+    }
+    queries.sort()
+    queries.unshift('versions')
+    var query = `${queries.join('&')}`
+
+    var method = 'GET'
+    var transformer = transformers.getListObjectVersionsTransformer()
+    this.makeRequest({method, bucketName, query, signal}, '', 200, '', true, (e, response) => {
+      if (e) return transformer.emit('error', e)
+      pipesetup(response, transformer)
+    })
+    return transformer
+  }
+
+  // List all versions and delete markers of the objects in the bucket.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `prefix` _string_: the prefix of the objects that should be listed (optional, default `''`)
+  // * `recursive` _bool_: `true` indicates recursive style listing and `false` indicates directory style listing delimited by '/'. (optional, default `false`)
+  // * `listOpts` _object_: options of the listing. (optional)
+  //   * `listOpts.signal` _AbortSignal_: cancels the listing, the stream emits an `AbortError`
+  //   * `listOpts.keyMarker` _string_, `listOpts.versionIdMarker` _string_: version after which the listing starts
+  //
+  // __Return Value__
+  // * `stream` _Stream_: also an async iterator of the object versions in the bucket, newest version of a key first, the object is of the format:
+  //   * `obj.name` _string_: name of the object
+  //   * `obj.prefix` _string_: name of the object prefix
+  //   * `obj.versionId` _string_: version id of the object
+  //   * `obj.isLatest` _bool_: true if this is the current version of the object
+  //   * `obj.isDeleteMarker` _bool_: true if this version is a delete marker
+  //   * `obj.size` _number_: size of the object
+  //   * `obj.etag` _string_: etag of the object, not set for delete markers
+  //   * `obj.lastModified` _Date_: modified time stamp
+  listObjectVersions(bucketName, prefix, recursive, listOpts = {}) {
+    var pages = this.listObjectVersionsPages(bucketName, prefix, recursive, listOpts)
+    return pageStream(pages, page => page.objects, listOpts.signal)
+  }
+
+  // Lists the object versions one page at a time.
+  //
+  // __Arguments__
+  // Same as listObjectVersions.
+  //
+  // __Return Value__
+  // * `pages` _PageIterator_: async iterator of the pages, each of the format `{objects, isTruncated, nextKeyMarker, nextVersionIdMarker}`.
+  //   `pages.marker` is the `{keyMarker, versionIdMarker}` of the next page, given in `listOpts` it resumes the listing.
+  listObjectVersionsPages(bucketName, prefix, recursive, listOpts = {}) {
+    if (prefix === undefined) prefix = ''
+    if (recursive === undefined) recursive = false
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidPrefix(prefix)) {
+      throw new errors.InvalidPrefixError(`Invalid prefix : ${prefix}`)
+    }
+    if (!isBoolean(recursive)) {
+      throw new TypeError('recursive should be of type "boolean"')
+    }
+    if (!isObject(listOpts)) {
+      throw new TypeError('listOpts should be of type "object"')
+    }
+    var keyMarker = listOpts.keyMarker || ''
+    var versionIdMarker = listOpts.versionIdMarker || ''
+    if (!isString(keyMarker)) {
+      throw new TypeError('keyMarker should be of type "string"')
+    }
+    if (!isString(versionIdMarker)) {
+      throw new TypeError('versionIdMarker should be of type "string"')
+    }
+    validateSignal(listOpts.signal)
+    // if recursive is false set delimiter to '/'
+    var delimiter = recursive ? '' : '/'
+    return new PageIterator((marker, cb) => {
+      this.listObjectVersionsQuery(bucketName, prefix, marker.keyMarker, marker.versionIdMarker, delimiter, 1000, listOpts.signal)
+        .on('error', e => cb(e))
+        .on('data', result => {
+          var nextMarker = null
+          if (result.isTruncated) {
+            nextMarker = {
+              keyMarker: result.nextKeyMarker || '',
+              versionIdMarker: result.nextVersionIdMarker || ''
+            }
+          }
+          cb(null, result, nextMarker)
+        })
+    }, {keyMarker, versionIdMarker})
+  }
+
+  // Stat information of the object.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `statOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}` and `encryption` of SSE-C objects. Default is `{}`. (optional)
+  // * `callback(err, stat)` _function_: `err` is not `null` in case of error, `stat` contains the object information:
+  //   * `stat.size` _number_: size of the object
+  //   * `stat.etag` _string_: etag of the object
+  //   * `stat.metaData` _string_: MetaData of the object
+  //   * `stat.lastModified` _Date_: modified time stamp
+  //   * `stat.versionId` _string_: version id of the object, `null` for unversioned buckets
+  //   * `stat.isDeleteMarker` _bool_: true if the version is a delete marker
+  statObject(bucketName, objectName, statOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    // Backward Compatibility
+    if (isFunction(statOpts)) {
+      cb = statOpts
+      statOpts = {}
+    }
+    if (!isObject(statOpts)) {
+      throw new TypeError('statOpts should be of type "object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+
+    var method = 'HEAD'
+    var query = querystring.stringify(_.pick(statOpts, ['versionId']))
+    var headers = getSSECHeaders(statOpts.encryption)
+    this.makeRequest({method, bucketName, objectName, query, headers}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+
+      // We drain the socket so that the connection gets closed. Note that this
+      // is not expensive as the socket will not have any data.
       response.on('data', ()=>{})
 
       var result = {
         size: +response.headers['content-length'],
         metaData: extractMetadata(response.headers),
-        lastModified: new Date(response.headers['last-modified'])
+        lastModified: new Date(response.headers['last-modified']),
+        versionId: getVersionId(response.headers),
+        isDeleteMarker: response.headers['x-amz-delete-marker'] === 'true'
       }
       var etag = response.headers.etag
       if (etag) {
@@ -1401,19 +2223,33 @@ export class Client {
   // __Arguments__
   // * `bucketName` _string_: name of the bucket
   // * `objectName` _string_: name of the object
+  // * `removeOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}`, `governanceBypass: true` allows to remove versions under GOVERNANCE retention. Default is `{}`. (optional)
   // * `callback(err)` _function_: callback function is called with non `null` value in case of error
-  removeObject(bucketName, objectName, cb) {
+  removeObject(bucketName, objectName, removeOpts = {}, cb) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
     if (!isValidObjectName(objectName)) {
       throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
     }
+    // Backward Compatibility
+    if (isFunction(removeOpts)) {
+      cb = removeOpts
+      removeOpts = {}
+    }
+    if (!isObject(removeOpts)) {
+      throw new TypeError('removeOpts should be of type "object"')
+    }
     if (!isFunction(cb)) {
       throw new TypeError('callback should be of type "function"')
     }
     var method = 'DELETE'
-    this.makeRequest({method, bucketName, objectName}, '', 204, '', false, cb)
+    var query = querystring.stringify(_.pick(removeOpts, ['versionId']))
+    var headers = {}
+    if (removeOpts.governanceBypass) {
+      headers['x-amz-bypass-governance-retention'] = 'true'
+    }
+    this.makeRequest({method, bucketName, objectName, query, headers}, '', 204, '', false, cb)
   }
 
   // Remove all the objects residing in the objectsList.
@@ -1536,11 +2372,21 @@ export class Client {
   // * `bucketName` _string_: name of the bucket
   // * `objectName` _string_: name of the object
   // * `expiry` _number_: expiry in seconds (optional, default 7 days)
-  // * `reqParams` _object_: request parameters (optional)
-  presignedUrl(method, bucketName, objectName, expires, reqParams, cb) {
+  // * `reqParams` _object_: request parameters, such as the response-* overrides (optional)
+  // * `presignOpts` _object_: (optional)
+  //   * `presignOpts.requestDate` _Date_: date of the signature, default is now
+  //   * `presignOpts.versionId` _string_: version of the object
+  //   * `presignOpts.headers` _object_: headers signed into the URL, the request has to send them with these values
+  //   * `presignOpts.metaData` _object_: metadata signed into the URL, sent as `x-amz-meta-*` headers
+  //   * `presignOpts.encryption` _object_: server-side encryption signed into the URL, only the customer key of SSE-C applies to reads
+  presignedUrl(method, bucketName, objectName, expires, reqParams, presignOpts, cb) {
     if (this.anonymous) {
       throw new errors.AnonymousRequestError('Presigned ' + method + ' url cannot be generated for anonymous requests')
     }
+    if (isFunction(presignOpts)) {
+      cb = presignOpts
+      presignOpts = {}
+    }
     if (isFunction(reqParams)) {
       cb = reqParams
       reqParams = {}
@@ -1550,19 +2396,55 @@ export class Client {
       reqParams = {}
       expires = 24 * 60 * 60 * 7 // 7 days in seconds
     }
+    presignOpts = presignOpts || {}
     if (!isNumber(expires)) {
       throw new TypeError('expires should be of type "number"')
     }
     if (!isObject(reqParams)) {
       throw new TypeError('reqParams should be of type "object"')
     }
+    var responseHeaders = ['response-content-type', 'response-content-language', 'response-expires', 'response-cache-control',
+                           'response-content-disposition', 'response-content-encoding']
+    responseHeaders.forEach(header => {
+      if (reqParams[header] !== undefined && !isString(reqParams[header])) {
+        throw new TypeError(`response header ${header} should be of type "string"`)
+      }
+    })
+    if (!isObject(presignOpts)) {
+      throw new TypeError('presignOpts should be of type "object"')
+    }
+    if (presignOpts.requestDate !== undefined &&
+        (!(presignOpts.requestDate instanceof Date) || isNaN(presignOpts.requestDate.getTime()))) {
+      throw new TypeError('requestDate should be a valid "Date"')
+    }
+    if (presignOpts.versionId !== undefined && !isString(presignOpts.versionId)) {
+      throw new TypeError('versionId should be of type "string"')
+    }
+    if (presignOpts.headers !== undefined && !isObject(presignOpts.headers)) {
+      throw new TypeError('headers should be of type "object"')
+    }
+    if (presignOpts.metaData !== undefined && !isObject(presignOpts.metaData)) {
+      throw new TypeError('metaData should be of type "object"')
+    }
+    if (presignOpts.encryption) validateEncryption(presignOpts.encryption)
     if (!isFunction(cb)) {
       throw new TypeError('callback should be of type "function"')
     }
-    var requestDate = new Date()
-    var query = querystring.stringify(reqParams)
-    this.getBucketRegion(bucketName, (e, region) => {
+    var requestDate = presignOpts.requestDate || new Date()
+    var params = Object.assign({}, reqParams)
+    if (presignOpts.versionId) params.versionId = presignOpts.versionId
+    var query = _.map(params, (value, key) => `${uriEscape(key)}=${uriEscape(`${value}`)}`).join('&')
+    // Only writes take the encryption of the object, reads of SSE-C
+    // objects need its customer key.
+    var encryptionHeaders = method === 'PUT' ? getEncryptionHeaders(presignOpts.encryption)
+      : getSSECHeaders(presignOpts.encryption)
+    var headers = Object.assign(prependXAMZMeta(presignOpts.metaData || {}), encryptionHeaders,
+                                presignOpts.headers)
+    this.getCredentialsAndRegion(bucketName, (e, credentials, region) => {
       if (e) return cb(e)
+      if (!credentials.accessKey || !credentials.secretKey) {
+        return cb(new errors.AnonymousRequestError('Presigned ' + method + ' url cannot be generated for anonymous requests'))
+      }
       // This statement is added to ensure that we send error through
       // callback on presign failure.
       var url
@@ -1570,10 +2452,11 @@ export class Client {
                                                region,
                                                bucketName,
                                                objectName,
-                                               query})
+                                               query,
+                                               headers})
       try {
-        url = presignSignatureV4(reqOptions, this.accessKey, this.secretKey,
-                                 region, requestDate, expires)
+        url = presignSignatureV4(reqOptions, credentials.accessKey, credentials.secretKey,
+                                 region, requestDate, expires, credentials.sessionToken)
       } catch (pe) {
         return cb(pe)
       }
@@ -1588,21 +2471,15 @@ export class Client {
   // * `objectName` _string_: name of the object
   // * `expiry` _number_: expiry in seconds (optional, default 7 days)
   // * `respHeaders` _object_: response headers to override (optional)
-  presignedGetObject(bucketName, objectName, expires, respHeaders, cb) {
+  // * `presignOpts` _object_: see presignedUrl (optional)
+  presignedGetObject(bucketName, objectName, expires, respHeaders, presignOpts, cb) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
     if (!isValidObjectName(objectName)) {
       throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
     }
-    var validRespHeaders = ['response-content-type', 'response-content-language', 'response-expires', 'response-cache-control',
-                            'response-content-disposition', 'response-content-encoding']
-    validRespHeaders.forEach(header => {
-      if  (respHeaders !== undefined && respHeaders[header] !== undefined && !isString(respHeaders[header])) {
-        throw new TypeError(`response header ${header} should be of type "string"`)
-      }
-    })
-    return this.presignedUrl('GET', bucketName, objectName, expires, respHeaders, cb)
+    return this.presignedUrl('GET', bucketName, objectName, expires, respHeaders, presignOpts, cb)
   }
 
   // Generate a presigned URL for PUT. Using this URL, the browser can upload to S3 only with the specified object name.
@@ -1611,14 +2488,19 @@ export class Client {
   // * `bucketName` _string_: name of the bucket
   // * `objectName` _string_: name of the object
   // * `expiry` _number_: expiry in seconds (optional, default 7 days)
-  presignedPutObject(bucketName, objectName, expires, cb) {
+  // * `presignOpts` _object_: see presignedUrl, e.g. `{headers: {'Content-Type': 'image/png'}}` only allows uploads of PNG images (optional)
+  presignedPutObject(bucketName, objectName, expires, presignOpts, cb) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ${bucketName}')
     }
     if (!isValidObjectName(objectName)) {
       throw new errors.InvalidObjectNameError('Invalid object name: ${objectName}')
     }
-    return this.presignedUrl('PUT', bucketName, objectName, expires, cb)
+    if (isFunction(presignOpts)) {
+      cb = presignOpts
+      presignOpts = {}
+    }
+    return this.presignedUrl('PUT', bucketName, objectName, expires, {}, presignOpts, cb)
   }
 
   // return PostPolicy object
@@ -1639,8 +2521,11 @@ export class Client {
     if (!isFunction(cb)) {
       throw new TypeError('cb should be of type "function"')
     }
-    this.getBucketRegion(postPolicy.formData.bucket, (e, region) => {
+    this.getCredentialsAndRegion(postPolicy.formData.bucket, (e, credentials, region) => {
       if (e) return cb(e)
+      if (!credentials.accessKey || !credentials.secretKey) {
+        return cb(new errors.AnonymousRequestError('Presigned POST policy cannot be generated for anonymous requests'))
+      }
       var date = new Date()
       var dateStr = makeDateLong(date)
 
@@ -1658,14 +2543,19 @@ export class Client {
       postPolicy.policy.conditions.push(['eq', '$x-amz-algorithm', 'AWS4-HMAC-SHA256'])
       postPolicy.formData['x-amz-algorithm'] = 'AWS4-HMAC-SHA256'
 
-      postPolicy.policy.conditions.push(["eq", "$x-amz-credential", this.accessKey + "/" + getScope(region, date)])
-      postPolicy.formData['x-amz-credential'] = this.accessKey + "/" + getScope(region, date)
+      postPolicy.policy.conditions.push(["eq", "$x-amz-credential", credentials.accessKey + "/" + getScope(region, date)])
+      postPolicy.formData['x-amz-credential'] = credentials.accessKey + "/" + getScope(region, date)
+
+      if (credentials.sessionToken && !postPolicy.formData['x-amz-security-token']) {
+        postPolicy.policy.conditions.push(['eq', '$x-amz-security-token', credentials.sessionToken])
+        postPolicy.formData['x-amz-security-token'] = credentials.sessionToken
+      }
 
       var policyBase64 = new Buffer(JSON.stringify(postPolicy.policy)).toString('base64')
 
       postPolicy.formData.policy = policyBase64
 
-      var signature = postPresignSignatureV4(region, date, this.secretKey, policyBase64)
+      var signature = postPresignSignatureV4(region, date, credentials.secretKey, policyBase64)
 
       postPolicy.formData['x-amz-signature'] = signature
       var opts = {}
@@ -1680,8 +2570,9 @@ export class Client {
 
   // Calls implemented below are related to multipart.
 
-  // Initiate a new multipart upload.
-  initiateNewMultipartUpload(bucketName, objectName, metaData, cb) {
+  // Initiate a new multipart upload, `putOpts` carries the encryption and
+  // the Object Lock settings of the object.
+  initiateNewMultipartUpload(bucketName, objectName, metaData, putOpts = {}, cb) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
@@ -1691,8 +2582,12 @@ export class Client {
     if (!isObject(metaData)) {
       throw new errors.InvalidObjectNameError('contentType should be of type "object"')
     }
+    if (isFunction(putOpts)) {
+      cb = putOpts
+      putOpts = {}
+    }
     var method = 'POST'
-    let headers = Object.assign({}, metaData)
+    let headers = Object.assign({}, metaData, getEncryptionHeaders(putOpts.encryption), getObjectLockHeaders(putOpts))
     var query = 'uploads'
     this.makeRequest({method, bucketName, objectName, query, headers}, '', 200, '', true, (e, response) => {
       if (e) return cb(e)
@@ -1705,6 +2600,7 @@ export class Client {
 
   // Complete the multipart upload. After all the parts are uploaded issuing
   // this call will aggregate the parts on the server into a single object.
+  // The callback receives the `etag` and the `versionId` of the new object.
   completeMultipartUpload(bucketName, objectName, uploadId, etags, cb) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
@@ -1731,7 +2627,9 @@ export class Client {
 
     var parts = []
 
-    etags.forEach(element => {
+    // Parts uploaded concurrently complete in any order, S3 expects them
+    // in ascending order.
+    _.sortBy(etags, 'part').forEach(element => {
       parts.push({
         Part: [{
           PartNumber: element.part
@@ -1754,12 +2652,71 @@ export class Client {
             // Multipart Complete API returns an error XML after a 200 http status
             cb(new errors.S3Error(result.errMessage))
           } else {
-            cb(null, result.etag)
+            const completeMultipartResult = {
+              etag: result.etag,
+              versionId: getVersionId(response.headers)
+            }
+            cb(null, completeMultipartResult)
           }
         })
     })
   }
 
+  // Abort the multipart upload uploadId, removing the parts uploaded so far.
+  abortMultipartUpload(bucketName, objectName, uploadId, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (!isString(uploadId)) {
+      throw new TypeError('uploadId should be of type "string"')
+    }
+    if (!uploadId) {
+      throw new errors.InvalidArgumentError('uploadId cannot be empty')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('cb should be of type "function"')
+    }
+    var method = 'DELETE'
+    var query = `uploadId=${uriEscape(uploadId)}`
+    this.makeRequest({method, bucketName, objectName, query}, '', 204, '', false, e => cb(e))
+  }
+
+  // Upload part partNumber of the multipart upload uploadId by copying
+  // the source named in headers, see getCopySourceHeaders. The callback
+  // receives the `etag` and the `lastModified` date of the part.
+  uploadPartCopy(bucketName, objectName, uploadId, partNumber, headers, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (!isString(uploadId)) {
+      throw new TypeError('uploadId should be of type "string"')
+    }
+    if (!isNumber(partNumber)) {
+      throw new TypeError('partNumber should be of type "number"')
+    }
+    if (!isObject(headers)) {
+      throw new TypeError('headers should be of type "object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('cb should be of type "function"')
+    }
+    var method = 'PUT'
+    var query = `partNumber=${partNumber}&uploadId=${uriEscape(uploadId)}`
+    this.makeRequest({method, bucketName, objectName, query, headers}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      var transformer = transformers.getCopyObjectTransformer()
+      pipesetup(response, transformer)
+        .on('error', e => cb(e))
+        .on('data', data => cb(null, data))
+    })
+  }
+
   // Get part-info of all parts of an incomplete upload specified by uploadId.
   listParts(bucketName, objectName, uploadId, cb) {
     if (!isValidBucketName(bucketName)) {
@@ -1829,7 +2786,7 @@ export class Client {
   }
 
   // Called by listIncompleteUploads to fetch a batch of incomplete uploads.
-  listIncompleteUploadsQuery(bucketName, prefix, keyMarker, uploadIdMarker, delimiter) {
+  listIncompleteUploadsQuery(bucketName, prefix, keyMarker, uploadIdMarker, delimiter, signal) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
@@ -1869,7 +2826,7 @@ export class Client {
     }
     var method = 'GET'
     var transformer = transformers.getListMultipartTransformer()
-    this.makeRequest({method, bucketName, query}, '', 200, '', true, (e, response) => {
+    this.makeRequest({method, bucketName, query, signal}, '', 200, '', true, (e, response) => {
       if (e) return transformer.emit('error', e)
       pipesetup(response, transformer)
     })
@@ -1914,8 +2871,11 @@ export class Client {
 
   // Returns a function that can be used for uploading objects.
   // If multipart === true, it returns function that is used to upload
-  // a part of the multipart.
-  getUploader(bucketName, objectName, metaData, multipart) {
+  // a part of the multipart, whose callback receives the etag of the part.
+  // Otherwise the callback receives the `etag` and `versionId` of the object.
+  // `putOpts` carries the encryption and the Object Lock settings of the
+  // object.
+  getUploader(bucketName, objectName, metaData, multipart, putOpts = {}) {
     if (!isValidBucketName(bucketName)) {
       throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
     }
@@ -1928,6 +2888,15 @@ export class Client {
     if (!isObject(metaData)) {
       throw new TypeError('metadata should be of type "object"')
     }
+    if (!isObject(putOpts)) {
+      throw new TypeError('putOpts should be of type "object"')
+    }
+    // Parts only carry the SSE-C key, the encryption and the Object Lock
+    // settings are given when the multipart upload is initiated.
+    var putHeaders = getSSECHeaders(putOpts.encryption)
+    if (!multipart) {
+      putHeaders = Object.assign(getEncryptionHeaders(putOpts.encryption), getObjectLockHeaders(putOpts))
+    }
 
     var validate = (stream, length, sha256sum, md5sum, cb) => {
       if (!isReadableStream(stream)) {
@@ -1970,10 +2939,12 @@ export class Client {
     }
     var upload = (query, stream, length, sha256sum, md5sum, cb) => {
       var method = 'PUT'
-      let headers = Object.assign({}, metaData, {'Content-Length': length})
+      let headers = Object.assign({}, metaData, putHeaders, {'Content-Length': length})
 
-      if (!this.enableSHA256) headers['Content-MD5'] = md5sum
-      this.makeRequestStream({method, bucketName, objectName, query, headers},
+      // The MD5 of a payload signed as it is streamed may be unknown.
+      if (md5sum) headers['Content-MD5'] = md5sum
+      var signal = putOpts.signal
+      this.makeRequestStream({method, bucketName, objectName, query, headers, signal},
                              stream, sha256sum, 200, '', true, (e, response) => {
                                if (e) return cb(e)
                                var etag = response.headers.etag
@@ -1982,7 +2953,8 @@ export class Client {
                                }
                                // Ignore the 'data' event so that the stream closes. (nodejs stream requirement)
                                response.on('data', () => {})
-                               cb(null, etag)
+                               if (multipart) return cb(null, etag)
+                               cb(null, {etag, versionId: getVersionId(response.headers)})
                              })
     }
     if (multipart) {
@@ -2054,59 +3026,723 @@ export class Client {
 
     return listener
   }
-}
-
-// Promisify various public-facing APIs on the Client module.
-Client.prototype.makeBucket = promisify(Client.prototype.makeBucket)
-Client.prototype.listBuckets = promisify(Client.prototype.listBuckets)
-Client.prototype.bucketExists = promisify(Client.prototype.bucketExists)
-Client.prototype.removeBucket = promisify(Client.prototype.removeBucket)
-
-Client.prototype.getObject = promisify(Client.prototype.getObject)
-Client.prototype.getPartialObject = promisify(Client.prototype.getPartialObject)
-Client.prototype.fGetObject = promisify(Client.prototype.fGetObject)
-Client.prototype.putObject = promisify(Client.prototype.putObject)
-Client.prototype.fPutObject = promisify(Client.prototype.fPutObject)
-Client.prototype.copyObject = promisify(Client.prototype.copyObject)
-Client.prototype.statObject = promisify(Client.prototype.statObject)
-Client.prototype.removeObject = promisify(Client.prototype.removeObject)
-Client.prototype.removeObjects = promisify(Client.prototype.removeObjects)
-
-Client.prototype.presignedGetObject = promisify(Client.prototype.presignedGetObject)
-Client.prototype.presignedPutObject = promisify(Client.prototype.presignedPutObject)
-Client.prototype.presignedPostPolicy = promisify(Client.prototype.presignedPostPolicy)
-Client.prototype.getBucketNotification = promisify(Client.prototype.getBucketNotification)
-Client.prototype.setBucketNotification = promisify(Client.prototype.setBucketNotification)
-Client.prototype.removeAllBucketNotification = promisify(Client.prototype.removeAllBucketNotification)
-Client.prototype.getBucketPolicy = promisify(Client.prototype.getBucketPolicy)
-Client.prototype.setBucketPolicy = promisify(Client.prototype.setBucketPolicy)
-Client.prototype.removeIncompleteUpload = promisify(Client.prototype.removeIncompleteUpload)
-
-
-export class CopyConditions {
-  constructor() {
-    this.modified = ""
-    this.unmodified = ""
-    this.matchETag = ""
-    this.matchETagExcept = ""
-  }
 
-  setModified(date) {
-    if (!(date instanceof Date))
-      throw new TypeError('date must be of type Date')
+  // Set the versioning state of a bucket.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `versionConfig` _object_: versioning configuration, e.g. `{Status: 'Enabled'}`
+  //   * `versionConfig.Status` _string_: `Enabled` or `Suspended`
+  //   * `versionConfig.MFADelete` _string_: `Enabled` or `Disabled` (optional)
+  //   * `versionConfig.MFA` _string_: serial number and token of the MFA device, separated by a space (optional)
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  setBucketVersioning(bucketName, versionConfig, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isObject(versionConfig)) {
+      throw new errors.InvalidArgumentError('versionConfig should be of type "object"')
+    }
+    if (['Enabled', 'Suspended'].indexOf(versionConfig.Status) === -1) {
+      throw new errors.InvalidArgumentError(`Invalid versioning status: ${versionConfig.Status}`)
+    }
+    if (versionConfig.MFADelete !== undefined && ['Enabled', 'Disabled'].indexOf(versionConfig.MFADelete) === -1) {
+      throw new errors.InvalidArgumentError(`Invalid MFA delete status: ${versionConfig.MFADelete}`)
+    }
+    if (versionConfig.MFA !== undefined && !isString(versionConfig.MFA)) {
+      throw new errors.InvalidArgumentError('MFA should be of type "string"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'PUT'
+    var query = 'versioning'
+    var headers = {}
+    if (versionConfig.MFA) {
+      headers['x-amz-mfa'] = versionConfig.MFA
+    }
 
-    this.modified = date.toUTCString()
+    var config = {Status: versionConfig.Status}
+    if (versionConfig.MFADelete) {
+      config.MfaDelete = versionConfig.MFADelete
+    }
+    var builder = new xml2js.Builder({rootName:'VersioningConfiguration', renderOpts:{'pretty':false}, headless:true})
+    var payload = builder.buildObject(config)
+    this.makeRequest({method, bucketName, query, headers}, payload, 200, '', false, cb)
   }
 
-  setUnmodified(date) {
-    if (!(date instanceof Date))
-      throw new TypeError('date must be of type Date')
-
-    this.unmodified = date.toUTCString()
+  // Get the versioning state of a bucket.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `callback(err, versionConfig)` _function_: `versionConfig` carries `Status` and `MFADelete`,
+  //   both are absent if versioning has never been enabled on the bucket
+  getBucketVersioning(bucketName, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'GET'
+    var query = 'versioning'
+    this.makeRequest({method, bucketName, query}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      var transformer = transformers.getBucketVersioningTransformer()
+      var versionConfig = {}
+      pipesetup(response, transformer)
+        .on('data', result => versionConfig = result)
+        .on('error', e => cb(e))
+        .on('end', () => cb(null, versionConfig))
+    })
   }
 
-  setMatchETag(etag) {
-    this.matchETag = etag
+  // Set the lifecycle configuration of a bucket.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `lifecycleConfig` _LifecycleConfig_: lifecycle rules of the bucket
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  setBucketLifecycle(bucketName, lifecycleConfig, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isObject(lifecycleConfig)) {
+      throw new TypeError('lifecycle config should be of type "Object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'PUT'
+    var query = 'lifecycle'
+    var builder = new xml2js.Builder({rootName:'LifecycleConfiguration', renderOpts:{'pretty':false}, headless:true})
+    var payload = builder.buildObject(lifecycleConfig)
+    var headers = {}
+    // S3 rejects lifecycle configurations that are sent without Content-MD5.
+    headers['Content-MD5'] = Crypto.createHash('md5').update(payload).digest('base64')
+    this.makeRequest({method, bucketName, query, headers}, payload, 200, '', false, cb)
+  }
+
+  // Get the lifecycle configuration of a bucket. The configuration is
+  // returned in the layout of LifecycleConfig, `Rule` lists the rules.
+  getBucketLifecycle(bucketName, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'GET'
+    var query = 'lifecycle'
+    this.makeRequest({method, bucketName, query}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      var transformer = transformers.getLifecycleTransformer()
+      var lifecycleConfig
+      pipesetup(response, transformer)
+        .on('data', result => lifecycleConfig = result)
+        .on('error', e => cb(e))
+        .on('end', () => cb(null, lifecycleConfig))
+    })
+  }
+
+  // Remove the lifecycle configuration of a bucket.
+  removeBucketLifecycle(bucketName, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'DELETE'
+    var query = 'lifecycle'
+    this.makeRequest({method, bucketName, query}, '', 204, '', false, cb)
+  }
+
+  // Set the tags of a bucket, replacing the existing ones.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `tags` _object_: tags as key/value pairs, e.g. `{project: 'archive'}`, at most 50
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  setBucketTagging(bucketName, tags, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    validateTags(tags, MAX_BUCKET_TAGS)
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    this.setTagging(bucketName, '', tags, {}, cb)
+  }
+
+  // Get the tags of a bucket.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `callback(err, tags)` _function_: `tags` is an array of `{Key, Value}`
+  getBucketTagging(bucketName, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    this.getTagging(bucketName, '', {}, cb)
+  }
+
+  // Remove all the tags of a bucket.
+  removeBucketTagging(bucketName, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    this.removeTagging(bucketName, '', {}, cb)
+  }
+
+  // Set the tags of an object, replacing the existing ones.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `tags` _object_: tags as key/value pairs, e.g. `{retention: '90d'}`, at most 10
+  // * `putOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}`. Default is `{}`. (optional)
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  setObjectTagging(bucketName, objectName, tags, putOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    validateTags(tags, MAX_OBJECT_TAGS)
+    if (isFunction(putOpts)) {
+      cb = putOpts
+      putOpts = {}
+    }
+    if (!isObject(putOpts)) {
+      throw new TypeError('putOpts should be of type "object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    this.setTagging(bucketName, objectName, tags, putOpts, cb)
+  }
+
+  // Get the tags of an object.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `getOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}`. Default is `{}`. (optional)
+  // * `callback(err, tags)` _function_: `tags` is an array of `{Key, Value}`
+  getObjectTagging(bucketName, objectName, getOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (isFunction(getOpts)) {
+      cb = getOpts
+      getOpts = {}
+    }
+    if (!isObject(getOpts)) {
+      throw new TypeError('getOpts should be of type "object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    this.getTagging(bucketName, objectName, getOpts, cb)
+  }
+
+  // Remove all the tags of an object.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `removeOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}`. Default is `{}`. (optional)
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  removeObjectTagging(bucketName, objectName, removeOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (isFunction(removeOpts)) {
+      cb = removeOpts
+      removeOpts = {}
+    }
+    if (!isObject(removeOpts)) {
+      throw new TypeError('removeOpts should be of type "object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    this.removeTagging(bucketName, objectName, removeOpts, cb)
+  }
+
+  // Calls implemented below are shared by bucket and object tagging,
+  // an empty objectName addresses the bucket itself.
+
+  setTagging(bucketName, objectName, tags, putOpts, cb) {
+    var method = 'PUT'
+    var query = this.getSubresourceQuery('tagging', putOpts)
+    var tagSet = Object.keys(tags).map(key => ({Key: key, Value: tags[key]}))
+    var builder = new xml2js.Builder({rootName:'Tagging', renderOpts:{'pretty':false}, headless:true})
+    var payload = builder.buildObject({TagSet: {Tag: tagSet}})
+    var headers = {}
+    headers['Content-MD5'] = Crypto.createHash('md5').update(payload).digest('base64')
+    this.makeRequest({method, bucketName, objectName, query, headers}, payload, 200, '', false, cb)
+  }
+
+  getTagging(bucketName, objectName, getOpts, cb) {
+    var method = 'GET'
+    var query = this.getSubresourceQuery('tagging', getOpts)
+    this.makeRequest({method, bucketName, objectName, query}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      var transformer = transformers.getTaggingTransformer()
+      var tags = []
+      pipesetup(response, transformer)
+        .on('data', result => tags = result)
+        .on('error', e => cb(e))
+        .on('end', () => cb(null, tags))
+    })
+  }
+
+  removeTagging(bucketName, objectName, removeOpts, cb) {
+    var method = 'DELETE'
+    var query = this.getSubresourceQuery('tagging', removeOpts)
+    this.makeRequest({method, bucketName, objectName, query}, '', 204, '', false, cb)
+  }
+
+  // Returns the query addressing a subresource of an object, or of a
+  // version of the object when `opts.versionId` is given.
+  getSubresourceQuery(subresource, opts) {
+    var query = subresource
+    if (opts.versionId) {
+      query += '&' + querystring.stringify(_.pick(opts, ['versionId']))
+    }
+    return query
+  }
+
+  // Set the default encryption of a bucket, applied to objects uploaded
+  // without encryption headers.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `encryptionConfig` _object_: encryption rules of the bucket, e.g.
+  //   `{Rule: [{ApplyServerSideEncryptionByDefault: {SSEAlgorithm: 'aws:kms', KMSMasterKeyID: 'my-key'}}]}`,
+  //   defaults to AES256 encryption (optional)
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  setBucketEncryption(bucketName, encryptionConfig, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (isFunction(encryptionConfig)) {
+      cb = encryptionConfig
+      encryptionConfig = null
+    }
+    if (!encryptionConfig) {
+      encryptionConfig = {Rule: [{ApplyServerSideEncryptionByDefault: {SSEAlgorithm: 'AES256'}}]}
+    }
+    if (!isObject(encryptionConfig) || !isArray(encryptionConfig.Rule) || encryptionConfig.Rule.length !== 1) {
+      throw new errors.InvalidArgumentError('encryptionConfig should carry exactly one rule in "Rule"')
+    }
+    var defaults = encryptionConfig.Rule[0].ApplyServerSideEncryptionByDefault
+    if (!isObject(defaults)) {
+      throw new errors.InvalidArgumentError('ApplyServerSideEncryptionByDefault should be of type "object"')
+    }
+    if (['AES256', 'aws:kms'].indexOf(defaults.SSEAlgorithm) === -1) {
+      throw new errors.InvalidArgumentError(`Invalid SSE algorithm: ${defaults.SSEAlgorithm}`)
+    }
+    if (defaults.KMSMasterKeyID !== undefined) {
+      if (defaults.SSEAlgorithm !== 'aws:kms') {
+        throw new errors.InvalidArgumentError('KMSMasterKeyID can only be set with the aws:kms algorithm')
+      }
+      if (!isString(defaults.KMSMasterKeyID)) {
+        throw new errors.InvalidArgumentError('KMSMasterKeyID should be of type "string"')
+      }
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'PUT'
+    var query = 'encryption'
+    var builder = new xml2js.Builder({rootName:'ServerSideEncryptionConfiguration', renderOpts:{'pretty':false}, headless:true})
+    var payload = builder.buildObject(encryptionConfig)
+    var headers = {}
+    headers['Content-MD5'] = Crypto.createHash('md5').update(payload).digest('base64')
+    this.makeRequest({method, bucketName, query, headers}, payload, 200, '', false, cb)
+  }
+
+  // Get the default encryption of a bucket. The configuration is returned
+  // in the layout accepted by setBucketEncryption.
+  getBucketEncryption(bucketName, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'GET'
+    var query = 'encryption'
+    this.makeRequest({method, bucketName, query}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      var transformer = transformers.getBucketEncryptionTransformer()
+      var encryptionConfig
+      pipesetup(response, transformer)
+        .on('data', result => encryptionConfig = result)
+        .on('error', e => cb(e))
+        .on('end', () => cb(null, encryptionConfig))
+    })
+  }
+
+  // Remove the default encryption of a bucket.
+  removeBucketEncryption(bucketName, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'DELETE'
+    var query = 'encryption'
+    this.makeRequest({method, bucketName, query}, '', 204, '', false, cb)
+  }
+
+  // Set the Object Lock configuration of a bucket. The bucket must have
+  // been created with Object Lock enabled.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `lockConfig` _object_: default retention of the objects of the bucket,
+  //   `{mode, unit, validity}`, e.g. `{mode: 'GOVERNANCE', unit: 'Days', validity: 30}`.
+  //   An empty object removes the default retention.
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  setObjectLockConfig(bucketName, lockConfig = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (isFunction(lockConfig)) {
+      cb = lockConfig
+      lockConfig = {}
+    }
+    if (!isObject(lockConfig)) {
+      throw new TypeError('lockConfig should be of type "object"')
+    }
+    var config = {ObjectLockEnabled: 'Enabled'}
+    if (!_.isEmpty(lockConfig)) {
+      validateDefaultRetention(lockConfig)
+      var defaultRetention = {Mode: lockConfig.mode}
+      defaultRetention[lockConfig.unit] = lockConfig.validity
+      config.Rule = {DefaultRetention: defaultRetention}
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'PUT'
+    var query = 'object-lock'
+    var builder = new xml2js.Builder({rootName:'ObjectLockConfiguration', renderOpts:{'pretty':false}, headless:true})
+    var payload = builder.buildObject(config)
+    var headers = {}
+    headers['Content-MD5'] = Crypto.createHash('md5').update(payload).digest('base64')
+    this.makeRequest({method, bucketName, query, headers}, payload, 200, '', false, cb)
+  }
+
+  // Get the Object Lock configuration of a bucket.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `callback(err, lockConfig)` _function_: `lockConfig.objectLockEnabled` is `Enabled` for
+  //   buckets with Object Lock, `mode`, `unit` and `validity` describe the default retention if any
+  getObjectLockConfig(bucketName, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'GET'
+    var query = 'object-lock'
+    this.makeRequest({method, bucketName, query}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      var transformer = transformers.getObjectLockConfigTransformer()
+      var lockConfig
+      pipesetup(response, transformer)
+        .on('data', result => lockConfig = result)
+        .on('error', e => cb(e))
+        .on('end', () => cb(null, lockConfig))
+    })
+  }
+
+  // Set the retention of an object.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `retentionOpts` _object_: retention of the object
+  //   * `retentionOpts.mode` _string_: `GOVERNANCE` or `COMPLIANCE`
+  //   * `retentionOpts.retainUntilDate` _Date_: date until which the object is retained
+  //   * `retentionOpts.governanceBypass` _bool_: allows to shorten or remove a GOVERNANCE retention (optional)
+  //   * `retentionOpts.versionId` _string_: version of the object (optional)
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  putObjectRetention(bucketName, objectName, retentionOpts, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    validateRetention(retentionOpts)
+    if (retentionOpts.governanceBypass !== undefined && !isBoolean(retentionOpts.governanceBypass)) {
+      throw new errors.InvalidArgumentError('governanceBypass should be of type "boolean"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'PUT'
+    var query = this.getSubresourceQuery('retention', retentionOpts)
+    var headers = {}
+    if (retentionOpts.governanceBypass) {
+      headers['x-amz-bypass-governance-retention'] = 'true'
+    }
+    var config = {
+      Mode: retentionOpts.mode,
+      RetainUntilDate: new Date(retentionOpts.retainUntilDate).toISOString()
+    }
+    var builder = new xml2js.Builder({rootName:'Retention', renderOpts:{'pretty':false}, headless:true})
+    var payload = builder.buildObject(config)
+    headers['Content-MD5'] = Crypto.createHash('md5').update(payload).digest('base64')
+    this.makeRequest({method, bucketName, objectName, query, headers}, payload, 200, '', false, cb)
+  }
+
+  // Get the retention of an object.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `getOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}`. Default is `{}`. (optional)
+  // * `callback(err, retention)` _function_: `retention` carries the `mode` and the `retainUntilDate` of the object
+  getObjectRetention(bucketName, objectName, getOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (isFunction(getOpts)) {
+      cb = getOpts
+      getOpts = {}
+    }
+    if (!isObject(getOpts)) {
+      throw new TypeError('getOpts should be of type "object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'GET'
+    var query = this.getSubresourceQuery('retention', getOpts)
+    this.makeRequest({method, bucketName, objectName, query}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      var transformer = transformers.getObjectRetentionTransformer()
+      var retention
+      pipesetup(response, transformer)
+        .on('data', result => retention = result)
+        .on('error', e => cb(e))
+        .on('end', () => cb(null, retention))
+    })
+  }
+
+  // Set the legal hold of an object.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `setOpts` _object_: `status` of the legal hold, `ON` or `OFF`, and optionally the `versionId` of the object. Default is `{status: 'ON'}`
+  // * `callback(err)` _function_: callback function is called with non `null` value in case of error
+  setObjectLegalHold(bucketName, objectName, setOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (isFunction(setOpts)) {
+      cb = setOpts
+      setOpts = {}
+    }
+    if (!isObject(setOpts)) {
+      throw new TypeError('setOpts should be of type "object"')
+    }
+    var status = setOpts.status || 'ON'
+    validateLegalHold(status)
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'PUT'
+    var query = this.getSubresourceQuery('legal-hold', setOpts)
+    var builder = new xml2js.Builder({rootName:'LegalHold', renderOpts:{'pretty':false}, headless:true})
+    var payload = builder.buildObject({Status: status})
+    var headers = {}
+    headers['Content-MD5'] = Crypto.createHash('md5').update(payload).digest('base64')
+    this.makeRequest({method, bucketName, objectName, query, headers}, payload, 200, '', false, cb)
+  }
+
+  // Get the legal hold of an object.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `getOpts` _object_: Version of the object in the form `{versionId:'my-uuid'}`. Default is `{}`. (optional)
+  // * `callback(err, legalHold)` _function_: `legalHold.status` is `ON` or `OFF`
+  getObjectLegalHold(bucketName, objectName, getOpts = {}, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    if (isFunction(getOpts)) {
+      cb = getOpts
+      getOpts = {}
+    }
+    if (!isObject(getOpts)) {
+      throw new TypeError('getOpts should be of type "object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'GET'
+    var query = this.getSubresourceQuery('legal-hold', getOpts)
+    this.makeRequest({method, bucketName, objectName, query}, '', 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      var transformer = transformers.getObjectLegalHoldTransformer()
+      var legalHold
+      pipesetup(response, transformer)
+        .on('data', result => legalHold = result)
+        .on('error', e => cb(e))
+        .on('end', () => cb(null, legalHold))
+    })
+  }
+
+  // Filter the content of a CSV, JSON or Parquet object with an SQL
+  // expression run by the server.
+  //
+  // __Arguments__
+  // * `bucketName` _string_: name of the bucket
+  // * `objectName` _string_: name of the object
+  // * `selectOpts` _object_: the select request
+  //   * `selectOpts.expression` _string_: SQL expression, e.g. `select * from s3object`
+  //   * `selectOpts.expressionType` _string_: type of the expression, default `SQL`
+  //   * `selectOpts.inputSerialization` _object_: format of the object, e.g. `{CSV: {FileHeaderInfo: 'USE'}, CompressionType: 'NONE'}`
+  //   * `selectOpts.outputSerialization` _object_: format of the records, e.g. `{JSON: {RecordDelimiter: '\n'}}`
+  //   * `selectOpts.requestProgress` _bool_: emit `progress` events while the object is scanned
+  //   * `selectOpts.scanRange` _object_: `{start, end}` range of bytes of the object scanned (optional)
+  //   * `selectOpts.encryption` _object_: encryption of the object, only needed for SSE-C
+  //   * `selectOpts.signal` _AbortSignal_: cancels the request, the stream emits an `AbortError` if aborted while being read
+  // * `callback(err, stream)` _function_: `stream` is a Readable of the records, it emits `stats` and `progress` events with `{bytesScanned, bytesProcessed, bytesReturned}`
+  selectObjectContent(bucketName, objectName, selectOpts, cb) {
+    if (!isValidBucketName(bucketName)) {
+      throw new errors.InvalidBucketNameError('Invalid bucket name: ' + bucketName)
+    }
+    if (!isValidObjectName(objectName)) {
+      throw new errors.InvalidObjectNameError(`Invalid object name: ${objectName}`)
+    }
+    validateSelectOptions(selectOpts)
+    if (selectOpts.encryption) validateEncryption(selectOpts.encryption)
+    validateSignal(selectOpts.signal)
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var method = 'POST'
+    var query = 'select&select-type=2'
+    var headers = getSSECHeaders(selectOpts.encryption)
+    var payload = getSelectRequestXml(selectOpts)
+    var signal = selectOpts.signal
+    this.makeRequest({method, bucketName, objectName, query, headers, signal}, payload, 200, '', true, (e, response) => {
+      if (e) return cb(e)
+      cb(null, pipesetup(response, new SelectResultsDecoder()))
+    })
+  }
+}
+
+// Promisify various public-facing APIs on the Client module.
+Client.prototype.makeBucket = promisify(Client.prototype.makeBucket)
+Client.prototype.listBuckets = promisify(Client.prototype.listBuckets)
+Client.prototype.bucketExists = promisify(Client.prototype.bucketExists)
+Client.prototype.removeBucket = promisify(Client.prototype.removeBucket)
+
+Client.prototype.getObject = promisify(Client.prototype.getObject)
+Client.prototype.getPartialObject = promisify(Client.prototype.getPartialObject)
+Client.prototype.fGetObject = promisify(Client.prototype.fGetObject)
+Client.prototype.putObject = promisify(Client.prototype.putObject)
+Client.prototype.fPutObject = promisify(Client.prototype.fPutObject)
+Client.prototype.copyObject = promisify(Client.prototype.copyObject)
+Client.prototype.composeObject = promisify(Client.prototype.composeObject)
+Client.prototype.updateObjectMetadata = promisify(Client.prototype.updateObjectMetadata)
+Client.prototype.statObject = promisify(Client.prototype.statObject)
+Client.prototype.removeObject = promisify(Client.prototype.removeObject)
+Client.prototype.removeObjects = promisify(Client.prototype.removeObjects)
+
+Client.prototype.presignedGetObject = promisify(Client.prototype.presignedGetObject)
+Client.prototype.presignedPutObject = promisify(Client.prototype.presignedPutObject)
+Client.prototype.presignedPostPolicy = promisify(Client.prototype.presignedPostPolicy)
+Client.prototype.getBucketNotification = promisify(Client.prototype.getBucketNotification)
+Client.prototype.setBucketNotification = promisify(Client.prototype.setBucketNotification)
+Client.prototype.removeAllBucketNotification = promisify(Client.prototype.removeAllBucketNotification)
+Client.prototype.getBucketPolicy = promisify(Client.prototype.getBucketPolicy)
+Client.prototype.setBucketPolicy = promisify(Client.prototype.setBucketPolicy)
+Client.prototype.removeIncompleteUpload = promisify(Client.prototype.removeIncompleteUpload)
+Client.prototype.setBucketVersioning = promisify(Client.prototype.setBucketVersioning)
+Client.prototype.getBucketVersioning = promisify(Client.prototype.getBucketVersioning)
+Client.prototype.setBucketLifecycle = promisify(Client.prototype.setBucketLifecycle)
+Client.prototype.getBucketLifecycle = promisify(Client.prototype.getBucketLifecycle)
+Client.prototype.removeBucketLifecycle = promisify(Client.prototype.removeBucketLifecycle)
+Client.prototype.setBucketTagging = promisify(Client.prototype.setBucketTagging)
+Client.prototype.getBucketTagging = promisify(Client.prototype.getBucketTagging)
+Client.prototype.removeBucketTagging = promisify(Client.prototype.removeBucketTagging)
+Client.prototype.setObjectTagging = promisify(Client.prototype.setObjectTagging)
+Client.prototype.getObjectTagging = promisify(Client.prototype.getObjectTagging)
+Client.prototype.removeObjectTagging = promisify(Client.prototype.removeObjectTagging)
+Client.prototype.setBucketEncryption = promisify(Client.prototype.setBucketEncryption)
+Client.prototype.getBucketEncryption = promisify(Client.prototype.getBucketEncryption)
+Client.prototype.removeBucketEncryption = promisify(Client.prototype.removeBucketEncryption)
+Client.prototype.setObjectLockConfig = promisify(Client.prototype.setObjectLockConfig)
+Client.prototype.getObjectLockConfig = promisify(Client.prototype.getObjectLockConfig)
+Client.prototype.putObjectRetention = promisify(Client.prototype.putObjectRetention)
+Client.prototype.getObjectRetention = promisify(Client.prototype.getObjectRetention)
+Client.prototype.setObjectLegalHold = promisify(Client.prototype.setObjectLegalHold)
+Client.prototype.getObjectLegalHold = promisify(Client.prototype.getObjectLegalHold)
+Client.prototype.selectObjectContent = promisify(Client.prototype.selectObjectContent)
+
+
+export class CopyConditions {
+  constructor() {
+    this.modified = ""
+    this.unmodified = ""
+    this.matchETag = ""
+    this.matchETagExcept = ""
+  }
+
+  setModified(date) {
+    if (!(date instanceof Date))
+      throw new TypeError('date must be of type Date')
+
+    this.modified = date.toUTCString()
+  }
+
+  setUnmodified(date) {
+    if (!(date instanceof Date))
+      throw new TypeError('date must be of type Date')
+
+    this.unmodified = date.toUTCString()
+  }
+
+  setMatchETag(etag) {
+    this.matchETag = etag
   }
 
   setMatchETagExcept(etag) {
@@ -2180,6 +3816,91 @@ export class PostPolicy {
     }
     this.policy.conditions.push(['content-length-range', min, max])
   }
+
+  // set Content-Type prefix, i.e image/ allows any image
+  setContentTypeStartsWith(prefix) {
+    if (!isString(prefix)) {
+      throw new TypeError('prefix should be of type "string"')
+    }
+    this.policy.conditions.push(['starts-with', '$Content-Type', prefix])
+    this.formData['Content-Type'] = prefix
+  }
+
+  // set Content-Disposition
+  setContentDisposition(value) {
+    this.setField('Content-Disposition', value)
+  }
+
+  // set Cache-Control
+  setCacheControl(value) {
+    this.setField('Cache-Control', value)
+  }
+
+  // set Content-Encoding
+  setContentEncoding(value) {
+    this.setField('Content-Encoding', value)
+  }
+
+  // set user defined metadata, the keys are prefixed with 'x-amz-meta-'
+  setUserMetaData(metaData) {
+    if (!isObject(metaData)) {
+      throw new TypeError('metaData should be of type "object"')
+    }
+    _.each(metaData, (value, key) => {
+      if (!key) {
+        throw new errors.InvalidArgumentError('metadata keys cannot be empty')
+      }
+      var name = key.toLowerCase().indexOf('x-amz-meta-') === 0 ? key : `x-amz-meta-${key}`
+      this.setField(name, value)
+    })
+  }
+
+  // set the status of the response to a successful upload: 200, 201 or 204
+  setSuccessActionStatus(status) {
+    if (['200', '201', '204'].indexOf(`${status}`) === -1) {
+      throw new errors.InvalidArgumentError(`success_action_status should be one of 200, 201 or 204, got ${status}`)
+    }
+    this.setField('success_action_status', `${status}`)
+  }
+
+  // set the URL the browser is redirected to after a successful upload
+  setSuccessActionRedirect(url) {
+    if (!isString(url) || !/^https?:\/\/[^/]/.test(url)) {
+      throw new errors.InvalidArgumentError(`Invalid redirect URL: ${url}`)
+    }
+    this.setField('success_action_redirect', url)
+  }
+
+  // set the session token of temporary credentials, presignedPostPolicy
+  // sets the one of the client credentials otherwise
+  setSessionToken(token) {
+    this.setField('x-amz-security-token', token)
+  }
+
+  // set the server-side encryption of the uploaded object, see
+  // ENCRYPTION_TYPES
+  setEncryption(encryption) {
+    validateEncryption(encryption)
+    _.each(getEncryptionHeaders(encryption), (value, name) => this.setField(name, value))
+  }
+
+  // set a form field to a value the upload must match
+  setField(name, value) {
+    if (!isString(value) || !value) {
+      throw new errors.InvalidArgumentError(`${name} should be a non empty string`)
+    }
+    this.policy.conditions.push(['eq', `$${name}`, value])
+    this.formData[name] = value
+  }
 }
 
 export * from './notification'
+export * from './lifecycle'
+export * from './credentials'
+export * from './sts'
+export { AbortController } from './abort'
+export { AbortError } from './errors'
+export { ENCRYPTION_TYPES } from './encryption'
+export { RETENTION_MODES, RETENTION_VALIDITY_UNITS, LEGAL_HOLD_STATUS } from './object-lock'
+export { verifyV4, verifyPresignedUrl, verifyPostPolicy, SIGNATURE_FAILURES } from './signing.js'
+export { parseFormData } from './form-data.js'
@@ -17,6 +17,7 @@
 import { EventEmitter } from 'events'
 import * as transformers from './transformers'
 import { pipesetup, uriEscape } from './helpers'
+import { asyncIterator, eventIterator } from './iterators'
 
 // Notification config - array of target configs.
 // Target configs can be
@@ -128,6 +129,12 @@ export class NotificationPoller extends EventEmitter {
     this.ending = true
   }
 
+  // Iterates over the notifications, leaving a `for await` loop stops the
+  // polling.
+  [asyncIterator]() {
+    return eventIterator(this, 'notification', () => this.stop())
+  }
+
   checkForChanges() {
     // Don't continue if we're looping again but are cancelled.
     if (this.ending) return
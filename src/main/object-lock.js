@@ -0,0 +1,98 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { isObject, isNumber, isString } from './helpers'
+import * as errors from './errors'
+
+// Retention modes of Object Lock. Objects under GOVERNANCE retention can
+// be changed or removed by users allowed to bypass governance retention,
+// objects under COMPLIANCE retention cannot be changed by anyone until
+// the retention expires.
+export const RETENTION_MODES = {
+  GOVERNANCE: 'GOVERNANCE',
+  COMPLIANCE: 'COMPLIANCE'
+}
+
+// Units of the default retention of a bucket.
+export const RETENTION_VALIDITY_UNITS = {
+  DAYS: 'Days',
+  YEARS: 'Years'
+}
+
+export const LEGAL_HOLD_STATUS = {
+  ENABLED: 'ON',
+  DISABLED: 'OFF'
+}
+
+function isValidRetentionMode(mode) {
+  return mode === RETENTION_MODES.GOVERNANCE || mode === RETENTION_MODES.COMPLIANCE
+}
+
+// Validates the retention of an object given as `{mode, retainUntilDate}`,
+// retainUntilDate is a Date or an ISO 8601 string.
+export function validateRetention(retention) {
+  if (!isObject(retention)) {
+    throw new TypeError('retention should be of type "object"')
+  }
+  if (!isValidRetentionMode(retention.mode)) {
+    throw new errors.InvalidArgumentError(`Invalid retention mode: ${retention.mode}`)
+  }
+  var date = new Date(retention.retainUntilDate)
+  if ((!(retention.retainUntilDate instanceof Date) && !isString(retention.retainUntilDate)) || isNaN(date.getTime())) {
+    throw new errors.InvalidDateError(`Invalid retainUntilDate: ${retention.retainUntilDate}`)
+  }
+}
+
+export function validateLegalHold(status) {
+  if (status !== LEGAL_HOLD_STATUS.ENABLED && status !== LEGAL_HOLD_STATUS.DISABLED) {
+    throw new errors.InvalidArgumentError(`Invalid legal hold status: ${status}`)
+  }
+}
+
+// Validates the default retention of a bucket given as
+// `{mode, unit, validity}`.
+export function validateDefaultRetention(lockConfig) {
+  if (!isValidRetentionMode(lockConfig.mode)) {
+    throw new errors.InvalidArgumentError(`Invalid retention mode: ${lockConfig.mode}`)
+  }
+  if (lockConfig.unit !== RETENTION_VALIDITY_UNITS.DAYS && lockConfig.unit !== RETENTION_VALIDITY_UNITS.YEARS) {
+    throw new errors.InvalidArgumentError(`Invalid retention validity unit: ${lockConfig.unit}`)
+  }
+  if (!isNumber(lockConfig.validity) || lockConfig.validity < 1 || Math.floor(lockConfig.validity) !== lockConfig.validity) {
+    throw new errors.InvalidArgumentError(`validity should be a positive integer, got ${lockConfig.validity}`)
+  }
+}
+
+// Validates the Object Lock settings of an upload, `putOpts.retention`
+// and `putOpts.legalHold`.
+export function validateObjectLockOptions(putOpts) {
+  if (putOpts.retention !== undefined) validateRetention(putOpts.retention)
+  if (putOpts.legalHold !== undefined) validateLegalHold(putOpts.legalHold)
+}
+
+// Returns the headers applying the Object Lock settings of an upload to
+// the new object.
+export function getObjectLockHeaders(putOpts) {
+  var headers = {}
+  if (putOpts.retention) {
+    headers['x-amz-object-lock-mode'] = putOpts.retention.mode
+    headers['x-amz-object-lock-retain-until-date'] = new Date(putOpts.retention.retainUntilDate).toISOString()
+  }
+  if (putOpts.legalHold) {
+    headers['x-amz-object-lock-legal-hold'] = putOpts.legalHold
+  }
+  return headers
+}
@@ -14,25 +14,98 @@
  * limitations under the License.
  */
 
-import { Transform } from 'stream'
+import { Transform, PassThrough } from 'stream'
 import Crypto from 'crypto'
 import * as querystring from 'querystring'
+import { getVersionId, readableStream, pipesetup } from './helpers'
+import { STREAMING_PAYLOAD } from './signing'
+import { getEncryptionHeaders, getSSECHeaders } from './encryption'
+import { getObjectLockHeaders } from './object-lock'
+import { AbortController, onAbort } from './abort'
+import * as errors from './errors'
+import * as transformers from './transformers'
+
+// PartSplitter cuts a stream of `size` bytes into the parts of `partSize`
+// bytes of an upload. Unlike BlockStream2 it does not collect the parts:
+// a part is emitted as `{stream, length}` with its first bytes and the
+// next ones are written to `stream` as they are read, so that it is sent
+// while the input is read. A stream not `size` bytes long fails with an
+// IncorrectSizeError.
+export class PartSplitter extends Transform {
+  constructor(size, partSize) {
+    super({readableObjectMode: true})
+    this.size = size
+    this.partSize = partSize
+    this.offset = 0
+    // The part being written, with the number of bytes it still misses.
+    this.part = null
+    this.remaining = 0
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (!chunk.length) return callback()
+    if (this.offset + chunk.length > this.size) {
+      return callback(new errors.IncorrectSizeError(`The stream is longer than its size, ${this.size} bytes`))
+    }
+    if (!this.part) {
+      let length = Math.min(this.partSize, this.size - this.offset)
+      this.part = new PassThrough()
+      this.remaining = length
+      this.push({stream: this.part, length})
+    }
+    let part = this.part
+    let data = chunk.slice(0, this.remaining)
+    let rest = chunk.slice(data.length)
+    this.offset += data.length
+    this.remaining -= data.length
+    let next = () => rest.length ? this._transform(rest, encoding, callback) : callback()
+    if (!this.remaining) {
+      this.part = null
+      part.end(data)
+      return next()
+    }
+    // Reading waits for the part to be sent.
+    if (part.write(data)) return next()
+    part.once('drain', next)
+  }
+
+  _flush(callback) {
+    if (this.offset < this.size) {
+      return callback(new errors.IncorrectSizeError(`The stream ended after ${this.offset} of its ${this.size} bytes`))
+    }
+    callback()
+  }
+}
 
 // We extend Transform because Writable does not implement ._flush().
 export default class ObjectUploader extends Transform {
-  constructor(client, bucketName, objectName, partSize, metaData, callback) {
-    super()
+  constructor(client, bucketName, objectName, partSize, size, metaData, putOpts, callback) {
+    // With streaming signatures the parts of an object whose size is known
+    // are sent as they are read, see PartSplitter. Object Lock uploads are
+    // rejected without Content-MD5, their parts are collected to hash them.
+    let streamParts = client.streamingSignature && client.enableSHA256 && size !== undefined &&
+        putOpts.retention === undefined && putOpts.legalHold === undefined
+    super({writableObjectMode: streamParts})
+    this.streamParts = streamParts
     this.emptyStream = true
     this.client = client
     this.bucketName = bucketName
     this.objectName = objectName
-    // The size of each multipart, chunked by BlockStream2.
+    // The size of each multipart, chunked by BlockStream2 or PartSplitter.
     this.partSize = partSize
+    // The size of the object, undefined if unknown.
+    this.size = size
     // This is the metadata for the object.
     this.metaData = metaData
-
-    // Call like: callback(error, etag).
-    this.callback = callback
+    // The options of the upload.
+    this.putOpts = putOpts
+
+    // Call like: callback(error, {etag, versionId}).
+    this.callback = (err, result) => {
+      if (this.failed) return
+      this.removeAbortListener()
+      callback(err, result)
+    }
 
     // We need to keep track of what number chunk/part we're on. This increments
     // each time _write() is called. Starts with 1, not 0.
@@ -50,21 +123,54 @@ export default class ObjectUploader extends Transform {
     // yet or we're flushing in one packet.
     this.id = null
 
+    // Up to `concurrency` parts are uploaded at the same time, the next
+    // chunk is only accepted once a part is done.
+    this.concurrency = putOpts.concurrency || 1
+    this.inFlight = 0
+
+    // The first error of an upload, once set the parts still in flight
+    // are ignored.
+    this.failed = false
+
+    // Bytes uploaded, or found already uploaded when resuming, and the
+    // number of parts skipped, reported to putOpts.onProgress.
+    this.bytes = 0
+    this.partsSkipped = 0
+
+    // Every request of the upload carries the signal of this controller,
+    // so that the parts still in flight are torn down once the upload
+    // fails or putOpts.signal is aborted.
+    this.controller = new AbortController()
+    this.removeAbortListener = onAbort(putOpts.signal, () => {
+      this.emit('error', new errors.AbortError('The operation was aborted'))
+    })
+
     // Handle errors.
     this.on('error', err => {
+      if (this.failed) return
+      this.failed = true
+      this.removeAbortListener()
+      this.controller.abort()
+      // The parts uploaded so far are kept to resume the upload later,
+      // unless asked to remove them.
+      if (err instanceof errors.AbortError && this.putOpts.abortMultipart && this.id) {
+        return this.client.abortMultipartUpload(this.bucketName, this.objectName, this.id, () => callback(err))
+      }
       callback(err)
     })
   }
 
+  // chunk is either a Buffer or a part `{stream, length}` of PartSplitter.
   _transform(chunk, encoding, callback) {
     this.emptyStream = false
     let method = 'PUT'
     let headers = Object.assign({}, this.metaData, {'Content-Length': chunk.length})
-    let md5digest = ''
+    let encryption = this.putOpts.encryption
 
-    // Calculate and set Content-MD5 header if SHA256 is not set.
-    // This will happen only when there is a secure connection to the s3 server.
-    if (!this.client.enableSHA256) {
+    // Calculate and set Content-MD5 header, uploads to buckets with Object
+    // Lock are rejected without it. Parts sent as they are read have none.
+    let md5digest = null
+    if (Buffer.isBuffer(chunk)) {
       md5digest = Crypto.createHash('md5').update(chunk).digest()
       headers['Content-MD5'] = md5digest.toString('base64')
     }
@@ -73,14 +179,16 @@ export default class ObjectUploader extends Transform {
     // stream.
     if (this.partNumber == 1 && chunk.length < this.partSize) {
       // PUT the chunk in a single request — use an empty query.
+      Object.assign(headers, getEncryptionHeaders(encryption), getObjectLockHeaders(this.putOpts))
       let options = {
         method, headers,
         query: '',
         bucketName: this.bucketName,
-        objectName: this.objectName
+        objectName: this.objectName,
+        signal: this.controller.signal
       }
 
-      this.client.makeRequest(options, chunk, 200, '', true, (err, response) => {
+      this.sendChunk(options, chunk, (err, response) => {
         if (err) return callback(err)
 
         let etag = response.headers.etag
@@ -88,13 +196,20 @@ export default class ObjectUploader extends Transform {
           etag = etag.replace(/^"/, '').replace(/"$/, '')
         }
 
+        const result = {
+          etag,
+          versionId: getVersionId(response.headers)
+        }
+
         // Ignore the 'data' event so that the stream closes. (nodejs stream requirement)
         response.on('data', () => {})
 
+        this.progress(chunk.length, 1)
+
         // Give the etag back, we're done!
 
         process.nextTick(() => {
-          this.callback(null, etag)
+          this.callback(null, result)
         })
 
         // Because we're sure the stream has ended, allow it to flush and end.
@@ -118,7 +233,7 @@ export default class ObjectUploader extends Transform {
 
         // If no upload ID exists, initiate a new one.
         if (!id) {
-          this.client.initiateNewMultipartUpload(this.bucketName, this.objectName, this.metaData, (err, id) => {
+          this.client.initiateNewMultipartUpload(this.bucketName, this.objectName, this.metaData, this.putOpts, (err, id) => {
             if (err) return callback(err)
 
             this.id = id
@@ -154,6 +269,15 @@ export default class ObjectUploader extends Transform {
       return
     }
 
+    // A part found already uploaded is compared with the one uploaded,
+    // a streamed part is collected to hash it.
+    if (this.oldParts && this.oldParts[this.partNumber] && !Buffer.isBuffer(chunk)) {
+      pipesetup(chunk.stream, transformers.getConcater())
+        .on('error', e => callback(e))
+        .on('data', data => this._transform(data, encoding, callback))
+      return
+    }
+
     // Continue uploading various parts if we have initiated multipart upload.
     let partNumber = this.partNumber++
 
@@ -162,20 +286,20 @@ export default class ObjectUploader extends Transform {
     if (this.oldParts) {
       let oldPart = this.oldParts[partNumber]
 
-      //Calulcate the md5 hash, if it has not already been calculated.
-      if(!md5digest) {
-        md5digest = Crypto.createHash('md5').update(chunk).digest()
-      }
-
       if (oldPart && md5digest.toString('hex') === oldPart.etag) {
         // The md5 matches, the chunk has already been uploaded.
         this.etags.push({part: partNumber, etag: oldPart.etag})
+        this.partsSkipped++
+        this.progress(chunk.length, partNumber)
 
         callback()
         return
       }
     }
 
+    // Parts of SSE-C objects have to carry the key as well.
+    Object.assign(headers, getSSECHeaders(encryption))
+
     // Write the chunk with an uploader.
     let query = querystring.stringify({
       partNumber: partNumber,
@@ -185,33 +309,86 @@ export default class ObjectUploader extends Transform {
     let options = {
       method, query, headers,
       bucketName: this.bucketName,
-      objectName: this.objectName
+      objectName: this.objectName,
+      signal: this.controller.signal
     }
 
-    this.client.makeRequest(options, chunk, 200, '', true, (err, response) => {
-      if (err) return callback(err)
+    this.inFlight++
+    this.sendChunk(options, chunk, (err, response) => {
+      this.inFlight--
+      if (this.failed) {
+        // The response of a part done after the failure is dropped, it
+        // fails as well once the upload is torn down.
+        if (response) response.on('error', () => {}).resume()
+        return
+      }
+      // Emitting the error unpipes the input, so that no more parts are
+      // started.
+      if (err) return this.emit('error', err)
 
       // In order to aggregate the parts together, we need to collect the etags.
       let etag = response.headers.etag
       if (etag)
         etag = etag.replace(/^"/, '').replace(/"$/, '')
 
+      // Ignore the 'data' event so that the stream closes. (nodejs stream requirement)
+      response.on('data', () => {})
+
       this.etags.push({part: partNumber, etag})
+      this.progress(chunk.length, partNumber)
+
+      this.emit('partDone')
+    })
+
+    // We're ready for the next chunk as soon as there is room for another
+    // part in flight.
+    this.waitForPart(callback)
+  }
 
-      // We're ready for the next chunk.
-      callback()
+  // Sends chunk as the payload of the request. With streaming signatures
+  // it is signed as it is sent rather than hashed beforehand.
+  sendChunk(options, chunk, cb) {
+    if (!Buffer.isBuffer(chunk)) {
+      // The part is read once, it is not retried.
+      return this.client.makeRequestStream(options, chunk.stream, STREAMING_PAYLOAD, 200, '', true, cb)
+    }
+    if (!this.client.streamingSignature || !this.client.enableSHA256) {
+      return this.client.makeRequest(options, chunk, 200, '', true, cb)
+    }
+    this.client.makeRequestStream(options, () => readableStream(chunk), STREAMING_PAYLOAD, 200, '', true, cb)
+  }
+
+  // Reports `length` more bytes done with part `partNumber`.
+  progress(length, partNumber) {
+    this.bytes += length
+    if (!this.putOpts.onProgress) return
+    this.putOpts.onProgress({
+      bytes: this.bytes,
+      total: this.size,
+      partNumber,
+      partsSkipped: this.partsSkipped
     })
   }
 
+  // Calls callback once fewer than `concurrency` parts are in flight, or
+  // once all the parts are done if `all` is true.
+  waitForPart(callback, all) {
+    if (this.failed) return
+    if (this.inFlight < (all ? 1 : this.concurrency)) return callback()
+    this.once('partDone', () => this.waitForPart(callback, all))
+  }
+
   _flush(callback) {
     if (this.emptyStream) {
       let method = 'PUT'
-      let headers = Object.assign({}, this.metaData, {'Content-Length': 0})
+      let headers = Object.assign({}, this.metaData, getEncryptionHeaders(this.putOpts.encryption),
+                                  getObjectLockHeaders(this.putOpts), {'Content-Length': 0})
       let options = {
         method, headers,
         query: '',
         bucketName: this.bucketName,
-        objectName: this.objectName
+        objectName: this.objectName,
+        signal: this.controller.signal
       }
 
       this.client.makeRequest(options, '', 200, '', true, (err, response) => {
@@ -222,12 +399,19 @@ export default class ObjectUploader extends Transform {
           etag = etag.replace(/^"/, '').replace(/"$/, '')
         }
 
+        const result = {
+          etag,
+          versionId: getVersionId(response.headers)
+        }
+
         // Ignore the 'data' event so that the stream closes. (nodejs stream requirement)
         response.on('data', () => {})
 
+        this.progress(0, 1)
+
         // Give the etag back, we're done!
         process.nextTick(() => {
-          this.callback(null, etag)
+          this.callback(null, result)
         })
 
         // Because we're sure the stream has ended, allow it to flush and end.
@@ -241,16 +425,21 @@ export default class ObjectUploader extends Transform {
       return
     }
 
+    // Wait for the parts still in flight.
+    if (this.inFlight > 0) {
+      return this.waitForPart(() => this._flush(callback), true)
+    }
+
     // This is called when all of the chunks uploaded successfully, thus
     // completing the multipart upload.
     this.client.completeMultipartUpload(this.bucketName, this.objectName, this.id,
-                                        this.etags, (err, etag) => {
+                                        this.etags, (err, result) => {
                                           if (err) return callback(err)
 
                                           // Call our callback on the next tick to allow the streams infrastructure
                                           // to finish what its doing before we continue.
                                           process.nextTick(() => {
-                                            this.callback(null, etag)
+                                            this.callback(null, result)
                                           })
 
                                           callback()
@@ -0,0 +1,82 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { isObject, isNumber, isArray } from './helpers'
+import * as errors from './errors'
+
+// Retry policy of the requests. A request is sent at most `maxAttempts`
+// times, the delay before a new attempt is picked at random between 0
+// and baseDelay * 2^(attempt - 1) milliseconds, capped at maxDelay.
+// Errors are retried when their code is one of `retryableCodes`, network
+// errors and S3 error codes alike, or when the status of the response is
+// one of `retryableStatusCodes`.
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelay: 100,
+  maxDelay: 20000,
+  retryableCodes: [
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+    'RequestTimeout', 'SlowDown', 'InternalError', 'ServiceUnavailable',
+    'Throttling', 'RequestThrottled'
+  ],
+  retryableStatusCodes: [500, 502, 503, 504]
+}
+
+// Methods whose requests can be sent again without side effects.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE']
+
+// Returns the retry policy of retryOptions completed with the defaults.
+export function getRetryOptions(retryOptions = {}) {
+  if (!isObject(retryOptions)) {
+    throw new TypeError('retryOptions should be of type "object"')
+  }
+  var options = Object.assign({}, DEFAULT_RETRY_OPTIONS, retryOptions)
+  if (!isNumber(options.maxAttempts) || options.maxAttempts < 1 || Math.floor(options.maxAttempts) !== options.maxAttempts) {
+    throw new errors.InvalidArgumentError(`maxAttempts should be a positive integer, got ${options.maxAttempts}`)
+  }
+  if (!isNumber(options.baseDelay) || options.baseDelay < 0) {
+    throw new errors.InvalidArgumentError(`Invalid baseDelay : ${options.baseDelay}`)
+  }
+  if (!isNumber(options.maxDelay) || options.maxDelay < options.baseDelay) {
+    throw new errors.InvalidArgumentError(`Invalid maxDelay : ${options.maxDelay}`)
+  }
+  if (!isArray(options.retryableCodes)) {
+    throw new TypeError('retryableCodes should be of type "Array"')
+  }
+  if (!isArray(options.retryableStatusCodes)) {
+    throw new TypeError('retryableStatusCodes should be of type "Array"')
+  }
+  return options
+}
+
+export function isIdempotent(method) {
+  return IDEMPOTENT_METHODS.indexOf(method) !== -1
+}
+
+// Returns true if the request failing with err, and with the response
+// status statusCode if a response was received, should be sent again.
+export function isRetryable(err, statusCode, retryOptions) {
+  if (statusCode && retryOptions.retryableStatusCodes.indexOf(statusCode) !== -1) return true
+  return !!err && retryOptions.retryableCodes.indexOf(err.code) !== -1
+}
+
+// Returns the delay in milliseconds before sending the request again
+// after `attempt` attempts, with full jitter so that clients throttled
+// together do not retry together.
+export function getRetryDelay(attempt, retryOptions) {
+  var delay = Math.min(retryOptions.maxDelay, retryOptions.baseDelay * Math.pow(2, attempt - 1))
+  return Math.floor(Math.random() * delay)
+}
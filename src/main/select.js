@@ -0,0 +1,306 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Transform } from 'stream'
+import xml2js from 'xml2js'
+import { isObject, isString, isNumber, isBoolean } from './helpers'
+import { parseSelectProgress } from './xml-parsers'
+import * as errors from './errors'
+
+// Results of SelectObjectContent are sent as an event stream of binary
+// messages. Every message is made of
+//
+// * a prelude: the total length of the message and the length of its
+//   headers, as 4 bytes big endian integers, followed by the CRC32 of
+//   these 8 bytes
+// * the headers
+// * the payload
+// * the CRC32 of all the bytes of the message before it
+//
+// A header is the length of its name on 1 byte, the name, the type of its
+// value on 1 byte and the value.
+const PRELUDE_LENGTH = 12
+const CRC_LENGTH = 4
+
+// Types of the header values.
+const HEADER_TYPES = {
+  TRUE: 0,
+  FALSE: 1,
+  BYTE: 2,
+  SHORT: 3,
+  INTEGER: 4,
+  LONG: 5,
+  BYTES: 6,
+  STRING: 7,
+  TIMESTAMP: 8,
+  UUID: 9
+}
+
+var crcTable = null
+
+// Returns the CRC32 of buffer, as an unsigned integer.
+export function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = []
+    for (var n = 0; n < 256; n++) {
+      var c = n
+      for (var k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+  var crc = 0xFFFFFFFF
+  for (var i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// Returns the message of the event stream carrying payload, every header
+// is given a string value.
+export function encodeEventMessage(headers, payload) {
+  var headerBuffers = Object.keys(headers).map(name => {
+    var nameBuffer = new Buffer(name)
+    var valueBuffer = new Buffer(String(headers[name]))
+    var buffer = new Buffer(nameBuffer.length + valueBuffer.length + 4)
+    buffer.writeUInt8(nameBuffer.length, 0)
+    nameBuffer.copy(buffer, 1)
+    buffer.writeUInt8(HEADER_TYPES.STRING, nameBuffer.length + 1)
+    buffer.writeUInt16BE(valueBuffer.length, nameBuffer.length + 2)
+    valueBuffer.copy(buffer, nameBuffer.length + 4)
+    return buffer
+  })
+  var headersBuffer = Buffer.concat(headerBuffers)
+  payload = new Buffer(payload || '')
+  var totalLength = PRELUDE_LENGTH + headersBuffer.length + payload.length + CRC_LENGTH
+  var prelude = new Buffer(PRELUDE_LENGTH)
+  prelude.writeUInt32BE(totalLength, 0)
+  prelude.writeUInt32BE(headersBuffer.length, 4)
+  prelude.writeUInt32BE(crc32(prelude.slice(0, 8)), 8)
+  var message = Buffer.concat([prelude, headersBuffer, payload, new Buffer(CRC_LENGTH)])
+  message.writeUInt32BE(crc32(message.slice(0, totalLength - CRC_LENGTH)), totalLength - CRC_LENGTH)
+  return message
+}
+
+// Checks the prelude at the start of buffer and returns the total length
+// of the message.
+function decodePrelude(buffer) {
+  var totalLength = buffer.readUInt32BE(0)
+  var headersLength = buffer.readUInt32BE(4)
+  if (crc32(buffer.slice(0, 8)) !== buffer.readUInt32BE(8)) {
+    throw new errors.InvalidEventStreamError('Checksum mismatch in the prelude of the message')
+  }
+  if (totalLength < PRELUDE_LENGTH + CRC_LENGTH + headersLength) {
+    throw new errors.InvalidEventStreamError(`Invalid message length: ${totalLength}`)
+  }
+  return totalLength
+}
+
+// Returns `{headers, payload}` of the message held in buffer.
+export function decodeEventMessage(buffer) {
+  if (buffer.length < PRELUDE_LENGTH + CRC_LENGTH) {
+    throw new errors.InvalidEventStreamError(`Message too short: ${buffer.length} bytes`)
+  }
+  var totalLength = decodePrelude(buffer)
+  if (totalLength !== buffer.length) {
+    throw new errors.InvalidEventStreamError(`Message length ${totalLength} does not match the ${buffer.length} bytes received`)
+  }
+  var messageEnd = totalLength - CRC_LENGTH
+  if (crc32(buffer.slice(0, messageEnd)) !== buffer.readUInt32BE(messageEnd)) {
+    throw new errors.InvalidEventStreamError('Checksum mismatch in the message')
+  }
+  var headersEnd = PRELUDE_LENGTH + buffer.readUInt32BE(4)
+  return {
+    headers: decodeHeaders(buffer.slice(PRELUDE_LENGTH, headersEnd)),
+    payload: buffer.slice(headersEnd, messageEnd)
+  }
+}
+
+function decodeHeaders(buffer) {
+  var headers = {}
+  var offset = 0
+  // Returns the next length bytes of the headers.
+  var read = length => {
+    if (offset + length > buffer.length) {
+      throw new errors.InvalidEventStreamError('Truncated message headers')
+    }
+    offset += length
+    return buffer.slice(offset - length, offset)
+  }
+  while (offset < buffer.length) {
+    var name = read(read(1).readUInt8(0)).toString()
+    var type = read(1).readUInt8(0)
+    var value
+    switch (type) {
+    case HEADER_TYPES.TRUE:
+      value = true
+      break
+    case HEADER_TYPES.FALSE:
+      value = false
+      break
+    case HEADER_TYPES.BYTE:
+      value = read(1).readInt8(0)
+      break
+    case HEADER_TYPES.SHORT:
+      value = read(2).readInt16BE(0)
+      break
+    case HEADER_TYPES.INTEGER:
+      value = read(4).readInt32BE(0)
+      break
+    case HEADER_TYPES.LONG:
+    case HEADER_TYPES.TIMESTAMP:
+      var bytes = read(8)
+      value = bytes.readInt32BE(0) * 0x100000000 + bytes.readUInt32BE(4)
+      if (type === HEADER_TYPES.TIMESTAMP) value = new Date(value)
+      break
+    case HEADER_TYPES.BYTES:
+      value = read(read(2).readUInt16BE(0))
+      break
+    case HEADER_TYPES.STRING:
+      value = read(read(2).readUInt16BE(0)).toString()
+      break
+    case HEADER_TYPES.UUID:
+      value = read(16).toString('hex')
+      break
+    default:
+      throw new errors.InvalidEventStreamError(`Unknown type ${type} of header ${name}`)
+    }
+    headers[name] = value
+  }
+  return headers
+}
+
+// SelectResultsDecoder decodes the event stream of SelectObjectContent.
+// The payload of the Records events is passed on as is, `stats` and
+// `progress` events are emitted with `{bytesScanned, bytesProcessed,
+// bytesReturned}`. An error event of the stream is emitted as an S3Error,
+// and a stream ending before its End event as an InvalidEventStreamError.
+export class SelectResultsDecoder extends Transform {
+  constructor() {
+    super()
+    this.buffer = new Buffer(0)
+    this.ended = false
+    this.stats = null
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer = Buffer.concat([this.buffer, chunk])
+    try {
+      while (this.buffer.length >= PRELUDE_LENGTH) {
+        var totalLength = decodePrelude(this.buffer)
+        if (this.buffer.length < totalLength) break
+        var message = decodeEventMessage(this.buffer.slice(0, totalLength))
+        this.buffer = this.buffer.slice(totalLength)
+        this.handleMessage(message)
+      }
+    } catch (e) {
+      return callback(e)
+    }
+    callback()
+  }
+
+  _flush(callback) {
+    if (!this.ended) {
+      return callback(new errors.InvalidEventStreamError('The select results ended before the End event'))
+    }
+    callback()
+  }
+
+  handleMessage({headers, payload}) {
+    if (this.ended) return
+    if (headers[':message-type'] === 'error') {
+      var e = new errors.S3Error(headers[':error-message'])
+      e.code = headers[':error-code']
+      throw e
+    }
+    switch (headers[':event-type']) {
+    case 'Records':
+      this.push(payload)
+      break
+    case 'Stats':
+      this.stats = parseSelectProgress(payload.toString())
+      this.emit('stats', this.stats)
+      break
+    case 'Progress':
+      this.emit('progress', parseSelectProgress(payload.toString()))
+      break
+    case 'End':
+      this.ended = true
+      break
+    // Cont events only keep the connection alive.
+    }
+  }
+}
+
+// Validates the options of selectObjectContent.
+export function validateSelectOptions(selectOpts) {
+  if (!isObject(selectOpts)) {
+    throw new TypeError('selectOpts should be of type "object"')
+  }
+  if (!isString(selectOpts.expression) || !selectOpts.expression) {
+    throw new errors.InvalidArgumentError('expression should be a non empty string')
+  }
+  if (selectOpts.expressionType !== undefined && !isString(selectOpts.expressionType)) {
+    throw new TypeError('expressionType should be of type "string"')
+  }
+  if (!isObject(selectOpts.inputSerialization)) {
+    throw new TypeError('inputSerialization should be of type "object"')
+  }
+  if (!isObject(selectOpts.outputSerialization)) {
+    throw new TypeError('outputSerialization should be of type "object"')
+  }
+  if (selectOpts.requestProgress !== undefined && !isBoolean(selectOpts.requestProgress)) {
+    throw new TypeError('requestProgress should be of type "boolean"')
+  }
+  var scanRange = selectOpts.scanRange
+  if (scanRange !== undefined) {
+    if (!isObject(scanRange)) {
+      throw new TypeError('scanRange should be of type "object"')
+    }
+    ['start', 'end'].forEach(key => {
+      var value = scanRange[key]
+      if (value !== undefined && (!isNumber(value) || value < 0 || Math.floor(value) !== value)) {
+        throw new errors.InvalidArgumentError(`scanRange.${key} should be a non negative integer, got ${value}`)
+      }
+    })
+    if (scanRange.start !== undefined && scanRange.end !== undefined && scanRange.start > scanRange.end) {
+      throw new errors.InvalidArgumentError(`Invalid scan range: ${scanRange.start}-${scanRange.end}`)
+    }
+  }
+}
+
+// Returns the XML body of a SelectObjectContent request. The
+// serializations are given in the form of the XML request, e.g.
+// `{CSV: {FileHeaderInfo: 'USE'}, CompressionType: 'GZIP'}`.
+export function getSelectRequestXml(selectOpts) {
+  var config = {
+    Expression: selectOpts.expression,
+    ExpressionType: selectOpts.expressionType || 'SQL',
+    InputSerialization: selectOpts.inputSerialization,
+    OutputSerialization: selectOpts.outputSerialization
+  }
+  if (selectOpts.requestProgress) {
+    config.RequestProgress = {Enabled: true}
+  }
+  if (selectOpts.scanRange) {
+    config.ScanRange = {}
+    if (selectOpts.scanRange.start !== undefined) config.ScanRange.Start = selectOpts.scanRange.start
+    if (selectOpts.scanRange.end !== undefined) config.ScanRange.End = selectOpts.scanRange.end
+  }
+  var builder = new xml2js.Builder({rootName:'SelectObjectContentRequest', renderOpts:{'pretty':false}, headless:true})
+  return builder.buildObject(config)
+}
@@ -15,10 +15,12 @@
  */
 
 import Crypto from 'crypto'
+import { Transform } from 'stream'
 import _ from 'lodash'
-import { uriEscape, getScope, isString, isObject, isArray, isNumber,
+import { uriEscape, getScope, isString, isObject, isArray, isNumber, isFunction,
   makeDateShort, makeDateLong } from './helpers.js'
 import * as errors from './errors.js'
+import { parseFormData } from './form-data.js'
 
 const signV4Algorithm = 'AWS4-HMAC-SHA256'
 
@@ -76,7 +78,7 @@ function getCanonicalRequest(method, path, headers, signedHeaders, hashedPayload
 }
 
 // generate a credential string
-function getCredential(accessKey, region, requestDate) {
+function getCredential(accessKey, region, requestDate, serviceName = 's3') {
   if (!isString(accessKey)) {
     throw new TypeError('accessKey should be of type "string"')
   }
@@ -86,11 +88,14 @@ function getCredential(accessKey, region, requestDate) {
   if (!isObject(requestDate)) {
     throw new TypeError('requestDate should be of type "object"')
   }
-  return `${accessKey}/${getScope(region, requestDate)}`
+  return `${accessKey}/${getScope(region, requestDate, serviceName)}`
 }
 
+// Headers left out of the signature, see getSignedHeaders.
+const IGNORED_HEADERS = ['authorization', 'content-length', 'content-type', 'user-agent']
+
 // Returns signed headers array - alphabetically sorted
-function getSignedHeaders(headers) {
+function getSignedHeaders(headers, ignoredHeaders = IGNORED_HEADERS) {
   if (!isObject(headers)) {
     throw new TypeError('request should be of type "object"')
   }
@@ -121,14 +126,13 @@ function getSignedHeaders(headers) {
   //
   //      Is skipped for obvious reasons
 
-  var ignoredHeaders = ['authorization', 'content-length', 'content-type', 'user-agent']
   return _.map(headers, (v, header) => header)
     .filter(header => ignoredHeaders.indexOf(header) === -1)
     .sort()
 }
 
 // returns the key used for calculating signature
-function getSigningKey(date, region, secretKey) {
+function getSigningKey(date, region, secretKey, serviceName = 's3') {
   if (!isObject(date)) {
     throw new TypeError('date should be of type "object"')
   }
@@ -141,12 +145,12 @@ function getSigningKey(date, region, secretKey) {
   var dateLine = makeDateShort(date),
     hmac1 = Crypto.createHmac('sha256', 'AWS4' + secretKey).update(dateLine).digest(),
     hmac2 = Crypto.createHmac('sha256', hmac1).update(region).digest(),
-    hmac3 = Crypto.createHmac('sha256', hmac2).update('s3').digest()
+    hmac3 = Crypto.createHmac('sha256', hmac2).update(serviceName).digest()
   return Crypto.createHmac('sha256', hmac3).update('aws4_request').digest()
 }
 
 // returns the string that needs to be signed
-function getStringToSign(canonicalRequest, requestDate, region) {
+function getStringToSign(canonicalRequest, requestDate, region, serviceName = 's3') {
   if (!isString(canonicalRequest)) {
     throw new TypeError('canonicalRequest should be of type "string"')
   }
@@ -157,7 +161,7 @@ function getStringToSign(canonicalRequest, requestDate, region) {
     throw new TypeError('region should be of type "string"')
   }
   var hash = Crypto.createHash('sha256').update(canonicalRequest).digest('hex')
-  var scope = getScope(region, requestDate)
+  var scope = getScope(region, requestDate, serviceName)
   var stringToSign = []
   stringToSign.push(signV4Algorithm)
   stringToSign.push(makeDateLong(requestDate))
@@ -184,8 +188,9 @@ export function postPresignSignatureV4(region, date, secretKey, policyBase64) {
   return Crypto.createHmac('sha256', signingKey).update(policyBase64).digest('hex').toLowerCase()
 }
 
-// Returns the authorization header
-export function signV4(request, accessKey, secretKey, region, requestDate) {
+// Returns the authorization header, `serviceName` is 'sts' for the
+// requests of the security token service
+export function signV4(request, accessKey, secretKey, region, requestDate, serviceName = 's3') {
   if (!isObject(request)) {
     throw new TypeError('request should be of type "object"')
   }
@@ -211,16 +216,17 @@ export function signV4(request, accessKey, secretKey, region, requestDate) {
   var signedHeaders = getSignedHeaders(request.headers)
   var canonicalRequest = getCanonicalRequest(request.method, request.path, request.headers,
                                              signedHeaders, sha256sum)
-  var stringToSign = getStringToSign(canonicalRequest, requestDate, region)
-  var signingKey = getSigningKey(requestDate, region, secretKey)
-  var credential = getCredential(accessKey, region, requestDate)
+  var stringToSign = getStringToSign(canonicalRequest, requestDate, region, serviceName)
+  var signingKey = getSigningKey(requestDate, region, secretKey, serviceName)
+  var credential = getCredential(accessKey, region, requestDate, serviceName)
   var signature = Crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex').toLowerCase()
 
   return `${signV4Algorithm} Credential=${credential}, SignedHeaders=${signedHeaders.join(';').toLowerCase()}, Signature=${signature}`
 }
 
-// returns a presigned URL string
-export function presignSignatureV4(request, accessKey, secretKey, region, requestDate, expires) {
+// returns a presigned URL string, `sessionToken` is only given for
+// temporary credentials
+export function presignSignatureV4(request, accessKey, secretKey, region, requestDate, expires, sessionToken) {
   if (!isObject(request)) {
     throw new TypeError('request should be of type "object"')
   }
@@ -252,7 +258,9 @@ export function presignSignatureV4(request, accessKey, secretKey, region, reques
   }
 
   var iso8601Date = makeDateLong(requestDate)
-  var signedHeaders = getSignedHeaders(request.headers)
+  // The headers of a presigned request are only those asked for by the
+  // caller, a Content-Type given is signed so that it cannot be changed.
+  var signedHeaders = getSignedHeaders(request.headers, _.without(IGNORED_HEADERS, 'content-type'))
   var credential = getCredential(accessKey, region, requestDate)
   var hashedPayload = 'UNSIGNED-PAYLOAD'
 
@@ -261,6 +269,9 @@ export function presignSignatureV4(request, accessKey, secretKey, region, reques
   requestQuery.push(`X-Amz-Credential=${uriEscape(credential)}`)
   requestQuery.push(`X-Amz-Date=${iso8601Date}`)
   requestQuery.push(`X-Amz-Expires=${expires}`)
+  if (sessionToken) {
+    requestQuery.push(`X-Amz-Security-Token=${uriEscape(sessionToken)}`)
+  }
   requestQuery.push(`X-Amz-SignedHeaders=${uriEscape(signedHeaders.join(';').toLowerCase())}`)
 
   var resource = request.path.split('?')[0]
@@ -282,3 +293,674 @@ export function presignSignatureV4(request, accessKey, secretKey, region, reques
   var presignedUrl = request.protocol + '//' + request.headers.host + path + `&X-Amz-Signature=${signature}`
   return presignedUrl
 }
+
+// x-amz-content-sha256 of the requests whose payload is signed chunk by
+// chunk, see ChunkSigner.
+export const STREAMING_PAYLOAD = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD'
+
+// Size of the chunks of a streamed payload, only the last ones are smaller.
+export const STREAMING_CHUNK_SIZE = 64 * 1024
+
+const EMPTY_SHA256 = Crypto.createHash('sha256').update('').digest('hex')
+const CHUNK_SIGNATURE = ';chunk-signature='
+
+// Returns the length of the body sending dataLength bytes signed in chunks
+// of chunkSize bytes, the Content-Length of a streamed request.
+export function getStreamingContentLength(dataLength, chunkSize = STREAMING_CHUNK_SIZE) {
+  if (!isNumber(dataLength) || dataLength < 0) {
+    throw new TypeError('dataLength should be a non negative number')
+  }
+  // <size in hex>;chunk-signature=<signature>\r\n<data>\r\n
+  var chunkLength = size => size.toString(16).length + CHUNK_SIGNATURE.length + 64 + size + 4
+  var length = Math.floor(dataLength / chunkSize) * chunkLength(chunkSize)
+  if (dataLength % chunkSize) length += chunkLength(dataLength % chunkSize)
+  // The payload ends with an empty chunk.
+  return length + chunkLength(0)
+}
+
+// Returns the signature of a chunk of a streamed payload, which chains
+// the signature of the previous chunk, or the seed signature of the
+// request for the first chunk.
+function getChunkSignature(signingKey, date, scope, previousSignature, chunk) {
+  var stringToSign = [
+    'AWS4-HMAC-SHA256-PAYLOAD',
+    makeDateLong(date),
+    scope,
+    previousSignature,
+    EMPTY_SHA256,
+    Crypto.createHash('sha256').update(chunk).digest('hex')
+  ].join('\n')
+  return Crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+}
+
+// ChunkSigner encodes the payload of a request signed with
+// STREAMING_PAYLOAD as aws-chunked, every chunk carrying its signature, so
+// that the payload is signed as it is sent. `seedSignature` is the
+// signature of the authorization header of the request, `date` its date.
+export class ChunkSigner extends Transform {
+  constructor(seedSignature, date, region, secretKey, chunkSize = STREAMING_CHUNK_SIZE) {
+    super()
+    this.signature = seedSignature
+    this.date = date
+    this.scope = getScope(region, date)
+    this.signingKey = getSigningKey(date, region, secretKey)
+    this.chunkSize = chunkSize
+    this.buffers = []
+    this.length = 0
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffers.push(chunk)
+    this.length += chunk.length
+    if (this.length >= this.chunkSize) {
+      var data = Buffer.concat(this.buffers, this.length)
+      var offset = 0
+      for (; offset + this.chunkSize <= data.length; offset += this.chunkSize) {
+        this.pushChunk(data.slice(offset, offset + this.chunkSize))
+      }
+      this.buffers = [data.slice(offset)]
+      this.length = data.length - offset
+    }
+    callback()
+  }
+
+  _flush(callback) {
+    if (this.length) this.pushChunk(Buffer.concat(this.buffers, this.length))
+    this.pushChunk(new Buffer(0))
+    callback()
+  }
+
+  pushChunk(data) {
+    this.signature = getChunkSignature(this.signingKey, this.date, this.scope, this.signature, data)
+    this.push(new Buffer(`${data.length.toString(16)}${CHUNK_SIGNATURE}${this.signature}\r\n`))
+    if (data.length) this.push(data)
+    this.push(new Buffer('\r\n'))
+  }
+}
+
+// Splits a payload encoded by ChunkSigner into its chunks, returns an
+// array of `{data, signature}` ending with the empty chunk. Throws an
+// InvalidArgumentError when the payload is malformed.
+export function decodeChunkedPayload(payload) {
+  var chunks = []
+  var offset = 0
+  for (;;) {
+    var lineEnd = payload.indexOf('\r\n', offset)
+    if (lineEnd === -1) {
+      throw new errors.InvalidArgumentError('Truncated chunk header in the payload')
+    }
+    var match = /^([0-9a-fA-F]+);chunk-signature=([0-9a-f]{64})$/.exec(payload.slice(offset, lineEnd).toString())
+    if (!match) {
+      throw new errors.InvalidArgumentError(`Invalid chunk header at offset ${offset} of the payload`)
+    }
+    var size = parseInt(match[1], 16)
+    var dataEnd = lineEnd + 2 + size
+    if (dataEnd + 2 > payload.length || payload.slice(dataEnd, dataEnd + 2).toString() !== '\r\n') {
+      throw new errors.InvalidArgumentError(`Truncated chunk at offset ${offset} of the payload`)
+    }
+    chunks.push({data: payload.slice(lineEnd + 2, dataEnd), signature: match[2]})
+    offset = dataEnd + 2
+    if (size === 0) break
+  }
+  if (offset !== payload.length) {
+    throw new errors.InvalidArgumentError('Unexpected data after the last chunk of the payload')
+  }
+  return chunks
+}
+
+// Reasons for which a request fails verifyV4 or verifyPresignedUrl, named
+// after the matching S3 error codes.
+export const SIGNATURE_FAILURES = {
+  MISSING_SIGNATURE: 'MissingSecurityHeader',
+  MALFORMED_SIGNATURE: 'AuthorizationHeaderMalformed',
+  MALFORMED_PRESIGNED_URL: 'AuthorizationQueryParametersError',
+  UNSUPPORTED_ALGORITHM: 'UnsupportedSignatureAlgorithm',
+  INVALID_SCOPE: 'InvalidCredentialScope',
+  INVALID_ACCESS_KEY: 'InvalidAccessKeyId',
+  REQUEST_TIME_SKEWED: 'RequestTimeTooSkewed',
+  REQUEST_NOT_YET_VALID: 'RequestNotYetValid',
+  EXPIRED: 'ExpiredPresignedUrl',
+  PAYLOAD_HASH_MISMATCH: 'XAmzContentSHA256Mismatch',
+  SIGNATURE_MISMATCH: 'SignatureDoesNotMatch',
+  MALFORMED_POST_REQUEST: 'MalformedPOSTRequest',
+  INVALID_POLICY: 'InvalidPolicyDocument',
+  POLICY_CONDITION_FAILED: 'AccessDenied',
+  ENTITY_TOO_SMALL: 'EntityTooSmall',
+  ENTITY_TOO_LARGE: 'EntityTooLarge'
+}
+
+// Maximum difference allowed by default between the date of a request and
+// the time of its verification, S3 allows 15 minutes.
+const MAX_CLOCK_SKEW = 15 * 60
+
+// Parses a date of the form '20180101T000000Z', returns null when malformed.
+function parseDateLong(value) {
+  var match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '')
+  if (!match) return null
+  var date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]))
+  return isNaN(date.getTime()) ? null : date
+}
+
+// Compares two signatures in a time independent of their content.
+function signaturesEqual(a, b) {
+  if (a.length !== b.length) return false
+  var diff = 0
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return diff === 0
+}
+
+// Returns the headers of a request with lower case names, the values of
+// repeated headers are joined with commas.
+function normalizeHeaders(headers) {
+  var normalized = {}
+  _.each(headers, (value, key) => {
+    normalized[key.toLowerCase()] = isArray(value) ? value.join(',') : `${value}`.trim()
+  })
+  return normalized
+}
+
+// Returns the value of a query parameter of path, undefined when absent
+// and null when it is not properly escaped.
+function getQueryParam(query, name) {
+  var param = _.find(query.split('&'), element => element.split('=')[0] === name)
+  if (param === undefined) return undefined
+  try {
+    return decodeURIComponent(param.slice(name.length + 1).replace(/\+/g, ' '))
+  } catch (e) {
+    return null
+  }
+}
+
+function validateVerifyArguments(credentialsLookup, verifyOpts, cb) {
+  if (!isFunction(credentialsLookup)) {
+    throw new TypeError('credentialsLookup should be of type "function"')
+  }
+  if (!isObject(verifyOpts)) {
+    throw new TypeError('verifyOpts should be of type "object"')
+  }
+  if (verifyOpts.maxClockSkew !== undefined && (!isNumber(verifyOpts.maxClockSkew) || verifyOpts.maxClockSkew < 0)) {
+    throw new TypeError('maxClockSkew should be a non negative number')
+  }
+  if (verifyOpts.now !== undefined && !(verifyOpts.now instanceof Date)) {
+    throw new TypeError('now should be of type "Date"')
+  }
+  if (cb !== undefined && !isFunction(cb)) {
+    throw new TypeError('callback should be of type "function"')
+  }
+}
+
+// Calls verify(cb), returning a Promise when no callback is given. The
+// promisify helper cannot be used as credentialsLookup is a function too.
+function callOrPromise(verify, cb) {
+  if (cb) return verify(cb)
+  return new Promise((resolve, reject) => {
+    verify((e, result) => e ? reject(e) : resolve(result))
+  })
+}
+
+// Checks the date of a request and the scope of its credential. Returns
+// `{date, scope}` or a failure.
+function checkScope(credential, amzDate, verifyOpts, malformed) {
+  var failure = (reason, message) => ({failure: {valid: false, reason, message}})
+  var date = parseDateLong(amzDate)
+  if (!date) return failure(malformed, `Invalid date: ${amzDate}`)
+  var parts = (credential || '').split('/')
+  if (parts.length !== 5 || !parts[0] || parts[4] !== 'aws4_request') {
+    return failure(malformed, `Invalid credential: ${credential}`)
+  }
+  var scope = {accessKey: parts[0], date: parts[1], region: parts[2], service: parts[3]}
+  if (scope.date !== makeDateShort(date)) {
+    return failure(SIGNATURE_FAILURES.INVALID_SCOPE, `The credential date ${scope.date} does not match the request date ${amzDate}`)
+  }
+  var service = verifyOpts.service || 's3'
+  if (scope.service !== service) {
+    return failure(SIGNATURE_FAILURES.INVALID_SCOPE, `The credential is for the service ${scope.service} instead of ${service}`)
+  }
+  if (verifyOpts.region && scope.region !== verifyOpts.region) {
+    return failure(SIGNATURE_FAILURES.INVALID_SCOPE, `The credential is for the region ${scope.region} instead of ${verifyOpts.region}`)
+  }
+  return {date, scope}
+}
+
+// Checks the fields shared by the authorization header and the query of a
+// presigned URL. Returns `{date, scope}` or a failure.
+function checkCredential(credential, amzDate, signedHeaders, headers, verifyOpts, malformed) {
+  var failure = (reason, message) => ({failure: {valid: false, reason, message}})
+  var checked = checkScope(credential, amzDate, verifyOpts, malformed)
+  if (checked.failure) return checked
+  if (signedHeaders.indexOf('host') === -1) {
+    return failure(malformed, 'The host header should be signed')
+  }
+  var missing = _.find(signedHeaders, header => headers[header] === undefined)
+  if (missing !== undefined) {
+    return failure(malformed, `The signed header ${missing} is missing from the request`)
+  }
+  return checked
+}
+
+// Looks up the secret key of the credential and compares the signature of
+// the request with the one returned by sign(secretKey).
+function checkSignature(sign, signature, scope, result, credentialsLookup, cb) {
+  credentialsLookup(scope.accessKey, (e, secretKey) => {
+    if (e) return cb(e)
+    if (!secretKey) {
+      return cb(null, {valid: false, reason: SIGNATURE_FAILURES.INVALID_ACCESS_KEY,
+                       message: `Unknown access key: ${scope.accessKey}`})
+    }
+    var expected = sign(secretKey)
+    if (!signaturesEqual(expected, signature.toLowerCase())) {
+      return cb(null, {valid: false, reason: SIGNATURE_FAILURES.SIGNATURE_MISMATCH,
+                       message: 'The request signature does not match the signature calculated'})
+    }
+    cb(null, result)
+  })
+}
+
+// Returns the signature of a canonical request.
+function signRequest(canonicalRequest, date, scope, secretKey) {
+  var stringToSign = getStringToSign(canonicalRequest, date, scope.region, scope.service)
+  var signingKey = getSigningKey(date, scope.region, secretKey, scope.service)
+  return Crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+}
+
+// Verifies the Signature V4 of a request received by a server, signed in
+// its authorization header or as a presigned URL.
+//
+// __Arguments__
+// * `request` _object_: the request, such as an `http.IncomingMessage`, with
+//   * `request.method` _string_: HTTP method
+//   * `request.url` _string_: path and query of the request, as received
+//   * `request.headers` _object_: headers of the request
+//   * `request.body` _Buffer_ or _string_: payload, checked against `x-amz-content-sha256` when given (optional)
+// * `credentialsLookup(accessKey, callback)` _function_: calls `callback(err, secretKey)`, `secretKey` is null for unknown access keys
+// * `verifyOpts` _object_: Default is `{}`. (optional)
+//   * `verifyOpts.region` _string_: region the request must be signed for, any region by default
+//   * `verifyOpts.service` _string_: service the request must be signed for, default `s3`
+//   * `verifyOpts.maxClockSkew` _number_: seconds the request date may differ from now, default 900
+//   * `verifyOpts.now` _Date_: time of the verification, default is now
+// * `callback(err, result)` _function_: `err` is only set when the lookup fails. `result.valid` is true for valid signatures, along with the `accessKey`, `region`, `service`, `signedHeaders` and `sessionToken` of the request, otherwise `result.reason` is one of `SIGNATURE_FAILURES` and `result.message` describes it. A Promise is returned when no callback is given.
+export function verifyV4(request, credentialsLookup, verifyOpts = {}, cb) {
+  if (!isObject(request)) {
+    throw new TypeError('request should be of type "object"')
+  }
+  if (isFunction(verifyOpts)) {
+    cb = verifyOpts
+    verifyOpts = {}
+  }
+  validateVerifyArguments(credentialsLookup, verifyOpts, cb)
+  return callOrPromise(cb => verifyRequest(request, credentialsLookup, verifyOpts, cb), cb)
+}
+
+function verifyRequest(request, credentialsLookup, verifyOpts, cb) {
+  var path = request.url || request.path || '/'
+  var method = request.method || 'GET'
+  var headers = normalizeHeaders(request.headers || {})
+  var query = path.split('?')[1] || ''
+
+  var authorization = headers.authorization
+  if (!authorization) {
+    if (getQueryParam(query, 'X-Amz-Signature') !== undefined) {
+      return verifyPresignedRequest(method, path, headers, credentialsLookup, verifyOpts, cb)
+    }
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.MISSING_SIGNATURE,
+                     message: 'The request is not signed'})
+  }
+  var malformed = SIGNATURE_FAILURES.MALFORMED_SIGNATURE
+  var algorithm = authorization.split(' ')[0]
+  if (algorithm !== signV4Algorithm) {
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.UNSUPPORTED_ALGORITHM,
+                     message: `Unsupported signature algorithm: ${algorithm}`})
+  }
+  var fields = {}
+  authorization.slice(algorithm.length).split(',').forEach(field => {
+    var index = field.indexOf('=')
+    if (index !== -1) fields[field.slice(0, index).trim()] = field.slice(index + 1).trim()
+  })
+  if (!fields.Credential || !fields.SignedHeaders || !fields.Signature) {
+    return cb(null, {valid: false, reason: malformed, message: `Malformed authorization header: ${authorization}`})
+  }
+  var signedHeaders = fields.SignedHeaders.split(';')
+  var amzDate = headers['x-amz-date']
+  var checked = checkCredential(fields.Credential, amzDate, signedHeaders, headers, verifyOpts, malformed)
+  if (checked.failure) return cb(null, checked.failure)
+  var {date, scope} = checked
+
+  var now = verifyOpts.now || new Date()
+  var maxClockSkew = verifyOpts.maxClockSkew === undefined ? MAX_CLOCK_SKEW : verifyOpts.maxClockSkew
+  if (Math.abs(now.getTime() - date.getTime()) > maxClockSkew * 1000) {
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.REQUEST_TIME_SKEWED,
+                     message: `The difference between the request time ${amzDate} and the current time is too large`})
+  }
+
+  var hashedPayload = headers['x-amz-content-sha256']
+  if (!hashedPayload) {
+    if (scope.service === 's3') {
+      return cb(null, {valid: false, reason: malformed, message: 'The x-amz-content-sha256 header is missing'})
+    }
+    hashedPayload = Crypto.createHash('sha256').update(request.body || '').digest('hex')
+  } else if (request.body !== undefined && hashedPayload !== 'UNSIGNED-PAYLOAD' && !hashedPayload.startsWith('STREAMING-')) {
+    if (Crypto.createHash('sha256').update(request.body).digest('hex') !== hashedPayload) {
+      return cb(null, {valid: false, reason: SIGNATURE_FAILURES.PAYLOAD_HASH_MISMATCH,
+                       message: 'The provided x-amz-content-sha256 does not match what was computed'})
+    }
+  }
+
+  var canonicalRequest = getCanonicalRequest(method, path, headers, signedHeaders, hashedPayload)
+  var result = {
+    valid: true,
+    accessKey: scope.accessKey,
+    region: scope.region,
+    service: scope.service,
+    signedHeaders,
+    sessionToken: headers['x-amz-security-token'] || null
+  }
+  if (request.body === undefined || hashedPayload !== STREAMING_PAYLOAD) {
+    return checkSignature(secretKey => signRequest(canonicalRequest, date, scope, secretKey), fields.Signature,
+                          scope, result, credentialsLookup, cb)
+  }
+  // The chunks of a streamed payload are checked once the signature of
+  // the request, which seeds theirs, is known to be valid.
+  var signingKey
+  var sign = secretKey => {
+    signingKey = getSigningKey(date, scope.region, secretKey, scope.service)
+    return signRequest(canonicalRequest, date, scope, secretKey)
+  }
+  checkSignature(sign, fields.Signature, scope, result, credentialsLookup, (e, result) => {
+    if (e || !result.valid) return cb(e, result)
+    cb(null, checkChunkedPayload(request.body, headers, signingKey, date, scope, fields.Signature) || result)
+  })
+}
+
+// Checks the chunks of a streamed payload and their signatures. Returns a
+// failure, null when the payload is valid.
+function checkChunkedPayload(body, headers, signingKey, date, scope, seedSignature) {
+  var chunks
+  try {
+    chunks = decodeChunkedPayload(isString(body) ? new Buffer(body) : body)
+  } catch (e) {
+    return {valid: false, reason: SIGNATURE_FAILURES.MALFORMED_SIGNATURE, message: e.message}
+  }
+  var scopeString = getScope(scope.region, date, scope.service)
+  var signature = seedSignature.toLowerCase()
+  var decodedLength = 0
+  for (var i = 0; i < chunks.length; i++) {
+    signature = getChunkSignature(signingKey, date, scopeString, signature, chunks[i].data)
+    if (!signaturesEqual(signature, chunks[i].signature)) {
+      return {valid: false, reason: SIGNATURE_FAILURES.SIGNATURE_MISMATCH,
+              message: `The signature of the chunk ${i + 1} of the payload does not match`}
+    }
+    decodedLength += chunks[i].data.length
+  }
+  if (headers['x-amz-decoded-content-length'] !== `${decodedLength}`) {
+    return {valid: false, reason: SIGNATURE_FAILURES.MALFORMED_SIGNATURE,
+            message: `x-amz-decoded-content-length ${headers['x-amz-decoded-content-length']} does not match the ${decodedLength} bytes of the payload`}
+  }
+  return null
+}
+
+// Verifies a presigned URL.
+//
+// __Arguments__
+// * `url` _string_: the presigned URL, or its path and query
+// * `credentialsLookup(accessKey, callback)` _function_: calls `callback(err, secretKey)`, `secretKey` is null for unknown access keys
+// * `verifyOpts` _object_: the options of verifyV4, along with (optional)
+//   * `verifyOpts.method` _string_: HTTP method the URL is used with, default `GET`
+//   * `verifyOpts.headers` _object_: headers sent along with the URL, the host is taken from the URL when it is absolute
+// * `callback(err, result)` _function_: see verifyV4, `result.expires` is the date the URL expires at when valid
+export function verifyPresignedUrl(url, credentialsLookup, verifyOpts = {}, cb) {
+  if (!isString(url)) {
+    throw new TypeError('url should be of type "string"')
+  }
+  if (isFunction(verifyOpts)) {
+    cb = verifyOpts
+    verifyOpts = {}
+  }
+  validateVerifyArguments(credentialsLookup, verifyOpts, cb)
+  var headers = normalizeHeaders(verifyOpts.headers || {})
+  var path = url
+  var match = /^[a-z]+:\/\/([^/?#]+)(.*)$/i.exec(url)
+  if (match) {
+    if (!headers.host) headers.host = match[1]
+    path = match[2] || '/'
+  }
+  return callOrPromise(cb => verifyPresignedRequest(verifyOpts.method || 'GET', path, headers,
+                                                    credentialsLookup, verifyOpts, cb), cb)
+}
+
+// Query parameters of a presigned URL read by verifyPresignedUrl.
+const PRESIGNED_QUERY_PARAMS = ['X-Amz-Signature', 'X-Amz-Algorithm', 'X-Amz-Expires', 'X-Amz-SignedHeaders',
+                                'X-Amz-Date', 'X-Amz-Credential', 'X-Amz-Content-Sha256', 'X-Amz-Security-Token']
+
+function verifyPresignedRequest(method, path, headers, credentialsLookup, verifyOpts, cb) {
+  var malformed = SIGNATURE_FAILURES.MALFORMED_PRESIGNED_URL
+  var resource = path.split('?')[0]
+  var query = path.split('?')[1] || ''
+  var param = name => getQueryParam(query, name)
+  var malformedParam = _.find(PRESIGNED_QUERY_PARAMS, name => param(name) === null)
+  if (malformedParam) {
+    return cb(null, {valid: false, reason: malformed, message: `${malformedParam} is not properly escaped`})
+  }
+  var signature = param('X-Amz-Signature')
+  if (signature === undefined) {
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.MISSING_SIGNATURE,
+                     message: 'The URL is not presigned'})
+  }
+  var algorithm = param('X-Amz-Algorithm')
+  if (algorithm !== signV4Algorithm) {
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.UNSUPPORTED_ALGORITHM,
+                     message: `Unsupported signature algorithm: ${algorithm}`})
+  }
+  var expires = param('X-Amz-Expires')
+  if (!/^\d+$/.test(expires || '') || +expires < 1 || +expires > 604800) {
+    return cb(null, {valid: false, reason: malformed, message: `X-Amz-Expires should be between 1 and 604800 seconds, got ${expires}`})
+  }
+  var signedHeaders = (param('X-Amz-SignedHeaders') || '').split(';')
+  var amzDate = param('X-Amz-Date')
+  var checked = checkCredential(param('X-Amz-Credential'), amzDate, signedHeaders, headers, verifyOpts, malformed)
+  if (checked.failure) return cb(null, checked.failure)
+  var {date, scope} = checked
+
+  var now = verifyOpts.now || new Date()
+  var maxClockSkew = verifyOpts.maxClockSkew === undefined ? MAX_CLOCK_SKEW : verifyOpts.maxClockSkew
+  var expiresAt = new Date(date.getTime() + expires * 1000)
+  if (now.getTime() < date.getTime() - maxClockSkew * 1000) {
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.REQUEST_NOT_YET_VALID,
+                     message: `The URL is not valid before ${amzDate}`})
+  }
+  if (now.getTime() > expiresAt.getTime()) {
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.EXPIRED,
+                     message: `The URL expired at ${expiresAt.toISOString()}`})
+  }
+
+  // The signature is computed over the query without it.
+  var signedQuery = query.split('&').filter(element => element.split('=')[0] !== 'X-Amz-Signature').join('&')
+  var hashedPayload = param('X-Amz-Content-Sha256') || 'UNSIGNED-PAYLOAD'
+  var canonicalRequest = getCanonicalRequest(method, `${resource}?${signedQuery}`, headers, signedHeaders, hashedPayload)
+  var result = {
+    valid: true,
+    accessKey: scope.accessKey,
+    region: scope.region,
+    service: scope.service,
+    signedHeaders,
+    sessionToken: param('X-Amz-Security-Token') || null,
+    expires: expiresAt
+  }
+  checkSignature(secretKey => signRequest(canonicalRequest, date, scope, secretKey), signature,
+                 scope, result, credentialsLookup, cb)
+}
+
+// Fields of a POST upload which need no condition in its policy, along with
+// the fields starting with 'x-ignore-'. The bucket is usually given by the
+// URL rather than by the form.
+const POST_UNCHECKED_FIELDS = ['policy', 'x-amz-signature', 'file', 'bucket']
+
+// Checks the conditions of a POST policy against the fields of the form
+// and the size of the file. Returns a failure, null when they are met.
+function checkPolicyConditions(policy, fields, fileSize) {
+  var failure = (reason, message) => ({valid: false, reason, message})
+  if (!isArray(policy.conditions)) {
+    return failure(SIGNATURE_FAILURES.INVALID_POLICY, 'The policy has no conditions')
+  }
+  var checked = {}
+  for (var i = 0; i < policy.conditions.length; i++) {
+    var condition = policy.conditions[i]
+    // {"bucket": "name"} is a shorthand for ["eq", "$bucket", "name"]
+    if (isObject(condition) && !isArray(condition)) {
+      var keys = Object.keys(condition)
+      if (keys.length !== 1) {
+        return failure(SIGNATURE_FAILURES.INVALID_POLICY, `Invalid condition: ${JSON.stringify(condition)}`)
+      }
+      condition = ['eq', `$${keys[0]}`, condition[keys[0]]]
+    }
+    if (!isArray(condition) || condition.length !== 3) {
+      return failure(SIGNATURE_FAILURES.INVALID_POLICY, `Invalid condition: ${JSON.stringify(condition)}`)
+    }
+    var operator = `${condition[0]}`.toLowerCase()
+    if (operator === 'content-length-range') {
+      var min = +condition[1], max = +condition[2]
+      if (isNaN(min) || isNaN(max)) {
+        return failure(SIGNATURE_FAILURES.INVALID_POLICY, `Invalid condition: ${JSON.stringify(condition)}`)
+      }
+      if (fileSize < min) {
+        return failure(SIGNATURE_FAILURES.ENTITY_TOO_SMALL, `The file is smaller than the ${min} bytes allowed`)
+      }
+      if (fileSize > max) {
+        return failure(SIGNATURE_FAILURES.ENTITY_TOO_LARGE, `The file is larger than the ${max} bytes allowed`)
+      }
+      continue
+    }
+    if (!isString(condition[1]) || condition[1][0] !== '$' || !isString(condition[2])) {
+      return failure(SIGNATURE_FAILURES.INVALID_POLICY, `Invalid condition: ${JSON.stringify(condition)}`)
+    }
+    var name = condition[1].slice(1).toLowerCase()
+    var expected = condition[2]
+    var value = fields[name]
+    checked[name] = true
+    var met
+    if (operator === 'eq') {
+      met = value === expected
+    } else if (operator === 'starts-with') {
+      // Every value of a Content-Type listing several must match.
+      var values = name === 'content-type' && value !== undefined ? value.split(',') : [value]
+      met = values.every(value => value !== undefined && value.trim().indexOf(expected) === 0)
+    } else {
+      return failure(SIGNATURE_FAILURES.INVALID_POLICY, `Unsupported condition: ${condition[0]}`)
+    }
+    if (!met) {
+      return failure(SIGNATURE_FAILURES.POLICY_CONDITION_FAILED,
+                     `Policy condition failed: ${JSON.stringify(condition)}, got ${value === undefined ? 'no value' : JSON.stringify(value)}`)
+    }
+  }
+  var unchecked = _.find(Object.keys(fields), name => {
+    return !checked[name] && POST_UNCHECKED_FIELDS.indexOf(name) === -1 && name.indexOf('x-ignore-') !== 0
+  })
+  if (unchecked !== undefined) {
+    return failure(SIGNATURE_FAILURES.POLICY_CONDITION_FAILED, `Extra input field: ${unchecked}`)
+  }
+  return null
+}
+
+// Decodes a base64 POST policy and checks it against the fields of the
+// form and the size of the file. Returns a failure, null when it is met.
+function checkPolicy(policyBase64, fields, fileSize, now) {
+  var failure = (reason, message) => ({valid: false, reason, message})
+  var policy
+  try {
+    policy = JSON.parse(new Buffer(policyBase64, 'base64').toString())
+  } catch (e) {
+    return failure(SIGNATURE_FAILURES.INVALID_POLICY, 'The policy is not valid JSON')
+  }
+  if (!isObject(policy)) {
+    return failure(SIGNATURE_FAILURES.INVALID_POLICY, 'The policy is not a JSON object')
+  }
+  var expiration = new Date(policy.expiration)
+  if (!policy.expiration || isNaN(expiration.getTime())) {
+    return failure(SIGNATURE_FAILURES.INVALID_POLICY, `Invalid policy expiration: ${policy.expiration}`)
+  }
+  if (now.getTime() > expiration.getTime()) {
+    return failure(SIGNATURE_FAILURES.EXPIRED, `The policy expired at ${policy.expiration}`)
+  }
+  return checkPolicyConditions(policy, fields, fileSize)
+}
+
+// Verifies a browser upload to a presigned POST policy, such as those of
+// presignedPostPolicy: parses its multipart/form-data body, checks its
+// signature and the conditions of its policy.
+//
+// __Arguments__
+// * `request` _object_: the upload, with
+//   * `request.headers` _object_: headers of the request, along with its `content-type`
+//   * `request.body` _Buffer_: the whole body of the request
+// * `credentialsLookup(accessKey, callback)` _function_: calls `callback(err, secretKey)`, `secretKey` is null for unknown access keys
+// * `verifyOpts` _object_: Default is `{}`. (optional)
+//   * `verifyOpts.bucket` _string_: the bucket uploaded to, taken from the URL of the request. The `bucket` field of the form is used otherwise
+//   * `verifyOpts.region` _string_: region the policy must be signed for, any region by default
+//   * `verifyOpts.now` _Date_: time of the verification, default is now
+// * `callback(err, result)` _function_: `err` is only set when the lookup fails. `result.valid` is true for valid uploads, along with the `accessKey`, `region`, `bucket`, `key`, the `fields` of the form with lower case names and the uploaded `file`, `{filename, contentType, data}`. Otherwise `result.reason` is one of `SIGNATURE_FAILURES` and `result.message` describes it. A Promise is returned when no callback is given.
+export function verifyPostPolicy(request, credentialsLookup, verifyOpts = {}, cb) {
+  if (!isObject(request)) {
+    throw new TypeError('request should be of type "object"')
+  }
+  if (isFunction(verifyOpts)) {
+    cb = verifyOpts
+    verifyOpts = {}
+  }
+  validateVerifyArguments(credentialsLookup, verifyOpts, cb)
+  if (verifyOpts.bucket !== undefined && !isString(verifyOpts.bucket)) {
+    throw new TypeError('bucket should be of type "string"')
+  }
+  return callOrPromise(cb => verifyPostRequest(request, credentialsLookup, verifyOpts, cb), cb)
+}
+
+function verifyPostRequest(request, credentialsLookup, verifyOpts, cb) {
+  var malformed = SIGNATURE_FAILURES.MALFORMED_POST_REQUEST
+  var headers = normalizeHeaders(request.headers || {})
+  var form
+  try {
+    form = parseFormData(headers['content-type'] || '', request.body || new Buffer(0))
+  } catch (e) {
+    if (!(e instanceof errors.InvalidFormDataError)) throw e
+    return cb(null, {valid: false, reason: malformed, message: e.message})
+  }
+  var fields = Object.assign({}, form.fields)
+  if (verifyOpts.bucket) fields.bucket = verifyOpts.bucket
+  if (!form.file) {
+    return cb(null, {valid: false, reason: malformed, message: 'The form has no file field'})
+  }
+  if (!fields.key) {
+    return cb(null, {valid: false, reason: malformed, message: 'The form has no key field'})
+  }
+  // The key may refer to the name of the uploaded file.
+  fields.key = fields.key.replace(/\$\{filename\}/g, form.file.filename || '')
+  if (!fields.policy || !fields['x-amz-signature']) {
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.MISSING_SIGNATURE,
+                     message: 'The form has no policy or no signature'})
+  }
+  if (fields['x-amz-algorithm'] !== signV4Algorithm) {
+    return cb(null, {valid: false, reason: SIGNATURE_FAILURES.UNSUPPORTED_ALGORITHM,
+                     message: `Unsupported signature algorithm: ${fields['x-amz-algorithm']}`})
+  }
+  var checked = checkScope(fields['x-amz-credential'], fields['x-amz-date'], verifyOpts, malformed)
+  if (checked.failure) return cb(null, checked.failure)
+  var {date, scope} = checked
+
+  var result = {
+    valid: true,
+    accessKey: scope.accessKey,
+    region: scope.region,
+    bucket: fields.bucket || null,
+    key: fields.key,
+    sessionToken: fields['x-amz-security-token'] || null,
+    fields,
+    file: form.file
+  }
+  // The policy is only looked at once it is known to be signed.
+  var sign = secretKey => postPresignSignatureV4(scope.region, date, secretKey, fields.policy)
+  checkSignature(sign, fields['x-amz-signature'], scope, result, credentialsLookup, (e, result) => {
+    if (e || !result.valid) return cb(e, result)
+    var failure = checkPolicy(fields.policy, fields, form.file.data.length, verifyOpts.now || new Date())
+    cb(null, failure || result)
+  })
+}
@@ -0,0 +1,332 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Http from 'http'
+import Https from 'https'
+import Crypto from 'crypto'
+import querystring from 'querystring'
+import { isValidEndpoint, isValidPort, isBoolean, isString, isNumber, isObject,
+  isFunction, makeDateLong } from './helpers'
+import { signV4 } from './signing'
+import { CredentialProvider, Credentials, StaticProvider } from './credentials'
+import * as xmlParsers from './xml-parsers'
+import * as errors from './errors'
+
+const STS_VERSION = '2011-06-15'
+
+// STSClient requests temporary credentials from the security token
+// service of AWS or of a Minio server. The parameters are those of
+// Minio.Client: endPoint, port, useSSL, region, transport and the keys or
+// the credentialsProvider signing AssumeRole requests. The web identity
+// and client grants actions are not signed and need no keys.
+export class STSClient {
+  constructor(params) {
+    if (typeof params.useSSL === 'undefined') params.useSSL = true
+    if (!params.port) params.port = 0
+    if (!isValidEndpoint(params.endPoint)) {
+      throw new errors.InvalidEndpointError(`Invalid endPoint : ${params.endPoint}`)
+    }
+    if (!isValidPort(params.port)) {
+      throw new errors.InvalidArgumentError(`Invalid port : ${params.port}`)
+    }
+    if (!isBoolean(params.useSSL)) {
+      throw new errors.InvalidArgumentError(`Invalid useSSL flag type : ${params.useSSL}, expected to be of type "boolean"`)
+    }
+    if (params.region && !isString(params.region)) {
+      throw new errors.InvalidArgumentError(`Invalid region : ${params.region}`)
+    }
+    if (params.transport && !isObject(params.transport)) {
+      throw new errors.InvalidArgumentError(`Invalid transport type : ${params.transport}, expected to be type "object"`)
+    }
+    if (params.credentialsProvider && !isFunction(params.credentialsProvider.getCredentials)) {
+      throw new errors.InvalidArgumentError('Invalid credentialsProvider, getCredentials() should be implemented')
+    }
+
+    this.host = params.endPoint.toLowerCase()
+    this.protocol = params.useSSL ? 'https:' : 'http:'
+    this.port = params.port || (params.useSSL ? 443 : 80)
+    this.transport = params.transport || (params.useSSL ? Https : Http)
+    this.region = params.region || 'us-east-1'
+    this.credentialsProvider = params.credentialsProvider || new StaticProvider({
+      accessKey: params.accessKey,
+      secretKey: params.secretKey,
+      sessionToken: params.sessionToken
+    })
+  }
+
+  // Returns the credentials of the role `roleArn`, the request is signed
+  // with the keys of the client.
+  //
+  // __Arguments__
+  // * `opts.roleArn` _string_: ARN of the role to assume
+  // * `opts.roleSessionName` _string_: name identifying the session (optional)
+  // * `opts.durationSeconds` _number_: validity of the credentials, 900 to 43200 seconds (optional)
+  // * `opts.policy` _string|object_: policy restricting the permissions of the role (optional)
+  // * `opts.externalId` _string_: external ID required by the role (optional)
+  // * `callback(err, credentials)` _function_: credentials is a Minio.Credentials
+  assumeRole(opts, cb) {
+    if (!isObject(opts)) {
+      throw new TypeError('opts should be of type "object"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var params = getRoleParams(opts)
+    if (opts.externalId !== undefined) {
+      if (!isString(opts.externalId)) {
+        throw new TypeError('externalId should be of type "string"')
+      }
+      params.ExternalId = opts.externalId
+    }
+    this.request('AssumeRole', params, true, cb)
+  }
+
+  // Returns the credentials of a role for the JSON Web Token of an
+  // OpenID Connect provider.
+  //
+  // __Arguments__
+  // * `opts.webIdentityToken` _string_: the JWT of the identity provider
+  // * `opts.roleArn`, `opts.roleSessionName`, `opts.durationSeconds`, `opts.policy`: as for assumeRole (optional)
+  // * `callback(err, credentials)` _function_: credentials is a Minio.Credentials
+  assumeRoleWithWebIdentity(opts, cb) {
+    if (!isObject(opts)) {
+      throw new TypeError('opts should be of type "object"')
+    }
+    if (!isString(opts.webIdentityToken) || !opts.webIdentityToken) {
+      throw new errors.InvalidArgumentError('webIdentityToken should be a non empty "string"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var params = getRoleParams(opts)
+    params.WebIdentityToken = opts.webIdentityToken
+    this.request('AssumeRoleWithWebIdentity', params, false, cb)
+  }
+
+  // Returns the credentials for the access token of an OAuth2 client
+  // grants flow, a Minio extension of STS.
+  //
+  // __Arguments__
+  // * `opts.token` _string_: the access token of the identity provider
+  // * `opts.durationSeconds`, `opts.policy`: as for assumeRole (optional)
+  // * `callback(err, credentials)` _function_: credentials is a Minio.Credentials
+  assumeRoleWithClientGrants(opts, cb) {
+    if (!isObject(opts)) {
+      throw new TypeError('opts should be of type "object"')
+    }
+    if (!isString(opts.token) || !opts.token) {
+      throw new errors.InvalidArgumentError('token should be a non empty "string"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var params = getRoleParams(opts)
+    params.Token = opts.token
+    this.request('AssumeRoleWithClientGrants', params, false, cb)
+  }
+
+  // Sends the STS action as a form encoded POST and calls cb with the
+  // credentials of the response.
+  request(action, params, signed, cb) {
+    var body = querystring.stringify(Object.assign({Action: action, Version: STS_VERSION}, params))
+    var reqOptions = {
+      method: 'POST',
+      protocol: this.protocol,
+      host: this.host,
+      port: this.port,
+      path: '/',
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+        'content-length': Buffer.byteLength(body)
+      }
+    }
+    reqOptions.headers.host = this.host
+    if ((this.protocol === 'http:' && this.port !== 80) ||
+        (this.protocol === 'https:' && this.port !== 443)) {
+      reqOptions.headers.host = `${this.host}:${this.port}`
+    }
+
+    var send = () => {
+      // The request and the response may both fail, e.g. on a connection
+      // reset, cb is only called once.
+      var responded = false
+      var done = (e, credentials) => {
+        if (responded) return
+        responded = true
+        cb(e, credentials)
+      }
+      var req = this.transport.request(reqOptions, response => {
+        var chunks = []
+        response.on('data', chunk => chunks.push(chunk))
+        response.on('error', done)
+        response.on('end', () => {
+          var xml = Buffer.concat(chunks).toString()
+          var error, result
+          try {
+            if (response.statusCode === 200) {
+              result = xmlParsers.parseAssumeRole(xml)
+            } else if (xml) {
+              error = xmlParsers.parseSTSError(xml)
+            } else {
+              error = new errors.S3Error(`${action} failed with status ${response.statusCode}`)
+            }
+          } catch (e) {
+            error = e
+          }
+          if (error) return done(error)
+          done(null, new Credentials(result))
+        })
+      })
+      req.on('error', done)
+      req.end(body)
+    }
+
+    if (!signed) return send()
+    this.credentialsProvider.getCredentials((e, credentials) => {
+      if (e) return cb(e)
+      if (!credentials.accessKey || !credentials.secretKey) {
+        return cb(new errors.AnonymousRequestError(`${action} cannot be requested with anonymous credentials`))
+      }
+      var date = new Date()
+      reqOptions.headers['x-amz-date'] = makeDateLong(date)
+      reqOptions.headers['x-amz-content-sha256'] = Crypto.createHash('sha256').update(body).digest('hex')
+      if (credentials.sessionToken) {
+        reqOptions.headers['x-amz-security-token'] = credentials.sessionToken
+      }
+      try {
+        reqOptions.headers.authorization = signV4(reqOptions, credentials.accessKey, credentials.secretKey,
+                                                  this.region, date, 'sts')
+      } catch (e) {
+        return cb(e)
+      }
+      send()
+    })
+  }
+}
+
+// Returns the request parameters shared by the AssumeRole* actions.
+function getRoleParams(opts) {
+  var params = {}
+  if (opts.roleArn !== undefined) {
+    if (!isString(opts.roleArn)) {
+      throw new TypeError('roleArn should be of type "string"')
+    }
+    params.RoleArn = opts.roleArn
+  }
+  if (opts.roleSessionName !== undefined) {
+    if (!isString(opts.roleSessionName)) {
+      throw new TypeError('roleSessionName should be of type "string"')
+    }
+    params.RoleSessionName = opts.roleSessionName
+  }
+  if (opts.durationSeconds !== undefined) {
+    if (!isNumber(opts.durationSeconds) || opts.durationSeconds < 900 || opts.durationSeconds > 43200) {
+      throw new errors.InvalidArgumentError(`durationSeconds should be between 900 and 43200, got ${opts.durationSeconds}`)
+    }
+    params.DurationSeconds = opts.durationSeconds
+  }
+  if (opts.policy !== undefined) {
+    if (!isString(opts.policy) && !isObject(opts.policy)) {
+      throw new TypeError('policy should be of type "string" or "object"')
+    }
+    params.Policy = isString(opts.policy) ? opts.policy : JSON.stringify(opts.policy)
+  }
+  return params
+}
+
+// AssumeRoleProvider provides the credentials of a role assumed through
+// stsClient, `assumeOpts` are the options of STSClient.assumeRole. The
+// role is assumed again when the credentials expire.
+export class AssumeRoleProvider extends CredentialProvider {
+  constructor(stsClient, assumeOpts, params = {}) {
+    super(params)
+    if (!(stsClient instanceof STSClient)) {
+      throw new TypeError('stsClient should be of type "STSClient"')
+    }
+    this.stsClient = stsClient
+    this.assumeOpts = assumeOpts
+    // Validate the options once now rather than on every refresh.
+    getRoleParams(assumeOpts)
+  }
+
+  retrieve(cb) {
+    this.stsClient.assumeRole(this.assumeOpts, cb)
+  }
+}
+
+// WebIdentityProvider provides the credentials of a role for a web
+// identity token. `assumeOpts.webIdentityToken` is either the token or a
+// function(cb) calling back with a fresh token, since the tokens of
+// identity providers usually expire sooner than the credentials.
+export class WebIdentityProvider extends CredentialProvider {
+  constructor(stsClient, assumeOpts, params = {}) {
+    super(params)
+    if (!(stsClient instanceof STSClient)) {
+      throw new TypeError('stsClient should be of type "STSClient"')
+    }
+    if (!isString(assumeOpts.webIdentityToken) && !isFunction(assumeOpts.webIdentityToken)) {
+      throw new TypeError('webIdentityToken should be of type "string" or "function"')
+    }
+    this.stsClient = stsClient
+    this.assumeOpts = assumeOpts
+  }
+
+  retrieve(cb) {
+    getToken(this.assumeOpts.webIdentityToken, (e, webIdentityToken) => {
+      if (e) return cb(e)
+      var opts = Object.assign({}, this.assumeOpts, {webIdentityToken})
+      try {
+        this.stsClient.assumeRoleWithWebIdentity(opts, cb)
+      } catch (e) {
+        cb(e)
+      }
+    })
+  }
+}
+
+// ClientGrantsProvider provides the credentials for the access token of
+// a client grants flow. `assumeOpts.token` is either the token or a
+// function(cb) calling back with a fresh token.
+export class ClientGrantsProvider extends CredentialProvider {
+  constructor(stsClient, assumeOpts, params = {}) {
+    super(params)
+    if (!(stsClient instanceof STSClient)) {
+      throw new TypeError('stsClient should be of type "STSClient"')
+    }
+    if (!isString(assumeOpts.token) && !isFunction(assumeOpts.token)) {
+      throw new TypeError('token should be of type "string" or "function"')
+    }
+    this.stsClient = stsClient
+    this.assumeOpts = assumeOpts
+  }
+
+  retrieve(cb) {
+    getToken(this.assumeOpts.token, (e, token) => {
+      if (e) return cb(e)
+      var opts = Object.assign({}, this.assumeOpts, {token})
+      try {
+        this.stsClient.assumeRoleWithClientGrants(opts, cb)
+      } catch (e) {
+        cb(e)
+      }
+    })
+  }
+}
+
+function getToken(token, cb) {
+  if (isFunction(token)) return token(cb)
+  cb(null, token)
+}
@@ -0,0 +1,730 @@
+/*
+ * Minio Javascript Library for Amazon S3 Compatible Cloud Storage, (C) 2018 Minio, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Http from 'http'
+import Url from 'url'
+import Crypto from 'crypto'
+import xml2js from 'xml2js'
+import ExtendableError from 'es6-error'
+import { Client } from './minio'
+import { STREAMING_PAYLOAD, decodeChunkedPayload } from './signing'
+import { isValidBucketName, isAmzHeader, isSupportedHeader, isStorageclassHeader,
+  isNumber, isFunction, promisify } from './helpers'
+
+// Subresources of buckets and objects the server does not emulate, their
+// requests fail with NotImplemented.
+const NOT_IMPLEMENTED = ['versioning', 'versions', 'versionId', 'lifecycle', 'tagging', 'encryption',
+                         'object-lock', 'retention', 'legal-hold', 'select', 'acl', 'cors', 'events']
+
+const MIN_PART_SIZE = 5 * 1024 * 1024
+
+const OWNER = {ID: 'minio', DisplayName: 'minio'}
+
+// ResponseError carries the status and the code of the error response sent.
+class ResponseError extends ExtendableError {
+  constructor(statusCode, code, message) {
+    super(message)
+    this.statusCode = statusCode
+    this.code = code
+  }
+}
+
+function md5(data) {
+  return Crypto.createHash('md5').update(data).digest('hex')
+}
+
+function buildXml(rootName, obj) {
+  var builder = new xml2js.Builder({rootName, renderOpts:{'pretty':false}})
+  return builder.buildObject(obj)
+}
+
+// Returns the metadata of an object given in the headers of a request.
+function getMetaData(headers) {
+  var metaData = {}
+  Object.keys(headers).forEach(key => {
+    if (key === 'x-amz-tagging' || key.startsWith('x-amz-server-side-encryption')) return
+    if (isAmzHeader(key) || isSupportedHeader(key) || isStorageclassHeader(key)) {
+      metaData[key] = headers[key]
+    }
+  })
+  // aws-chunked only tells how the payload was sent.
+  if (metaData['content-encoding']) {
+    var encodings = metaData['content-encoding'].split(',').filter(encoding => encoding.trim() !== 'aws-chunked')
+    if (encodings.length) metaData['content-encoding'] = encodings.join(',')
+    else delete metaData['content-encoding']
+  }
+  if (!metaData['content-type']) metaData['content-type'] = 'binary/octet-stream'
+  return metaData
+}
+
+// Parses the Range header of a GET request given the size of the object,
+// returns null when the whole object is asked for.
+function parseRange(range, size) {
+  if (!range) return null
+  var match = /^bytes=(\d*)-(\d*)$/.exec(range)
+  if (!match || (!match[1] && !match[2])) return null
+  var start, end
+  if (!match[1]) {
+    start = Math.max(size - +match[2], 0)
+    end = size - 1
+  } else {
+    start = +match[1]
+    end = match[2] ? Math.min(+match[2], size - 1) : size - 1
+  }
+  if (start >= size || start > end) {
+    throw new ResponseError(416, 'InvalidRange', 'The requested range is not satisfiable')
+  }
+  return {start, end}
+}
+
+// Lists the sorted keys after `after` and starting with `prefix`, keys
+// sharing a prefix up to the next delimiter are grouped as a common
+// prefix. At most maxKeys keys and common prefixes are returned.
+function listKeys(keys, {prefix, delimiter, after, maxKeys}) {
+  var result = {keys: [], prefixes: [], isTruncated: false, next: null}
+  var count = 0
+  keys.sort()
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i]
+    if (!key.startsWith(prefix) || (after && key <= after)) continue
+    var commonPrefix = null
+    if (delimiter) {
+      var index = key.indexOf(delimiter, prefix.length)
+      if (index !== -1) commonPrefix = key.slice(0, index + delimiter.length)
+    }
+    // Keys of the common prefix listed last on the previous page.
+    if (commonPrefix && after && after.startsWith(commonPrefix)) continue
+    if (commonPrefix && commonPrefix === result.prefixes[result.prefixes.length - 1]) continue
+    if (count === maxKeys) {
+      result.isTruncated = true
+      break
+    }
+    count++
+    if (commonPrefix) {
+      result.prefixes.push(commonPrefix)
+      result.next = commonPrefix
+    } else {
+      result.keys.push(key)
+      result.next = key
+    }
+  }
+  return result
+}
+
+function getMaxKeys(value, defaultValue) {
+  if (value === undefined) return defaultValue
+  var maxKeys = parseInt(value, 10)
+  if (isNaN(maxKeys) || maxKeys < 0) {
+    throw new ResponseError(400, 'InvalidArgument', `Invalid max keys: ${value}`)
+  }
+  return Math.min(maxKeys, defaultValue)
+}
+
+// TestServer is an in-memory server emulating the S3 API used by Client,
+// to test code built on Client without a real server:
+//
+// * buckets: make, list, head, remove and location
+// * objects: put, get with ranges, head, copy, remove and remove many
+// * multipart uploads: initiate, upload and copy parts, list parts,
+//   complete, abort and list the uploads in progress
+// * listing objects with ListObjects and ListObjectsV2
+// * storage of bucket policies and notification configurations
+//
+// Requests are not authenticated and the server side encryption headers
+// are ignored. Other APIs, such as versioning or tagging, fail with
+// NotImplemented.
+export class TestServer {
+  constructor(options = {}) {
+    this.accessKey = options.accessKey || 'minio'
+    this.secretKey = options.secretKey || 'minio123'
+    this.region = options.region || 'us-east-1'
+    this.buckets = {}
+    this.uploadCount = 0
+    this.requestCount = 0
+    this.server = Http.createServer((req, res) => this.handleRequest(req, res))
+  }
+
+  // Start listening on 127.0.0.1.
+  //
+  // __Arguments__
+  // * `port` _number_: port to listen on, a free port is picked by default (optional)
+  // * `callback(err)` _function_: called once the server is listening
+  listen(port, cb) {
+    if (isFunction(port)) {
+      cb = port
+      port = 0
+    }
+    if (!isNumber(port)) {
+      throw new TypeError('port should be of type "number"')
+    }
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    var onError = e => cb(e)
+    this.server.once('error', onError)
+    this.server.listen(port, '127.0.0.1', () => {
+      this.server.removeListener('error', onError)
+      this.port = this.server.address().port
+      cb(null)
+    })
+  }
+
+  // Stop listening, the buckets are kept.
+  close(cb) {
+    if (!isFunction(cb)) {
+      throw new TypeError('callback should be of type "function"')
+    }
+    this.server.close(e => cb(e || null))
+  }
+
+  // Remove all the buckets and their objects.
+  reset() {
+    this.buckets = {}
+  }
+
+  // Returns a Client of the server, clientOpts are passed on to the
+  // Client constructor.
+  getClient(clientOpts = {}) {
+    if (!this.port) {
+      throw new Error('The server is not listening')
+    }
+    return new Client(Object.assign({
+      endPoint: '127.0.0.1',
+      port: this.port,
+      useSSL: false,
+      accessKey: this.accessKey,
+      secretKey: this.secretKey,
+      region: this.region
+    }, clientOpts))
+  }
+
+  handleRequest(req, res) {
+    var chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      var url = Url.parse(req.url, true)
+      var path = url.pathname.slice(1)
+      var index = path.indexOf('/')
+      var request = {
+        method: req.method,
+        headers: req.headers,
+        query: url.query,
+        body: Buffer.concat(chunks),
+        bucketName: decodeURIComponent(index === -1 ? path : path.slice(0, index)),
+        objectName: index === -1 ? '' : decodeURIComponent(path.slice(index + 1)),
+        resource: decodeURIComponent(url.pathname)
+      }
+      res.setHeader('x-amz-request-id', `${++this.requestCount}`)
+      try {
+        this.route(request, res)
+      } catch (e) {
+        var error = e instanceof ResponseError ? e : new ResponseError(500, 'InternalError', e.message)
+        this.sendError(request, res, error)
+      }
+    })
+  }
+
+  sendError(request, res, e) {
+    res.statusCode = e.statusCode
+    if (request.method === 'HEAD') return res.end()
+    res.setHeader('Content-Type', 'application/xml')
+    res.end(buildXml('Error', {
+      Code: e.code,
+      Message: e.message,
+      Resource: request.resource,
+      RequestId: res.getHeader('x-amz-request-id')
+    }))
+  }
+
+  sendXml(res, rootName, obj) {
+    res.setHeader('Content-Type', 'application/xml')
+    res.end(buildXml(rootName, obj))
+  }
+
+  route(request, res) {
+    var {method, query, bucketName, objectName} = request
+    if (NOT_IMPLEMENTED.some(subresource => subresource in query)) {
+      throw new ResponseError(501, 'NotImplemented', 'A header you provided implies functionality that is not implemented')
+    }
+    if (!bucketName) {
+      if (method !== 'GET') throw new ResponseError(405, 'MethodNotAllowed', 'The specified method is not allowed')
+      return this.listBuckets(request, res)
+    }
+    if (method === 'PUT' && !objectName && !('policy' in query) && !('notification' in query)) {
+      return this.makeBucket(request, res)
+    }
+    var bucket = this.buckets[bucketName]
+    if (!bucket) throw new ResponseError(404, 'NoSuchBucket', 'The specified bucket does not exist')
+    if (objectName) return this.routeObject(request, res, bucket)
+
+    if ('location' in query) {
+      return this.sendXml(res, 'LocationConstraint', bucket.region)
+    }
+    if ('policy' in query) return this.handlePolicy(request, res, bucket)
+    if ('notification' in query) return this.handleNotification(request, res, bucket)
+    if (method === 'POST' && 'delete' in query) return this.removeObjects(request, res, bucket)
+    if (method === 'GET' && 'uploads' in query) return this.listMultipartUploads(request, res, bucket)
+    if (method === 'GET' && query['list-type'] === '2') return this.listObjectsV2(request, res, bucket)
+    if (method === 'GET') return this.listObjects(request, res, bucket)
+    if (method === 'HEAD') return res.end()
+    if (method === 'DELETE') return this.removeBucket(request, res, bucket)
+    throw new ResponseError(405, 'MethodNotAllowed', 'The specified method is not allowed')
+  }
+
+  routeObject(request, res, bucket) {
+    var {method, query, headers} = request
+    if (method === 'POST' && 'uploads' in query) return this.initiateMultipartUpload(request, res, bucket)
+    if ('uploadId' in query) {
+      var upload = bucket.uploads[query.uploadId]
+      if (!upload || upload.key !== request.objectName) {
+        throw new ResponseError(404, 'NoSuchUpload', 'The specified multipart upload does not exist')
+      }
+      if (method === 'PUT') return this.uploadPart(request, res, bucket, upload)
+      if (method === 'POST') return this.completeMultipartUpload(request, res, bucket, upload)
+      if (method === 'GET') return this.listParts(request, res, upload)
+      if (method === 'DELETE') {
+        delete bucket.uploads[query.uploadId]
+        res.statusCode = 204
+        return res.end()
+      }
+    }
+    if (method === 'PUT' && headers['x-amz-copy-source']) return this.copyObject(request, res, bucket)
+    if (method === 'PUT') return this.putObject(request, res, bucket)
+    if (method === 'GET' || method === 'HEAD') return this.getObject(request, res, bucket)
+    if (method === 'DELETE') {
+      delete bucket.objects[request.objectName]
+      res.statusCode = 204
+      return res.end()
+    }
+    throw new ResponseError(405, 'MethodNotAllowed', 'The specified method is not allowed')
+  }
+
+  listBuckets(request, res) {
+    var buckets = Object.keys(this.buckets).sort().map(name => ({
+      Name: name,
+      CreationDate: this.buckets[name].creationDate.toISOString()
+    }))
+    this.sendXml(res, 'ListAllMyBucketsResult', {Owner: OWNER, Buckets: {Bucket: buckets}})
+  }
+
+  makeBucket(request, res) {
+    var bucketName = request.bucketName
+    if (!isValidBucketName(bucketName)) {
+      throw new ResponseError(400, 'InvalidBucketName', 'The specified bucket is not valid')
+    }
+    if (this.buckets[bucketName]) {
+      throw new ResponseError(409, 'BucketAlreadyOwnedByYou', 'Your previous request to create the named bucket succeeded and you already own it')
+    }
+    var region = 'us-east-1'
+    var match = /<LocationConstraint>([^<]*)<\/LocationConstraint>/.exec(request.body.toString())
+    if (match && match[1]) region = match[1]
+    this.buckets[bucketName] = {
+      creationDate: new Date(),
+      region,
+      objects: {},
+      uploads: {},
+      policy: null,
+      notification: null
+    }
+    res.setHeader('Location', `/${bucketName}`)
+    res.end()
+  }
+
+  removeBucket(request, res, bucket) {
+    if (Object.keys(bucket.objects).length) {
+      throw new ResponseError(409, 'BucketNotEmpty', 'The bucket you tried to delete is not empty')
+    }
+    delete this.buckets[request.bucketName]
+    res.statusCode = 204
+    res.end()
+  }
+
+  handlePolicy(request, res, bucket) {
+    switch (request.method) {
+    case 'PUT':
+      try {
+        JSON.parse(request.body.toString())
+      } catch (e) {
+        throw new ResponseError(400, 'MalformedPolicy', 'Policies must be valid JSON')
+      }
+      bucket.policy = request.body.toString()
+      res.statusCode = 204
+      return res.end()
+    case 'GET':
+      if (!bucket.policy) throw new ResponseError(404, 'NoSuchBucketPolicy', 'The bucket policy does not exist')
+      res.setHeader('Content-Type', 'application/json')
+      return res.end(bucket.policy)
+    case 'DELETE':
+      bucket.policy = null
+      res.statusCode = 204
+      return res.end()
+    }
+    throw new ResponseError(405, 'MethodNotAllowed', 'The specified method is not allowed')
+  }
+
+  handleNotification(request, res, bucket) {
+    switch (request.method) {
+    case 'PUT':
+      bucket.notification = request.body.toString()
+      return res.end()
+    case 'GET':
+      res.setHeader('Content-Type', 'application/xml')
+      return res.end(bucket.notification || buildXml('NotificationConfiguration', {}))
+    }
+    throw new ResponseError(405, 'MethodNotAllowed', 'The specified method is not allowed')
+  }
+
+  // Returns the body of a PUT, checking its Content-MD5. Payloads signed
+  // as they are streamed are decoded, their signatures are not checked.
+  getBody(request) {
+    var body = request.body
+    if (request.headers['x-amz-content-sha256'] === STREAMING_PAYLOAD) {
+      try {
+        body = Buffer.concat(decodeChunkedPayload(body).map(chunk => chunk.data))
+      } catch (e) {
+        throw new ResponseError(400, 'IncompleteBody', e.message)
+      }
+      if (`${body.length}` !== request.headers['x-amz-decoded-content-length']) {
+        throw new ResponseError(400, 'IncompleteBody', 'You did not provide the number of bytes specified by the x-amz-decoded-content-length header')
+      }
+    }
+    var contentMD5 = request.headers['content-md5']
+    if (contentMD5 && Crypto.createHash('md5').update(body).digest('base64') !== contentMD5) {
+      throw new ResponseError(400, 'BadDigest', 'The Content-MD5 you specified did not match what we received')
+    }
+    return body
+  }
+
+  putObject(request, res, bucket) {
+    var data = this.getBody(request)
+    var object = {
+      data,
+      etag: md5(data),
+      lastModified: new Date(),
+      metaData: getMetaData(request.headers)
+    }
+    bucket.objects[request.objectName] = object
+    res.setHeader('ETag', `"${object.etag}"`)
+    res.end()
+  }
+
+  getObject(request, res, bucket) {
+    var object = bucket.objects[request.objectName]
+    if (!object) throw new ResponseError(404, 'NoSuchKey', 'The specified key does not exist')
+    var range = parseRange(request.headers.range, object.data.length)
+    var data = range ? object.data.slice(range.start, range.end + 1) : object.data
+    Object.keys(object.metaData).forEach(key => res.setHeader(key, object.metaData[key]))
+    res.setHeader('ETag', `"${object.etag}"`)
+    res.setHeader('Last-Modified', object.lastModified.toUTCString())
+    res.setHeader('Accept-Ranges', 'bytes')
+    res.setHeader('Content-Length', data.length)
+    if (range) {
+      res.statusCode = 206
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${object.data.length}`)
+    }
+    res.end(request.method === 'HEAD' ? undefined : data)
+  }
+
+  // Returns the source object of a copy, checking its copy conditions.
+  getCopySource(request) {
+    var headers = request.headers
+    var copySource = decodeURIComponent(headers['x-amz-copy-source']).replace(/^\//, '')
+    if (copySource.indexOf('?versionId=') !== -1) {
+      throw new ResponseError(501, 'NotImplemented', 'Versioning is not implemented')
+    }
+    var index = copySource.indexOf('/')
+    var bucket = index === -1 ? null : this.buckets[copySource.slice(0, index)]
+    if (!bucket) throw new ResponseError(404, 'NoSuchBucket', 'The specified bucket does not exist')
+    var objectName = copySource.slice(index + 1)
+    var object = bucket.objects[objectName]
+    if (!object) throw new ResponseError(404, 'NoSuchKey', 'The specified key does not exist')
+    var ifMatch = headers['x-amz-copy-source-if-match']
+    var ifNoneMatch = headers['x-amz-copy-source-if-none-match']
+    var ifModifiedSince = headers['x-amz-copy-source-if-modified-since']
+    var ifUnmodifiedSince = headers['x-amz-copy-source-if-unmodified-since']
+    var lastModified = Math.floor(object.lastModified.getTime() / 1000) * 1000
+    if ((ifMatch && ifMatch.replace(/"/g, '') !== object.etag) ||
+        (ifNoneMatch && ifNoneMatch.replace(/"/g, '') === object.etag) ||
+        (ifModifiedSince && lastModified <= new Date(ifModifiedSince).getTime()) ||
+        (ifUnmodifiedSince && lastModified > new Date(ifUnmodifiedSince).getTime())) {
+      throw new ResponseError(412, 'PreconditionFailed', 'At least one of the pre-conditions you specified did not hold')
+    }
+    return {bucketName: copySource.slice(0, index), objectName, object}
+  }
+
+  copyObject(request, res, bucket) {
+    var source = this.getCopySource(request)
+    var headers = request.headers
+    var replace = headers['x-amz-metadata-directive'] === 'REPLACE'
+    var sameObject = source.bucketName === request.bucketName && source.objectName === request.objectName
+    if (sameObject && !replace && !headers['x-amz-storage-class']) {
+      throw new ResponseError(400, 'InvalidRequest', 'This copy request is illegal because it is trying to copy an object to itself without changing the object\'s metadata, storage class, website redirect location or encryption attributes.')
+    }
+    var metaData = replace ? getMetaData(headers) : Object.assign({}, source.object.metaData)
+    if (headers['x-amz-storage-class']) metaData['x-amz-storage-class'] = headers['x-amz-storage-class']
+    var object = {
+      data: source.object.data,
+      etag: source.object.etag,
+      lastModified: new Date(),
+      metaData
+    }
+    bucket.objects[request.objectName] = object
+    this.sendXml(res, 'CopyObjectResult', {
+      LastModified: object.lastModified.toISOString(),
+      ETag: `"${object.etag}"`
+    })
+  }
+
+  initiateMultipartUpload(request, res, bucket) {
+    var uploadId = Crypto.createHash('sha256').update(`${request.objectName}-${++this.uploadCount}-${Date.now()}`).digest('hex')
+    bucket.uploads[uploadId] = {
+      key: request.objectName,
+      uploadId,
+      initiated: new Date(),
+      metaData: getMetaData(request.headers),
+      parts: {}
+    }
+    this.sendXml(res, 'InitiateMultipartUploadResult', {
+      Bucket: request.bucketName,
+      Key: request.objectName,
+      UploadId: uploadId
+    })
+  }
+
+  uploadPart(request, res, bucket, upload) {
+    var partNumber = parseInt(request.query.partNumber, 10)
+    if (!(partNumber >= 1 && partNumber <= 10000)) {
+      throw new ResponseError(400, 'InvalidArgument', 'Part number must be an integer between 1 and 10000, inclusive')
+    }
+    var data
+    var copySource = request.headers['x-amz-copy-source']
+    if (copySource) {
+      data = this.getCopySource(request).object.data
+      var range = request.headers['x-amz-copy-source-range']
+      if (range) {
+        var match = /^bytes=(\d+)-(\d+)$/.exec(range)
+        if (!match || +match[1] > +match[2] || +match[2] >= data.length) {
+          throw new ResponseError(400, 'InvalidArgument', 'The x-amz-copy-source-range value must be of the form bytes=first-last where first and last are the zero-based offsets of the first and last bytes to copy')
+        }
+        data = data.slice(+match[1], +match[2] + 1)
+      }
+    } else {
+      data = this.getBody(request)
+    }
+    var part = {data, etag: md5(data), lastModified: new Date()}
+    upload.parts[partNumber] = part
+    if (!copySource) {
+      res.setHeader('ETag', `"${part.etag}"`)
+      return res.end()
+    }
+    this.sendXml(res, 'CopyPartResult', {
+      LastModified: part.lastModified.toISOString(),
+      ETag: `"${part.etag}"`
+    })
+  }
+
+  listParts(request, res, upload) {
+    var marker = parseInt(request.query['part-number-marker'] || '0', 10)
+    var maxParts = getMaxKeys(request.query['max-parts'], 1000)
+    var partNumbers = Object.keys(upload.parts).map(Number).filter(n => n > marker).sort((a, b) => a - b)
+    var listed = partNumbers.slice(0, maxParts)
+    var result = {
+      Bucket: request.bucketName,
+      Key: upload.key,
+      UploadId: upload.uploadId,
+      PartNumberMarker: marker,
+      MaxParts: maxParts,
+      IsTruncated: listed.length < partNumbers.length,
+      Part: listed.map(n => ({
+        PartNumber: n,
+        LastModified: upload.parts[n].lastModified.toISOString(),
+        ETag: `"${upload.parts[n].etag}"`,
+        Size: upload.parts[n].data.length
+      }))
+    }
+    if (result.IsTruncated) result.NextPartNumberMarker = listed[listed.length - 1]
+    this.sendXml(res, 'ListPartsResult', result)
+  }
+
+  completeMultipartUpload(request, res, bucket, upload) {
+    var parts = []
+    var regexp = /<Part>\s*<PartNumber>(\d+)<\/PartNumber>\s*<ETag>([^<]*)<\/ETag>\s*<\/Part>/g
+    var match
+    while ((match = regexp.exec(request.body.toString())) !== null) {
+      parts.push({partNumber: +match[1], etag: match[2].replace(/&quot;|"/g, '')})
+    }
+    if (!parts.length) {
+      throw new ResponseError(400, 'MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema')
+    }
+    var datas = []
+    parts.forEach((part, i) => {
+      var uploaded = upload.parts[part.partNumber]
+      if (!uploaded || uploaded.etag !== part.etag) {
+        throw new ResponseError(400, 'InvalidPart', 'One or more of the specified parts could not be found')
+      }
+      if (i > 0 && part.partNumber <= parts[i - 1].partNumber) {
+        throw new ResponseError(400, 'InvalidPartOrder', 'The list of parts was not in ascending order')
+      }
+      if (i < parts.length - 1 && uploaded.data.length < MIN_PART_SIZE) {
+        throw new ResponseError(400, 'EntityTooSmall', 'Your proposed upload is smaller than the minimum allowed object size')
+      }
+      datas.push(uploaded.data)
+    })
+    var digests = parts.map(part => new Buffer(part.etag, 'hex'))
+    var object = {
+      data: Buffer.concat(datas),
+      etag: `${md5(Buffer.concat(digests))}-${parts.length}`,
+      lastModified: new Date(),
+      metaData: upload.metaData
+    }
+    bucket.objects[upload.key] = object
+    delete bucket.uploads[upload.uploadId]
+    this.sendXml(res, 'CompleteMultipartUploadResult', {
+      Location: `http://127.0.0.1:${this.port}/${request.bucketName}/${upload.key}`,
+      Bucket: request.bucketName,
+      Key: upload.key,
+      ETag: `"${object.etag}"`
+    })
+  }
+
+  listMultipartUploads(request, res, bucket) {
+    var query = request.query
+    var prefix = query.prefix || ''
+    var delimiter = query.delimiter || ''
+    var maxUploads = getMaxKeys(query['max-uploads'], 1000)
+    // Uploads are listed by key then by upload id.
+    var uploads = Object.keys(bucket.uploads).map(id => bucket.uploads[id])
+    var after = query['key-marker'] || ''
+    var uploadIdMarker = query['upload-id-marker'] || ''
+    var entries = uploads.map(upload => `${upload.key}\n${upload.uploadId}`)
+    var listed = listKeys(entries, {prefix, delimiter, after: after && `${after}\n${uploadIdMarker || '\uffff'}`, maxKeys: maxUploads})
+    var result = {
+      Bucket: request.bucketName,
+      KeyMarker: after,
+      UploadIdMarker: uploadIdMarker,
+      Prefix: prefix,
+      MaxUploads: maxUploads,
+      IsTruncated: listed.isTruncated,
+      Upload: listed.keys.map(entry => {
+        var upload = bucket.uploads[entry.split('\n')[1]]
+        return {Key: upload.key, UploadId: upload.uploadId, Initiator: OWNER, Owner: OWNER,
+                StorageClass: 'STANDARD', Initiated: upload.initiated.toISOString()}
+      }),
+      CommonPrefixes: listed.prefixes.map(p => ({Prefix: p}))
+    }
+    if (delimiter) result.Delimiter = delimiter
+    if (listed.isTruncated) {
+      var next = listed.next.split('\n')
+      result.NextKeyMarker = next[0]
+      result.NextUploadIdMarker = next[1] || ''
+    }
+    this.sendXml(res, 'ListMultipartUploadsResult', result)
+  }
+
+  getContents(bucket, key, extra) {
+    var object = bucket.objects[key]
+    return Object.assign({
+      Key: key,
+      LastModified: object.lastModified.toISOString(),
+      ETag: `"${object.etag}"`,
+      Size: object.data.length,
+      StorageClass: object.metaData['x-amz-storage-class'] || 'STANDARD'
+    }, extra)
+  }
+
+  listObjects(request, res, bucket) {
+    var query = request.query
+    var prefix = query.prefix || ''
+    var delimiter = query.delimiter || ''
+    var maxKeys = getMaxKeys(query['max-keys'], 1000)
+    var listed = listKeys(Object.keys(bucket.objects), {prefix, delimiter, after: query.marker || '', maxKeys})
+    var result = {
+      Name: request.bucketName,
+      Prefix: prefix,
+      Marker: query.marker || '',
+      MaxKeys: maxKeys,
+      IsTruncated: listed.isTruncated,
+      Contents: listed.keys.map(key => this.getContents(bucket, key, {Owner: OWNER})),
+      CommonPrefixes: listed.prefixes.map(p => ({Prefix: p}))
+    }
+    if (delimiter) result.Delimiter = delimiter
+    if (listed.isTruncated) result.NextMarker = listed.next
+    this.sendXml(res, 'ListBucketResult', result)
+  }
+
+  listObjectsV2(request, res, bucket) {
+    var query = request.query
+    var prefix = query.prefix || ''
+    var delimiter = query.delimiter || ''
+    var maxKeys = getMaxKeys(query['max-keys'], 1000)
+    var after = query['start-after'] || ''
+    var token = query['continuation-token']
+    if (token) {
+      var decoded = new Buffer(token, 'base64').toString()
+      if (decoded > after) after = decoded
+    }
+    var encodingType = query['encoding-type']
+    if (encodingType && encodingType !== 'url') {
+      throw new ResponseError(400, 'InvalidArgument', 'Invalid Encoding Method specified in Request')
+    }
+    var encode = encodingType ? encodeURIComponent : value => value
+    var listed = listKeys(Object.keys(bucket.objects), {prefix, delimiter, after, maxKeys})
+    var result = {
+      Name: request.bucketName,
+      Prefix: encode(prefix),
+      MaxKeys: maxKeys,
+      KeyCount: listed.keys.length + listed.prefixes.length,
+      IsTruncated: listed.isTruncated,
+      Contents: listed.keys.map(key => {
+        var extra = {Key: encode(key)}
+        if (query['fetch-owner'] === 'true') extra.Owner = OWNER
+        if (query.metadata === 'true') {
+          var metaData = bucket.objects[key].metaData
+          extra.UserMetadata = {}
+          Object.keys(metaData).forEach(name => {
+            if (name.startsWith('x-amz-meta-') || name === 'content-type') extra.UserMetadata[name] = metaData[name]
+          })
+        }
+        return this.getContents(bucket, key, extra)
+      }),
+      CommonPrefixes: listed.prefixes.map(p => ({Prefix: encode(p)}))
+    }
+    if (delimiter) result.Delimiter = encode(delimiter)
+    if (encodingType) result.EncodingType = encodingType
+    if (token) result.ContinuationToken = token
+    if (query['start-after']) result.StartAfter = encode(query['start-after'])
+    if (listed.isTruncated) result.NextContinuationToken = new Buffer(listed.next).toString('base64')
+    this.sendXml(res, 'ListBucketResult', result)
+  }
+
+  removeObjects(request, res, bucket) {
+    this.getBody(request)
+    var regexp = /<Key>([^<]*)<\/Key>/g
+    var match
+    var deleted = []
+    while ((match = regexp.exec(request.body.toString())) !== null) {
+      var key = match[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'').replace(/&amp;/g, '&')
+      delete bucket.objects[key]
+      deleted.push({Key: key})
+    }
+    var quiet = /<Quiet>true<\/Quiet>/.test(request.body.toString())
+    this.sendXml(res, 'DeleteResult', quiet ? {} : {Deleted: deleted})
+  }
+}
+
+TestServer.prototype.listen = promisify(TestServer.prototype.listen)
+TestServer.prototype.close = promisify(TestServer.prototype.close)
@@ -122,6 +122,18 @@ export function getErrorTransformer(response) {
   }, true)
 }
 
+// A through stream that passes the data unchanged and calls
+// onProgress({bytes, total}) for every chunk, `bytes` counting from
+// `start`.
+export function getProgressTransformer(start, total, onProgress) {
+  var bytes = start
+  return Through2(function(chunk, enc, cb) {
+    bytes += chunk.length
+    onProgress({bytes, total})
+    cb(null, chunk)
+  })
+}
+
 // A through stream that calculates md5sum and sha256sum
 export function getHashSummer(enableSHA256) {
   var md5 = Crypto.createHash('md5')
@@ -131,17 +143,16 @@ export function getHashSummer(enableSHA256) {
     
     if (enableSHA256) {
       sha256.update(chunk)
-    } else {
-      md5.update(chunk)
     }
+    // md5sum is always needed, uploads to buckets with Object Lock
+    // are rejected without Content-MD5.
+    md5.update(chunk)
     cb()
   }, function(cb) {
-    var md5sum = ''
+    var md5sum = md5.digest('base64')
     var sha256sum = ''
     if (enableSHA256) {
       sha256sum = sha256.digest('hex')
-    } else {
-      md5sum = md5.digest('base64')
     }
     var hashData = {md5sum, sha256sum}
     this.push(hashData)
@@ -188,6 +199,11 @@ export function getListObjectsV2Transformer() {
   return getConcater(xmlParsers.parseListObjectsV2)
 }
 
+// Parses listObjectVersions response.
+export function getListObjectVersionsTransformer() {
+  return getConcater(xmlParsers.parseListObjectVersions)
+}
+
 // Parses completeMultipartUpload response.
 export function getCompleteMultipartTransformer() {
   return getConcater(xmlParsers.parseCompleteMultipart)
@@ -203,6 +219,41 @@ export function getBucketNotificationTransformer() {
   return getConcater(xmlParsers.parseBucketNotification)
 }
 
+// Parses GetBucketVersioning response
+export function getBucketVersioningTransformer() {
+  return getConcater(xmlParsers.parseBucketVersioningConfig)
+}
+
+// Parses GetBucketLifecycle response
+export function getLifecycleTransformer() {
+  return getConcater(xmlParsers.parseLifecycleConfig)
+}
+
+// Parses GetObjectTagging and GetBucketTagging responses
+export function getTaggingTransformer() {
+  return getConcater(xmlParsers.parseTagging)
+}
+
+// Parses GetBucketEncryption response
+export function getBucketEncryptionTransformer() {
+  return getConcater(xmlParsers.parseBucketEncryptionConfig)
+}
+
+// Parses GetObjectLockConfiguration response
+export function getObjectLockConfigTransformer() {
+  return getConcater(xmlParsers.parseObjectLockConfig)
+}
+
+// Parses GetObjectRetention response
+export function getObjectRetentionTransformer() {
+  return getConcater(xmlParsers.parseObjectRetention)
+}
+
+// Parses GetObjectLegalHold response
+export function getObjectLegalHoldTransformer() {
+  return getConcater(xmlParsers.parseObjectLegalHold)
+}
+
 // Parses a notification.
 export function getNotificationTransformer() {
   // This will parse and return each object.
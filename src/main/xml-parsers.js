@@ -23,11 +23,11 @@ var options = {  // options passed to xml2js parser
   ignoreAttrs: true,     // ignore attributes, only create text nodes
 }
 
-var parseXml = (xml) => {
+var parseXml = (xml, extraOptions) => {
   var result = null
   var error = null
 
-  var parser = new xml2js.Parser(options)
+  var parser = new xml2js.Parser(Object.assign({}, options, extraOptions))
   parser.parseString(xml, function (e, r) {
     error = e
     result = r
@@ -274,25 +274,103 @@ export function parseListObjects(xml) {
   return result
 }
 
-// parse XML response for list objects v2 in a bucket
+// parse XML response for list objects v2 in a bucket. Names are URL
+// decoded when the listing was requested with encoding-type=url.
 export function parseListObjectsV2(xml) {
   var result = {
     objects: [],
     isTruncated: false
   }
   var xmlobj = parseXml(xml)
+  var decode = xmlobj.EncodingType && xmlobj.EncodingType[0] === 'url' ? urlDecode : value => value
   if (xmlobj.IsTruncated && xmlobj.IsTruncated[0] === 'true') result.isTruncated = true
   if (xmlobj.NextContinuationToken) result.nextContinuationToken = xmlobj.NextContinuationToken[0]
+  if (xmlobj.KeyCount) result.keyCount = +xmlobj.KeyCount[0]
 
   if (xmlobj.Contents) {
     xmlobj.Contents.forEach(content => {
-      var name = content.Key[0]
+      var name = decode(content.Key[0])
       var lastModified = new Date(content.LastModified[0])
       var etag = content.ETag[0].replace(/^"/g, '').replace(/"$/g, '')
         .replace(/^&quot;/g, '').replace(/&quot;$/g, '')
         .replace(/^&#34;/g, '').replace(/^&#34;$/g, '')
       var size = +content.Size[0]
-      result.objects.push({name, lastModified, etag, size})
+      var object = {name, lastModified, etag, size}
+      if (content.StorageClass) object.storageClass = content.StorageClass[0]
+      // The owner is only returned when asked for with fetch-owner.
+      if (content.Owner) {
+        var owner = content.Owner[0]
+        object.owner = {
+          id: owner.ID ? owner.ID[0] : '',
+          displayName: owner.DisplayName ? owner.DisplayName[0] : ''
+        }
+      }
+      // MinIO returns the user metadata when asked for with metadata=true.
+      if (content.UserMetadata) {
+        object.metadata = {}
+        _.each(content.UserMetadata[0], (values, key) => {
+          object.metadata[key] = values[0]
+        })
+      }
+      result.objects.push(object)
+    })
+  }
+  if (xmlobj.CommonPrefixes) {
+    xmlobj.CommonPrefixes.forEach(commonPrefix => {
+      var prefix = decode(commonPrefix.Prefix[0])
+      var size = 0
+      result.objects.push({prefix, size})
+    })
+  }
+  return result
+}
+
+// S3 encodes the spaces of URL encoded names as '+'.
+function urlDecode(value) {
+  return decodeURIComponent(value.replace(/\+/g, ' '))
+}
+
+// parse XML response for bucket versioning configuration
+export function parseBucketVersioningConfig(xml) {
+  var result = {}
+  var xmlobj = parseXml(xml)
+  // An unversioned bucket returns an empty VersioningConfiguration element.
+  if (!xmlobj) return result
+  if (xmlobj.Status) result.Status = xmlobj.Status[0]
+  if (xmlobj.MfaDelete) result.MFADelete = xmlobj.MfaDelete[0]
+  return result
+}
+
+// parse XML response for list object versions in a bucket
+export function parseListObjectVersions(xml) {
+  var result = {
+    objects: [],
+    isTruncated: false
+  }
+  // Versions and delete markers of a key are interleaved from newest to
+  // oldest, keep the children order so that they can be emitted as such.
+  var xmlobj = parseXml(xml, {explicitChildren: true, preserveChildrenOrder: true})
+  if (xmlobj.IsTruncated && xmlobj.IsTruncated[0] === 'true') result.isTruncated = true
+  if (xmlobj.NextKeyMarker) result.nextKeyMarker = xmlobj.NextKeyMarker[0]
+  if (xmlobj.NextVersionIdMarker) result.nextVersionIdMarker = xmlobj.NextVersionIdMarker[0]
+
+  if (xmlobj.$$) {
+    xmlobj.$$.forEach(child => {
+      if (child['#name'] !== 'Version' && child['#name'] !== 'DeleteMarker') return
+      var name = child.Key[0]
+      var versionId = child.VersionId[0]
+      var isLatest = child.IsLatest[0] === 'true'
+      var isDeleteMarker = child['#name'] === 'DeleteMarker'
+      var lastModified = new Date(child.LastModified[0])
+      if (isDeleteMarker) {
+        result.objects.push({name, versionId, isLatest, isDeleteMarker, lastModified, size: 0})
+        return
+      }
+      var etag = child.ETag[0].replace(/^"/g, '').replace(/"$/g, '')
+        .replace(/^&quot;/g, '').replace(/&quot;$/g, '')
+        .replace(/^&#34;/g, '').replace(/^&#34;$/g, '')
+      var size = +child.Size[0]
+      result.objects.push({name, versionId, isLatest, isDeleteMarker, lastModified, etag, size})
     })
   }
   if (xmlobj.CommonPrefixes) {
@@ -304,3 +382,174 @@ export function parseListObjectsV2(xml) {
   }
   return result
 }
+
+// parse XML response for bucket lifecycle configuration, the result has
+// the same layout as a LifecycleConfig and can be set back as is
+export function parseLifecycleConfig(xml) {
+  var result = {
+    Rule: []
+  }
+  var genTag = function(tag) {
+    return {Key: tag.Key[0], Value: tag.Value ? tag.Value[0] : ''}
+  }
+  var genFilter = function(filter) {
+    var result = {}
+    if (!filter) return result
+    if (filter.Prefix) result.Prefix = filter.Prefix[0]
+    if (filter.Tag) result.Tag = genTag(filter.Tag[0])
+    if (filter.And) {
+      result.And = {}
+      if (filter.And[0].Prefix) result.And.Prefix = filter.And[0].Prefix[0]
+      result.And.Tag = (filter.And[0].Tag || []).map(genTag)
+    }
+    return result
+  }
+  // Parse a lifecycle action, days are returned as numbers.
+  var genAction = function(action) {
+    var result = {}
+    _.each(action, (value, key) => {
+      if (key === 'Days' || key === 'NoncurrentDays' || key === 'DaysAfterInitiation') {
+        result[key] = +value[0]
+      } else if (key === 'ExpiredObjectDeleteMarker') {
+        result[key] = value[0] === 'true'
+      } else {
+        result[key] = value[0]
+      }
+    })
+    return result
+  }
+
+  var xmlobj = parseXml(xml)
+  if (xmlobj.Rule) {
+    xmlobj.Rule.forEach(rule => {
+      var config = {}
+      if (rule.ID) config.ID = rule.ID[0]
+      // Older configurations carry the prefix directly on the rule.
+      if (rule.Prefix) config.Prefix = rule.Prefix[0]
+      if (rule.Filter) config.Filter = genFilter(rule.Filter[0])
+      config.Status = rule.Status[0]
+      if (rule.Expiration) config.Expiration = genAction(rule.Expiration[0])
+      if (rule.Transition) config.Transition = rule.Transition.map(genAction)
+      if (rule.NoncurrentVersionExpiration) {
+        config.NoncurrentVersionExpiration = genAction(rule.NoncurrentVersionExpiration[0])
+      }
+      if (rule.NoncurrentVersionTransition) {
+        config.NoncurrentVersionTransition = rule.NoncurrentVersionTransition.map(genAction)
+      }
+      if (rule.AbortIncompleteMultipartUpload) {
+        config.AbortIncompleteMultipartUpload = genAction(rule.AbortIncompleteMultipartUpload[0])
+      }
+      result.Rule.push(config)
+    })
+  }
+  return result
+}
+
+// parse XML response for get object tagging and get bucket tagging,
+// tags are returned as an array of {Key, Value}
+export function parseTagging(xml) {
+  var xmlobj = parseXml(xml)
+  var tags = []
+  if (xmlobj.TagSet && xmlobj.TagSet[0].Tag) {
+    xmlobj.TagSet[0].Tag.forEach(tag => {
+      tags.push({Key: tag.Key[0], Value: tag.Value ? tag.Value[0] : ''})
+    })
+  }
+  return tags
+}
+
+// parse the Stats and the Progress events of SelectObjectContent
+export function parseSelectProgress(xml) {
+  var xmlobj = parseXml(xml)
+  var number = key => xmlobj[key] ? parseInt(xmlobj[key][0], 10) : 0
+  return {
+    bytesScanned: number('BytesScanned'),
+    bytesProcessed: number('BytesProcessed'),
+    bytesReturned: number('BytesReturned')
+  }
+}
+
+// parse XML response for get bucket encryption
+export function parseBucketEncryptionConfig(xml) {
+  var xmlobj = parseXml(xml)
+  var result = {Rule: []}
+  if (xmlobj.Rule) {
+    xmlobj.Rule.forEach(rule => {
+      var config = {}
+      if (rule.ApplyServerSideEncryptionByDefault) {
+        var defaults = rule.ApplyServerSideEncryptionByDefault[0]
+        config.ApplyServerSideEncryptionByDefault = {SSEAlgorithm: defaults.SSEAlgorithm[0]}
+        if (defaults.KMSMasterKeyID) {
+          config.ApplyServerSideEncryptionByDefault.KMSMasterKeyID = defaults.KMSMasterKeyID[0]
+        }
+      }
+      result.Rule.push(config)
+    })
+  }
+  return result
+}
+
+// parse XML response for get object lock configuration
+export function parseObjectLockConfig(xml) {
+  var xmlobj = parseXml(xml)
+  var lockConfig = {}
+  if (xmlobj.ObjectLockEnabled) {
+    lockConfig.objectLockEnabled = xmlobj.ObjectLockEnabled[0]
+  }
+  if (xmlobj.Rule && xmlobj.Rule[0].DefaultRetention) {
+    var retention = xmlobj.Rule[0].DefaultRetention[0]
+    lockConfig.mode = retention.Mode[0]
+    if (retention.Days) {
+      lockConfig.unit = 'Days'
+      lockConfig.validity = +retention.Days[0]
+    } else if (retention.Years) {
+      lockConfig.unit = 'Years'
+      lockConfig.validity = +retention.Years[0]
+    }
+  }
+  return lockConfig
+}
+
+// parse XML response for get object retention
+export function parseObjectRetention(xml) {
+  var xmlobj = parseXml(xml)
+  var retention = {}
+  if (xmlobj.Mode) retention.mode = xmlobj.Mode[0]
+  if (xmlobj.RetainUntilDate) retention.retainUntilDate = new Date(xmlobj.RetainUntilDate[0])
+  return retention
+}
+
+// parse XML response for get object legal hold
+export function parseObjectLegalHold(xml) {
+  var xmlobj = parseXml(xml)
+  return {status: xmlobj.Status ? xmlobj.Status[0] : 'OFF'}
+}
+
+// parse XML response of the STS AssumeRole* actions, the credentials are
+// found in <{Action}Result><Credentials>
+export function parseAssumeRole(xml) {
+  var xmlobj = parseXml(xml)
+  var resultKey = _.find(_.keys(xmlobj), key => /Result$/.test(key))
+  if (!resultKey || !xmlobj[resultKey][0].Credentials) {
+    throw new errors.InvalidXMLError('Credentials missing in the STS response')
+  }
+  var credentials = xmlobj[resultKey][0].Credentials[0]
+  var result = {
+    accessKey: credentials.AccessKeyId[0],
+    secretKey: credentials.SecretAccessKey[0],
+    sessionToken: credentials.SessionToken ? credentials.SessionToken[0] : ''
+  }
+  if (credentials.Expiration) result.expiration = new Date(credentials.Expiration[0])
+  return result
+}
+
+// parse STS error XML response, unlike S3 errors these are wrapped in
+// <ErrorResponse><Error>
+export function parseSTSError(xml) {
+  var xmlobj = parseXml(xml)
+  var xmlError = xmlobj.Error ? xmlobj.Error[0] : {}
+  var e = new errors.S3Error(xmlError.Message ? xmlError.Message[0] : 'STS request failed')
+  if (xmlError.Code) e.code = xmlError.Code[0]
+  if (xmlobj.RequestId) e.requestid = xmlobj.RequestId[0]
+  return e
+}
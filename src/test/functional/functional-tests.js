@@ -400,6 +400,31 @@ describe('functional tests', function() {
         .catch(done)
     })
 
+    step(`composeObject(bucketName, objectName, sources, composeOpts)_bucketName:${bucketName}, objectName:${_6mbObjectNameCopy}_`, done => {
+      var sources = [
+        {bucketName, objectName: _6mbObjectName},
+        {bucketName, objectName: _6mbObjectName, start: 0, end: 1023}
+      ]
+      client.composeObject(bucketName, _6mbObjectNameCopy, sources, {})
+        .then(() => client.statObject(bucketName, _6mbObjectNameCopy))
+        .then(stat => {
+          if (stat.size !== _6mb.length + 1024) return done(new Error('size mismatch'))
+          done()
+        })
+        .catch(done)
+    })
+
+    step(`updateObjectMetadata(bucketName, objectName, metaData)_bucketName:${bucketName}, objectName:${_6mbObjectNameCopy}_`, done => {
+      client.updateObjectMetadata(bucketName, _6mbObjectNameCopy, {'Content-Type': 'text/csv', project: 'archive'})
+        .then(() => client.statObject(bucketName, _6mbObjectNameCopy))
+        .then(stat => {
+          if (stat.metaData['content-type'] !== 'text/csv') return done(new Error('content-type mismatch'))
+          if (stat.metaData.project !== 'archive') return done(new Error('metadata mismatch'))
+          done()
+        })
+        .catch(done)
+    })
+
     step(`statObject(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${_6mbObjectName}_`, done => {
       client.statObject(bucketName, _6mbObjectName, (e, stat) => {
         if (e) return done(e)
@@ -666,6 +691,399 @@ describe('functional tests', function() {
     })
   })
 
+  describe('bucket versioning', () => {
+    let versionedBucketName = `${bucketName}-versioning`
+
+    step(`makeBucket(bucketName, region, cb)_bucketName:${versionedBucketName}_`, done => client.makeBucket(versionedBucketName, '', done))
+
+    step(`setBucketVersioning(bucketName, versionConfig, cb)_bucketName:${versionedBucketName}, versionConfig:{Status:Enabled}_`, done => {
+      client.setBucketVersioning(versionedBucketName, {Status: 'Enabled'}, err => {
+        if (err && err.code == 'NotImplemented') return done()
+        done(err)
+      })
+    })
+
+    step(`getBucketVersioning(bucketName, cb)_bucketName:${versionedBucketName}_`, done => {
+      client.getBucketVersioning(versionedBucketName, (err, versionConfig) => {
+        if (err && err.code == 'NotImplemented') return done()
+        if (err) return done(err)
+        if (versionConfig.Status !== 'Enabled') {
+          return done(new Error(`unexpected versioning status: ${versionConfig.Status}`))
+        }
+        done()
+      })
+    })
+
+    let versionId
+    step(`putObject(bucketName, objectName, stream, cb)_bucketName:${versionedBucketName}, objectName:${_100kbObjectName}, stream:100kb_`, done => {
+      client.putObject(versionedBucketName, _100kbObjectName, _100kb, (err, objInfo) => {
+        if (err) return done(err)
+        versionId = objInfo.versionId
+        done()
+      })
+    })
+
+    step(`statObject(bucketName, objectName, statOpts, cb)_bucketName:${versionedBucketName}, objectName:${_100kbObjectName}_`, done => {
+      if (!versionId) return done()
+      client.statObject(versionedBucketName, _100kbObjectName, {versionId}, (err, stat) => {
+        if (err) return done(err)
+        if (stat.versionId !== versionId) {
+          return done(new Error(`versionId mismatch: ${stat.versionId} != ${versionId}`))
+        }
+        done()
+      })
+    })
+
+    step(`getObject(bucketName, objectName, getOpts, cb)_bucketName:${versionedBucketName}, objectName:${_100kbObjectName}_`, done => {
+      if (!versionId) return done()
+      var hash = crypto.createHash('md5')
+      client.getObject(versionedBucketName, _100kbObjectName, {versionId}, (err, stream) => {
+        if (err) return done(err)
+        stream.on('data', data => hash.update(data))
+        stream.on('error', done)
+        stream.on('end', () => {
+          if (hash.digest('hex') === _100kbmd5) return done()
+          done(new Error('content mismatch'))
+        })
+      })
+    })
+
+    step(`listObjectVersions(bucketName, prefix, recursive)_bucketName:${versionedBucketName}, prefix:${_100kbObjectName}, recursive:true_`, done => {
+      if (!versionId) return done()
+      var versions = []
+      client.listObjectVersions(versionedBucketName, _100kbObjectName, true)
+        .on('error', done)
+        .on('data', obj => versions.push(obj))
+        .on('end', () => {
+          if (versions.length !== 1 || versions[0].versionId !== versionId || !versions[0].isLatest) {
+            return done(new Error(`unexpected versions: ${JSON.stringify(versions)}`))
+          }
+          done()
+        })
+    })
+
+    step(`removeObject(bucketName, objectName, removeOpts, cb)_bucketName:${versionedBucketName}, objectName:${_100kbObjectName}_`, done => {
+      client.removeObject(versionedBucketName, _100kbObjectName, versionId ? {versionId} : {}, done)
+    })
+
+    step(`setBucketVersioning(bucketName, versionConfig)_bucketName:${versionedBucketName}, versionConfig:{Status:Suspended}_`, done => {
+      client.setBucketVersioning(versionedBucketName, {Status: 'Suspended'})
+        .then(() => done())
+        .catch(err => {
+          if (err.code == 'NotImplemented') return done()
+          done(err)
+        })
+    })
+
+    step(`removeBucket(bucketName, cb)_bucketName:${versionedBucketName}_`, done => client.removeBucket(versionedBucketName, done))
+  })
+
+  describe('bucket lifecycle', () => {
+    step(`setBucketLifecycle(bucketName, lifecycleConfig, cb)_bucketName:${bucketName}_`, done => {
+      var rule = new minio.LifecycleRule('expire-logs')
+      rule.setPrefix('logs/')
+      rule.setExpirationDays(1)
+      var lifecycleConfig = new minio.LifecycleConfig()
+      lifecycleConfig.addRule(rule)
+      client.setBucketLifecycle(bucketName, lifecycleConfig, err => {
+        if (err && err.code == 'NotImplemented') return done()
+        done(err)
+      })
+    })
+
+    step(`getBucketLifecycle(bucketName, cb)_bucketName:${bucketName}_`, done => {
+      client.getBucketLifecycle(bucketName, (err, lifecycleConfig) => {
+        if (err && err.code == 'NotImplemented') return done()
+        if (err) return done(err)
+        if (lifecycleConfig.Rule.length !== 1 || lifecycleConfig.Rule[0].Expiration.Days !== 1) {
+          return done(new Error(`unexpected lifecycle configuration: ${JSON.stringify(lifecycleConfig)}`))
+        }
+        done()
+      })
+    })
+
+    step(`removeBucketLifecycle(bucketName, cb)_bucketName:${bucketName}_`, done => {
+      client.removeBucketLifecycle(bucketName, err => {
+        if (err && err.code == 'NotImplemented') return done()
+        done(err)
+      })
+    })
+  })
+
+  describe('object and bucket tagging', () => {
+    var taggedObjectName = `${objectName}-tagged`
+    step(`putObject(bucketName, objectName, stream, metaData, cb)_bucketName:${bucketName}, objectName:${taggedObjectName}, metaData:{x-amz-tagging}_`, done => {
+      client.putObject(bucketName, taggedObjectName, _100kb, {'x-amz-tagging': {retention: '90d'}}, done)
+    })
+
+    step(`getObjectTagging(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${taggedObjectName}_`, done => {
+      client.getObjectTagging(bucketName, taggedObjectName, (e, tags) => {
+        if (e) return done(e)
+        if (!_.isEqual(tags, [{Key: 'retention', Value: '90d'}])) {
+          return done(new Error(`unexpected tags: ${JSON.stringify(tags)}`))
+        }
+        done()
+      })
+    })
+
+    step(`setObjectTagging(bucketName, objectName, tags, cb)_bucketName:${bucketName}, objectName:${taggedObjectName}_`, done => {
+      client.setObjectTagging(bucketName, taggedObjectName, {retention: '30d', team: 'archive'}, done)
+    })
+
+    step(`removeObjectTagging(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${taggedObjectName}_`, done => {
+      client.removeObjectTagging(bucketName, taggedObjectName, e => {
+        if (e) return done(e)
+        client.getObjectTagging(bucketName, taggedObjectName, (e, tags) => {
+          if (e) return done(e)
+          if (tags.length) return done(new Error('tags were not removed'))
+          done()
+        })
+      })
+    })
+
+    step(`removeObject(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${taggedObjectName}_`, done => {
+      client.removeObject(bucketName, taggedObjectName, done)
+    })
+
+    step(`setBucketTagging(bucketName, tags, cb)_bucketName:${bucketName}_`, done => {
+      client.setBucketTagging(bucketName, {project: 'archive'}, e => {
+        if (e && e.code == 'NotImplemented') return done()
+        done(e)
+      })
+    })
+
+    step(`getBucketTagging(bucketName, cb)_bucketName:${bucketName}_`, done => {
+      client.getBucketTagging(bucketName, (e, tags) => {
+        if (e && e.code == 'NotImplemented') return done()
+        if (e) return done(e)
+        if (!_.isEqual(tags, [{Key: 'project', Value: 'archive'}])) {
+          return done(new Error(`unexpected tags: ${JSON.stringify(tags)}`))
+        }
+        done()
+      })
+    })
+
+    step(`removeBucketTagging(bucketName, cb)_bucketName:${bucketName}_`, done => {
+      client.removeBucketTagging(bucketName, e => {
+        if (e && e.code == 'NotImplemented') return done()
+        done(e)
+      })
+    })
+  })
+
+  describe('server-side encryption with customer keys', () => {
+    var encryptedObjectName = `${objectName}-ssec`
+    var encryption = {type: minio.ENCRYPTION_TYPES.SSE_C, key: crypto.randomBytes(32)}
+    before(function() {
+      // SSE-C keys are only sent over secure connections.
+      if (!playConfig.useSSL) this.skip()
+    })
+
+    step(`putObject(bucketName, objectName, stream, metaData, putOpts, cb)_bucketName:${bucketName}, objectName:${encryptedObjectName}, putOpts:{encryption}_`, done => {
+      client.putObject(bucketName, encryptedObjectName, _100kb, {}, {encryption}, done)
+    })
+
+    step(`statObject(bucketName, objectName, statOpts, cb)_bucketName:${bucketName}, objectName:${encryptedObjectName}, statOpts:{encryption}_`, done => {
+      client.statObject(bucketName, encryptedObjectName, {encryption}, (e, stat) => {
+        if (e) return done(e)
+        if (stat.size !== _100kb.length) return done(new Error('size mismatch'))
+        done()
+      })
+    })
+
+    step(`getObject(bucketName, objectName, getOpts, cb)_bucketName:${bucketName}, objectName:${encryptedObjectName}, getOpts:{encryption}_`, done => {
+      var hash = crypto.createHash('md5')
+      client.getObject(bucketName, encryptedObjectName, {encryption}, (e, stream) => {
+        if (e) return done(e)
+        stream.on('data', data => hash.update(data))
+        stream.on('error', done)
+        stream.on('end', () => {
+          if (hash.digest('hex') !== crypto.createHash('md5').update(_100kb).digest('hex')) {
+            return done(new Error('content mismatch'))
+          }
+          done()
+        })
+      })
+    })
+
+    step(`getObject(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${encryptedObjectName}, without key_`, done => {
+      client.getObject(bucketName, encryptedObjectName, e => {
+        if (e) return done()
+        done(new Error('object was read without its key'))
+      })
+    })
+
+    step(`removeObject(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${encryptedObjectName}_`, done => {
+      client.removeObject(bucketName, encryptedObjectName, done)
+    })
+  })
+
+  describe('bucket encryption', () => {
+    step(`setBucketEncryption(bucketName, cb)_bucketName:${bucketName}_`, done => {
+      client.setBucketEncryption(bucketName, e => {
+        if (e && e.code == 'NotImplemented') return done()
+        done(e)
+      })
+    })
+
+    step(`getBucketEncryption(bucketName, cb)_bucketName:${bucketName}_`, done => {
+      client.getBucketEncryption(bucketName, (e, encryptionConfig) => {
+        if (e && e.code == 'NotImplemented') return done()
+        if (e) return done(e)
+        if (encryptionConfig.Rule[0].ApplyServerSideEncryptionByDefault.SSEAlgorithm !== 'AES256') {
+          return done(new Error(`unexpected encryption configuration: ${JSON.stringify(encryptionConfig)}`))
+        }
+        done()
+      })
+    })
+
+    step(`removeBucketEncryption(bucketName, cb)_bucketName:${bucketName}_`, done => {
+      client.removeBucketEncryption(bucketName, e => {
+        if (e && e.code == 'NotImplemented') return done()
+        done(e)
+      })
+    })
+  })
+
+  describe('object lock', () => {
+    var lockBucketName = `${bucketName}-lock`
+    var lockedObjectName = `${objectName}-locked`
+    var versionId
+
+    step(`makeBucket(bucketName, region, makeOpts, cb)_bucketName:${lockBucketName}, makeOpts:{objectLocking:true}_`, done => {
+      client.makeBucket(lockBucketName, '', {objectLocking: true}, done)
+    })
+
+    step(`setObjectLockConfig(bucketName, lockConfig, cb)_bucketName:${lockBucketName}_`, done => {
+      client.setObjectLockConfig(lockBucketName, {mode: 'GOVERNANCE', unit: 'Days', validity: 1}, done)
+    })
+
+    step(`getObjectLockConfig(bucketName, cb)_bucketName:${lockBucketName}_`, done => {
+      client.getObjectLockConfig(lockBucketName, (e, lockConfig) => {
+        if (e) return done(e)
+        if (lockConfig.objectLockEnabled !== 'Enabled' || lockConfig.validity !== 1) {
+          return done(new Error(`unexpected lock configuration: ${JSON.stringify(lockConfig)}`))
+        }
+        done()
+      })
+    })
+
+    step(`putObject(bucketName, objectName, stream, metaData, putOpts, cb)_bucketName:${lockBucketName}, objectName:${lockedObjectName}, putOpts:{legalHold}_`, done => {
+      client.putObject(lockBucketName, lockedObjectName, _100kb, {}, {legalHold: 'ON'}, (e, objInfo) => {
+        if (e) return done(e)
+        versionId = objInfo.versionId
+        done()
+      })
+    })
+
+    step(`putObjectRetention(bucketName, objectName, retentionOpts, cb)_bucketName:${lockBucketName}, objectName:${lockedObjectName}_`, done => {
+      var retainUntilDate = new Date()
+      retainUntilDate.setDate(retainUntilDate.getDate() + 2)
+      client.putObjectRetention(lockBucketName, lockedObjectName, {mode: 'GOVERNANCE', retainUntilDate, versionId}, done)
+    })
+
+    step(`getObjectRetention(bucketName, objectName, getOpts, cb)_bucketName:${lockBucketName}, objectName:${lockedObjectName}_`, done => {
+      client.getObjectRetention(lockBucketName, lockedObjectName, {versionId}, (e, retention) => {
+        if (e) return done(e)
+        if (retention.mode !== 'GOVERNANCE') return done(new Error(`unexpected retention: ${JSON.stringify(retention)}`))
+        done()
+      })
+    })
+
+    step(`getObjectLegalHold(bucketName, objectName, getOpts, cb)_bucketName:${lockBucketName}, objectName:${lockedObjectName}_`, done => {
+      client.getObjectLegalHold(lockBucketName, lockedObjectName, {versionId}, (e, legalHold) => {
+        if (e) return done(e)
+        if (legalHold.status !== 'ON') return done(new Error(`unexpected legal hold: ${JSON.stringify(legalHold)}`))
+        done()
+      })
+    })
+
+    step(`setObjectLegalHold(bucketName, objectName, setOpts, cb)_bucketName:${lockBucketName}, objectName:${lockedObjectName}, setOpts:{status:OFF}_`, done => {
+      client.setObjectLegalHold(lockBucketName, lockedObjectName, {status: 'OFF', versionId}, done)
+    })
+
+    step(`removeObject(bucketName, objectName, removeOpts, cb)_bucketName:${lockBucketName}, objectName:${lockedObjectName}, removeOpts:{governanceBypass}_`, done => {
+      client.removeObject(lockBucketName, lockedObjectName, {versionId, governanceBypass: true}, done)
+    })
+
+    step(`removeBucket(bucketName, cb)_bucketName:${lockBucketName}_`, done => {
+      client.removeBucket(lockBucketName, done)
+    })
+  })
+
+  describe('parallel multipart uploads', () => {
+    var _11mb = Buffer.alloc(11 * 1024 * 1024, 'a')
+    var _11mbmd5 = crypto.createHash('md5').update(_11mb).digest('hex')
+    var parallelObjectName = 'datafile-11-MB-parallel'
+    var tmpFileUpload = `${tmpDir}/${parallelObjectName}`
+    var checkObject = done => {
+      var hash = crypto.createHash('md5')
+      client.getObject(bucketName, parallelObjectName, (e, stream) => {
+        if (e) return done(e)
+        stream.on('data', data => hash.update(data))
+        stream.on('error', done)
+        stream.on('end', () => {
+          if (hash.digest('hex') === _11mbmd5) return done()
+          done(new Error('content mismatch'))
+        })
+      })
+    }
+
+    step(`putObject(bucketName, objectName, stream, metaData, putOpts, cb)_bucketName:${bucketName}, objectName:${parallelObjectName}, putOpts:{concurrency:3}_`, done => {
+      client.putObject(bucketName, parallelObjectName, readableStream(_11mb), {}, {concurrency: 3}, done)
+    })
+
+    step(`getObject(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${parallelObjectName}_`, checkObject)
+
+    step(`fPutObject(bucketName, objectName, filePath, metaData, putOpts, cb)_bucketName:${bucketName}, objectName:${parallelObjectName}, putOpts:{concurrency:3}_`, done => {
+      fs.writeFileSync(tmpFileUpload, _11mb)
+      client.fPutObject(bucketName, parallelObjectName, tmpFileUpload, {}, {concurrency: 3}, e => {
+        fs.unlinkSync(tmpFileUpload)
+        done(e)
+      })
+    })
+
+    step(`getObject(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${parallelObjectName}_`, checkObject)
+
+    step(`removeObject(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${parallelObjectName}_`, done => {
+      client.removeObject(bucketName, parallelObjectName, done)
+    })
+  })
+
+  describe('selectObjectContent', () => {
+    var csvObjectName = 'datafile-select.csv'
+    var csv = 'name,size\nsmall,5\nlarge,500\nhuge,5000\n'
+
+    step(`putObject(bucketName, objectName, string, cb)_bucketName:${bucketName}, objectName:${csvObjectName}_`, done => {
+      client.putObject(bucketName, csvObjectName, csv, done)
+    })
+
+    step(`selectObjectContent(bucketName, objectName, selectOpts, cb)_bucketName:${bucketName}, objectName:${csvObjectName}_`, done => {
+      var selectOpts = {
+        expression: 'select s.name from s3object s where cast(s.size as int) > 100',
+        inputSerialization: {CSV: {FileHeaderInfo: 'USE'}, CompressionType: 'NONE'},
+        outputSerialization: {CSV: {}}
+      }
+      client.selectObjectContent(bucketName, csvObjectName, selectOpts, (e, stream) => {
+        if (e) return done(e)
+        var records = []
+        var stats = null
+        stream.on('data', data => records.push(data))
+        stream.on('stats', s => stats = s)
+        stream.on('error', done)
+        stream.on('end', () => {
+          if (Buffer.concat(records).toString() !== 'large\nhuge\n') return done(new Error('records mismatch'))
+          if (!stats || stats.bytesScanned !== csv.length) return done(new Error('stats mismatch'))
+          done()
+        })
+      })
+    })
+
+    step(`removeObject(bucketName, objectName, cb)_bucketName:${bucketName}, objectName:${csvObjectName}_`, done => {
+      client.removeObject(bucketName, csvObjectName, done)
+    })
+  })
+
   describe('presigned operations', () => {
     step(`presignedPutObject(bucketName, objectName, expires, cb)_bucketName:${bucketName}, objectName:${_1byteObjectName}, expires: 1000_`, done => {
       client.presignedPutObject(bucketName, _1byteObjectName, 1000, (e, presignedUrl) => {
@@ -689,6 +1107,39 @@ describe('functional tests', function() {
       })
     })
 
+    step(`presignedPutObject(bucketName, objectName, expires, presignOpts, cb)_bucketName:${bucketName}, objectName:${_1byteObjectName}, expires: 1000, presignOpts: {headers, metaData}_`, done => {
+      var presignOpts = {headers: {'Content-Type': 'text/plain'}, metaData: {album: 'holidays'}}
+      client.presignedPutObject(bucketName, _1byteObjectName, 1000, presignOpts, (e, presignedUrl) => {
+        if (e) return done(e)
+        var transport = http
+        var options = _.pick(url.parse(presignedUrl), ['hostname', 'port', 'path', 'protocol'])
+        options.method = 'PUT'
+        options.headers = {
+          'content-length': _1byte.length,
+          'content-type': 'text/plain',
+          'x-amz-meta-album': 'holidays'
+        }
+        if (options.protocol === 'https:') transport = https
+        var request = transport.request(options, (response) => {
+          if (response.statusCode !== 200) return done(new Error(`error on put : ${response.statusCode}`))
+          response.on('error', e => done(e))
+          response.on('end', () => {
+            client.statObject(bucketName, _1byteObjectName, (e, stat) => {
+              if (e) return done(e)
+              if (stat.metaData['content-type'] !== 'text/plain' || stat.metaData.album !== 'holidays') {
+                return done(new Error(`unexpected metadata: ${JSON.stringify(stat.metaData)}`))
+              }
+              done()
+            })
+          })
+          response.on('data', () => {})
+        })
+        request.on('error', e => done(e))
+        request.write(_1byte)
+        request.end()
+      })
+    })
+
     step(`presignedPutObject(bucketName, objectName, expires)_bucketName:${bucketName}, objectName:${_1byteObjectName}, expires:-123_`, done => {
       // negative values should trigger an error
       client.presignedPutObject(bucketName, _1byteObjectName, -123)
@@ -971,6 +1422,33 @@ describe('functional tests', function() {
         })
     })
 
+    step(`listObjectsV2(bucketName, prefix, recursive, listOpts)_bucketName:${bucketName}, startAfter:${objArray[0]}, maxKeys:3_`, done => {
+      var names = []
+      client.listObjectsV2(bucketName, '', true, {startAfter: objArray[0], maxKeys: 3, fetchOwner: true})
+        .on('error', done)
+        .on('end', () => {
+          if (_.isEqual(objArray.slice(1, 4), names)) return done()
+          return done(new Error(`listObjectsV2 lists ${names}, expected ${objArray.slice(1, 4)}`))
+        })
+        .on('data', data => {
+          names.push(data.name)
+        })
+    })
+
+    step(`listObjectsV2Pages(bucketName, prefix, recursive)_bucketName:${bucketName}, recursive:true_`, done => {
+      var pages = client.listObjectsV2Pages(bucketName, '', true)
+      var names = []
+      var next = () => pages.next().then(result => {
+        if (result.done) {
+          if (_.isEqual(objArray, names)) return done()
+          return done(new Error(`listObjectsV2Pages lists ${names.length} objects, expected ${listObjectsNum}`))
+        }
+        result.value.objects.forEach(obj => names.push(obj.name))
+        next()
+      }).catch(done)
+      next()
+    })
+
     step(`removeObject(bucketName, objectName, callback)_bucketName:${bucketName}_Remove ${listObjectsNum} objects`, done => {
       async.mapLimit(
         listArray,
@@ -18,9 +18,21 @@ require('source-map-support').install()
 
 import { assert } from 'chai'
 import Nock from 'nock'
+import Crypto from 'crypto'
 import Stream from 'stream'
+import _ from 'lodash'
+import fs from 'fs'
+import Http from 'http'
+import querystring from 'querystring'
+import os from 'os'
+import path from 'path'
 import * as Minio from '../../../dist/main/minio'
-import { isValidEndpoint, isValidIP, makeDateLong, makeDateShort } from '../../../dist/main/helpers'
+import { isValidEndpoint, isValidIP, makeDateLong, makeDateShort, readableStream, promisify } from '../../../dist/main/helpers'
+import * as errors from '../../../dist/main/errors'
+import { encodeEventMessage } from '../../../dist/main/select'
+import { signV4, presignSignatureV4, ChunkSigner, decodeChunkedPayload,
+  getStreamingContentLength } from '../../../dist/main/signing'
+import { TestServer } from '../../../dist/main/testing'
 
 var Package = require('../../../package.json')
 
@@ -97,6 +109,411 @@ describe('CopyConditions', () => {
   })
 })
 
+describe('PostPolicy', () => {
+  it('should add header conditions', () => {
+    var policy = new Minio.PostPolicy()
+    policy.setContentTypeStartsWith('image/')
+    policy.setContentDisposition('attachment')
+    policy.setCacheControl('max-age=60')
+    policy.setContentEncoding('gzip')
+    assert.deepEqual(policy.policy.conditions, [
+      ['starts-with', '$Content-Type', 'image/'],
+      ['eq', '$Content-Disposition', 'attachment'],
+      ['eq', '$Cache-Control', 'max-age=60'],
+      ['eq', '$Content-Encoding', 'gzip']
+    ])
+    assert.equal(policy.formData['Content-Type'], 'image/')
+    assert.equal(policy.formData['Cache-Control'], 'max-age=60')
+  })
+
+  it('should add metadata and success action conditions', () => {
+    var policy = new Minio.PostPolicy()
+    policy.setUserMetaData({project: 'web', 'X-Amz-Meta-Owner': 'me'})
+    policy.setSuccessActionStatus(201)
+    policy.setSuccessActionRedirect('https://example.com/done')
+    assert.deepEqual(policy.formData, {
+      'x-amz-meta-project': 'web',
+      'X-Amz-Meta-Owner': 'me',
+      success_action_status: '201',
+      success_action_redirect: 'https://example.com/done'
+    })
+    assert.deepEqual(policy.policy.conditions[2], ['eq', '$success_action_status', '201'])
+  })
+
+  it('should add encryption conditions', () => {
+    var policy = new Minio.PostPolicy()
+    policy.setEncryption({type: Minio.ENCRYPTION_TYPES.SSE_KMS, keyId: 'my-key'})
+    assert.deepEqual(policy.formData, {
+      'x-amz-server-side-encryption': 'aws:kms',
+      'x-amz-server-side-encryption-aws-kms-key-id': 'my-key'
+    })
+    policy = new Minio.PostPolicy()
+    policy.setEncryption({type: Minio.ENCRYPTION_TYPES.SSE_C, key: new Buffer(32)})
+    assert.equal(policy.formData['x-amz-server-side-encryption-customer-algorithm'], 'AES256')
+    assert.equal(policy.policy.conditions.length, 3)
+  })
+
+  it('should validate the conditions', () => {
+    var policy = new Minio.PostPolicy()
+    assert.throws(() => policy.setContentTypeStartsWith(1), /prefix should be of type "string"/)
+    assert.throws(() => policy.setCacheControl(''), /Cache-Control should be a non empty string/)
+    assert.throws(() => policy.setUserMetaData('a'), /metaData should be of type "object"/)
+    assert.throws(() => policy.setUserMetaData({a: 1}), /x-amz-meta-a should be a non empty string/)
+    assert.throws(() => policy.setSuccessActionStatus(302), /success_action_status should be one of/)
+    assert.throws(() => policy.setSuccessActionRedirect('example.com'), /Invalid redirect URL/)
+    assert.throws(() => policy.setSessionToken(null), /x-amz-security-token should be a non empty string/)
+    assert.throws(() => policy.setEncryption({type: 'SSE-X'}), errors.InvalidArgumentError)
+    assert.deepEqual(policy.policy.conditions, [])
+  })
+
+  it('should keep the session token given', (done) => {
+    var client = new Minio.Client({
+      endPoint: 'localhost',
+      accessKey: 'accesskey',
+      secretKey: 'secretkey',
+      sessionToken: 'client-token',
+      region: 'us-east-1'
+    })
+    var policy = client.newPostPolicy()
+    policy.setBucket('bucket')
+    policy.setSessionToken('policy-token')
+    client.presignedPostPolicy(policy, (e, result) => {
+      if (e) return done(e)
+      assert.equal(result.formData['x-amz-security-token'], 'policy-token')
+      var tokens = policy.policy.conditions.filter(condition => condition[1] === '$x-amz-security-token')
+      assert.equal(tokens.length, 1)
+      done()
+    })
+  })
+
+  it('should be verified along with its form', (done) => {
+    var client = new Minio.Client({endPoint: 'localhost', accessKey: 'accesskey', secretKey: 'secretkey', region: 'us-east-1'})
+    var policy = client.newPostPolicy()
+    policy.setBucket('bucket')
+    policy.setKey('photo.png')
+    policy.setContentTypeStartsWith('image/')
+    policy.setUserMetaData({album: 'holidays'})
+    policy.setSuccessActionStatus(201)
+    policy.setEncryption({type: Minio.ENCRYPTION_TYPES.SSE_S3})
+    client.presignedPostPolicy(policy, (e, result) => {
+      if (e) return done(e)
+      var fields = Object.assign({}, result.formData, {'Content-Type': 'image/png'})
+      var body = _.map(fields, (value, name) => {
+        return `--b\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+      }).join('') + '--b\r\nContent-Disposition: form-data; name="file"\r\n\r\npng\r\n--b--\r\n'
+      var request = {headers: {'content-type': 'multipart/form-data; boundary=b'}, body: new Buffer(body)}
+      var lookup = (accessKey, cb) => cb(null, 'secretkey')
+      Minio.verifyPostPolicy(request, lookup, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.valid, true, result.message)
+        assert.equal(result.fields['x-amz-meta-album'], 'holidays')
+        done()
+      })
+    })
+  })
+})
+
+describe('LifecycleRule', () => {
+  it('should use a prefix filter by default', () => {
+    let rule = new Minio.LifecycleRule('rule1')
+    assert.deepEqual(rule.Filter, {Prefix: ''})
+    assert.equal(rule.Status, 'Enabled')
+    rule.setPrefix('logs/')
+    assert.deepEqual(rule.Filter, {Prefix: 'logs/'})
+  })
+
+  it('should combine prefix and tag filters', () => {
+    let rule = new Minio.LifecycleRule()
+    rule.addTagFilter('app', 'web')
+    assert.deepEqual(rule.Filter, {Tag: {Key: 'app', Value: 'web'}})
+    rule.setPrefix('logs/')
+    assert.deepEqual(rule.Filter, {And: {Prefix: 'logs/', Tag: [{Key: 'app', Value: 'web'}]}})
+    rule.addTagFilter('env', 'prod')
+    assert.deepEqual(rule.Filter.And.Tag, [{Key: 'app', Value: 'web'}, {Key: 'env', Value: 'prod'}])
+  })
+
+  it('should validate actions', () => {
+    let rule = new Minio.LifecycleRule()
+    assert.throws(() => rule.setExpirationDays(-1), /days should be a non negative integer/)
+    assert.throws(() => rule.setExpirationDays('1'), /days should be a non negative integer/)
+    assert.throws(() => rule.setExpirationDate('2020-01-01'), /date must be of type Date/)
+    assert.throws(() => rule.addTransition(30, ''), /storageClass should be a non empty "string"/)
+    assert.throws(() => rule.setStatus('On'), /Invalid rule status/)
+    assert.throws(() => new Minio.LifecycleConfig().addRule({}), /rule should be of type "LifecycleRule"/)
+  })
+})
+
+describe('Credential providers', () => {
+  // A provider returning new keys on every retrieval.
+  class CountingProvider extends Minio.CredentialProvider {
+    constructor(lifetime, params) {
+      super(params)
+      this.lifetime = lifetime
+      this.count = 0
+    }
+    retrieve(cb) {
+      this.count++
+      var expiration = new Date(Date.now() + this.lifetime)
+      setImmediate(() => cb(null, new Minio.Credentials({accessKey: `key${this.count}`, secretKey: 'secret', expiration})))
+    }
+  }
+
+  it('should cache credentials until they expire', (done) => {
+    var provider = new CountingProvider(3600 * 1000)
+    provider.getCredentials((e, credentials) => {
+      if (e) return done(e)
+      provider.getCredentials((e, cached) => {
+        if (e) return done(e)
+        assert.equal(cached, credentials)
+        assert.equal(provider.count, 1)
+        done()
+      })
+    })
+  })
+
+  it('should refresh credentials expiring within the window', (done) => {
+    var provider = new CountingProvider(30 * 1000, {expiryWindow: 60})
+    provider.getCredentials((e, first) => {
+      if (e) return done(e)
+      provider.getCredentials((e, second) => {
+        if (e) return done(e)
+        assert.equal(first.accessKey, 'key1')
+        assert.equal(second.accessKey, 'key2')
+        done()
+      })
+    })
+  })
+
+  it('should share a retrieval between concurrent callers', (done) => {
+    var provider = new CountingProvider(3600 * 1000)
+    var results = []
+    var collect = (e, credentials) => {
+      results.push(credentials.accessKey)
+      if (results.length < 2) return
+      assert.deepEqual(results, ['key1', 'key1'])
+      assert.equal(provider.count, 1)
+      done()
+    }
+    provider.getCredentials(collect)
+    provider.getCredentials(collect)
+  })
+
+  it('should fail the callers of a retrieval throwing an error', (done) => {
+    class ThrowingProvider extends Minio.CredentialProvider {
+      retrieve() {
+        throw new Error('invalid configuration')
+      }
+    }
+    var provider = new ThrowingProvider()
+    provider.getCredentials((e) => {
+      assert.equal(e.message, 'invalid configuration')
+      // The next call retrieves the credentials again instead of waiting.
+      provider.getCredentials((e) => {
+        assert.equal(e.message, 'invalid configuration')
+        done()
+      })
+    })
+  })
+
+  it('should fail on invalid expiryWindow', () => {
+    assert.throws(() => new Minio.StaticProvider({expiryWindow: -1}), /Invalid expiryWindow/)
+  })
+
+  it('should read credentials from the environment', (done) => {
+    var saved = _.pick(process.env, ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN'])
+    process.env.AWS_ACCESS_KEY_ID = 'envkey'
+    process.env.AWS_SECRET_ACCESS_KEY = 'envsecret'
+    process.env.AWS_SESSION_TOKEN = 'envtoken'
+    new Minio.EnvProvider().getCredentials((e, credentials) => {
+      ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN'].forEach(key => {
+        if (saved[key] === undefined) delete process.env[key]
+        else process.env[key] = saved[key]
+      })
+      if (e) return done(e)
+      assert.equal(credentials.accessKey, 'envkey')
+      assert.equal(credentials.secretKey, 'envsecret')
+      assert.equal(credentials.sessionToken, 'envtoken')
+      done()
+    })
+  })
+
+  it('should read credentials from the shared files', (done) => {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-credentials-'))
+    var filename = path.join(dir, 'credentials')
+    var configFilename = path.join(dir, 'config')
+    fs.writeFileSync(filename, '[default]\naws_access_key_id = filekey\naws_secret_access_key = filesecret\n')
+    fs.writeFileSync(configFilename, '# profiles\n[profile dev]\naws_access_key_id=devkey\naws_secret_access_key=devsecret\naws_session_token=devtoken\n')
+    var cleanup = () => {
+      fs.unlinkSync(filename)
+      fs.unlinkSync(configFilename)
+      fs.rmdirSync(dir)
+    }
+    new Minio.SharedFileProvider({filename, configFilename}).getCredentials((e, credentials) => {
+      if (e) return cleanup(), done(e)
+      assert.equal(credentials.accessKey, 'filekey')
+      new Minio.SharedFileProvider({filename, configFilename, profile: 'dev'}).getCredentials((e, credentials) => {
+        if (e) return cleanup(), done(e)
+        assert.equal(credentials.accessKey, 'devkey')
+        assert.equal(credentials.sessionToken, 'devtoken')
+        new Minio.SharedFileProvider({filename, configFilename, profile: 'prod'}).getCredentials((e) => {
+          cleanup()
+          assert.instanceOf(e, errors.CredentialsNotFoundError)
+          done()
+        })
+      })
+    })
+  })
+
+  it('should return the first credentials of the chain', (done) => {
+    var missing = new Minio.SharedFileProvider({filename: '/nonexistent/credentials', configFilename: '/nonexistent/config'})
+    var chain = new Minio.ChainProvider([missing, new Minio.StaticProvider({}), new Minio.StaticProvider({accessKey: 'a', secretKey: 's'})])
+    chain.getCredentials((e, credentials) => {
+      if (e) return done(e)
+      assert.equal(credentials.accessKey, 'a')
+      new Minio.ChainProvider([missing]).getCredentials((e) => {
+        assert.instanceOf(e, errors.CredentialsNotFoundError)
+        done()
+      })
+    })
+  })
+})
+
+describe('STS', () => {
+  // A local STS stub answering every request with the next response of
+  // `responses` and recording the requests.
+  var server, port, requests, responses
+  before((done) => {
+    server = Http.createServer((req, res) => {
+      var body = ''
+      req.on('data', chunk => body += chunk)
+      req.on('end', () => {
+        requests.push({headers: req.headers, body: querystring.parse(body)})
+        var response = responses.shift()
+        res.writeHead(response.statusCode, {'Content-Type': 'application/xml'})
+        res.end(response.body)
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port
+      done()
+    })
+  })
+  after((done) => server.close(done))
+  beforeEach(() => {
+    requests = []
+    responses = []
+  })
+
+  var credentialsResponse = (action, accessKey, expiration) => ({statusCode: 200, body:
+    `<${action}Response xmlns="https://sts.amazonaws.com/doc/2011-06-15/"><${action}Result>` +
+    `<Credentials><AccessKeyId>${accessKey}</AccessKeyId><SecretAccessKey>secret</SecretAccessKey>` +
+    `<SessionToken>token</SessionToken><Expiration>${expiration.toISOString()}</Expiration></Credentials>` +
+    `</${action}Result></${action}Response>`})
+  var newSTSClient = () => new Minio.STSClient({
+    endPoint: '127.0.0.1',
+    port,
+    useSSL: false,
+    accessKey: 'accesskey',
+    secretKey: 'secretkey'
+  })
+
+  it('should sign AssumeRole for the sts service', (done) => {
+    var expiration = new Date(Date.now() + 3600 * 1000)
+    responses.push(credentialsResponse('AssumeRole', 'assumed', expiration))
+    newSTSClient().assumeRole({roleArn: 'arn:aws:iam::123:role/backup', durationSeconds: 900}, (e, credentials) => {
+      if (e) return done(e)
+      assert.equal(credentials.accessKey, 'assumed')
+      assert.equal(credentials.secretKey, 'secret')
+      assert.equal(credentials.sessionToken, 'token')
+      assert.equal(credentials.expiration.getTime(), expiration.getTime())
+      var request = requests[0]
+      assert.match(request.headers.authorization, /Credential=accesskey\/\d{8}\/us-east-1\/sts\/aws4_request/)
+      assert.deepEqual(request.body, {Action: 'AssumeRole', Version: '2011-06-15',
+                                      RoleArn: 'arn:aws:iam::123:role/backup', DurationSeconds: '900'})
+      done()
+    })
+  })
+
+  it('should send web identity tokens unsigned', (done) => {
+    responses.push(credentialsResponse('AssumeRoleWithWebIdentity', 'web', new Date(Date.now() + 3600 * 1000)))
+    newSTSClient().assumeRoleWithWebIdentity({webIdentityToken: 'jwt'}, (e, credentials) => {
+      if (e) return done(e)
+      assert.equal(credentials.accessKey, 'web')
+      assert.isUndefined(requests[0].headers.authorization)
+      assert.equal(requests[0].body.WebIdentityToken, 'jwt')
+      done()
+    })
+  })
+
+  it('should return STS errors', (done) => {
+    responses.push({statusCode: 400, body: '<ErrorResponse><Error><Type>Sender</Type><Code>InvalidParameterValue</Code>' +
+                    '<Message>Token is expired</Message></Error><RequestId>1</RequestId></ErrorResponse>'})
+    newSTSClient().assumeRoleWithClientGrants({token: 'expired'}, (e) => {
+      assert.instanceOf(e, errors.S3Error)
+      assert.equal(e.code, 'InvalidParameterValue')
+      assert.equal(e.message, 'Token is expired')
+      done()
+    })
+  })
+
+  it('should call back once when the connection is reset', (done) => {
+    var reset = new Error('read ECONNRESET')
+    reset.code = 'ECONNRESET'
+    // Both the request and the response fail, the response ends anyway.
+    var transport = {
+      request(options, onResponse) {
+        var req = new Stream.PassThrough()
+        var response = new Stream.PassThrough()
+        response.statusCode = 200
+        setImmediate(() => {
+          onResponse(response)
+          response.emit('error', reset)
+          req.emit('error', reset)
+          response.end()
+        })
+        return req
+      }
+    }
+    var client = new Minio.STSClient({endPoint: '127.0.0.1', port, useSSL: false, transport})
+    var calls = 0
+    client.assumeRoleWithWebIdentity({webIdentityToken: 'jwt'}, (e) => {
+      calls++
+      assert.equal(e, reset)
+      setTimeout(() => {
+        assert.equal(calls, 1)
+        done()
+      }, 20)
+    })
+  })
+
+  it('should validate options', () => {
+    var client = newSTSClient()
+    assert.throws(() => client.assumeRole({durationSeconds: 60}, () => {}), /durationSeconds should be between 900 and 43200/)
+    assert.throws(() => client.assumeRoleWithWebIdentity({}, () => {}), /webIdentityToken should be a non empty "string"/)
+    assert.throws(() => new Minio.AssumeRoleProvider({}, {}), /stsClient should be of type "STSClient"/)
+  })
+
+  it('should refresh credentials with a fresh token', (done) => {
+    var tokens = 0
+    var provider = new Minio.WebIdentityProvider(newSTSClient(), {
+      webIdentityToken: cb => cb(null, `jwt${++tokens}`)
+    })
+    // The first credentials expire within the expiry window.
+    responses.push(credentialsResponse('AssumeRoleWithWebIdentity', 'first', new Date(Date.now() + 30 * 1000)))
+    responses.push(credentialsResponse('AssumeRoleWithWebIdentity', 'second', new Date(Date.now() + 3600 * 1000)))
+    provider.getCredentials((e, first) => {
+      if (e) return done(e)
+      provider.getCredentials((e, second) => {
+        if (e) return done(e)
+        assert.equal(first.accessKey, 'first')
+        assert.equal(second.accessKey, 'second')
+        assert.deepEqual(requests.map(r => r.body.WebIdentityToken), ['jwt1', 'jwt2'])
+        done()
+      })
+    })
+  })
+})
+
 describe('Client', function() {
   var nockRequests = []
   this.timeout(5000)
@@ -118,6 +535,16 @@ describe('Client', function() {
     secretKey: 'secretkey',
     useSSL: false
   })
+  // regionClient skips the bucket location lookup, so that only the
+  // request under test has to be mocked.
+  var regionClient = new Minio.Client({
+    endPoint: 'localhost',
+    port: 9000,
+    accessKey: 'accesskey',
+    secretKey: 'secretkey',
+    useSSL: false,
+    region: 'us-east-1'
+  })
   describe('new client', () => {
     it('should work with https', () => {
       var client = new Minio.Client({
@@ -269,6 +696,202 @@ describe('Client', function() {
         }
       })
     })
+    describe('presign options', () => {
+      var requestDate = new Date(Date.UTC(2018, 0, 1, 12))
+      var lookup = (accessKey, cb) => cb(null, 'secretkey')
+      it('should use the request date given', (done) => {
+        regionClient.presignedGetObject('bucket', 'object', 1000, {}, {requestDate}, (e, url) => {
+          if (e) return done(e)
+          assert.include(url, 'X-Amz-Date=20180101T120000Z')
+          regionClient.presignedGetObject('bucket', 'object', 1000, {}, {requestDate}, (e, other) => {
+            if (e) return done(e)
+            assert.equal(other, url)
+            done()
+          })
+        })
+      })
+      it('should sign the headers given', (done) => {
+        var presignOpts = {requestDate, headers: {'Content-Type': 'image/png'}, metaData: {album: 'holidays'}}
+        regionClient.presignedPutObject('bucket', 'object', 1000, presignOpts, (e, url) => {
+          if (e) return done(e)
+          assert.include(url, 'X-Amz-SignedHeaders=content-type%3Bhost%3Bx-amz-meta-album&')
+          var headers = {'content-type': 'image/png', 'x-amz-meta-album': 'holidays'}
+          var verifyOpts = {method: 'PUT', headers, now: requestDate}
+          Minio.verifyPresignedUrl(url, lookup, verifyOpts).then(result => {
+            assert.equal(result.valid, true)
+            verifyOpts.headers = Object.assign({}, headers, {'content-type': 'text/html'})
+            return Minio.verifyPresignedUrl(url, lookup, verifyOpts)
+          }).then(result => {
+            assert.equal(result.reason, Minio.SIGNATURE_FAILURES.SIGNATURE_MISMATCH)
+            done()
+          }).catch(done)
+        })
+      })
+      it('should sign the customer key of reads', (done) => {
+        var encryption = {type: Minio.ENCRYPTION_TYPES.SSE_C, key: new Buffer(32)}
+        regionClient.presignedUrl('HEAD', 'bucket', 'object', 1000, {}, {encryption}, (e, url) => {
+          if (e) return done(e)
+          var signedHeaders = 'host%3Bx-amz-server-side-encryption-customer-algorithm%3B' +
+                'x-amz-server-side-encryption-customer-key%3Bx-amz-server-side-encryption-customer-key-md5'
+          assert.include(url, `X-Amz-SignedHeaders=${signedHeaders}&`)
+          done()
+        })
+      })
+      it('should add the version and the response overrides', (done) => {
+        var respHeaders = {'response-content-disposition': 'attachment; filename="a (1).txt"'}
+        regionClient.presignedGetObject('bucket', 'object', 1000, respHeaders, {versionId: 'v1', requestDate}, (e, url) => {
+          if (e) return done(e)
+          assert.include(url, '/bucket/object?response-content-disposition=attachment%3B%20filename%3D%22a%20%281%29.txt%22&versionId=v1&')
+          Minio.verifyPresignedUrl(url, lookup, {now: requestDate}, (e, result) => {
+            if (e) return done(e)
+            assert.equal(result.valid, true)
+            done()
+          })
+        })
+      })
+      it('should validate the options', () => {
+        assert.throws(() => regionClient.presignedGetObject('bucket', 'object', 1000, {}, {requestDate: 'now'}, () => {}),
+                      /requestDate should be a valid "Date"/)
+        assert.throws(() => regionClient.presignedPutObject('bucket', 'object', 1000, {headers: 'a'}, () => {}),
+                      /headers should be of type "object"/)
+        assert.throws(() => regionClient.presignedUrl('GET', 'bucket', 'object', 1000, {'response-expires': 1}, () => {}),
+                      /response header response-expires should be of type "string"/)
+      })
+    })
+  })
+  describe('credentials provider', () => {
+    class RotatingProvider extends Minio.CredentialProvider {
+      constructor() {
+        super({expiryWindow: 0})
+        this.count = 0
+      }
+      retrieve(cb) {
+        this.count++
+        cb(null, new Minio.Credentials({accessKey: `rotated${this.count}`, secretKey: 'secret',
+                                        sessionToken: 'token', expiration: new Date(Date.now() - 1)}))
+      }
+    }
+    var newClient = (credentialsProvider) => new Minio.Client({
+      endPoint: 'localhost',
+      port: 9000,
+      useSSL: false,
+      region: 'us-east-1',
+      credentialsProvider
+    })
+
+    it('should fail on invalid provider', () => {
+      assert.throws(() => newClient({}), /Invalid credentialsProvider/)
+      assert.throws(() => client.setCredentialsProvider(null), /Invalid credentialsProvider/)
+    })
+
+    it('should sign every request with fresh credentials', (done) => {
+      var client = newClient(new RotatingProvider())
+      ;[1, 2].forEach(n => {
+        nockRequests.push({request: Nock('http://localhost:9000', {reqheaders: {
+          authorization: value => value.indexOf(`Credential=rotated${n}/`) !== -1,
+          'x-amz-security-token': 'token'
+        }}).head('/bucket').reply(200)})
+      })
+      client.bucketExists('bucket', (e) => {
+        if (e) return done(e)
+        client.bucketExists('bucket', done)
+      })
+    })
+
+    it('should add the session token to presigned urls', (done) => {
+      var client = newClient(new RotatingProvider())
+      client.presignedGetObject('bucket', 'object', 1000, (e, url) => {
+        if (e) return done(e)
+        assert.include(url, 'X-Amz-Credential=rotated1%2F')
+        assert.include(url, 'X-Amz-Security-Token=token')
+        done()
+      })
+    })
+
+    it('should add the session token to post policies', (done) => {
+      var client = newClient(new RotatingProvider())
+      var policy = client.newPostPolicy()
+      policy.setBucket('bucket')
+      policy.setKey('object')
+      policy.setExpires(new Date(Date.now() + 1000 * 60))
+      client.presignedPostPolicy(policy, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.formData['x-amz-security-token'], 'token')
+        assert.include(result.formData['x-amz-credential'], 'rotated1/')
+        done()
+      })
+    })
+
+    it('should not presign with anonymous credentials', (done) => {
+      var client = newClient(new Minio.StaticProvider({}))
+      client.presignedGetObject('bucket', 'object', 1000, (e) => {
+        assert.instanceOf(e, errors.AnonymousRequestError)
+        done()
+      })
+    })
+  })
+  describe('retries', () => {
+    var retryClient = new Minio.Client({
+      endPoint: 'localhost',
+      port: 9000,
+      accessKey: 'accesskey',
+      secretKey: 'secretkey',
+      useSSL: false,
+      region: 'us-east-1',
+      retryOptions: {baseDelay: 1}
+    })
+    var slowDown = '<Error><Code>SlowDown</Code><Message>Please reduce your request rate.</Message></Error>'
+
+    it('should fail on invalid retry options', () => {
+      assert.throws(() => new Minio.Client({endPoint: 'localhost', retryOptions: {maxAttempts: 0}}),
+                    /maxAttempts should be a positive integer/)
+      assert.throws(() => new Minio.Client({endPoint: 'localhost', retryOptions: {retryableCodes: 'SlowDown'}}),
+                    /retryableCodes should be of type "Array"/)
+    })
+
+    it('should retry throttled requests', (done) => {
+      var log = ''
+      retryClient.traceOn(new Stream.Writable({write: (chunk, enc, cb) => (log += chunk, cb())}))
+      nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?tagging').reply(503, slowDown)})
+      nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?tagging').replyWithError(Object.assign(new Error('socket hang up'), {code: 'ECONNRESET'}))})
+      nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?tagging')
+        .reply(200, '<Tagging><TagSet/></Tagging>')})
+      retryClient.getBucketTagging('bucket', (e, tags) => {
+        retryClient.traceOff()
+        if (e) return done(e)
+        assert.deepEqual(tags, [])
+        assert.include(log, 'RETRY: attempt 2 of 3')
+        assert.include(log, 'RETRY: attempt 3 of 3')
+        done()
+      })
+    })
+
+    it('should give up after maxAttempts', (done) => {
+      for (var i = 0; i < 3; i++) {
+        nockRequests.push({request: Nock('http://localhost:9000').delete('/bucket/object').reply(503, slowDown)})
+      }
+      retryClient.removeObject('bucket', 'object', (e) => {
+        assert.equal(e.code, 'SlowDown')
+        done()
+      })
+    })
+
+    it('should not retry non idempotent requests', (done) => {
+      nockRequests.push({request: Nock('http://localhost:9000').post('/bucket/object?uploads').reply(503, slowDown)})
+      retryClient.initiateNewMultipartUpload('bucket', 'object', {}, (e) => {
+        assert.equal(e.code, 'SlowDown')
+        done()
+      })
+    })
+
+    it('should not retry other errors', (done) => {
+      nockRequests.push({request: Nock('http://localhost:9000').head('/bucket/object')
+        .reply(403, '<Error><Code>AccessDenied</Code></Error>')})
+      retryClient.statObject('bucket', 'object', (e) => {
+        assert.equal(e.code, 'AccessDenied')
+        done()
+      })
+    })
   })
   describe('User Agent', () => {
     it('should have a default user agent', () => {
@@ -387,8 +1010,316 @@ describe('Client', function() {
           done()
         }
       })
+      it('should request the given version', (done) => {
+        var request = Nock('http://localhost:9000')
+          .get('/bucket/object?versionId=v1')
+          .reply(200, 'hello')
+        nockRequests.push({request})
+        regionClient.getObject('bucket', 'object', {versionId: 'v1'}, (e, stream) => {
+          if (e) return done(e)
+          stream.on('data', data => assert.equal(data.toString(), 'hello'))
+          stream.on('end', done)
+        })
+      })
+      it('should fail on invalid getOpts', () => {
+        assert.throws(() => {
+          client.getObject('bucket', 'object', 'v1', () => {})
+        }, /getOpts should be of type "object"/)
+      })
+    })
+
+    describe('progress', () => {
+      it('should fail on invalid onProgress', () => {
+        assert.throws(() => client.putObject('bucket', 'object', 'data', {}, {onProgress: true}, () => {}),
+                      /onProgress should be of type "function"/)
+        assert.throws(() => client.getObject('bucket', 'object', {onProgress: 'yes'}, () => {}),
+                      /onProgress should be of type "function"/)
+      })
+
+      it('should report uploads', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/object').reply(200, '', {ETag: '"etag"'})})
+        var progress = []
+        regionClient.putObject('bucket', 'object', 'hello world', {}, {onProgress: p => progress.push(p)}, (e) => {
+          if (e) return done(e)
+          assert.deepEqual(progress, [{bytes: 11, total: 11, partNumber: 1, partsSkipped: 0}])
+          done()
+        })
+      })
+
+      it('should report downloads', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket/object')
+          .reply(200, 'hello world', {'Content-Length': 11})})
+        var progress = []
+        regionClient.getObject('bucket', 'object', {onProgress: p => progress.push(p)}, (e, stream) => {
+          if (e) return done(e)
+          assert.equal(stream.statusCode, 200)
+          assert.equal(stream.headers['content-length'], '11')
+          var content = ''
+          stream.on('data', chunk => content += chunk)
+          stream.on('end', () => {
+            assert.equal(content, 'hello world')
+            assert.deepEqual(progress[progress.length - 1], {bytes: 11, total: 11})
+            done()
+          })
+        })
+      })
+
+      it('should report downloads to a file', (done) => {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-progress-'))
+        var filePath = path.join(dir, 'object')
+        nockRequests.push({request: Nock('http://localhost:9000').head('/bucket/object')
+          .reply(200, '', {'Content-Length': 11, ETag: '"etag"', 'Last-Modified': new Date().toUTCString()})})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket/object').reply(200, 'hello world')})
+        var progress = []
+        regionClient.fGetObject('bucket', 'object', filePath, {onProgress: p => progress.push(p)}, (e) => {
+          if (e) return done(e)
+          assert.equal(fs.readFileSync(filePath, 'utf8'), 'hello world')
+          fs.unlinkSync(filePath)
+          fs.rmdirSync(dir)
+          assert.deepEqual(progress[progress.length - 1], {bytes: 11, total: 11})
+          done()
+        })
+      })
+    })
+
+    describe('parallel multipart uploads', () => {
+      var partSize = 5 * 1024 * 1024
+      var data = Buffer.alloc(2 * partSize + 1)
+      var mockInitiate = () => {
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?uploads&max-uploads=1000&prefix=object')
+          .reply(200, '<ListMultipartUploadsResult></ListMultipartUploadsResult>')})
+        nockRequests.push({request: Nock('http://localhost:9000').post('/bucket/object?uploads')
+          .reply(200, '<InitiateMultipartUploadResult><UploadId>id</UploadId></InitiateMultipartUploadResult>')})
+      }
+
+      it('should fail on invalid concurrency', () => {
+        assert.throws(() => client.putObject('bucket', 'object', 'data', {}, {concurrency: 0}, () => {}),
+                      /concurrency should be a positive integer/)
+        assert.throws(() => client.fPutObject('bucket', 'object', '/tmp/file', {}, {concurrency: 1.5}, () => {}),
+                      /concurrency should be a positive integer/)
+      })
+
+      it('should keep parts in flight and complete them in order', (done) => {
+        mockInitiate()
+        // The first part is only answered once the second one was sent.
+        var releaseFirst
+        var secondSent = false
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/object?partNumber=1&uploadId=id')
+          .reply(200, (uri, body, cb) => {
+            releaseFirst = () => cb(null, '')
+            if (secondSent) releaseFirst()
+          }, {ETag: '"etag1"'})})
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/object?partNumber=2&uploadId=id')
+          .reply(200, () => {
+            secondSent = true
+            if (releaseFirst) releaseFirst()
+            return ''
+          }, {ETag: '"etag2"'})})
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/object?partNumber=3&uploadId=id')
+          .reply(200, '', {ETag: '"etag3"'})})
+        nockRequests.push({request: Nock('http://localhost:9000')
+          .post('/bucket/object?uploadId=id', body => /etag1.*etag2.*etag3/.test(body))
+          .reply(200, '<CompleteMultipartUploadResult><Location>http://localhost:9000/bucket/object</Location>' +
+                 '<Bucket>bucket</Bucket><Key>object</Key><ETag>"etag"</ETag></CompleteMultipartUploadResult>')})
+        var progress = []
+        var onProgress = p => progress.push(p)
+        regionClient.putObject('bucket', 'object', data, {}, {concurrency: 2, onProgress}, (e, objInfo) => {
+          if (e) return done(e)
+          assert.equal(objInfo.etag, 'etag')
+          assert.deepEqual(progress.map(p => p.partNumber).sort(), [1, 2, 3])
+          assert.deepEqual(progress.map(p => p.bytes), [partSize, 2 * partSize, data.length])
+          assert.equal(progress[2].total, data.length)
+          done()
+        })
+      })
+
+      it('should stop on the first failed part', (done) => {
+        mockInitiate()
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/object?partNumber=1&uploadId=id')
+          .reply(403, '<Error><Code>AccessDenied</Code></Error>')})
+        // The other parts may be done before the first one fails, the
+        // upload is never completed.
+        Nock('http://localhost:9000').put('/bucket/object?partNumber=2&uploadId=id').reply(200, '')
+        Nock('http://localhost:9000').put('/bucket/object?partNumber=3&uploadId=id').reply(200, '')
+        var calls = 0
+        regionClient.putObject('bucket', 'object', data, {}, {concurrency: 2}, (e) => {
+          calls++
+          assert.equal(e.code, 'AccessDenied')
+          setTimeout(() => {
+            assert.equal(calls, 1)
+            done()
+          }, 50)
+        })
+      })
+
+      it('should tear down the parts in flight when a part fails', (done) => {
+        mockInitiate()
+        // The first part fails while the second one is in flight, the
+        // second part is never answered.
+        var failFirst, answerSecond
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/object?partNumber=1&uploadId=id')
+          .reply(403, (uri, body, cb) => {
+            failFirst = () => cb(null, '<Error><Code>AccessDenied</Code></Error>')
+          })})
+        Nock('http://localhost:9000').put('/bucket/object?partNumber=2&uploadId=id')
+          .reply(200, (uri, body, cb) => {
+            answerSecond = cb
+            failFirst()
+          })
+        var transport = regionClient.transport
+        var secondAborted = false
+        regionClient.transport = {
+          request(options, cb) {
+            var req = transport.request(options, cb)
+            if (/partNumber=2/.test(options.path)) {
+              var abort = req.abort
+              req.abort = () => {
+                secondAborted = true
+                abort.call(req)
+              }
+            }
+            return req
+          }
+        }
+        regionClient.putObject('bucket', 'object', data, {}, {concurrency: 2}, (e) => {
+          regionClient.transport = transport
+          assert.equal(e.code, 'AccessDenied')
+          assert.isFunction(answerSecond)
+          assert.isTrue(secondAborted)
+          done()
+        })
+      })
     })
+    describe('abort', () => {
+      it('should fail on invalid signal', () => {
+        assert.throws(() => client.getObject('bucket', 'object', {signal: 'signal'}, () => {}),
+                      /signal should be of type "AbortSignal"/)
+        assert.throws(() => client.putObject('bucket', 'object', 'data', {}, {signal: {}}, () => {}),
+                      /signal should be of type "AbortSignal"/)
+      })
+
+      it('should not send requests once aborted', (done) => {
+        var controller = new Minio.AbortController()
+        controller.abort()
+        regionClient.getObject('bucket', 'object', {signal: controller.signal}, (e) => {
+          assert.instanceOf(e, errors.AbortError)
+          regionClient.fPutObject('bucket', 'object', '/tmp/file', {}, {signal: controller.signal}, (e) => {
+            assert.instanceOf(e, errors.AbortError)
+            done()
+          })
+        })
+      })
+
+      it('should abort a request in flight', (done) => {
+        var controller = new Minio.AbortController()
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket/object')
+          .reply(200, () => {
+            controller.abort()
+          })})
+        regionClient.getObject('bucket', 'object', {signal: controller.signal}, (e) => {
+          assert.instanceOf(e, errors.AbortError)
+          done()
+        })
+      })
+
+      it('should fail the object stream once aborted', (done) => {
+        var controller = new Minio.AbortController()
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket/object').reply(200, 'data')})
+        regionClient.getObject('bucket', 'object', {signal: controller.signal}, (e, stream) => {
+          if (e) return done(e)
+          stream.on('error', e => {
+            assert.instanceOf(e, errors.AbortError)
+            done()
+          })
+          controller.abort()
+        })
+      })
+
+      it('should abort the multipart upload if asked to', (done) => {
+        var controller = new Minio.AbortController()
+        var data = Buffer.alloc(5 * 1024 * 1024 + 1)
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?uploads&max-uploads=1000&prefix=object')
+          .reply(200, '<ListMultipartUploadsResult></ListMultipartUploadsResult>')})
+        nockRequests.push({request: Nock('http://localhost:9000').post('/bucket/object?uploads')
+          .reply(200, '<InitiateMultipartUploadResult><UploadId>id</UploadId></InitiateMultipartUploadResult>')})
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/object?partNumber=1&uploadId=id')
+          .reply(200, () => {
+            controller.abort()
+          })})
+        nockRequests.push({request: Nock('http://localhost:9000').delete('/bucket/object?uploadId=id').reply(204)})
+        var putOpts = {signal: controller.signal, abortMultipart: true}
+        regionClient.putObject('bucket', 'object', data, {}, putOpts, (e) => {
+          assert.instanceOf(e, errors.AbortError)
+          done()
+        })
+      })
+
+      it('should fail the listing once aborted', (done) => {
+        var controller = new Minio.AbortController()
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?max-keys=1000')
+          .reply(200, () => {
+            controller.abort()
+          })})
+        var errs = []
+        regionClient.listObjects('bucket', '', true, {signal: controller.signal})
+          .on('error', e => errs.push(e))
+          .on('data', () => {})
+        setTimeout(() => {
+          assert.equal(errs.length, 1)
+          assert.instanceOf(errs[0], errors.AbortError)
+          done()
+        }, 50)
+      })
+
+      it('should stop listening to the signal once the listing ended', (done) => {
+        var controller = new Minio.AbortController()
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?max-keys=1000')
+          .reply(200, '<ListBucketResult><IsTruncated>false</IsTruncated></ListBucketResult>')})
+        regionClient.listObjects('bucket', '', true, {signal: controller.signal})
+          .on('error', e => done(e))
+          .on('data', () => {})
+          .on('end', () => {
+            assert.equal(controller.signal.listeners.length, 0)
+            controller.abort()
+            setTimeout(done, 10)
+          })
+      })
 
+      it('should stop listening to the signal once the versions are listed', (done) => {
+        var controller = new Minio.AbortController()
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?versions&max-keys=1000')
+          .reply(200, '<ListVersionsResult><IsTruncated>false</IsTruncated></ListVersionsResult>')})
+        regionClient.listObjectVersions('bucket', '', true, {signal: controller.signal})
+          .on('error', e => done(e))
+          .on('data', () => {})
+          .on('end', () => {
+            assert.equal(controller.signal.listeners.length, 0)
+            controller.abort()
+            setTimeout(done, 10)
+          })
+      })
+
+      it('should stop listening to the signal once the object stream is over', (done) => {
+        var controller = new Minio.AbortController()
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket/object').reply(200, 'data')})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket/other').reply(200, 'data')})
+        regionClient.getObject('bucket', 'object', {signal: controller.signal}, (e, stream) => {
+          if (e) return done(e)
+          stream.on('data', () => {})
+          stream.on('end', () => {
+            assert.equal(controller.signal.listeners.length, 0)
+            regionClient.getObject('bucket', 'other', {signal: controller.signal}, (e, stream) => {
+              if (e) return done(e)
+              // The response is closed when its connection is torn down.
+              stream.emit('close')
+              assert.equal(controller.signal.listeners.length, 0)
+              stream.resume()
+              stream.on('end', done)
+            })
+          })
+        })
+      })
+    })
     describe('#putObject(bucket, object, source, size, contentType, callback)', () => {
       describe('with small objects using single put', () => {
         it('should fail when data is smaller than specified', (done) => {
@@ -463,6 +1394,29 @@ describe('Client', function() {
             done()
           }
         })
+        it('should send the tags of the object', (done) => {
+          var request = Nock('http://localhost:9000', {reqheaders: {'x-amz-tagging': 'retention=90d&team=data%20lake'}})
+            .put('/bucket/object')
+            .reply(200, '', {'ETag': '"etag1"'})
+          nockRequests.push({request})
+          regionClient.putObject('bucket', 'object', 'hello', {'x-amz-tagging': {retention: '90d', team: 'data lake'}}, done)
+        })
+        it('should validate the tags of the object', () => {
+          assert.throws(() => {
+            regionClient.putObject('bucket', 'object', 'hello', {'x-amz-tagging': {'aws:key': 'value'}}, () => {})
+          }, errors.InvalidTagKeyError)
+        })
+        it('should return the etag and version id', (done) => {
+          var request = Nock('http://localhost:9000')
+            .put('/bucket/object')
+            .reply(200, '', {'ETag': '"etag1"', 'x-amz-version-id': 'v1'})
+          nockRequests.push({request})
+          regionClient.putObject('bucket', 'object', 'hello', (e, objInfo) => {
+            if (e) return done(e)
+            assert.deepEqual(objInfo, {etag: 'etag1', versionId: 'v1'})
+            done()
+          })
+        })
       })
     })
 
@@ -510,16 +1464,750 @@ describe('Client', function() {
       })
     })
 
-    describe('#statObject(bucket, object, callback)', () => {
-      it('should fail on null bucket', (done) => {
-        try {
-          client.statObject(null, 'hello', function() {})
-        } catch (e) {
-          done()
-        }
+    describe('#setBucketVersioning()', () => {
+      it('should error on invalid arguments', () => {
+        assert.throws(() => {
+          client.setBucketVersioning('ab', {Status: 'Enabled'}, () => {})
+        }, /Invalid bucket name/)
+        assert.throws(() => {
+          client.setBucketVersioning('bucket', 'Enabled', () => {})
+        }, /versionConfig should be of type "object"/)
+        assert.throws(() => {
+          client.setBucketVersioning('bucket', {Status: 'On'}, () => {})
+        }, /Invalid versioning status/)
+        assert.throws(() => {
+          client.setBucketVersioning('bucket', {Status: 'Enabled', MFADelete: 'On'}, () => {})
+        }, /Invalid MFA delete status/)
       })
-      it('should fail on empty bucket', (done) => {
-        try {
+      it('should send the versioning configuration', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {'x-amz-mfa': 'serial 123456'}})
+          .put('/bucket?versioning', '<VersioningConfiguration><Status>Suspended</Status><MfaDelete>Disabled</MfaDelete></VersioningConfiguration>')
+          .reply(200)
+        nockRequests.push({request})
+        regionClient.setBucketVersioning('bucket', {Status: 'Suspended', MFADelete: 'Disabled', MFA: 'serial 123456'}, done)
+      })
+    })
+
+    describe('#getBucketVersioning()', () => {
+      it('should error on invalid arguments', () => {
+        assert.throws(() => {
+          client.getBucketVersioning('ab', () => {})
+        }, /Invalid bucket name/)
+      })
+      it('should parse the versioning configuration', (done) => {
+        var request = Nock('http://localhost:9000')
+          .get('/bucket?versioning')
+          .reply(200, '<VersioningConfiguration xmlns="http://s3.amazonaws.com/doc/2006-03-01/"><Status>Enabled</Status><MfaDelete>Disabled</MfaDelete></VersioningConfiguration>')
+        nockRequests.push({request})
+        regionClient.getBucketVersioning('bucket', (e, config) => {
+          if (e) return done(e)
+          assert.deepEqual(config, {Status: 'Enabled', MFADelete: 'Disabled'})
+          done()
+        })
+      })
+      it('should return an empty configuration for unversioned buckets', (done) => {
+        var request = Nock('http://localhost:9000')
+          .get('/bucket?versioning')
+          .reply(200, '<VersioningConfiguration xmlns="http://s3.amazonaws.com/doc/2006-03-01/"/>')
+        nockRequests.push({request})
+        regionClient.getBucketVersioning('bucket', (e, config) => {
+          if (e) return done(e)
+          assert.deepEqual(config, {})
+          done()
+        })
+      })
+    })
+
+    describe('#listObjectVersions(bucket, prefix, recursive)', () => {
+      it('should error on invalid arguments', () => {
+        assert.throws(() => {
+          client.listObjectVersions('ab', '', true)
+        }, /Invalid bucket name/)
+        assert.throws(() => {
+          client.listObjectVersions('bucket', '', 'true')
+        }, /recursive should be of type "boolean"/)
+      })
+      it('should list versions and delete markers across pages', (done) => {
+        var page1 = '<ListVersionsResult><IsTruncated>true</IsTruncated><NextKeyMarker>a</NextKeyMarker><NextVersionIdMarker>v1</NextVersionIdMarker>' +
+            '<DeleteMarker><Key>a</Key><VersionId>v3</VersionId><IsLatest>true</IsLatest><LastModified>2017-08-11T19:34:18.000Z</LastModified></DeleteMarker>' +
+            '<Version><Key>a</Key><VersionId>v2</VersionId><IsLatest>false</IsLatest><LastModified>2017-08-10T19:34:18.000Z</LastModified><ETag>"etag2"</ETag><Size>2</Size></Version>' +
+            '<DeleteMarker><Key>a</Key><VersionId>v1</VersionId><IsLatest>false</IsLatest><LastModified>2017-08-09T19:34:18.000Z</LastModified></DeleteMarker>' +
+            '</ListVersionsResult>'
+        var page2 = '<ListVersionsResult><IsTruncated>false</IsTruncated>' +
+            '<Version><Key>b</Key><VersionId>v4</VersionId><IsLatest>true</IsLatest><LastModified>2017-08-11T19:34:18.000Z</LastModified><ETag>"etag4"</ETag><Size>4</Size></Version>' +
+            '</ListVersionsResult>'
+        var request1 = Nock('http://localhost:9000')
+          .get('/bucket?versions&max-keys=1000&prefix=p')
+          .reply(200, page1)
+        var request2 = Nock('http://localhost:9000')
+          .get('/bucket?versions&key-marker=a&max-keys=1000&prefix=p&version-id-marker=v1')
+          .reply(200, page2)
+        nockRequests.push({request: request1}, {request: request2})
+        var objects = []
+        regionClient.listObjectVersions('bucket', 'p', true)
+          .on('error', done)
+          .on('data', obj => objects.push(obj))
+          .on('end', () => {
+            assert.deepEqual(objects.map(obj => [obj.name, obj.versionId, obj.isLatest, obj.isDeleteMarker]),
+                             [['a', 'v3', true, true], ['a', 'v2', false, false], ['a', 'v1', false, true], ['b', 'v4', true, false]])
+            assert.equal(objects[1].etag, 'etag2')
+            assert.equal(objects[3].size, 4)
+            assert.equal(objects[0].lastModified.getTime(), new Date('2017-08-11T19:34:18.000Z').getTime())
+            done()
+          })
+      })
+    })
+
+    describe('listing iterators', () => {
+      var listV2 = (token, keys, next) => '<ListBucketResult>' +
+          `<IsTruncated>${next ? 'true' : 'false'}</IsTruncated>` +
+          (next ? `<NextContinuationToken>${next}</NextContinuationToken>` : '') +
+          keys.map(key => `<Contents><Key>${key}</Key><LastModified>2017-08-11T19:34:18.000Z</LastModified>` +
+                   '<ETag>"etag"</ETag><Size>1</Size></Contents>').join('') +
+          '</ListBucketResult>'
+
+      it('should iterate over the objects of a listing', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?list-type=2&max-keys=1000')
+          .reply(200, listV2('', ['a', 'b'], 'token'))})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?continuation-token=token&list-type=2&max-keys=1000')
+          .reply(200, listV2('token', ['c'], null))})
+        var iterator = regionClient.listObjectsV2('bucket', '', true)[Symbol.asyncIterator]()
+        var names = []
+        var next = () => iterator.next().then(result => {
+          if (result.done) {
+            assert.deepEqual(names, ['a', 'b', 'c'])
+            return done()
+          }
+          names.push(result.value.name)
+          next()
+        }).catch(done)
+        next()
+      })
+
+      it('should list pages and resume from the continuation token', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?list-type=2&max-keys=1000')
+          .reply(200, listV2('', ['a', 'b'], 'token'))})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?continuation-token=token&list-type=2&max-keys=1000')
+          .reply(200, listV2('token', ['c'], null))})
+        var pages = regionClient.listObjectsV2Pages('bucket', '', true)
+        pages.next()
+          .then(result => {
+            assert.deepEqual(result.value.objects.map(obj => obj.name), ['a', 'b'])
+            assert.equal(pages.marker, 'token')
+            // A new listing resumes after the first page.
+            var resumed = regionClient.listObjectsV2Pages('bucket', '', true, {continuationToken: pages.marker})
+            return resumed.next().then(result => {
+              assert.deepEqual(result.value.objects.map(obj => obj.name), ['c'])
+              assert.isNull(resumed.marker)
+              return resumed.next()
+            })
+          })
+          .then(result => {
+            assert.isTrue(result.done)
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should fail the iteration on errors', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?max-keys=1000')
+          .reply(403, '<Error><Code>AccessDenied</Code></Error>')})
+        regionClient.listObjects('bucket', '', true)[Symbol.asyncIterator]().next()
+          .then(() => done(new Error('expected an error')), e => {
+            assert.equal(e.code, 'AccessDenied')
+            done()
+          })
+      })
+
+      it('should list pages of incomplete uploads', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?uploads&max-uploads=1000')
+          .reply(200, '<ListMultipartUploadsResult><IsTruncated>true</IsTruncated>' +
+                 '<NextKeyMarker>object</NextKeyMarker><NextUploadIdMarker>id</NextUploadIdMarker>' +
+                 '<Upload><Key>object</Key><UploadId>id</UploadId><Initiated>2017-08-11T19:34:18.000Z</Initiated></Upload>' +
+                 '</ListMultipartUploadsResult>')})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket/object?uploadId=id')
+          .reply(200, '<ListPartsResult><IsTruncated>false</IsTruncated></ListPartsResult>')})
+        var pages = regionClient.listIncompleteUploadsPages('bucket', '', true)
+        pages.next()
+          .then(result => {
+            assert.deepEqual(result.value.uploads.map(upload => upload.uploadId), ['id'])
+            assert.deepEqual(pages.marker, {keyMarker: 'object', uploadIdMarker: 'id'})
+            done()
+          })
+          .catch(done)
+      })
+
+      var listVersions = (keys, next) => '<ListVersionsResult>' +
+          `<IsTruncated>${next ? 'true' : 'false'}</IsTruncated>` +
+          (next ? `<NextKeyMarker>${next[0]}</NextKeyMarker><NextVersionIdMarker>${next[1]}</NextVersionIdMarker>` : '') +
+          keys.map(key => `<Version><Key>${key}</Key><VersionId>v${key}</VersionId><IsLatest>true</IsLatest>` +
+                   '<LastModified>2017-08-11T19:34:18.000Z</LastModified><ETag>"etag"</ETag><Size>1</Size></Version>').join('') +
+          '</ListVersionsResult>'
+
+      it('should iterate over the object versions of a listing', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?versions&max-keys=1000')
+          .reply(200, listVersions(['a', 'b'], ['b', 'vb']))})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?versions&key-marker=b&max-keys=1000&version-id-marker=vb')
+          .reply(200, listVersions(['c'], null))})
+        var iterator = regionClient.listObjectVersions('bucket', '', true)[Symbol.asyncIterator]()
+        var versions = []
+        var next = () => iterator.next().then(result => {
+          if (result.done) {
+            assert.deepEqual(versions, ['va', 'vb', 'vc'])
+            return done()
+          }
+          versions.push(result.value.versionId)
+          next()
+        }).catch(done)
+        next()
+      })
+
+      it('should list pages of object versions and resume from the markers', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?versions&max-keys=1000')
+          .reply(200, listVersions(['a', 'b'], ['b', 'vb']))})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?versions&key-marker=b&max-keys=1000&version-id-marker=vb')
+          .reply(200, listVersions(['c'], null))})
+        var pages = regionClient.listObjectVersionsPages('bucket', '', true)
+        pages.next()
+          .then(result => {
+            assert.deepEqual(result.value.objects.map(obj => obj.name), ['a', 'b'])
+            assert.deepEqual(pages.marker, {keyMarker: 'b', versionIdMarker: 'vb'})
+            // A new listing resumes after the first page.
+            var resumed = regionClient.listObjectVersionsPages('bucket', '', true, pages.marker)
+            return resumed.next().then(result => {
+              assert.deepEqual(result.value.objects.map(obj => obj.name), ['c'])
+              assert.isNull(resumed.marker)
+              return resumed.next()
+            })
+          })
+          .then(result => {
+            assert.isTrue(result.done)
+            done()
+          })
+          .catch(done)
+      })
+
+      it('should iterate over notifications until the loop is left', (done) => {
+        var record = {eventName: 's3:ObjectCreated:Put', s3: {object: {key: 'object'}}}
+        Nock('http://localhost:9000').get('/bucket?events=s3%3AObjectCreated%3A%2A')
+          .reply(200, JSON.stringify({Records: [record]}) + '\n')
+        var poller = regionClient.listenBucketNotification('bucket', '', '', ['s3:ObjectCreated:*'])
+        var iterator = poller[Symbol.asyncIterator]()
+        iterator.next()
+          .then(result => {
+            assert.deepEqual(result.value, record)
+            return iterator.return()
+          })
+          .then(result => {
+            assert.isTrue(result.done)
+            assert.isTrue(poller.ending)
+            done()
+          })
+          .catch(done)
+      })
+    })
+
+    describe('#listObjectsV2 options', () => {
+      it('should validate the options', () => {
+        assert.throws(() => client.listObjectsV2('bucket', '', true, {maxKeys: 0}), /maxKeys should be a positive integer/)
+        assert.throws(() => client.listObjectsV2('bucket', '', true, {startAfter: 1}), /startAfter should be of type "string"/)
+        assert.throws(() => client.listObjectsV2('bucket', '', true, {encodingType: 'base64'}), /Invalid encodingType/)
+      })
+
+      it('should send the options and parse owner, storage class and metadata', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000')
+          .get('/bucket?delimiter=%7C&encoding-type=url&fetch-owner=true&list-type=2&max-keys=1000&metadata=true&start-after=a%20b')
+          .reply(200, '<ListBucketResult><IsTruncated>false</IsTruncated><EncodingType>url</EncodingType>' +
+                 '<Contents><Key>a+b%2Fc</Key><LastModified>2017-08-11T19:34:18.000Z</LastModified><ETag>"etag"</ETag>' +
+                 '<Size>1</Size><StorageClass>STANDARD</StorageClass><Owner><ID>id</ID><DisplayName>name</DisplayName></Owner>' +
+                 '<UserMetadata><X-Amz-Meta-Project>archive</X-Amz-Meta-Project><content-type>text/plain</content-type></UserMetadata></Contents>' +
+                 '<CommonPrefixes><Prefix>d%7C</Prefix></CommonPrefixes></ListBucketResult>')})
+        var listOpts = {startAfter: 'a b', delimiter: '|', fetchOwner: true, encodingType: 'url', includeUserMetadata: true}
+        var objects = []
+        regionClient.listObjectsV2('bucket', '', false, listOpts)
+          .on('error', done)
+          .on('data', obj => objects.push(obj))
+          .on('end', () => {
+            assert.equal(objects[0].name, 'a b/c')
+            assert.equal(objects[0].storageClass, 'STANDARD')
+            assert.deepEqual(objects[0].owner, {id: 'id', displayName: 'name'})
+            assert.deepEqual(objects[0].metadata, {'X-Amz-Meta-Project': 'archive', 'content-type': 'text/plain'})
+            assert.equal(objects[1].prefix, 'd|')
+            done()
+          })
+      })
+
+      it('should limit the number of objects listed in total', (done) => {
+        var page = (keys, next) => '<ListBucketResult>' +
+            `<IsTruncated>${next ? 'true' : 'false'}</IsTruncated>` +
+            (next ? `<NextContinuationToken>${next}</NextContinuationToken>` : '') +
+            keys.map(key => `<Contents><Key>${key}</Key><LastModified>2017-08-11T19:34:18.000Z</LastModified>` +
+                     '<ETag>"etag"</ETag><Size>1</Size></Contents>').join('') +
+            '</ListBucketResult>'
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?list-type=2&max-keys=3')
+          .reply(200, page(['a', 'b'], 'token'))})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket?continuation-token=token&list-type=2&max-keys=1')
+          .reply(200, page(['c'], 'token2'))})
+        var names = []
+        regionClient.listObjectsV2('bucket', '', true, {maxKeys: 3})
+          .on('error', done)
+          .on('data', obj => names.push(obj.name))
+          .on('end', () => {
+            assert.deepEqual(names, ['a', 'b', 'c'])
+            done()
+          })
+      })
+    })
+
+    describe('#setBucketLifecycle()', () => {
+      it('should error on invalid arguments', () => {
+        assert.throws(() => {
+          client.setBucketLifecycle('ab', new Minio.LifecycleConfig(), () => {})
+        }, /Invalid bucket name/)
+        assert.throws(() => {
+          client.setBucketLifecycle('bucket', 'config', () => {})
+        }, /lifecycle config should be of type "Object"/)
+      })
+    })
+
+    describe('#getBucketLifecycle()', () => {
+      it('should round-trip the lifecycle configuration', (done) => {
+        let rule = new Minio.LifecycleRule('logs')
+        rule.setPrefix('logs/')
+        rule.addTagFilter('app', 'web')
+        rule.setExpirationDate(new Date('2030-01-01T00:00:00.000Z'))
+        rule.addTransition(30, 'STANDARD_IA')
+        rule.setNoncurrentVersionExpiration(90)
+        rule.addNoncurrentVersionTransition(10, 'GLACIER')
+        rule.setAbortIncompleteMultipartUpload(7)
+        let config = new Minio.LifecycleConfig()
+        config.addRule(rule)
+
+        let xml = '<LifecycleConfiguration><Rule><ID>logs</ID><Filter><And><Prefix>logs/</Prefix><Tag><Key>app</Key><Value>web</Value></Tag></And></Filter>' +
+            '<Status>Enabled</Status><Expiration><Date>2030-01-01T00:00:00.000Z</Date></Expiration><Transition><Days>30</Days><StorageClass>STANDARD_IA</StorageClass></Transition>' +
+            '<NoncurrentVersionExpiration><NoncurrentDays>90</NoncurrentDays></NoncurrentVersionExpiration>' +
+            '<NoncurrentVersionTransition><NoncurrentDays>10</NoncurrentDays><StorageClass>GLACIER</StorageClass></NoncurrentVersionTransition>' +
+            '<AbortIncompleteMultipartUpload><DaysAfterInitiation>7</DaysAfterInitiation></AbortIncompleteMultipartUpload></Rule></LifecycleConfiguration>'
+        var request1 = Nock('http://localhost:9000')
+          .put('/bucket?lifecycle', xml)
+          .reply(200)
+        var request2 = Nock('http://localhost:9000')
+          .get('/bucket?lifecycle')
+          .reply(200, xml)
+        var request3 = Nock('http://localhost:9000')
+          .put('/bucket?lifecycle', xml)
+          .reply(200)
+        nockRequests.push({request: request1}, {request: request2}, {request: request3})
+        regionClient.setBucketLifecycle('bucket', config, e => {
+          if (e) return done(e)
+          regionClient.getBucketLifecycle('bucket', (e, lifecycleConfig) => {
+            if (e) return done(e)
+            assert.equal(lifecycleConfig.Rule[0].Transition[0].Days, 30)
+            assert.deepEqual(lifecycleConfig.Rule[0].Filter, rule.Filter)
+            regionClient.setBucketLifecycle('bucket', lifecycleConfig, done)
+          })
+        })
+      })
+    })
+
+    describe('#removeBucketLifecycle()', () => {
+      it('should error on invalid arguments', () => {
+        assert.throws(() => {
+          client.removeBucketLifecycle('ab', () => {})
+        }, /Invalid bucket name/)
+      })
+    })
+
+    describe('#setObjectTagging()', () => {
+      it('should validate the tags', () => {
+        var tooMany = {}
+        for (var i = 0; i < 11; i++) tooMany[`key${i}`] = 'value'
+        assert.throws(() => {
+          client.setObjectTagging('bucket', 'object', tooMany, () => {})
+        }, errors.TooManyTagsError)
+        assert.throws(() => {
+          client.setObjectTagging('bucket', 'object', {'aws:key': 'value'}, () => {})
+        }, errors.InvalidTagKeyError)
+        assert.throws(() => {
+          client.setObjectTagging('bucket', 'object', {['k'.repeat(129)]: 'value'}, () => {})
+        }, errors.InvalidTagKeyError)
+        assert.throws(() => {
+          client.setObjectTagging('bucket', 'object', {key: 'v'.repeat(257)}, () => {})
+        }, errors.InvalidTagValueError)
+        assert.throws(() => {
+          client.setObjectTagging('bucket', 'object', {key: 1}, () => {})
+        }, errors.InvalidTagValueError)
+      })
+      it('should put the tag set of an object version', (done) => {
+        var request = Nock('http://localhost:9000')
+          .put('/bucket/object?tagging&versionId=v1',
+               '<Tagging><TagSet><Tag><Key>retention</Key><Value>90d</Value></Tag><Tag><Key>owner</Key><Value/></Tag></TagSet></Tagging>')
+          .reply(200)
+        nockRequests.push({request})
+        regionClient.setObjectTagging('bucket', 'object', {retention: '90d', owner: ''}, {versionId: 'v1'}, done)
+      })
+    })
+
+    describe('#getObjectTagging()', () => {
+      it('should return the tag set of an object', (done) => {
+        var request = Nock('http://localhost:9000')
+          .get('/bucket/object?tagging')
+          .reply(200, '<Tagging><TagSet><Tag><Key>retention</Key><Value>90d</Value></Tag><Tag><Key>owner</Key><Value/></Tag></TagSet></Tagging>')
+        nockRequests.push({request})
+        regionClient.getObjectTagging('bucket', 'object', (e, tags) => {
+          if (e) return done(e)
+          assert.deepEqual(tags, [{Key: 'retention', Value: '90d'}, {Key: 'owner', Value: ''}])
+          done()
+        })
+      })
+      it('should return an empty tag set', (done) => {
+        var request = Nock('http://localhost:9000')
+          .get('/bucket/object?tagging')
+          .reply(200, '<Tagging><TagSet></TagSet></Tagging>')
+        nockRequests.push({request})
+        regionClient.getObjectTagging('bucket', 'object', (e, tags) => {
+          if (e) return done(e)
+          assert.deepEqual(tags, [])
+          done()
+        })
+      })
+    })
+
+    describe('#removeObjectTagging()', () => {
+      it('should delete the tag set of an object', (done) => {
+        var request = Nock('http://localhost:9000')
+          .delete('/bucket/object?tagging')
+          .reply(204)
+        nockRequests.push({request})
+        regionClient.removeObjectTagging('bucket', 'object', done)
+      })
+    })
+
+    describe('#setBucketTagging()', () => {
+      it('should allow up to 50 tags', () => {
+        var tags = {}
+        for (var i = 0; i < 51; i++) tags[`key${i}`] = 'value'
+        assert.throws(() => {
+          client.setBucketTagging('bucket', tags, () => {})
+        }, /At most 50 tags are allowed, got 51/)
+      })
+      it('should put the tag set of a bucket', (done) => {
+        var request = Nock('http://localhost:9000')
+          .put('/bucket?tagging', '<Tagging><TagSet><Tag><Key>project</Key><Value>archive</Value></Tag></TagSet></Tagging>')
+          .reply(200)
+        nockRequests.push({request})
+        regionClient.setBucketTagging('bucket', {project: 'archive'}, done)
+      })
+    })
+
+    describe('#getBucketTagging()', () => {
+      it('should return the tag set of a bucket', (done) => {
+        var request = Nock('http://localhost:9000')
+          .get('/bucket?tagging')
+          .reply(200, '<Tagging><TagSet><Tag><Key>project</Key><Value>archive</Value></Tag></TagSet></Tagging>')
+        nockRequests.push({request})
+        regionClient.getBucketTagging('bucket', (e, tags) => {
+          if (e) return done(e)
+          assert.deepEqual(tags, [{Key: 'project', Value: 'archive'}])
+          done()
+        })
+      })
+    })
+
+    describe('#removeBucketTagging()', () => {
+      it('should delete the tag set of a bucket', (done) => {
+        var request = Nock('http://localhost:9000')
+          .delete('/bucket?tagging')
+          .reply(204)
+        nockRequests.push({request})
+        regionClient.removeBucketTagging('bucket', done)
+      })
+    })
+
+    describe('#setBucketEncryption()', () => {
+      it('should validate the configuration', () => {
+        assert.throws(() => {
+          client.setBucketEncryption('bucket', {Rule: [{ApplyServerSideEncryptionByDefault: {SSEAlgorithm: 'DES'}}]}, () => {})
+        }, /Invalid SSE algorithm: DES/)
+        assert.throws(() => {
+          client.setBucketEncryption('bucket', {Rule: [{ApplyServerSideEncryptionByDefault: {SSEAlgorithm: 'AES256', KMSMasterKeyID: 'key'}}]}, () => {})
+        }, /KMSMasterKeyID can only be set with the aws:kms algorithm/)
+        assert.throws(() => {
+          client.setBucketEncryption('bucket', {Rule: []}, () => {})
+        }, /exactly one rule/)
+      })
+      it('should default to AES256', (done) => {
+        var request = Nock('http://localhost:9000')
+          .put('/bucket?encryption', '<ServerSideEncryptionConfiguration><Rule><ApplyServerSideEncryptionByDefault><SSEAlgorithm>AES256</SSEAlgorithm></ApplyServerSideEncryptionByDefault></Rule></ServerSideEncryptionConfiguration>')
+          .reply(200)
+        nockRequests.push({request})
+        regionClient.setBucketEncryption('bucket', done)
+      })
+    })
+
+    describe('#getBucketEncryption()', () => {
+      it('should round-trip the encryption configuration', (done) => {
+        var xml = '<ServerSideEncryptionConfiguration><Rule><ApplyServerSideEncryptionByDefault><SSEAlgorithm>aws:kms</SSEAlgorithm>' +
+            '<KMSMasterKeyID>my-key</KMSMasterKeyID></ApplyServerSideEncryptionByDefault></Rule></ServerSideEncryptionConfiguration>'
+        var request1 = Nock('http://localhost:9000')
+          .get('/bucket?encryption')
+          .reply(200, xml)
+        var request2 = Nock('http://localhost:9000')
+          .put('/bucket?encryption', xml)
+          .reply(200)
+        nockRequests.push({request: request1}, {request: request2})
+        regionClient.getBucketEncryption('bucket', (e, encryptionConfig) => {
+          if (e) return done(e)
+          assert.deepEqual(encryptionConfig, {Rule: [{ApplyServerSideEncryptionByDefault: {SSEAlgorithm: 'aws:kms', KMSMasterKeyID: 'my-key'}}]})
+          regionClient.setBucketEncryption('bucket', encryptionConfig, done)
+        })
+      })
+    })
+
+    describe('#removeBucketEncryption()', () => {
+      it('should delete the encryption configuration', (done) => {
+        var request = Nock('http://localhost:9000')
+          .delete('/bucket?encryption')
+          .reply(204)
+        nockRequests.push({request})
+        regionClient.removeBucketEncryption('bucket', done)
+      })
+    })
+
+    describe('object lock', () => {
+      it('should enable object lock when making a bucket', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {'x-amz-bucket-object-lock-enabled': 'true'}})
+          .put('/bucket')
+          .reply(200)
+        nockRequests.push({request})
+        regionClient.makeBucket('bucket', {objectLocking: true}, done)
+      })
+      it('should validate the default retention', () => {
+        assert.throws(() => {
+          client.setObjectLockConfig('bucket', {mode: 'LEGAL', unit: 'Days', validity: 1}, () => {})
+        }, /Invalid retention mode: LEGAL/)
+        assert.throws(() => {
+          client.setObjectLockConfig('bucket', {mode: 'GOVERNANCE', unit: 'Weeks', validity: 1}, () => {})
+        }, /Invalid retention validity unit: Weeks/)
+        assert.throws(() => {
+          client.setObjectLockConfig('bucket', {mode: 'GOVERNANCE', unit: 'Days', validity: 0}, () => {})
+        }, /validity should be a positive integer/)
+      })
+      it('should round-trip the object lock configuration', (done) => {
+        var xml = '<ObjectLockConfiguration><ObjectLockEnabled>Enabled</ObjectLockEnabled><Rule><DefaultRetention><Mode>COMPLIANCE</Mode><Years>7</Years></DefaultRetention></Rule></ObjectLockConfiguration>'
+        var request1 = Nock('http://localhost:9000')
+          .put('/bucket?object-lock', xml)
+          .reply(200)
+        var request2 = Nock('http://localhost:9000')
+          .get('/bucket?object-lock')
+          .reply(200, xml)
+        nockRequests.push({request: request1}, {request: request2})
+        var lockConfig = {mode: Minio.RETENTION_MODES.COMPLIANCE, unit: Minio.RETENTION_VALIDITY_UNITS.YEARS, validity: 7}
+        regionClient.setObjectLockConfig('bucket', lockConfig, e => {
+          if (e) return done(e)
+          regionClient.getObjectLockConfig('bucket', (e, result) => {
+            if (e) return done(e)
+            assert.deepEqual(result, Object.assign({objectLockEnabled: 'Enabled'}, lockConfig))
+            done()
+          })
+        })
+      })
+      it('should remove the default retention', (done) => {
+        var request = Nock('http://localhost:9000')
+          .put('/bucket?object-lock', '<ObjectLockConfiguration><ObjectLockEnabled>Enabled</ObjectLockEnabled></ObjectLockConfiguration>')
+          .reply(200)
+        nockRequests.push({request})
+        regionClient.setObjectLockConfig('bucket', {}, done)
+      })
+      it('should validate the retention', () => {
+        assert.throws(() => {
+          client.putObjectRetention('bucket', 'object', {mode: 'GOVERNANCE', retainUntilDate: 'tomorrow'}, () => {})
+        }, /Invalid retainUntilDate: tomorrow/)
+        assert.throws(() => {
+          client.putObjectRetention('bucket', 'object', {retainUntilDate: new Date()}, () => {})
+        }, /Invalid retention mode/)
+      })
+      it('should put the retention of an object version bypassing governance', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {'x-amz-bypass-governance-retention': 'true'}})
+          .put('/bucket/object?retention&versionId=v1',
+               '<Retention><Mode>GOVERNANCE</Mode><RetainUntilDate>2030-01-01T00:00:00.000Z</RetainUntilDate></Retention>')
+          .reply(200)
+        nockRequests.push({request})
+        regionClient.putObjectRetention('bucket', 'object', {
+          mode: 'GOVERNANCE',
+          retainUntilDate: new Date('2030-01-01T00:00:00.000Z'),
+          governanceBypass: true,
+          versionId: 'v1'
+        }, done)
+      })
+      it('should get the retention of an object', (done) => {
+        var request = Nock('http://localhost:9000')
+          .get('/bucket/object?retention')
+          .reply(200, '<Retention><Mode>COMPLIANCE</Mode><RetainUntilDate>2030-01-01T00:00:00.000Z</RetainUntilDate></Retention>')
+        nockRequests.push({request})
+        regionClient.getObjectRetention('bucket', 'object', (e, retention) => {
+          if (e) return done(e)
+          assert.deepEqual(retention, {mode: 'COMPLIANCE', retainUntilDate: new Date('2030-01-01T00:00:00.000Z')})
+          done()
+        })
+      })
+      it('should set and get the legal hold of an object', (done) => {
+        var request1 = Nock('http://localhost:9000')
+          .put('/bucket/object?legal-hold', '<LegalHold><Status>OFF</Status></LegalHold>')
+          .reply(200)
+        var request2 = Nock('http://localhost:9000')
+          .get('/bucket/object?legal-hold&versionId=v1')
+          .reply(200, '<LegalHold><Status>ON</Status></LegalHold>')
+        nockRequests.push({request: request1}, {request: request2})
+        assert.throws(() => {
+          client.setObjectLegalHold('bucket', 'object', {status: 'on'}, () => {})
+        }, /Invalid legal hold status: on/)
+        regionClient.setObjectLegalHold('bucket', 'object', {status: Minio.LEGAL_HOLD_STATUS.DISABLED}, e => {
+          if (e) return done(e)
+          regionClient.getObjectLegalHold('bucket', 'object', {versionId: 'v1'}, (e, legalHold) => {
+            if (e) return done(e)
+            assert.deepEqual(legalHold, {status: 'ON'})
+            done()
+          })
+        })
+      })
+      it('should send the object lock settings of an upload', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {
+          'x-amz-object-lock-mode': 'COMPLIANCE',
+          'x-amz-object-lock-retain-until-date': '2030-01-01T00:00:00.000Z',
+          'x-amz-object-lock-legal-hold': 'ON',
+          'content-md5': Crypto.createHash('md5').update('hello').digest('base64')
+        }})
+          .put('/bucket/object')
+          .reply(200, '', {'ETag': '"etag1"'})
+        nockRequests.push({request})
+        var putOpts = {
+          retention: {mode: 'COMPLIANCE', retainUntilDate: '2030-01-01T00:00:00.000Z'},
+          legalHold: 'ON'
+        }
+        regionClient.putObject('bucket', 'object', 'hello', {}, putOpts, done)
+      })
+    })
+
+    describe('server-side encryption', () => {
+      var sslClient = new Minio.Client({
+        endPoint: 'localhost',
+        port: 9000,
+        accessKey: 'accesskey',
+        secretKey: 'secretkey',
+        useSSL: true,
+        region: 'us-east-1'
+      })
+      var key = new Buffer('0123456789abcdef0123456789abcdef')
+      var ssec = {type: Minio.ENCRYPTION_TYPES.SSE_C, key}
+      var ssecHeaders = {
+        'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+        'x-amz-server-side-encryption-customer-key': 'MDEyMzQ1Njc4OWFiY2RlZjAxMjM0NTY3ODlhYmNkZWY=',
+        'x-amz-server-side-encryption-customer-key-md5': 'hRasmdxgYDKV3nvbahU1MA=='
+      }
+      it('should validate the encryption', () => {
+        assert.throws(() => {
+          client.putObject('bucket', 'object', 'hello', {}, {encryption: {type: 'AES'}}, () => {})
+        }, /Invalid encryption type: AES/)
+        assert.throws(() => {
+          client.putObject('bucket', 'object', 'hello', {}, {encryption: {type: 'SSE-C', key: 'short'}}, () => {})
+        }, /encryption.key should be 32 bytes long/)
+      })
+      it('should refuse to send SSE-C keys over http', (done) => {
+        regionClient.putObject('bucket', 'object', 'hello', {}, {encryption: ssec}, e => {
+          assert.match(e.message, /SSE-C requires a secure connection/)
+          done()
+        })
+      })
+      it('should request SSE-KMS on putObject', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {
+          'x-amz-server-side-encryption': 'aws:kms',
+          'x-amz-server-side-encryption-aws-kms-key-id': 'my-key',
+          'x-amz-server-side-encryption-context': new Buffer('{"project":"archive"}').toString('base64')
+        }})
+          .put('/bucket/object')
+          .reply(200, '', {'ETag': '"etag1"'})
+        nockRequests.push({request})
+        var encryption = {type: 'SSE-KMS', keyId: 'my-key', context: {project: 'archive'}}
+        regionClient.putObject('bucket', 'object', 'hello', {}, {encryption}, done)
+      })
+      it('should send the SSE-C key on putObject', (done) => {
+        var request = Nock('https://localhost:9000', {reqheaders: ssecHeaders})
+          .put('/bucket/object')
+          .reply(200, '', {'ETag': '"etag1"'})
+        nockRequests.push({request})
+        sslClient.putObject('bucket', 'object', 'hello', {}, {encryption: ssec}, done)
+      })
+      it('should only send the SSE-C key on part uploads', (done) => {
+        var request1 = Nock('http://localhost:9000', {badheaders: ['x-amz-server-side-encryption']})
+          .put('/bucket/object?partNumber=1&uploadId=id')
+          .reply(200, '', {'ETag': '"etag1"'})
+        nockRequests.push({request: request1})
+        var uploader = regionClient.getUploader('bucket', 'object', {}, true, {encryption: {type: 'SSE-S3'}})
+        var hash = Crypto.createHash('sha256').update('hello').digest('hex')
+        var md5 = Crypto.createHash('md5').update('hello').digest('base64')
+        uploader('id', 1, readableStream('hello'), 5, hash, md5, e => {
+          if (e) return done(e)
+          var request2 = Nock('https://localhost:9000', {reqheaders: ssecHeaders, badheaders: ['x-amz-server-side-encryption']})
+            .put('/bucket/object?partNumber=1&uploadId=id')
+            .reply(200, '', {'ETag': '"etag1"'})
+          nockRequests.push({request: request2})
+          uploader = sslClient.getUploader('bucket', 'object', {}, true, {encryption: ssec})
+          uploader('id', 1, readableStream('hello'), 5, '', md5, done)
+        })
+      })
+      it('should request the encryption when initiating a multipart upload', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {'x-amz-server-side-encryption': 'AES256'}})
+          .post('/bucket/object?uploads')
+          .reply(200, '<InitiateMultipartUploadResult><UploadId>id</UploadId></InitiateMultipartUploadResult>')
+        nockRequests.push({request})
+        regionClient.initiateNewMultipartUpload('bucket', 'object', {}, {encryption: {type: 'SSE-S3'}}, (e, uploadId) => {
+          if (e) return done(e)
+          assert.equal(uploadId, 'id')
+          done()
+        })
+      })
+      it('should send the SSE-C key on getObject and statObject', (done) => {
+        var request1 = Nock('https://localhost:9000', {reqheaders: ssecHeaders})
+          .get('/bucket/object')
+          .reply(200, 'hello')
+        var request2 = Nock('https://localhost:9000', {reqheaders: ssecHeaders})
+          .head('/bucket/object')
+          .reply(200, '', {'ETag': '"etag1"', 'Content-Length': 5})
+        nockRequests.push({request: request1}, {request: request2})
+        sslClient.getObject('bucket', 'object', {encryption: ssec}, (e, stream) => {
+          if (e) return done(e)
+          stream.on('data', () => {})
+          stream.on('end', () => {
+            sslClient.statObject('bucket', 'object', {encryption: ssec}, done)
+          })
+        })
+      })
+      it('should send the SSE-C key of the copy source', (done) => {
+        var request = Nock('https://localhost:9000', {reqheaders: {
+          'x-amz-server-side-encryption': 'AES256',
+          'x-amz-copy-source-server-side-encryption-customer-algorithm': 'AES256',
+          'x-amz-copy-source-server-side-encryption-customer-key': ssecHeaders['x-amz-server-side-encryption-customer-key'],
+          'x-amz-copy-source-server-side-encryption-customer-key-md5': ssecHeaders['x-amz-server-side-encryption-customer-key-md5']
+        }})
+          .put('/bucket/object')
+          .reply(200, '<CopyObjectResult><ETag>"etag1"</ETag><LastModified>2018-01-01T00:00:00.000Z</LastModified></CopyObjectResult>')
+        nockRequests.push({request})
+        var copyOpts = {encryption: {type: 'SSE-S3'}, sourceEncryption: ssec}
+        sslClient.copyObject('bucket', 'object', '/bucket/source', null, copyOpts, done)
+      })
+    })
+
+    describe('#statObject(bucket, object, callback)', () => {
+      it('should fail on null bucket', (done) => {
+        try {
+          client.statObject(null, 'hello', function() {})
+        } catch (e) {
+          done()
+        }
+      })
+      it('should fail on empty bucket', (done) => {
+        try {
           client.statObject('', 'hello', function() {})
         } catch (e) {
           done()
@@ -546,6 +2234,21 @@ describe('Client', function() {
           done()
         }
       })
+      it('should return the version id', (done) => {
+        var request = Nock('http://localhost:9000')
+          .head('/bucket/object?versionId=v1')
+          .reply(200, '', {'Content-Length': '5', 'ETag': '"etag1"', 'Last-Modified': 'Fri, 11 Aug 2017 19:34:18 GMT',
+                           'x-amz-version-id': 'v1'})
+        nockRequests.push({request})
+        regionClient.statObject('bucket', 'object', {versionId: 'v1'}, (e, stat) => {
+          if (e) return done(e)
+          assert.equal(stat.size, 5)
+          assert.equal(stat.etag, 'etag1')
+          assert.equal(stat.versionId, 'v1')
+          assert.equal(stat.isDeleteMarker, false)
+          done()
+        })
+      })
     })
 
     describe('#removeObject(bucket, object, callback)', () => {
@@ -584,6 +2287,292 @@ describe('Client', function() {
           done()
         }
       })
+      it('should remove the given version', (done) => {
+        var request = Nock('http://localhost:9000')
+          .delete('/bucket/object?versionId=v1')
+          .reply(204)
+        nockRequests.push({request})
+        regionClient.removeObject('bucket', 'object', {versionId: 'v1'}, done)
+      })
+    })
+
+    describe('#copyObject(bucket, object, srcObject, conditions, copyOpts, callback)', () => {
+      it('should fail on invalid copyOpts', () => {
+        assert.throws(() => {
+          client.copyObject('bucket', 'object', '/bucket/src', null, 'v1', () => {})
+        }, /copyOpts should be of type "object"/)
+      })
+      it('should copy the given source version', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {'x-amz-copy-source': '%2Fbucket%2Fsrc?versionId=v1'}})
+          .put('/bucket/object')
+          .reply(200, '<CopyObjectResult><ETag>"etag1"</ETag><LastModified>2017-08-11T19:34:18.000Z</LastModified></CopyObjectResult>',
+                 {'x-amz-version-id': 'v2', 'x-amz-copy-source-version-id': 'v1'})
+        nockRequests.push({request})
+        regionClient.copyObject('bucket', 'object', '/bucket/src', null, {versionId: 'v1'}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.etag, 'etag1')
+          assert.equal(result.versionId, 'v2')
+          assert.equal(result.copySourceVersionId, 'v1')
+          done()
+        })
+      })
+      it('should fail on invalid destination options', () => {
+        assert.throws(() => {
+          client.copyObject('bucket', 'object', '/bucket/src', null, {metadataDirective: 'MOVE'}, () => {})
+        }, /metadataDirective should be one of COPY, REPLACE/)
+        assert.throws(() => {
+          client.copyObject('bucket', 'object', '/bucket/src', null, {metaData: {a: 'b'}, metadataDirective: 'COPY'}, () => {})
+        }, /COPY metadata directive/)
+        assert.throws(() => {
+          client.copyObject('bucket', 'object', '/bucket/src', null, {tags: {a: 'b'}, taggingDirective: 'COPY'}, () => {})
+        }, /COPY tagging directive/)
+      })
+      it('should replace the metadata and the tags of the destination', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {
+          'x-amz-copy-source': '%2Fbucket%2Fsrc',
+          'x-amz-metadata-directive': 'REPLACE',
+          'content-type': 'text/plain',
+          'x-amz-meta-project': 'archive',
+          'x-amz-tagging': 'retention=90d',
+          'x-amz-tagging-directive': 'REPLACE'
+        }}).put('/bucket/object')
+          .reply(200, '<CopyObjectResult><ETag>"etag1"</ETag><LastModified>2017-08-11T19:34:18.000Z</LastModified></CopyObjectResult>')
+        nockRequests.push({request})
+        var copyOpts = {metaData: {'Content-Type': 'text/plain', project: 'archive'}, tags: {retention: '90d'}}
+        regionClient.copyObject('bucket', 'object', '/bucket/src', null, copyOpts, done)
+      })
+      it('should change the storage class along with copied metadata', (done) => {
+        var request = Nock('http://localhost:9000', {reqheaders: {'x-amz-storage-class': 'STANDARD_IA'},
+                                                     badheaders: ['x-amz-metadata-directive', 'x-amz-tagging-directive']})
+          .put('/bucket/object')
+          .reply(200, '<CopyObjectResult><ETag>"etag1"</ETag><LastModified>2017-08-11T19:34:18.000Z</LastModified></CopyObjectResult>')
+        nockRequests.push({request})
+        var copyOpts = {metaData: {'x-amz-storage-class': 'STANDARD_IA'}}
+        regionClient.copyObject('bucket', 'object', '/bucket/src', null, copyOpts, done)
+      })
+    })
+
+    describe('#updateObjectMetadata(bucket, object, metaData, updateOpts, callback)', () => {
+      it('should fail on invalid metaData', () => {
+        assert.throws(() => client.updateObjectMetadata('bucket', 'object', 'text/plain', () => {}),
+                      /metaData should be of type "object"/)
+      })
+      it('should copy the object onto itself keeping its storage class', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').head('/bucket/object')
+          .reply(200, '', {'Content-Length': 5, 'ETag': '"etag0"', 'x-amz-storage-class': 'GLACIER'})})
+        var request = Nock('http://localhost:9000', {reqheaders: {
+          'x-amz-copy-source': '%2Fbucket%2Fobject',
+          'x-amz-copy-source-if-match': 'etag0',
+          'x-amz-metadata-directive': 'REPLACE',
+          'x-amz-storage-class': 'GLACIER',
+          'cache-control': 'no-cache'
+        }, badheaders: ['x-amz-tagging-directive']}).put('/bucket/object')
+          .reply(200, '<CopyObjectResult><ETag>"etag1"</ETag><LastModified>2017-08-11T19:34:18.000Z</LastModified></CopyObjectResult>')
+        nockRequests.push({request})
+        regionClient.updateObjectMetadata('bucket', 'object', {'Cache-Control': 'no-cache'}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.etag, 'etag1')
+          done()
+        })
+      })
+      it('should keep the encryption of the object', (done) => {
+        nockRequests.push({request: Nock('http://localhost:9000').head('/bucket/object')
+          .reply(200, '', {'Content-Length': 5, 'ETag': '"etag0"', 'x-amz-server-side-encryption': 'aws:kms',
+                           'x-amz-server-side-encryption-aws-kms-key-id': 'my-key'})})
+        var request = Nock('http://localhost:9000', {reqheaders: {
+          'x-amz-copy-source': '%2Fbucket%2Fobject',
+          'x-amz-server-side-encryption': 'aws:kms',
+          'x-amz-server-side-encryption-aws-kms-key-id': 'my-key'
+        }}).put('/bucket/object')
+          .reply(200, '<CopyObjectResult><ETag>"etag1"</ETag><LastModified>2017-08-11T19:34:18.000Z</LastModified></CopyObjectResult>')
+        nockRequests.push({request})
+        regionClient.updateObjectMetadata('bucket', 'object', {'Cache-Control': 'no-cache'}, done)
+      })
+    })
+
+    describe('#composeObject(bucket, object, sources, composeOpts, callback)', () => {
+      var mockStat = (objectName, size, etag, headers) => {
+        nockRequests.push({request: Nock('http://localhost:9000').head(`/bucket/${objectName}`)
+          .reply(200, '', Object.assign({'Content-Length': size, 'ETag': `"${etag}"`}, headers))})
+      }
+      var mockInitiate = (headers) => {
+        nockRequests.push({request: Nock('http://localhost:9000', {reqheaders: headers || {}}).post('/bucket/dest?uploads')
+          .reply(200, '<InitiateMultipartUploadResult><UploadId>id</UploadId></InitiateMultipartUploadResult>')})
+      }
+      var mockPart = (partNumber, headers, badheaders) => {
+        nockRequests.push({request: Nock('http://localhost:9000', {reqheaders: headers, badheaders})
+          .put(`/bucket/dest?partNumber=${partNumber}&uploadId=id`)
+          .reply(200, `<CopyPartResult><ETag>"part${partNumber}"</ETag><LastModified>2018-01-01T00:00:00.000Z</LastModified></CopyPartResult>`)})
+      }
+      var mockComplete = (parts) => {
+        nockRequests.push({request: Nock('http://localhost:9000')
+          .post('/bucket/dest?uploadId=id', body => parts.every(part => body.indexOf(part) !== -1))
+          .reply(200, '<CompleteMultipartUploadResult><Location>http://localhost:9000/bucket/dest</Location>' +
+                 '<Bucket>bucket</Bucket><Key>dest</Key><ETag>"etag"</ETag></CompleteMultipartUploadResult>',
+                 {'x-amz-version-id': 'v1'})})
+      }
+
+      it('should validate the sources', () => {
+        assert.throws(() => client.composeObject('bucket', 'dest', [], () => {}), /between 1 and 10000 sources/)
+        assert.throws(() => client.composeObject('bucket', 'dest', [{bucketName: 'bucket', objectName: 'a', start: 5, end: 2}], () => {}),
+                      /Invalid range/)
+        assert.throws(() => client.composeObject('bucket', 'dest', [{bucketName: 'ab', objectName: 'a'}], () => {}),
+                      /Invalid bucket name/)
+      })
+
+      it('should copy the ranges of the sources as parts', (done) => {
+        mockStat('a', 5 * 1024 * 1024, 'etaga')
+        mockStat('b', 10, 'etagb')
+        mockInitiate({'x-amz-meta-project': 'archive'})
+        mockPart(1, {'x-amz-copy-source': '%2Fbucket%2Fa', 'x-amz-copy-source-if-match': 'etaga'}, ['x-amz-copy-source-range'])
+        mockPart(2, {'x-amz-copy-source': '%2Fbucket%2Fb', 'x-amz-copy-source-range': 'bytes=2-5',
+                     'x-amz-copy-source-if-match': 'etagb'})
+        mockComplete(['part1', 'part2'])
+        var sources = [{bucketName: 'bucket', objectName: 'a'}, {bucketName: 'bucket', objectName: 'b', start: 2, end: 5}]
+        regionClient.composeObject('bucket', 'dest', sources, {metaData: {project: 'archive'}}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.etag, 'etag')
+          assert.equal(result.versionId, 'v1')
+          done()
+        })
+      })
+
+      it('should refuse sources smaller than 5MB but the last one', (done) => {
+        mockStat('a', 10, 'etaga')
+        mockStat('b', 10, 'etagb')
+        var sources = [{bucketName: 'bucket', objectName: 'a'}, {bucketName: 'bucket', objectName: 'b'}]
+        regionClient.composeObject('bucket', 'dest', sources, (e) => {
+          assert.instanceOf(e, errors.InvalidArgumentError)
+          done()
+        })
+      })
+
+      it('should abort the upload when a part fails', (done) => {
+        mockStat('a', 10, 'etaga')
+        mockInitiate()
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/dest?partNumber=1&uploadId=id')
+          .reply(412, '<Error><Code>PreconditionFailed</Code></Error>')})
+        nockRequests.push({request: Nock('http://localhost:9000').delete('/bucket/dest?uploadId=id').reply(204)})
+        regionClient.composeObject('bucket', 'dest', [{bucketName: 'bucket', objectName: 'a'}], (e) => {
+          assert.equal(e.code, 'PreconditionFailed')
+          done()
+        })
+      })
+
+      it('should copy sources larger than 5GB in parts', (done) => {
+        var size = 6 * 1024 * 1024 * 1024
+        nockRequests.push({request: Nock('http://localhost:9000').put('/bucket/dest')
+          .reply(400, '<Error><Code>InvalidRequest</Code><Message>The specified copy source is larger than the ' +
+                 'maximum allowable size for a copy source: 5368709120</Message></Error>')})
+        mockStat('a', size, 'etaga', {'Content-Type': 'text/plain', 'x-amz-meta-project': 'archive'})
+        nockRequests.push({request: Nock('http://localhost:9000').get('/bucket/a?tagging')
+          .reply(200, '<Tagging><TagSet><Tag><Key>retention</Key><Value>90d</Value></Tag></TagSet></Tagging>')})
+        mockInitiate({'content-type': 'text/plain', 'x-amz-meta-project': 'archive', 'x-amz-tagging': 'retention=90d'})
+        mockPart(1, {'x-amz-copy-source-range': `bytes=0-${size / 2 - 1}`})
+        mockPart(2, {'x-amz-copy-source-range': `bytes=${size / 2}-${size - 1}`})
+        mockComplete(['part1', 'part2'])
+        nockRequests.push({request: Nock('http://localhost:9000').head('/bucket/dest?versionId=v1')
+          .reply(200, '', {'Content-Length': size, 'Last-Modified': 'Mon, 01 Jan 2018 00:00:00 GMT'})})
+        regionClient.copyObject('bucket', 'dest', '/bucket/a', (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.etag, 'etag')
+          assert.equal(result.versionId, 'v1')
+          assert.equal(result.lastModified.getTime(), new Date('2018-01-01T00:00:00Z').getTime())
+          done()
+        })
+      })
+    })
+
+    describe('#selectObjectContent(bucket, object, selectOpts, callback)', () => {
+      var selectOpts = {
+        expression: 'select * from s3object s where s.size > 10',
+        inputSerialization: {CSV: {FileHeaderInfo: 'USE'}, CompressionType: 'NONE'},
+        outputSerialization: {JSON: {}}
+      }
+      var event = (eventType, payload) => encodeEventMessage({':message-type': 'event', ':event-type': eventType}, payload)
+      var stats = '<Stats><BytesScanned>100</BytesScanned><BytesProcessed>100</BytesProcessed><BytesReturned>20</BytesReturned></Stats>'
+      // Sends the body in chunks of 7 bytes, splitting the messages.
+      var chunked = body => {
+        var stream = new Stream.Readable()
+        var offset = 0
+        stream._read = () => {
+          stream.push(offset < body.length ? body.slice(offset, offset += 7) : null)
+        }
+        return stream
+      }
+      var mockSelect = body => {
+        var request = Nock('http://localhost:9000')
+          .post('/bucket/object?select&select-type=2', body => body.indexOf('<Expression>select * from s3object') !== -1 &&
+                body.indexOf('<FileHeaderInfo>USE</FileHeaderInfo>') !== -1)
+          .reply(200, () => chunked(body))
+        nockRequests.push({request})
+      }
+      var select = (cb) => {
+        regionClient.selectObjectContent('bucket', 'object', selectOpts, (e, stream) => {
+          if (e) return cb(e)
+          var records = []
+          var events = []
+          stream.on('stats', stats => events.push(['stats', stats]))
+          stream.on('progress', progress => events.push(['progress', progress]))
+          stream.on('data', data => records.push(data))
+          stream.on('error', cb)
+          stream.on('end', () => cb(null, Buffer.concat(records).toString(), events))
+        })
+      }
+
+      it('should validate the select options', () => {
+        assert.throws(() => client.selectObjectContent('bucket', 'object', {}, () => {}), /expression should be a non empty string/)
+        assert.throws(() => client.selectObjectContent('bucket', 'object', _.omit(selectOpts, 'outputSerialization'), () => {}),
+                      /outputSerialization should be of type "object"/)
+        assert.throws(() => client.selectObjectContent('bucket', 'object', Object.assign({scanRange: {start: 5, end: 1}}, selectOpts), () => {}),
+                      /Invalid scan range/)
+      })
+      it('should decode the records and the stats', (done) => {
+        mockSelect(Buffer.concat([
+          event('Records', '{"size":11}\n{"si'),
+          event('Cont'),
+          event('Progress', stats.replace(/Stats/g, 'Progress')),
+          event('Records', 'ze":12}\n'),
+          event('Stats', stats),
+          event('End')
+        ]))
+        select((e, records, events) => {
+          if (e) return done(e)
+          assert.equal(records, '{"size":11}\n{"size":12}\n')
+          var progress = {bytesScanned: 100, bytesProcessed: 100, bytesReturned: 20}
+          assert.deepEqual(events, [['progress', progress], ['stats', progress]])
+          done()
+        })
+      })
+      it('should fail on an error event', (done) => {
+        mockSelect(Buffer.concat([
+          event('Records', '{"size":11}\n'),
+          encodeEventMessage({':message-type': 'error', ':error-code': 'CSVParsingError', ':error-message': 'Bad CSV'})
+        ]))
+        select((e) => {
+          assert.instanceOf(e, errors.S3Error)
+          assert.equal(e.code, 'CSVParsingError')
+          assert.equal(e.message, 'Bad CSV')
+          done()
+        })
+      })
+      it('should fail on a checksum mismatch', (done) => {
+        var message = event('Records', '{"size":11}\n')
+        message[message.length - 6] ^= 1
+        mockSelect(Buffer.concat([message, event('End')]))
+        select((e) => {
+          assert.instanceOf(e, errors.InvalidEventStreamError)
+          assert.match(e.message, /Checksum mismatch in the message/)
+          done()
+        })
+      })
+      it('should fail when the stream ends before the End event', (done) => {
+        mockSelect(event('Records', '{"size":11}\n'))
+        select((e) => {
+          assert.instanceOf(e, errors.InvalidEventStreamError)
+          done()
+        })
+      })
     })
 
     describe('#removeIncompleteUpload(bucket, object, callback)', () => {
@@ -626,3 +2615,696 @@ describe('Client', function() {
   })
 })
 
+describe('Signature verification', () => {
+  var lookup = (accessKey, cb) => cb(null, accessKey === 'accesskey' ? 'secretkey' : null)
+  var failures = Minio.SIGNATURE_FAILURES
+  var date = new Date(Date.UTC(2018, 0, 1, 12))
+  var signedRequest = (body) => {
+    var request = {
+      method: 'PUT',
+      path: '/bucket/object?tagging',
+      headers: {
+        host: 'localhost:9000',
+        'x-amz-date': makeDateLong(date),
+        'x-amz-content-sha256': Crypto.createHash('sha256').update(body).digest('hex')
+      }
+    }
+    request.headers.authorization = signV4(request, 'accesskey', 'secretkey', 'us-east-1', date)
+    return {method: request.method, url: request.path, headers: request.headers, body}
+  }
+  var presign = (cb) => {
+    var request = {
+      method: 'GET',
+      protocol: 'http:',
+      path: '/bucket/object?response-content-type=text%2Fplain',
+      headers: {host: 'localhost:9000'}
+    }
+    cb(null, presignSignatureV4(request, 'accesskey', 'secretkey', 'us-east-1', date, 1000))
+  }
+
+  describe('#verifyV4', () => {
+    it('should accept a signed request', () => {
+      return Minio.verifyV4(signedRequest('body'), lookup, {now: date, region: 'us-east-1'}).then(result => {
+        assert.equal(result.valid, true)
+        assert.equal(result.accessKey, 'accesskey')
+        assert.equal(result.region, 'us-east-1')
+        assert.deepEqual(result.signedHeaders, ['host', 'x-amz-content-sha256', 'x-amz-date'])
+      })
+    })
+    it('should reject a tampered request', (done) => {
+      var request = signedRequest('body')
+      request.url = '/bucket/other?tagging'
+      Minio.verifyV4(request, lookup, {now: date}, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.valid, false)
+        assert.equal(result.reason, failures.SIGNATURE_MISMATCH)
+        done()
+      })
+    })
+    it('should reject a body not matching its hash', (done) => {
+      var request = signedRequest('body')
+      request.body = 'other body'
+      Minio.verifyV4(request, lookup, {now: date}, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.reason, failures.PAYLOAD_HASH_MISMATCH)
+        done()
+      })
+    })
+    it('should reject a request signed too long ago', (done) => {
+      var now = new Date(date.getTime() + 16 * 60 * 1000)
+      Minio.verifyV4(signedRequest('body'), lookup, {now}, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.reason, failures.REQUEST_TIME_SKEWED)
+        done()
+      })
+    })
+    it('should reject a request signed for another region', (done) => {
+      Minio.verifyV4(signedRequest('body'), lookup, {now: date, region: 'eu-west-1'}, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.reason, failures.INVALID_SCOPE)
+        done()
+      })
+    })
+    it('should reject an unknown access key', (done) => {
+      Minio.verifyV4(signedRequest('body'), (accessKey, cb) => cb(null, null), {now: date}, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.reason, failures.INVALID_ACCESS_KEY)
+        done()
+      })
+    })
+    it('should reject an unsigned request', (done) => {
+      Minio.verifyV4({method: 'GET', url: '/bucket', headers: {host: 'localhost'}}, lookup, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.reason, failures.MISSING_SIGNATURE)
+        done()
+      })
+    })
+    it('should pass lookup errors on', (done) => {
+      Minio.verifyV4(signedRequest('body'), (accessKey, cb) => cb(new Error('lookup failed')), {now: date}, (e) => {
+        assert.equal(e.message, 'lookup failed')
+        done()
+      })
+    })
+    it('should verify presigned requests', (done) => {
+      presign((e, url) => {
+        if (e) return done(e)
+        var request = {method: 'GET', url: url.replace('http://localhost:9000', ''), headers: {host: 'localhost:9000'}}
+        Minio.verifyV4(request, lookup, {now: date}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.valid, true)
+          done()
+        })
+      })
+    })
+  })
+
+  describe('#verifyPresignedUrl', () => {
+    it('should accept a presigned URL', (done) => {
+      presign((e, url) => {
+        if (e) return done(e)
+        Minio.verifyPresignedUrl(url, lookup, {now: date}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.valid, true)
+          assert.equal(result.expires.getTime(), date.getTime() + 1000 * 1000)
+          done()
+        })
+      })
+    })
+    it('should reject a tampered URL', (done) => {
+      presign((e, url) => {
+        if (e) return done(e)
+        Minio.verifyPresignedUrl(url.replace('text%2Fplain', 'text%2Fhtml'), lookup, {now: date}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.SIGNATURE_MISMATCH)
+          done()
+        })
+      })
+    })
+    it('should reject a URL with a malformed escape', () => {
+      var url = 'http://localhost:9000/bucket/object?X-Amz-Algorithm=AWS4-HMAC-SHA256&X-Amz-Signature=%E0%A4%A'
+      return Minio.verifyPresignedUrl(url, lookup, {now: date})
+        .then(result => {
+          assert.equal(result.reason, failures.MALFORMED_PRESIGNED_URL)
+          return Minio.verifyV4({method: 'GET', url: url.slice(url.indexOf('/bucket')), headers: {host: 'localhost:9000'}},
+                                lookup, {now: date})
+        })
+        .then(result => assert.equal(result.reason, failures.MALFORMED_PRESIGNED_URL))
+    })
+    it('should reject an expired URL', (done) => {
+      presign((e, url) => {
+        if (e) return done(e)
+        Minio.verifyPresignedUrl(url, lookup, {now: new Date(date.getTime() + 1001 * 1000)}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.EXPIRED)
+          done()
+        })
+      })
+    })
+    it('should reject a URL used before its date', (done) => {
+      presign((e, url) => {
+        if (e) return done(e)
+        Minio.verifyPresignedUrl(url, lookup, {now: new Date(date.getTime() - 3600 * 1000)}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.REQUEST_NOT_YET_VALID)
+          done()
+        })
+      })
+    })
+    it('should reject a URL used with another method', (done) => {
+      presign((e, url) => {
+        if (e) return done(e)
+        Minio.verifyPresignedUrl(url, lookup, {now: date, method: 'PUT'}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.SIGNATURE_MISMATCH)
+          done()
+        })
+      })
+    })
+    it('should reject a URL that is not presigned', (done) => {
+      Minio.verifyPresignedUrl('http://localhost:9000/bucket/object', lookup, (e, result) => {
+        if (e) return done(e)
+        assert.equal(result.reason, failures.MISSING_SIGNATURE)
+        done()
+      })
+    })
+  })
+
+  describe('#verifyPostPolicy', () => {
+    var client = new Minio.Client({
+      endPoint: 'localhost',
+      port: 9000,
+      useSSL: false,
+      accessKey: 'accesskey',
+      secretKey: 'secretkey',
+      region: 'us-east-1'
+    })
+    var boundary = 'form-boundary'
+    var formBody = (fields, fileData) => {
+      var parts = _.map(fields, (value, name) => {
+        return `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+      })
+      parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="report.csv"\r\n` +
+                 `Content-Type: text/csv\r\n\r\n${fileData}\r\n--${boundary}--\r\n`)
+      return new Buffer(parts.join(''))
+    }
+    var upload = (cb) => {
+      var policy = client.newPostPolicy()
+      policy.setBucket('bucket')
+      policy.setKeyStartsWith('uploads/')
+      policy.setContentType('text/csv')
+      policy.setContentLengthRange(1, 10)
+      client.presignedPostPolicy(policy, (e, result) => {
+        if (e) return cb(e)
+        var fields = Object.assign({}, result.formData, {key: 'uploads/${filename}'})
+        cb(null, fields, (fields, fileData) => ({
+          headers: {'content-type': `multipart/form-data; boundary=${boundary}`},
+          body: formBody(fields, fileData)
+        }))
+      })
+    }
+    it('should accept an upload matching its policy', (done) => {
+      upload((e, fields, request) => {
+        if (e) return done(e)
+        Minio.verifyPostPolicy(request(fields, 'a,b'), lookup, {region: 'us-east-1'}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.valid, true)
+          assert.equal(result.accessKey, 'accesskey')
+          assert.equal(result.bucket, 'bucket')
+          assert.equal(result.key, 'uploads/report.csv')
+          assert.equal(result.file.filename, 'report.csv')
+          assert.equal(result.file.data.toString(), 'a,b')
+          done()
+        })
+      })
+    })
+    it('should reject a field not matching its condition', (done) => {
+      upload((e, fields, request) => {
+        if (e) return done(e)
+        fields['Content-Type'] = 'text/html'
+        Minio.verifyPostPolicy(request(fields, 'a,b'), lookup, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.POLICY_CONDITION_FAILED)
+          done()
+        })
+      })
+    })
+    it('should reject a key outside of the allowed prefix', (done) => {
+      upload((e, fields, request) => {
+        if (e) return done(e)
+        fields.key = 'other/report.csv'
+        Minio.verifyPostPolicy(request(fields, 'a,b'), lookup, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.POLICY_CONDITION_FAILED)
+          done()
+        })
+      })
+    })
+    it('should reject a field missing from the policy', (done) => {
+      upload((e, fields, request) => {
+        if (e) return done(e)
+        fields.acl = 'public-read'
+        Minio.verifyPostPolicy(request(fields, 'a,b'), lookup, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.POLICY_CONDITION_FAILED)
+          done()
+        })
+      })
+    })
+    it('should reject a file larger than allowed', (done) => {
+      upload((e, fields, request) => {
+        if (e) return done(e)
+        Minio.verifyPostPolicy(request(fields, 'a,b,c,d,e,f'), lookup, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.ENTITY_TOO_LARGE)
+          done()
+        })
+      })
+    })
+    it('should reject a tampered policy', (done) => {
+      upload((e, fields, request) => {
+        if (e) return done(e)
+        var policy = JSON.parse(new Buffer(fields.policy, 'base64').toString())
+        policy.conditions = policy.conditions.filter(condition => condition[0] !== 'content-length-range')
+        fields.policy = new Buffer(JSON.stringify(policy)).toString('base64')
+        Minio.verifyPostPolicy(request(fields, 'a,b,c,d,e,f'), lookup, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.SIGNATURE_MISMATCH)
+          done()
+        })
+      })
+    })
+    it('should reject an expired policy', (done) => {
+      upload((e, fields, request) => {
+        if (e) return done(e)
+        var now = new Date(Date.now() + 8 * 24 * 3600 * 1000)
+        Minio.verifyPostPolicy(request(fields, 'a,b'), lookup, {now}, (e, result) => {
+          if (e) return done(e)
+          assert.equal(result.reason, failures.EXPIRED)
+          done()
+        })
+      })
+    })
+    it('should reject a malformed form', () => {
+      var request = {headers: {'content-type': 'multipart/form-data'}, body: new Buffer('key=a')}
+      return Minio.verifyPostPolicy(request, lookup).then(result => {
+        assert.equal(result.reason, failures.MALFORMED_POST_REQUEST)
+      })
+    })
+  })
+})
+
+describe('parseFormData', () => {
+  var body = [
+    '--xyz',
+    'Content-Disposition: form-data; name="Key"',
+    '',
+    'a/b',
+    '--xyz',
+    'Content-Disposition: form-data; name="file"; filename="b.txt"',
+    'Content-Type: text/plain',
+    '',
+    'line 1\r\nline 2',
+    '--xyz',
+    'Content-Disposition: form-data; name="after"',
+    '',
+    'ignored',
+    '--xyz--',
+    ''
+  ].join('\r\n')
+  it('should parse the fields and the file', () => {
+    var form = Minio.parseFormData('multipart/form-data; boundary="xyz"', new Buffer(body))
+    assert.deepEqual(form.fields, {key: 'a/b'})
+    assert.equal(form.file.filename, 'b.txt')
+    assert.equal(form.file.contentType, 'text/plain')
+    assert.equal(form.file.data.toString(), 'line 1\r\nline 2')
+  })
+  it('should fail without a boundary', () => {
+    assert.throws(() => Minio.parseFormData('multipart/form-data', body), errors.InvalidFormDataError)
+  })
+  it('should fail on a truncated body', () => {
+    assert.throws(() => Minio.parseFormData('multipart/form-data; boundary=xyz', body.slice(0, 60)),
+                  errors.InvalidFormDataError)
+  })
+})
+
+describe('Streaming signatures', () => {
+  var signChunks = (data, chunkSigner) => new Promise((resolve, reject) => {
+    var chunks = []
+    chunkSigner.on('data', chunk => chunks.push(chunk))
+    chunkSigner.on('error', reject)
+    chunkSigner.on('end', () => resolve(Buffer.concat(chunks)))
+    // The data is written in uneven pieces, chunks are cut regardless.
+    for (var offset = 0; offset < data.length; offset += 10000) {
+      chunkSigner.write(data.slice(offset, offset + 10000))
+    }
+    chunkSigner.end()
+  })
+
+  it('should sign the chunks of the payload', () => {
+    // Example of the S3 documentation of Signature V4 streaming uploads.
+    var date = new Date(Date.UTC(2013, 4, 24))
+    var seedSignature = '4f232c4386841ef735655705268965c44a0e4690baa4adea153f7db9fa80a0a9'
+    var chunkSigner = new ChunkSigner(seedSignature, date, 'us-east-1', 'wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY')
+    return signChunks(new Buffer(66560).fill('a'), chunkSigner).then(body => {
+      assert.equal(body.length, 66824)
+      var chunks = decodeChunkedPayload(body)
+      assert.deepEqual(chunks.map(chunk => chunk.data.length), [65536, 1024, 0])
+      assert.deepEqual(chunks.map(chunk => chunk.signature), [
+        'ad80c730a21e5b8d04586a2213dd63b9a0e99e0e2307b0ade35a65485a288648',
+        '0055627c9e194cb4542bae2aa5492e3c1575bbb81b612b7d234b86a503ef5497',
+        'b6c6ea8a5354eaf15b3cb7646744f4275b71ea724fed81ceb9323e279d449df9'
+      ])
+    })
+  })
+
+  it('should compute the length of the signed payload', () => {
+    var sizes = [0, 1, 65536, 65537, 200000]
+    return Promise.all(sizes.map(size => {
+      var chunkSigner = new ChunkSigner(new Array(65).join('0'), new Date(), 'us-east-1', 'secretkey')
+      return signChunks(new Buffer(size).fill('a'), chunkSigner).then(body => {
+        assert.equal(body.length, getStreamingContentLength(size), `size ${size}`)
+      })
+    }))
+  })
+
+  it('should fail on malformed payloads', () => {
+    assert.throws(() => decodeChunkedPayload(new Buffer('5;chunk-signature=abc\r\nhello\r\n')), errors.InvalidArgumentError)
+    var chunkSigner = new ChunkSigner(new Array(65).join('0'), new Date(), 'us-east-1', 'secretkey')
+    return signChunks(new Buffer('hello'), chunkSigner).then(body => {
+      assert.throws(() => decodeChunkedPayload(body.slice(0, body.length - 1)), /Truncated chunk/)
+    })
+  })
+
+  describe('#verifyV4', () => {
+    var lookup = (accessKey, cb) => cb(null, 'secretkey')
+    var date = new Date(Date.UTC(2018, 0, 1, 12))
+    var streamedRequest = (data) => {
+      var request = {
+        method: 'PUT',
+        path: '/bucket/object',
+        headers: {
+          host: 'localhost:9000',
+          'content-encoding': 'aws-chunked',
+          'x-amz-date': makeDateLong(date),
+          'x-amz-content-sha256': 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD',
+          'x-amz-decoded-content-length': `${data.length}`
+        }
+      }
+      var authorization = signV4(request, 'accesskey', 'secretkey', 'us-east-1', date)
+      request.headers.authorization = authorization
+      var chunkSigner = new ChunkSigner(authorization.split('Signature=')[1], date, 'us-east-1', 'secretkey')
+      return signChunks(data, chunkSigner).then(body => {
+        return {method: request.method, url: request.path, headers: request.headers, body}
+      })
+    }
+    it('should verify the chunks of a streamed payload', () => {
+      return streamedRequest(new Buffer(70000).fill('a'))
+        .then(request => Minio.verifyV4(request, lookup, {now: date}))
+        .then(result => assert.equal(result.valid, true, result.message))
+    })
+    it('should reject a tampered chunk', () => {
+      return streamedRequest(new Buffer(70000).fill('a'))
+        .then(request => {
+          request.body[request.body.length - 200] = 'b'.charCodeAt(0)
+          return Minio.verifyV4(request, lookup, {now: date})
+        })
+        .then(result => assert.equal(result.reason, Minio.SIGNATURE_FAILURES.SIGNATURE_MISMATCH))
+    })
+  })
+
+  it('should validate the client option', () => {
+    assert.throws(() => new Minio.Client({endPoint: 'localhost', streamingSignature: 'yes'}), /Invalid streamingSignature flag type/)
+  })
+
+  it('should sign the payload of streams as it is sent', () => {
+    var streamingClient = new Minio.Client({
+      endPoint: 'localhost',
+      port: 9000,
+      accessKey: 'accesskey',
+      secretKey: 'secretkey',
+      useSSL: false,
+      region: 'us-east-1',
+      streamingSignature: true
+    })
+    var body
+    var request = Nock('http://localhost:9000', {reqheaders: {
+      'content-encoding': 'aws-chunked',
+      'x-amz-content-sha256': 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD',
+      'x-amz-decoded-content-length': '11',
+      'content-length': `${getStreamingContentLength(11)}`
+    }}).put('/bucket/object').reply(200, (uri, payload) => {
+      body = payload
+      return ''
+    }, {ETag: '"etag"'})
+    var stream = new Stream.Readable()
+    stream._read = () => {}
+    stream.push('hello world')
+    stream.push(null)
+    return streamingClient.putObject('bucket', 'object', stream).then(() => {
+      request.done()
+      var chunks = decodeChunkedPayload(new Buffer(body))
+      assert.equal(Buffer.concat(chunks.map(chunk => chunk.data)).toString(), 'hello world')
+    })
+  })
+
+  describe('streams of known size', () => {
+    var streamingClient
+    beforeEach(() => {
+      Nock.cleanAll()
+      streamingClient = new Minio.Client({
+        endPoint: 'localhost',
+        port: 9000,
+        accessKey: 'accesskey',
+        secretKey: 'secretkey',
+        useSSL: false,
+        region: 'us-east-1',
+        streamingSignature: true
+      })
+    })
+    afterEach(() => Nock.cleanAll())
+
+    it('should send the payload while the stream is read', () => {
+      var body
+      var request = Nock('http://localhost:9000', {reqheaders: {
+        'x-amz-decoded-content-length': '11',
+        'content-length': `${getStreamingContentLength(11)}`
+      }}).put('/bucket/object').reply(200, (uri, payload) => {
+        body = payload
+        return ''
+      }, {ETag: '"etag"'})
+      var stream = new Stream.PassThrough()
+      var makeRequestStream = streamingClient.makeRequestStream
+      streamingClient.makeRequestStream = (...args) => {
+        // The request is made with the first bytes of the stream, the
+        // stream only ends then.
+        stream.end('world')
+        return makeRequestStream.apply(streamingClient, args)
+      }
+      stream.write('hello ')
+      return streamingClient.putObject('bucket', 'object', stream, 11).then(() => {
+        request.done()
+        var chunks = decodeChunkedPayload(new Buffer(body))
+        assert.equal(Buffer.concat(chunks.map(chunk => chunk.data)).toString(), 'hello world')
+      })
+    })
+
+    it('should fail streams longer than their size', () => {
+      return streamingClient.putObject('bucket', 'object', readableStream('hello world'), 5)
+        .then(() => assert.fail('stream uploaded'), e => assert.instanceOf(e, errors.IncorrectSizeError))
+    })
+
+    it('should fail streams shorter than their size', () => {
+      Nock('http://localhost:9000').put('/bucket/object').reply(200, '')
+      return streamingClient.putObject('bucket', 'object', readableStream('hello'), 11)
+        .then(() => assert.fail('stream uploaded'), e => assert.instanceOf(e, errors.IncorrectSizeError))
+    })
+  })
+})
+
+describe('TestServer', () => {
+  var server = new TestServer()
+  var client
+  before(() => server.listen().then(() => client = server.getClient()))
+  after(() => server.close())
+  beforeEach(() => {
+    Nock.cleanAll()
+    server.reset()
+    return client.makeBucket('bucket')
+  })
+  var readAll = stream => new Promise((resolve, reject) => {
+    var chunks = []
+    stream.on('data', chunk => chunks.push(chunk))
+    stream.on('error', reject)
+    stream.on('end', () => resolve(chunks))
+  })
+
+  it('should store objects with their metadata', () => {
+    return client.putObject('bucket', 'dir/hello.txt', 'hello world', {'Content-Type': 'text/plain', project: 'archive'})
+      .then(() => client.statObject('bucket', 'dir/hello.txt'))
+      .then(stat => {
+        assert.equal(stat.size, 11)
+        assert.equal(stat.etag, Crypto.createHash('md5').update('hello world').digest('hex'))
+        assert.deepEqual(stat.metaData, {'content-type': 'text/plain', project: 'archive'})
+        return client.getPartialObject('bucket', 'dir/hello.txt', 6, 5)
+      })
+      .then(readAll)
+      .then(chunks => {
+        assert.equal(Buffer.concat(chunks).toString(), 'world')
+        return client.copyObject('bucket', 'copy.txt', '/bucket/dir/hello.txt', null, {metaData: {project: 'copy'}})
+      })
+      .then(() => client.statObject('bucket', 'copy.txt'))
+      .then(stat => {
+        assert.deepEqual(stat.metaData, {'content-type': 'binary/octet-stream', project: 'copy'})
+        return client.removeObject('bucket', 'copy.txt')
+      })
+      .then(() => client.getObject('bucket', 'copy.txt'))
+      .then(() => assert.fail('object not removed'), e => assert.equal(e.code, 'NoSuchKey'))
+      .then(() => client.copyObject('bucket', 'copy2.txt', '/bucket/copy.txt'))
+      .then(() => assert.fail('missing source copied'), e => assert.equal(e.code, 'NoSuchKey'))
+  })
+
+  it('should store files uploaded with streaming signatures', () => {
+    var streamingClient = server.getClient({streamingSignature: true})
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-streaming-'))
+    var filePath = path.join(dir, 'object')
+    var data = Crypto.randomBytes(5 * 1024 * 1024 + 100000)
+    fs.writeFileSync(filePath, data)
+    var metaData = {'Content-Type': 'text/plain', 'Content-Encoding': 'gzip'}
+    var cleanup = () => {
+      fs.unlinkSync(filePath)
+      fs.rmdirSync(dir)
+    }
+    return streamingClient.fPutObject('bucket', 'big', filePath, metaData)
+      .then(() => streamingClient.getObject('bucket', 'big'))
+      .then(readAll)
+      .then(chunks => {
+        assert.isTrue(Buffer.concat(chunks).equals(data))
+        fs.writeFileSync(filePath, 'hello world')
+        return streamingClient.fPutObject('bucket', 'small', filePath, metaData)
+      })
+      .then(() => client.statObject('bucket', 'small'))
+      .then(stat => {
+        assert.equal(stat.size, 11)
+        assert.equal(stat.metaData['content-encoding'], 'gzip')
+      })
+      .then(cleanup, e => {
+        cleanup()
+        throw e
+      })
+  })
+
+  it('should store streams uploaded with streaming signatures', () => {
+    var streamingClient = server.getClient({streamingSignature: true})
+    var data = Crypto.randomBytes(5 * 1024 * 1024 + 100000)
+    var stream = new Stream.Readable()
+    stream._read = () => {}
+    stream.push(data)
+    stream.push(null)
+    // Without a size the stream is uploaded in parts.
+    return streamingClient.putObject('bucket', 'streamed', stream)
+      .then(() => streamingClient.getObject('bucket', 'streamed'))
+      .then(readAll)
+      .then(chunks => assert.isTrue(Buffer.concat(chunks).equals(data)))
+  })
+
+  it('should upload streams of known size in parts with streaming signatures', () => {
+    var streamingClient = server.getClient({streamingSignature: true})
+    var data = Crypto.randomBytes(5 * 1024 * 1024 + 100000)
+    var part = data.slice(0, 5 * 1024 * 1024)
+    var initiate = promisify(streamingClient.initiateNewMultipartUpload.bind(streamingClient))
+    var makeRequest = promisify(streamingClient.makeRequest.bind(streamingClient))
+    var progress = []
+    var onProgress = event => progress.push(event)
+    // The first part was uploaded before, it is only read to compare it.
+    return initiate('bucket', 'streamed', {})
+      .then(uploadId => makeRequest({method: 'PUT', bucketName: 'bucket', objectName: 'streamed',
+                                     query: `partNumber=1&uploadId=${uploadId}`}, part, 200, '', false))
+      .then(() => streamingClient.putObject('bucket', 'streamed', readableStream(data), data.length, {}, {onProgress}))
+      .then(() => {
+        assert.deepEqual(progress.map(event => [event.partNumber, event.partsSkipped]), [[1, 1], [2, 1]])
+        return streamingClient.getObject('bucket', 'streamed')
+      })
+      .then(readAll)
+      .then(chunks => assert.isTrue(Buffer.concat(chunks).equals(data)))
+  })
+
+  it('should upload and compose objects in parts', () => {
+    var data = new Buffer(11 * 1024 * 1024).fill('a')
+    var digests = [0, 1, 2].map(i => {
+      var part = data.slice(i * 5 * 1024 * 1024, (i + 1) * 5 * 1024 * 1024)
+      return Crypto.createHash('md5').update(part).digest()
+    })
+    return client.putObject('bucket', 'big', data)
+      .then(result => {
+        assert.equal(result.etag, Crypto.createHash('md5').update(Buffer.concat(digests)).digest('hex') + '-3')
+        var sources = [{bucketName: 'bucket', objectName: 'big'}, {bucketName: 'bucket', objectName: 'big', start: 0, end: 9}]
+        return client.composeObject('bucket', 'composed', sources)
+      })
+      .then(() => client.statObject('bucket', 'composed'))
+      .then(stat => assert.equal(stat.size, data.length + 10))
+  })
+
+  it('should list the uploads in progress', () => {
+    var initiate = promisify(client.initiateNewMultipartUpload.bind(client))
+    return initiate('bucket', 'dir/upload', {})
+      .then(() => readAll(client.listIncompleteUploads('bucket', 'dir/', true)))
+      .then(uploads => {
+        assert.equal(uploads.length, 1)
+        assert.equal(uploads[0].key, 'dir/upload')
+        return client.removeIncompleteUpload('bucket', 'dir/upload')
+      })
+      .then(() => readAll(client.listIncompleteUploads('bucket', '', true)))
+      .then(uploads => assert.equal(uploads.length, 0))
+  })
+
+  it('should list objects and common prefixes', () => {
+    var names = ['a', 'b/1', 'b/2', 'c', 'd']
+    var query = token => readAll(client.listObjectsV2Query('bucket', '', token, '/', 2)).then(results => results[0])
+    return Promise.all(names.map(name => client.putObject('bucket', name, name)))
+      .then(() => readAll(client.listObjects('bucket', '', false)))
+      .then(objects => {
+        assert.deepEqual(objects.map(o => o.name || o.prefix), ['a', 'c', 'd', 'b/'])
+        return readAll(client.listObjectsV2('bucket', '', true, {startAfter: 'a', maxKeys: 3}))
+      })
+      .then(objects => {
+        assert.deepEqual(objects.map(o => o.name), ['b/1', 'b/2', 'c'])
+        return query('')
+      })
+      .then(page => {
+        assert.deepEqual(page.objects.map(o => o.name || o.prefix), ['a', 'b/'])
+        assert.isTrue(page.isTruncated)
+        return query(page.nextContinuationToken)
+      })
+      .then(page => {
+        assert.deepEqual(page.objects.map(o => o.name || o.prefix), ['c', 'd'])
+        assert.isFalse(page.isTruncated)
+      })
+  })
+
+  it('should store bucket policies and notifications', () => {
+    var policy = JSON.stringify({Version: '2012-10-17', Statement: []})
+    var config = new Minio.NotificationConfig()
+    var queue = new Minio.QueueConfig('arn:minio:sqs::1:webhook')
+    queue.setId('1')
+    queue.addEvent(Minio.ObjectCreatedAll)
+    config.add(queue)
+    return client.setBucketPolicy('bucket', policy)
+      .then(() => client.getBucketPolicy('bucket'))
+      .then(result => {
+        assert.equal(result, policy)
+        return client.setBucketNotification('bucket', config)
+      })
+      .then(() => client.getBucketNotification('bucket'))
+      .then(result => assert.equal(result.QueueConfiguration[0].Queue, 'arn:minio:sqs::1:webhook'))
+  })
+
+  it('should refuse unsupported requests and non empty buckets', () => {
+    return client.getBucketVersioning('bucket')
+      .then(() => assert.fail('versioning supported'), e => {
+        assert.equal(e.code, 'NotImplemented')
+        return client.putObject('bucket', 'object', 'data')
+      })
+      .then(() => client.removeBucket('bucket'))
+      .then(() => assert.fail('bucket removed'), e => assert.equal(e.code, 'BucketNotEmpty'))
+  })
+})